@@ -0,0 +1,142 @@
+/**
+ * Test Runner
+ * Runs each test-*.js suite against its own server and empty database, and exits non-zero if any suite fails
+ *
+ * Usage:
+ *   npm test                          Run every suite
+ *   node run-tests.js test-auth.js    Run the named suites
+ */
+import { spawn } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import fetch from 'node-fetch';
+import { TEST_RUNNER } from './test-helpers.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Kept off the dev server's port and database so a running instance is left alone
+const PORT = Number(process.env.TEST_PORT) || 3100;
+const DB_PATH = path.join(os.tmpdir(), `microlearn-test-${process.pid}.db`);
+const SERVER_START_TIMEOUT_MS = 15000;
+const SUITE_TIMEOUT_MS = 120000;
+const SERVER_LOG_LINES = 40;
+
+/**
+ * Suites to run: the named ones, or every test-*.js script
+ * @param {Array} args - Command line arguments
+ * @returns {Array} Suite file names
+ */
+function findSuites(args) {
+    if (args.length > 0) {
+        return args.map(arg => path.basename(arg));
+    }
+    return fs.readdirSync(__dirname)
+        .filter(file => /^test-.+\.js$/.test(file) && file !== 'test-helpers.js')
+        .sort();
+}
+
+function removeDatabase() {
+    for (const suffix of ['', '-wal', '-shm']) {
+        fs.rmSync(`${DB_PATH}${suffix}`, { force: true });
+    }
+}
+
+/**
+ * Start a server on an empty database and wait until it answers
+ * @param {Object} env - Environment for the server
+ * @returns {Object} { server, output } with the server's collected output
+ */
+async function startServer(env) {
+    removeDatabase();
+    const server = spawn(process.execPath, ['src/server.js'], { cwd: __dirname, env, stdio: ['ignore', 'pipe', 'pipe'] });
+    const output = [];
+    server.stdout.on('data', chunk => output.push(chunk));
+    server.stderr.on('data', chunk => output.push(chunk));
+
+    const deadline = Date.now() + SERVER_START_TIMEOUT_MS;
+    while (Date.now() < deadline && server.exitCode === null) {
+        try {
+            const response = await fetch(`${env.MICROLEARN_URL}/health`);
+            if (response.ok) {
+                return { server, output };
+            }
+        } catch (error) {
+            // Not listening yet
+        }
+        await new Promise(resolve => setTimeout(resolve, 200));
+    }
+
+    await stopServer(server);
+    throw new Error(`Server did not start:\n${Buffer.concat(output).toString()}`);
+}
+
+async function stopServer(server) {
+    if (server.exitCode !== null) {
+        return;
+    }
+    const exited = new Promise(resolve => server.once('exit', resolve));
+    server.kill();
+    await exited;
+}
+
+/**
+ * Run one suite to completion
+ * @param {string} suite - Suite file name
+ * @param {Object} env - Environment for the suite
+ * @returns {number} Exit code (1 when it timed out)
+ */
+function runSuite(suite, env) {
+    return new Promise(resolve => {
+        const child = spawn(process.execPath, [suite], { cwd: __dirname, env, stdio: 'inherit' });
+        const timer = setTimeout(() => {
+            console.error(`❌ ${suite} timed out after ${SUITE_TIMEOUT_MS / 1000}s`);
+            child.kill();
+        }, SUITE_TIMEOUT_MS);
+        child.on('exit', code => {
+            clearTimeout(timer);
+            resolve(code ?? 1);
+        });
+    });
+}
+
+async function main(args) {
+    const env = {
+        ...process.env,
+        PORT: String(PORT),
+        MICROLEARN_URL: `http://localhost:${PORT}`,
+        MICROLEARN_DB_PATH: DB_PATH,
+        // Seeded up front so suites that sign up other users first still run as the admin
+        ADMIN_USERNAME: TEST_RUNNER.username,
+        ADMIN_PASSWORD: TEST_RUNNER.password,
+        ADMIN_EMAIL: TEST_RUNNER.email
+    };
+    const failed = [];
+
+    for (const suite of findSuites(args)) {
+        console.log(`\n▶️  ${suite}`);
+        const { server, output } = await startServer(env);
+        const code = await runSuite(suite, env);
+        await stopServer(server);
+        if (code !== 0) {
+            failed.push(suite);
+            const lastLines = Buffer.concat(output).toString().split('\n').slice(-SERVER_LOG_LINES).join('\n');
+            console.log(`\n📋 End of the server output for ${suite}:\n${lastLines}`);
+        }
+    }
+    removeDatabase();
+
+    if (failed.length > 0) {
+        console.log(`\n❌ ${failed.length} suite(s) failed: ${failed.join(', ')}`);
+        process.exitCode = 1;
+    } else {
+        console.log('\n🎉 All test suites passed!');
+    }
+}
+
+main(process.argv.slice(2)).catch(error => {
+    console.error('❌ Test run failed:', error.message);
+    removeDatabase();
+    process.exit(1);
+});
@@ -0,0 +1,184 @@
+/**
+ * Request Body Parser
+ * Reads request bodies up to a size limit and parses them by content type
+ *
+ * JSON bodies must be objects; malformed JSON is reported with its position, line and column. Form bodies
+ * (application/x-www-form-urlencoded) become objects whose repeated keys turn into arrays. NDJSON
+ * (application/x-ndjson) is only accepted by bulk routes, which name the field the parsed records go into.
+ * Failures are thrown as BodyParseError carrying the HTTP status to answer with (400, 413 or 415).
+ */
+
+export const DEFAULT_MAX_BODY_BYTES = 1024 * 1024;
+
+const NDJSON_TYPES = ['application/x-ndjson', 'application/ndjson'];
+
+export class BodyParseError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {number} statusCode - HTTP status to respond with
+     * @param {Object} details - Extra fields for the error response (e.g. { position, line, column })
+     */
+    constructor(message, statusCode = 400, details = {}) {
+        super(message);
+        this.name = 'BodyParseError';
+        this.statusCode = statusCode;
+        this.details = details;
+    }
+}
+
+export class BodyParser {
+    constructor(options = {}) {
+        this.maxBytes = options.maxBytes || DEFAULT_MAX_BODY_BYTES;
+    }
+
+    /**
+     * Read a request body as text, stopping as soon as it exceeds the size limit
+     * @param {http.IncomingMessage} req - Request
+     * @returns {Promise<string>} Body text
+     */
+    read(req) {
+        const tooLarge = () => new BodyParseError(`Request body exceeds ${this.maxBytes} bytes`, 413, { limit: this.maxBytes });
+
+        // Refuse declared oversized bodies before reading any of them
+        if (Number(req.headers['content-length']) > this.maxBytes) {
+            req.pause();
+            return Promise.reject(tooLarge());
+        }
+
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let size = 0;
+            let done = false;
+
+            const onData = chunk => {
+                size += chunk.length;
+                if (size > this.maxBytes) {
+                    done = true;
+                    req.removeListener('data', onData);
+                    req.pause();
+                    reject(tooLarge());
+                    return;
+                }
+                chunks.push(chunk);
+            };
+
+            req.on('data', onData);
+            req.on('end', () => {
+                if (!done) {
+                    resolve(Buffer.concat(chunks).toString('utf8'));
+                }
+            });
+            req.on('error', error => {
+                if (!done) {
+                    done = true;
+                    reject(error);
+                }
+            });
+        });
+    }
+
+    /**
+     * Read and parse a request body
+     * @param {http.IncomingMessage} req - Request
+     * @param {Object} options - { bulkField } naming where a bulk route wants NDJSON records
+     * @returns {Promise<Object>} Parsed body ({} when empty)
+     */
+    async parse(req, options = {}) {
+        const text = await this.read(req);
+        return this.parseText(text, req.headers['content-type'], options);
+    }
+
+    /**
+     * Parse body text by content type
+     * @param {string} text - Body text
+     * @param {string} contentType - Content-Type header (JSON when missing)
+     * @param {Object} options - { bulkField }
+     * @returns {Object} Parsed body
+     */
+    parseText(text, contentType = '', options = {}) {
+        if (text.trim() === '') {
+            return {};
+        }
+
+        const mediaType = contentType.split(';')[0].trim().toLowerCase();
+
+        if (mediaType === '' || mediaType === 'application/json' || mediaType.endsWith('+json')) {
+            const body = this.parseJSON(text);
+            if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+                throw new BodyParseError('JSON body must be an object');
+            }
+            return body;
+        }
+
+        if (mediaType === 'application/x-www-form-urlencoded') {
+            return this.parseForm(text);
+        }
+
+        if (NDJSON_TYPES.includes(mediaType)) {
+            if (!options.bulkField) {
+                throw new BodyParseError('NDJSON is only accepted by bulk endpoints', 415);
+            }
+            return { [options.bulkField]: this.parseNDJSON(text) };
+        }
+
+        throw new BodyParseError(`Unsupported content type: ${mediaType}`, 415);
+    }
+
+    /**
+     * Parse JSON, reporting where it is malformed
+     * @param {string} text - JSON text
+     * @param {number} lineOffset - Lines before this text (for NDJSON records)
+     * @returns {*} Parsed value
+     */
+    parseJSON(text, lineOffset = 0) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            const match = error.message.match(/at position (\d+)/);
+            const position = match ? Number(match[1]) : text.length;
+            const before = text.slice(0, position).split('\n');
+            const line = before.length + lineOffset;
+            const column = before[before.length - 1].length + 1;
+            throw new BodyParseError(`Malformed JSON at line ${line}, column ${column}: ${error.message}`, 400, { position, line, column });
+        }
+    }
+
+    /**
+     * Parse a form-encoded body; repeated keys become arrays
+     * @param {string} text - Form text
+     * @returns {Object} Parsed fields
+     */
+    parseForm(text) {
+        const body = {};
+        new URLSearchParams(text).forEach((value, key) => {
+            if (body[key] === undefined) {
+                body[key] = value;
+            } else {
+                body[key] = [].concat(body[key], value);
+            }
+        });
+        return body;
+    }
+
+    /**
+     * Parse newline-delimited JSON, one object per non-blank line
+     * @param {string} text - NDJSON text
+     * @returns {Array} Parsed records
+     */
+    parseNDJSON(text) {
+        const records = [];
+        text.split('\n').forEach((line, index) => {
+            if (line.trim() === '') {
+                return;
+            }
+            const record = this.parseJSON(line, index);
+            if (record === null || typeof record !== 'object' || Array.isArray(record)) {
+                throw new BodyParseError(`NDJSON line ${index + 1} must be an object`, 400, { line: index + 1 });
+            }
+            records.push(record);
+        });
+        return records;
+    }
+}
+
+export default BodyParser;
@@ -5,7 +5,11 @@
 import { AIDecisionSchema, AIContextSchema } from './enhanced-schema.js';
 
 export class AIDecisionEngine {
-    constructor() {
+    /**
+     * @param {Function} random - Random function returning [0, 1), injectable for reproducible runs
+     */
+    constructor(random = Math.random) {
+        this.random = random;
         this.currentSessionDecisions = []; // Only current session decisions
         this.contextCache = new Map();
         this.aiModelVersion = 'v2.1';
@@ -439,14 +443,14 @@ export class AIDecisionEngine {
 
     // Helper methods (simplified implementations)
     assessDifficulty(node, context) { return 'intermediate'; }
-    calculateLearningPotential(node, context) { return Math.random() * 100; }
-    estimateTimeToMastery(node, context) { return Math.random() * 60; }
+    calculateLearningPotential(node, context) { return this.random() * 100; }
+    estimateTimeToMastery(node, context) { return this.random() * 60; }
     checkPrerequisites(node, context) { return true; }
-    predictEngagement(node, context) { return Math.random() * 100; }
+    predictEngagement(node, context) { return this.random() * 100; }
     getRecommendedAction(node, context) { return 'practice'; }
     generateNodeReasoning(node, context) { return `Node ${node.name} shows good potential for learning`; }
     selectBestOption(analysis, context) { return analysis.existing_nodes[0]; }
-    calculateConfidence(analysis, context, selectedOption) { return Math.random() * 100; }
+    calculateConfidence(analysis, context, selectedOption) { return this.random() * 100; }
     considerAlternatives(analysis, context, selectedOption) { return []; }
     createAnalysisSummary(analysis) { return 'Analysis completed'; }
     identifyLearningOpportunities(context) { return []; }
@@ -6,12 +6,44 @@ import { LearningNodeManager } from './manager.js';
 import { dbManager } from './database.js';
 import { BusinessLogicEngine } from './business-logic.js';
 import { LessonGenerator } from './lesson-generator.js';
+import { SeededRandom } from './seeded-random.js';
+import { NodeTreeBuilder } from './node-tree.js';
+import { AuthService } from './auth.js';
+import { PermissionPolicy, ROLES } from './permissions.js';
+import { Router } from './router.js';
+import { RequestValidator } from './validation.js';
+import { OpenAPIGenerator } from './openapi.js';
+import { Paginator, PAGINATED_TABLES } from './pagination.js';
+import { fullTextSearch, SearchQueryError, SEARCH_LEVELS } from './search.js';
+import { nodeEmbeddings } from './embeddings.js';
+import { lessonContent, LessonContentValidationError } from './lesson-content.js';
+import { questionBank, QuestionValidationError } from './question-bank.js';
+import { QuizEngine } from './quizzes.js';
+import { itemAnalysis } from './item-analysis.js';
+import { knowledgeTracer, DEFAULT_KNOWLEDGE_TRACING_PARAMETERS } from './knowledge-tracing.js';
+import { LLMClient, LLMProviderError, LLM_PROVIDERS, DEFAULT_LLM_SETTINGS, llmSettingsFromEnv } from './llm-providers.js';
 
 export class LearningNodeAPI {
     constructor() {
         this.manager = new LearningNodeManager();
         this.businessLogic = new BusinessLogicEngine();
         this.lessonGenerator = new LessonGenerator(this.businessLogic);
+        this.quizzes = new QuizEngine(this.businessLogic, this.lessonGenerator);
+        this.treeBuilder = new NodeTreeBuilder();
+        this.auth = new AuthService();
+        this.permissions = new PermissionPolicy();
+        this.router = new Router();
+        this.validator = new RequestValidator();
+        this.paginator = new Paginator();
+        // Environment variables set the LLM defaults; PUT /api/settings/llm overrides them at runtime
+        this.llmDefaults = { ...DEFAULT_LLM_SETTINGS, ...llmSettingsFromEnv() };
+        this.registerRoutes();
+        this.openAPI = new OpenAPIGenerator({
+            router: this.router,
+            permissions: this.permissions,
+            info: { description: 'Hierarchical learning management system with AI decision-making' }
+        });
+        this.openAPISpec = null;
     }
 
     /**
@@ -25,14 +57,37 @@ export class LearningNodeAPI {
     }
 
     /**
-     * GET /api/nodes - Get all root nodes
+     * Parse paging options for a list endpoint
+     * @param {Object} query - Validated query (limit, cursor, sort, fields and filters)
+     * @param {Object} table - Entry from PAGINATED_TABLES
+     * @param {string} defaultSort - Sort when none is given
+     * @param {number} defaultLimit - Page size when none is given
+     * @returns {Object} { options } or { error } with a 400 response
      */
-    async getRootNodes() {
-        const nodes = await this.manager.getRootNodes();
+    parsePageOptions(query, table, defaultSort, defaultLimit) {
+        try {
+            const options = this.paginator.parse({ limit: defaultLimit, ...query }, table, defaultSort);
+            return { options: { ...options, key: table.key } };
+        } catch (error) {
+            return { error: { success: false, error: error.message, code: 400 } };
+        }
+    }
+
+    /**
+     * GET /api/nodes?limit=&cursor=&sort=&fields=&mastery_min=&mastery_max=&node_type=&updated_since= - Get root nodes
+     */
+    async getRootNodes(query = {}) {
+        const table = PAGINATED_TABLES.learning_nodes;
+        const { options, error } = this.parsePageOptions(query, table, 'created_at:asc');
+        if (error) {
+            return error;
+        }
+        
+        options.where.unshift('parent_id IS NULL');
+        const page = await this.manager.getNodesPage(options);
         return {
             success: true,
-            data: nodes,
-            count: nodes.length
+            ...this.paginator.toResponse(page, options, table)
         };
     }
 
@@ -90,6 +145,44 @@ export class LearningNodeAPI {
         };
     }
 
+    /**
+     * GET /api/nodes/:id/related?k= - Nearest nodes by text similarity, across legacy nodes and all levels
+     */
+    async getRelatedNodes(id, options = {}) {
+        const result = nodeEmbeddings.related(id, { k: options.k || 5, level: options.level ?? null });
+        if (!result) {
+            return {
+                success: false,
+                error: 'Node not found',
+                code: 404
+            };
+        }
+        return {
+            success: true,
+            data: result.related,
+            count: result.related.length,
+            node: result.node
+        };
+    }
+
+    /**
+     * GET /api/nodes/:id/mastery-estimate?level=&userId= - Knowledge tracing estimate of mastery with its 95% interval
+     */
+    async getMasteryEstimate(id, options = {}) {
+        const estimate = knowledgeTracer.getEstimate(id, options.level || 0, options.userId || null);
+        if (!estimate) {
+            return {
+                success: false,
+                error: 'Node not found',
+                code: 404
+            };
+        }
+        return {
+            success: true,
+            data: estimate
+        };
+    }
+
     /**
      * POST /api/nodes - Create new node
      */
@@ -186,20 +279,54 @@ export class LearningNodeAPI {
     }
 
     /**
-     * GET /api/search?q=query - Search nodes
+     * GET /api/search?q=&levels=&limit=&cursor= - Full-text search across legacy nodes and level tables
+     * Results are ranked by BM25 and carry highlighted names and snippets
      */
-    async searchNodes(query) {
-        const results = await this.manager.searchNodes(query);
-        return {
-            success: true,
-            data: results,
-            count: results.length,
-            query: query
-        };
+    async searchNodes(query, options = {}) {
+        try {
+            const levels = options.levels === undefined
+                ? SEARCH_LEVELS
+                : [...new Set(String(options.levels).split(',').map(level => Number(level.trim())))];
+            if (levels.some(level => !SEARCH_LEVELS.includes(level))) {
+                return {
+                    success: false,
+                    error: 'levels must be a comma-separated list of levels between 0 and 5',
+                    code: 400
+                };
+            }
+            
+            let offset = 0;
+            if (options.cursor) {
+                try {
+                    offset = this.paginator.decodeOffsetCursor(options.cursor, 'rank');
+                } catch (error) {
+                    return { success: false, error: error.message, code: 400 };
+                }
+            }
+            
+            const limit = options.limit || 20;
+            const { results, total } = fullTextSearch.search(query, { levels, limit, offset });
+            
+            return {
+                success: true,
+                data: results,
+                count: results.length,
+                total,
+                next_cursor: offset + results.length < total ? this.paginator.encodeOffsetCursor(offset + results.length, 'rank') : null,
+                query: query,
+                levels
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                code: error instanceof SearchQueryError ? 400 : 500
+            };
+        }
     }
 
     /**
-     * GET /api/nodes/mastery?min=0&max=100 - Get nodes by mastery range
+     * GET /api/mastery/nodes?min=0&max=100 - Get nodes by mastery range
      */
     async getNodesByMastery(minMastery = 0, maxMastery = 100) {
         const results = await this.manager.getNodesByMastery(minMastery, maxMastery);
@@ -307,9 +434,9 @@ export class LearningNodeAPI {
     }
 
     /**
-     * GET /api/levels/:level - Get all nodes from specific level
+     * GET /api/levels/:level - Get one page of nodes from a level (same paging options as /api/nodes)
      */
-    async getLevelNodes(level) {
+    async getLevelNodes(level, query = {}) {
         try {
             const levelNum = parseInt(level);
             if (levelNum < 1 || levelNum > 5) {
@@ -320,12 +447,17 @@ export class LearningNodeAPI {
                 };
             }
             
-            const nodes = dbManager.getLevelNodes(levelNum);
+            const table = PAGINATED_TABLES.level_nodes;
+            const { options, error } = this.parsePageOptions(query, table, 'created_at:desc');
+            if (error) {
+                return error;
+            }
+            
+            const page = dbManager.queryPage(`level_${levelNum}_nodes`, options);
             
             return {
                 success: true,
-                data: nodes,
-                count: nodes.length,
+                ...this.paginator.toResponse(page, options, table),
                 level: levelNum,
                 message: `Level ${levelNum} nodes retrieved successfully`
             };
@@ -390,12 +522,18 @@ export class LearningNodeAPI {
                 };
             }
             
+            const parentError = this.validateLevelParent(levelNum, nodeData.parent_id);
+            if (parentError) {
+                return parentError;
+            }
+            
             // Generate ID if not provided
             if (!nodeData.id) {
                 nodeData.id = `level_${levelNum}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
             }
             
             const result = dbManager.createLevelNode(levelNum, nodeData);
+            nodeEmbeddings.indexNode(levelNum, nodeData.id);
             const node = dbManager.getLevelNode(levelNum, nodeData.id);
             
             return {
@@ -413,6 +551,203 @@ export class LearningNodeAPI {
         }
     }
 
+    /**
+     * Check that a level node's parent exists in the level above
+     * @param {number} levelNum - Level of the node (1-5)
+     * @param {string|null} parentId - Parent node ID
+     * @returns {Object|null} Error response, or null when the parent is valid
+     */
+    validateLevelParent(levelNum, parentId) {
+        if (!parentId) {
+            return null;
+        }
+        
+        if (levelNum === 1) {
+            return {
+                success: false,
+                error: 'Level 1 nodes cannot have a parent',
+                code: 400
+            };
+        }
+        
+        if (!dbManager.getLevelNode(levelNum - 1, parentId)) {
+            return {
+                success: false,
+                error: `Parent ${parentId} not found at level ${levelNum - 1}`,
+                code: 400
+            };
+        }
+        
+        return null;
+    }
+
+    /**
+     * GET /api/levels/:level/:id/children - Get child nodes from the level below
+     */
+    async getLevelNodeChildren(level, id) {
+        try {
+            const levelNum = parseInt(level);
+            if (levelNum < 1 || levelNum > 5) {
+                return {
+                    success: false,
+                    error: 'Level must be between 1 and 5',
+                    code: 400
+                };
+            }
+            
+            if (!dbManager.getLevelNode(levelNum, id)) {
+                return {
+                    success: false,
+                    error: 'Node not found',
+                    code: 404
+                };
+            }
+            
+            const children = levelNum < 5 ? dbManager.getLevelChildren(levelNum + 1, id) : [];
+            
+            return {
+                success: true,
+                data: children,
+                count: children.length,
+                level: levelNum + 1,
+                message: 'Children retrieved successfully'
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                code: 500
+            };
+        }
+    }
+
+    /**
+     * GET /api/levels/:level/:id/ancestors - Get ancestor nodes from the levels above
+     */
+    async getLevelNodeAncestors(level, id) {
+        try {
+            const levelNum = parseInt(level);
+            if (levelNum < 1 || levelNum > 5) {
+                return {
+                    success: false,
+                    error: 'Level must be between 1 and 5',
+                    code: 400
+                };
+            }
+            
+            if (!dbManager.getLevelNode(levelNum, id)) {
+                return {
+                    success: false,
+                    error: 'Node not found',
+                    code: 404
+                };
+            }
+            
+            const ancestors = dbManager.getLevelAncestors(levelNum, id);
+            
+            return {
+                success: true,
+                data: ancestors,
+                count: ancestors.length,
+                message: 'Ancestors retrieved successfully'
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                code: 500
+            };
+        }
+    }
+
+    /**
+     * Validate the ?depth= and ?fields= tree parameters
+     * @param {Object} query - Query parameters
+     * @returns {Object} { depth, fields } or { error } with an error response
+     */
+    parseTreeOptions(query) {
+        let depth = null;
+        if (query.depth !== undefined && query.depth !== '') {
+            depth = Number(query.depth);
+            if (!Number.isInteger(depth) || depth < 1) {
+                return { error: { success: false, error: 'depth must be a positive integer', code: 400 } };
+            }
+        }
+        
+        try {
+            return { depth, fields: this.treeBuilder.parseFields(query.fields) };
+        } catch (error) {
+            return { error: { success: false, error: error.message, code: 400 } };
+        }
+    }
+
+    /**
+     * GET /api/tree?depth=&root=&fields= - Get one nested tree across legacy nodes and level tables
+     */
+    async getTree(query = {}) {
+        try {
+            const { depth, fields, error } = this.parseTreeOptions(query);
+            if (error) {
+                return error;
+            }
+            
+            const tree = this.treeBuilder.buildTree({ depth, root: query.root, fields });
+            if (!tree) {
+                return {
+                    success: false,
+                    error: 'Root node not found',
+                    code: 404
+                };
+            }
+            
+            return {
+                success: true,
+                data: tree,
+                count: tree.length,
+                message: 'Tree retrieved successfully'
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                code: 500
+            };
+        }
+    }
+
+    /**
+     * GET /api/tree/:id/subtree?depth=&fields= - Get the tree below a single node
+     */
+    async getSubtree(id, query = {}) {
+        try {
+            const { depth, fields, error } = this.parseTreeOptions(query);
+            if (error) {
+                return error;
+            }
+            
+            const subtree = this.treeBuilder.buildSubtree(id, { depth, fields });
+            if (!subtree) {
+                return {
+                    success: false,
+                    error: 'Node not found',
+                    code: 404
+                };
+            }
+            
+            return {
+                success: true,
+                data: subtree,
+                message: 'Subtree retrieved successfully'
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                code: 500
+            };
+        }
+    }
+
     /**
      * PUT /api/levels/:level/:id - Update node in specific level
      */
@@ -427,7 +762,15 @@ export class LearningNodeAPI {
                 };
             }
             
+            if (updates.parent_id !== undefined) {
+                const parentError = this.validateLevelParent(levelNum, updates.parent_id);
+                if (parentError) {
+                    return parentError;
+                }
+            }
+            
             const result = dbManager.updateLevelNode(levelNum, id, updates);
+            nodeEmbeddings.indexNode(levelNum, id);
             const node = dbManager.getLevelNode(levelNum, id);
             
             if (!node) {
@@ -497,7 +840,7 @@ export class LearningNodeAPI {
                 };
             }
             
-            const results = dbManager.searchLevelNodes(levelNum, query);
+            const results = fullTextSearch.searchLevel(levelNum, query);
             
             return {
                 success: true,
@@ -511,18 +854,16 @@ export class LearningNodeAPI {
             return {
                 success: false,
                 error: error.message,
-                code: 500
+                code: error instanceof SearchQueryError ? 400 : 500
             };
         }
     }
 
     /**
-     * GET /api/tables/:tableName - Get data from specific table (legacy support)
+     * GET /api/tables/:tableName - Get one page of data from a table (legacy support)
      */
-    async getTableData(tableName) {
+    async getTableData(tableName, query = {}) {
         try {
-            const db = dbManager.getConnection();
-            
             // Validate table name (prevent SQL injection)
             const validTables = ['learning_nodes', 'migrations'];
             if (!validTables.includes(tableName)) {
@@ -533,12 +874,18 @@ export class LearningNodeAPI {
                 };
             }
             
-            const data = db.prepare(`SELECT * FROM ${tableName} ORDER BY created_at DESC LIMIT 100`).all();
+            const table = PAGINATED_TABLES[tableName];
+            const defaultSort = tableName === 'migrations' ? 'applied_at:desc' : 'created_at:desc';
+            const { options, error } = this.parsePageOptions(query, table, defaultSort, 100);
+            if (error) {
+                return error;
+            }
+            
+            const page = dbManager.queryPage(tableName, options);
             
             return {
                 success: true,
-                data: data,
-                count: data.length,
+                ...this.paginator.toResponse(page, options, table),
                 table: tableName,
                 message: `Data from ${tableName} table retrieved successfully`
             };
@@ -552,16 +899,31 @@ export class LearningNodeAPI {
     }
 
     /**
-     * POST /api/business-logic/content-review - Perform AI content review
+     * POST /api/auth/login - Exchange a username and password for a bearer token
      */
-    async performContentReview(userPreferences = {}) {
+    async login(data) {
         try {
-            const review = await this.businessLogic.performContentReview(userPreferences);
+            if (!data.username || !data.password) {
+                return {
+                    success: false,
+                    error: 'Username and password are required',
+                    code: 400
+                };
+            }
+            
+            const session = this.auth.login(String(data.username).trim(), String(data.password));
+            if (!session) {
+                return {
+                    success: false,
+                    error: 'Invalid username or password',
+                    code: 401
+                };
+            }
             
             return {
                 success: true,
-                data: review,
-                message: 'AI content review completed successfully'
+                data: session,
+                message: 'Logged in successfully'
             };
         } catch (error) {
             return {
@@ -573,16 +935,31 @@ export class LearningNodeAPI {
     }
 
     /**
-     * GET /api/business-logic/analysis - Get content analysis
+     * POST /api/auth/refresh - Exchange a refresh token for a new token pair
      */
-    async getContentAnalysis() {
+    async refreshToken(data) {
         try {
-            const analysis = await this.businessLogic.analyzeTopLayerContent();
+            if (!data.refreshToken) {
+                return {
+                    success: false,
+                    error: 'refreshToken is required',
+                    code: 400
+                };
+            }
+            
+            const session = this.auth.refresh(data.refreshToken);
+            if (!session) {
+                return {
+                    success: false,
+                    error: 'Refresh token is invalid, expired or revoked',
+                    code: 401
+                };
+            }
             
             return {
                 success: true,
-                data: analysis,
-                message: 'Content analysis completed successfully'
+                data: session,
+                message: 'Token refreshed successfully'
             };
         } catch (error) {
             return {
@@ -594,17 +971,16 @@ export class LearningNodeAPI {
     }
 
     /**
-     * GET /api/business-logic/recommendations - Get AI recommendations
+     * POST /api/auth/logout - Revoke the current session
      */
-    async getRecommendations(userPreferences = {}) {
+    async logout(context) {
         try {
-            const topLayerAnalysis = await this.businessLogic.analyzeTopLayerContent();
-            const recommendations = await this.businessLogic.generateRecommendations(topLayerAnalysis, userPreferences);
+            this.auth.revoke(context.session.id);
             
             return {
                 success: true,
-                data: recommendations,
-                message: 'AI recommendations generated successfully'
+                data: { sessionId: context.session.id },
+                message: 'Logged out successfully'
             };
         } catch (error) {
             return {
@@ -616,18 +992,1106 @@ export class LearningNodeAPI {
     }
 
     /**
-     * GET /api/business-logic/learning-paths - Get learning path suggestions
+     * GET /api/auth/me - Get the authenticated user
      */
-    async getLearningPaths(userPreferences = {}) {
-        try {
-            const topLayerAnalysis = await this.businessLogic.analyzeTopLayerContent();
-            const recommendations = await this.businessLogic.generateRecommendations(topLayerAnalysis, userPreferences);
-            const learningPaths = await this.businessLogic.createLearningPathSuggestions(topLayerAnalysis, recommendations);
-            
-            return {
+    async getCurrentUser(context) {
+        return {
+            success: true,
+            data: context.user,
+            message: 'Current user retrieved successfully'
+        };
+    }
+
+    /**
+     * Validate username, email and password, including uniqueness
+     * @param {Object} userData - { username, email, password }
+     * @param {string|null} userId - ID of the user being updated (null when creating)
+     * @returns {Object|null} Error response, or null when the data is valid
+     */
+    validateUserData(userData, userId = null) {
+        const creating = userId === null;
+        
+        if (creating || userData.username !== undefined) {
+            if (typeof userData.username !== 'string' || !/^[A-Za-z0-9_.-]{3,50}$/.test(userData.username)) {
+                return {
+                    success: false,
+                    error: 'Username must be 3-50 characters of letters, numbers, "_", "." or "-"',
+                    code: 400
+                };
+            }
+            
+            const existing = dbManager.getUserByUsername(userData.username);
+            if (existing && existing.id !== userId) {
+                return {
+                    success: false,
+                    error: `Username ${userData.username} is already taken`,
+                    code: 409
+                };
+            }
+        }
+        
+        if (creating || userData.email !== undefined) {
+            if (typeof userData.email !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(userData.email)) {
+                return {
+                    success: false,
+                    error: 'A valid email is required',
+                    code: 400
+                };
+            }
+            
+            const existing = dbManager.getUserByEmail(userData.email);
+            if (existing && existing.id !== userId) {
+                return {
+                    success: false,
+                    error: `Email ${userData.email} is already registered`,
+                    code: 409
+                };
+            }
+        }
+        
+        if (creating || userData.password !== undefined) {
+            if (typeof userData.password !== 'string' || userData.password.length < this.auth.minPasswordLength) {
+                return {
+                    success: false,
+                    error: `Password must be at least ${this.auth.minPasswordLength} characters`,
+                    code: 400
+                };
+            }
+        }
+        
+        return null;
+    }
+
+    /**
+     * Normalize user input before validation
+     * @param {Object} data - Request data
+     * @returns {Object} { username, email, password } with only the provided fields
+     */
+    parseUserData(data) {
+        const userData = {};
+        if (data.username !== undefined) {
+            userData.username = typeof data.username === 'string' ? data.username.trim() : data.username;
+        }
+        if (data.email !== undefined) {
+            userData.email = typeof data.email === 'string' ? data.email.trim().toLowerCase() : data.email;
+        }
+        if (data.password !== undefined) {
+            userData.password = data.password;
+        }
+        return userData;
+    }
+
+    /**
+     * Map a users table unique constraint failure to a 409 response
+     * @param {Error} error - Database error
+     * @returns {Object} Error response
+     */
+    userErrorResponse(error) {
+        if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+            return {
+                success: false,
+                error: 'Username or email is already in use',
+                code: 409
+            };
+        }
+        return {
+            success: false,
+            error: error.message,
+            code: 500
+        };
+    }
+
+    /**
+     * GET /api/users - Get all users
+     */
+    async getUsers() {
+        try {
+            const users = dbManager.getUsers();
+            
+            return {
+                success: true,
+                data: users,
+                count: users.length,
+                message: 'Users retrieved successfully'
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                code: 500
+            };
+        }
+    }
+
+    /**
+     * GET /api/users/:id - Get a user
+     */
+    async getUser(id) {
+        try {
+            const user = dbManager.getUser(id);
+            if (!user) {
+                return {
+                    success: false,
+                    error: 'User not found',
+                    code: 404
+                };
+            }
+            
+            return {
+                success: true,
+                data: user,
+                message: 'User retrieved successfully'
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                code: 500
+            };
+        }
+    }
+
+    /**
+     * POST /api/users - Create a user
+     * The first user becomes an admin; after that only admins can choose a role other than learner
+     */
+    async createUser(data, context = {}) {
+        try {
+            const userData = this.parseUserData(data);
+            const validationError = this.validateUserData(userData);
+            if (validationError) {
+                return validationError;
+            }
+            
+            if (data.role !== undefined) {
+                if (context.user?.role !== 'admin') {
+                    return {
+                        success: false,
+                        error: 'Only admins can assign roles',
+                        code: 403
+                    };
+                }
+                if (!ROLES.includes(data.role)) {
+                    return {
+                        success: false,
+                        error: `Role must be one of: ${ROLES.join(', ')}`,
+                        code: 400
+                    };
+                }
+            }
+            
+            // The first account is the admin only for callers the server trusts with it (see canClaimAdmin)
+            userData.role = data.role || (context.canClaimAdmin && dbManager.countUsers() === 0 ? 'admin' : 'learner');
+            userData.id = `user_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+            userData.password_hash = this.auth.hashPassword(userData.password);
+            delete userData.password;
+            dbManager.createUser(userData);
+            
+            return {
+                success: true,
+                data: dbManager.getUser(userData.id),
+                message: 'User created successfully'
+            };
+        } catch (error) {
+            return this.userErrorResponse(error);
+        }
+    }
+
+    /**
+     * Create the configured admin account unless its username is taken
+     * Deployments set it so the admin does not depend on who signs up first
+     * @param {Object} admin - { username, password, email }
+     * @returns {Object} Created user, or the existing one with code 409
+     */
+    async seedAdmin({ username, password, email }) {
+        const existing = dbManager.getUserByUsername(username);
+        if (existing) {
+            return {
+                success: false,
+                data: existing,
+                error: `User ${username} already exists`,
+                code: 409
+            };
+        }
+        return this.createUser({ username, password, email, role: 'admin' }, { user: { role: 'admin' } });
+    }
+
+    /**
+     * PUT /api/users/:id - Update a user's username, email or password
+     */
+    async updateUser(id, data) {
+        try {
+            if (!dbManager.getUser(id)) {
+                return {
+                    success: false,
+                    error: 'User not found',
+                    code: 404
+                };
+            }
+            
+            const updates = this.parseUserData(data);
+            if (Object.keys(updates).length === 0) {
+                return {
+                    success: false,
+                    error: 'Provide a username, email or password to update',
+                    code: 400
+                };
+            }
+            
+            const validationError = this.validateUserData(updates, id);
+            if (validationError) {
+                return validationError;
+            }
+            
+            if (updates.password !== undefined) {
+                updates.password_hash = this.auth.hashPassword(updates.password);
+                delete updates.password;
+            }
+            dbManager.updateUser(id, updates);
+            
+            return {
+                success: true,
+                data: dbManager.getUser(id),
+                message: 'User updated successfully'
+            };
+        } catch (error) {
+            return this.userErrorResponse(error);
+        }
+    }
+
+    /**
+     * DELETE /api/users/:id - Delete a user and their progress
+     */
+    async deleteUser(id) {
+        try {
+            if (this.isLastAdmin(id)) {
+                return {
+                    success: false,
+                    error: 'Cannot delete the last admin',
+                    code: 409
+                };
+            }
+            
+            const result = dbManager.deleteUser(id);
+            if (result.changes === 0) {
+                return {
+                    success: false,
+                    error: 'User not found',
+                    code: 404
+                };
+            }
+            
+            return {
+                success: true,
+                message: 'User deleted successfully'
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                code: 500
+            };
+        }
+    }
+
+    /**
+     * PUT /api/users/:id/role - Change a user's role (admin only)
+     */
+    async updateUserRole(id, data) {
+        try {
+            const user = dbManager.getUser(id);
+            if (!user) {
+                return {
+                    success: false,
+                    error: 'User not found',
+                    code: 404
+                };
+            }
+            
+            if (!ROLES.includes(data.role)) {
+                return {
+                    success: false,
+                    error: `Role must be one of: ${ROLES.join(', ')}`,
+                    code: 400
+                };
+            }
+            
+            if (data.role !== 'admin' && this.isLastAdmin(id)) {
+                return {
+                    success: false,
+                    error: 'Cannot remove the role of the last admin',
+                    code: 409
+                };
+            }
+            
+            dbManager.updateUser(id, { role: data.role });
+            console.log(`🛡️ User ${user.username} is now ${data.role}`);
+            
+            return {
+                success: true,
+                data: dbManager.getUser(id),
+                message: 'User role updated successfully'
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                code: 500
+            };
+        }
+    }
+
+    /**
+     * Whether a user is the only remaining admin
+     * @param {string} id - User ID
+     * @returns {boolean} True when removing this user's admin role would leave no admins
+     */
+    isLastAdmin(id) {
+        const user = dbManager.getUser(id);
+        return user?.role === 'admin' && dbManager.countUsers('admin') === 1;
+    }
+
+    /**
+     * GET /api/users/:id/progress?level= - Get a user's progress, optionally for one level
+     */
+    async getUserProgress(id, level = null) {
+        try {
+            if (!dbManager.getUser(id)) {
+                return {
+                    success: false,
+                    error: 'User not found',
+                    code: 404
+                };
+            }
+            
+            let levelNum = null;
+            if (level !== null && level !== undefined && level !== '') {
+                levelNum = this.parseWeightLevel(level);
+                if (levelNum === null) {
+                    return {
+                        success: false,
+                        error: 'Level must be between 0 and 5',
+                        code: 400
+                    };
+                }
+            }
+            
+            const progress = dbManager.getUserProgress(id, levelNum);
+            
+            return {
+                success: true,
+                data: progress,
+                count: progress.length,
+                level: levelNum,
+                message: 'User progress retrieved successfully'
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                code: 500
+            };
+        }
+    }
+
+    /**
+     * PUT /api/users/:id/progress/:level/:nodeId - Record a user's progress on a node (level 0 for legacy nodes)
+     */
+    async updateUserProgress(id, level, nodeId, data) {
+        try {
+            const levelNum = this.parseWeightLevel(level);
+            if (levelNum === null) {
+                return {
+                    success: false,
+                    error: 'Level must be between 0 and 5',
+                    code: 400
+                };
+            }
+            
+            if (!dbManager.getUser(id)) {
+                return {
+                    success: false,
+                    error: 'User not found',
+                    code: 404
+                };
+            }
+            
+            const node = levelNum === 0 ? dbManager.getNode(nodeId) : dbManager.getLevelNode(levelNum, nodeId);
+            if (!node) {
+                return {
+                    success: false,
+                    error: `Node ${nodeId} not found at level ${levelNum}`,
+                    code: 404
+                };
+            }
+            
+            if (data.mastery_percentage !== undefined) {
+                const mastery = Number(data.mastery_percentage);
+                if (!Number.isInteger(mastery) || mastery < 0 || mastery > 100) {
+                    return {
+                        success: false,
+                        error: 'mastery_percentage must be an integer between 0 and 100',
+                        code: 400
+                    };
+                }
+            }
+            
+            // Fields that are not provided keep their current values
+            const existing = dbManager.getUserProgressEntry(id, nodeId, levelNum) || {};
+            dbManager.updateUserProgress(id, nodeId, levelNum, {
+                mastery_percentage: data.mastery_percentage !== undefined ? Number(data.mastery_percentage) : existing.mastery_percentage,
+                last_practiced: data.last_practiced || new Date().toISOString(),
+                notes: data.notes !== undefined ? data.notes : existing.notes
+            });
+            
+            return {
+                success: true,
+                data: dbManager.getUserProgressEntry(id, nodeId, levelNum),
+                level: levelNum,
+                message: 'User progress updated successfully'
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                code: 500
+            };
+        }
+    }
+
+    /**
+     * POST /api/business-logic/content-review - Perform AI content review
+     */
+    async performContentReview(userPreferences = {}) {
+        try {
+            const review = await this.businessLogic.performContentReview(userPreferences);
+            
+            return {
+                success: true,
+                data: review,
+                message: 'AI content review completed successfully'
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                code: 500
+            };
+        }
+    }
+
+    /**
+     * GET /api/business-logic/analysis - Get content analysis
+     */
+    async getContentAnalysis() {
+        try {
+            const analysis = await this.businessLogic.analyzeTopLayerContent();
+            
+            return {
+                success: true,
+                data: analysis,
+                message: 'Content analysis completed successfully'
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                code: 500
+            };
+        }
+    }
+
+    /**
+     * GET /api/business-logic/recommendations - Get AI recommendations
+     */
+    async getRecommendations(userPreferences = {}) {
+        try {
+            const topLayerAnalysis = await this.businessLogic.analyzeTopLayerContent();
+            const recommendations = await this.businessLogic.generateRecommendations(topLayerAnalysis, userPreferences);
+            
+            return {
+                success: true,
+                data: recommendations,
+                message: 'AI recommendations generated successfully'
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                code: 500
+            };
+        }
+    }
+
+    /**
+     * GET /api/business-logic/learning-paths - Get learning path suggestions
+     */
+    async getLearningPaths(userPreferences = {}) {
+        try {
+            const topLayerAnalysis = await this.businessLogic.analyzeTopLayerContent();
+            const recommendations = await this.businessLogic.generateRecommendations(topLayerAnalysis, userPreferences);
+            const learningPaths = await this.businessLogic.createLearningPathSuggestions(topLayerAnalysis, recommendations);
+            
+            return {
+                success: true,
+                data: learningPaths,
+                message: 'Learning path suggestions generated successfully'
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                code: 500
+            };
+        }
+    }
+
+    /**
+     * POST /api/lessons/request - Request new lesson with weighted random selection
+     */
+    async requestLesson(userPreferences = {}, userId = null) {
+        try {
+            console.log('🎯 API: Requesting lesson with preferences:', userPreferences);
+            const lessonRequest = await this.lessonGenerator.requestLesson(userPreferences, userId || null);
+            
+            if (lessonRequest.success) {
+                // Generate AI prompt for display
+                const aiPrompt = this.generateAIPrompt(lessonRequest);
+                
+                // Persist the request so the lesson can be completed later
+                this.lessonGenerator.recordLessonRequest(lessonRequest, aiPrompt);
+                
+                return {
+                    success: true,
+                    data: {
+                        ...lessonRequest,
+                        aiPrompt: aiPrompt
+                    },
+                    message: 'Lesson request generated successfully with AI prompt'
+                };
+            } else {
+                console.log('❌ API: Lesson request failed:', lessonRequest.error);
+                return lessonRequest;
+            }
+        } catch (error) {
+            console.error('❌ API: Lesson request error:', error);
+            return {
+                success: false,
+                error: error.message,
+                code: 500
+            };
+        }
+    }
+
+    /**
+     * POST /api/lessons/:id/generate - Send the lesson's prompt to the configured LLM and store the lesson
+     */
+    async generateLesson(id, options = {}) {
+        try {
+            const llmClient = new LLMClient(this.getLLMSettings());
+            const result = await this.lessonGenerator.generateLessonContent(id, llmClient, {
+                regenerate: Boolean(options.regenerate)
+            });
+            if (!result.success) {
+                return result;
+            }
+            
+            return {
+                success: true,
+                data: result.lesson,
+                blocks: result.blocks,
+                usage: result.usage,
+                message: `Lesson generated by ${result.lesson.content_provider}`
+            };
+        } catch (error) {
+            if (error instanceof LLMProviderError) {
+                return {
+                    success: false,
+                    error: `${error.message} (after ${error.attempts} attempt${error.attempts === 1 ? '' : 's'})`,
+                    code: error.timedOut ? 504 : 502
+                };
+            }
+            return {
+                success: false,
+                error: error.message,
+                code: 500
+            };
+        }
+    }
+
+    /**
+     * Current LLM settings: stored settings over environment defaults
+     * @returns {Object} Settings for LLMClient
+     */
+    getLLMSettings() {
+        return { ...this.llmDefaults, ...(dbManager.getSetting('llm') || {}) };
+    }
+
+    /**
+     * Describe LLM settings without revealing the API key
+     */
+    describeLLMSettings(settings) {
+        const { apiKey, ...visible } = settings;
+        return { ...visible, apiKeySet: Boolean(apiKey), providers: Object.keys(LLM_PROVIDERS) };
+    }
+
+    /**
+     * GET /api/settings/llm - Show the LLM provider settings
+     */
+    async getLLMSettingsResponse() {
+        return {
+            success: true,
+            data: this.describeLLMSettings(this.getLLMSettings())
+        };
+    }
+
+    /**
+     * PUT /api/settings/llm - Change LLM provider settings (null resets a setting to its default)
+     */
+    async updateLLMSettings(updates) {
+        try {
+            const stored = { ...(dbManager.getSetting('llm') || {}), ...updates };
+            Object.keys(stored).forEach(key => {
+                if (stored[key] === null) {
+                    delete stored[key];
+                }
+            });
+            
+            // Building a client checks the provider before anything is saved
+            const settings = { ...this.llmDefaults, ...stored };
+            new LLMClient(settings);
+            dbManager.saveSetting('llm', stored);
+            
+            return {
+                success: true,
+                data: this.describeLLMSettings(settings),
+                message: 'LLM settings updated successfully'
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                code: 400
+            };
+        }
+    }
+
+    /**
+     * GET /api/settings/knowledge-tracing - Show the mastery estimate parameters
+     */
+    async getKnowledgeTracingSettings() {
+        return {
+            success: true,
+            data: knowledgeTracer.getParameters()
+        };
+    }
+
+    /**
+     * PUT /api/settings/knowledge-tracing - Change prior, learn, slip or guess (null resets a parameter to its default)
+     * New values apply to the next outcomes; existing estimates are not retraced
+     */
+    async updateKnowledgeTracingSettings(updates) {
+        const stored = { ...(dbManager.getSetting('knowledgeTracing') || {}), ...updates };
+        Object.keys(stored).forEach(key => {
+            if (stored[key] === null) {
+                delete stored[key];
+            }
+        });
+
+        const parameters = { ...DEFAULT_KNOWLEDGE_TRACING_PARAMETERS, ...stored };
+        const problem = knowledgeTracer.checkParameters(parameters);
+        if (problem) {
+            return {
+                success: false,
+                error: problem,
+                code: 400
+            };
+        }
+        dbManager.saveSetting('knowledgeTracing', stored);
+
+        return {
+            success: true,
+            data: parameters,
+            message: 'Knowledge tracing settings updated successfully'
+        };
+    }
+
+    /**
+     * Map lesson content errors to responses (invalid blocks are a 400)
+     */
+    lessonContentError(error) {
+        if (error instanceof LessonContentValidationError) {
+            return {
+                success: false,
+                error: error.message,
+                errors: error.errors,
+                code: 400
+            };
+        }
+        return {
+            success: false,
+            error: error.message,
+            code: 500
+        };
+    }
+
+    /**
+     * GET /api/lessons/:id/content - Get a lesson's content blocks in section order
+     */
+    async getLessonContent(lessonId) {
+        if (!dbManager.getLesson(lessonId)) {
+            return {
+                success: false,
+                error: 'Lesson not found',
+                code: 404
+            };
+        }
+
+        const blocks = lessonContent.getLessonContent(lessonId);
+        return {
+            success: true,
+            data: blocks,
+            count: blocks.length
+        };
+    }
+
+    /**
+     * POST /api/lessons/:id/content - Add a content block to a lesson
+     */
+    async createLessonContent(lessonId, block) {
+        if (!dbManager.getLesson(lessonId)) {
+            return {
+                success: false,
+                error: 'Lesson not found',
+                code: 404
+            };
+        }
+
+        try {
+            return {
+                success: true,
+                data: lessonContent.createBlock(lessonId, block),
+                message: 'Content block created successfully'
+            };
+        } catch (error) {
+            return this.lessonContentError(error);
+        }
+    }
+
+    /**
+     * GET /api/lesson-content/:id - Get one content block
+     */
+    async getLessonContentBlock(id) {
+        const block = lessonContent.getBlock(id);
+        if (!block) {
+            return {
+                success: false,
+                error: 'Content block not found',
+                code: 404
+            };
+        }
+        return {
+            success: true,
+            data: block
+        };
+    }
+
+    /**
+     * PUT /api/lesson-content/:id - Update a content block
+     */
+    async updateLessonContentBlock(id, updates) {
+        try {
+            const block = lessonContent.updateBlock(id, updates);
+            if (!block) {
+                return {
+                    success: false,
+                    error: 'Content block not found',
+                    code: 404
+                };
+            }
+            return {
+                success: true,
+                data: block,
+                message: 'Content block updated successfully'
+            };
+        } catch (error) {
+            return this.lessonContentError(error);
+        }
+    }
+
+    /**
+     * DELETE /api/lesson-content/:id - Delete a content block
+     */
+    async deleteLessonContentBlock(id) {
+        if (!lessonContent.deleteBlock(id)) {
+            return {
+                success: false,
+                error: 'Content block not found',
+                code: 404
+            };
+        }
+        return {
+            success: true,
+            message: 'Content block deleted successfully'
+        };
+    }
+
+    /**
+     * GET /api/nodes/:id/content - Content blocks attached to a node, across its lessons (?level=)
+     */
+    async getNodeContent(nodeId, options = {}) {
+        const blocks = lessonContent.getNodeContent(nodeId, options.level ?? null);
+        return {
+            success: true,
+            data: blocks,
+            count: blocks.length
+        };
+    }
+
+    /**
+     * GET /api/nodes/:id/questions - List a node's question bank with answers (?level=&difficulty=)
+     */
+    async getNodeQuestions(nodeId, options = {}) {
+        const level = options.level || 0;
+        if (!questionBank.getNode(nodeId, level)) {
+            return {
+                success: false,
+                error: 'Node not found',
+                code: 404
+            };
+        }
+
+        const questions = questionBank.getQuestions(nodeId, { level, difficulty: options.difficulty });
+        return {
+            success: true,
+            data: questions,
+            count: questions.length
+        };
+    }
+
+    /**
+     * POST /api/nodes/:id/questions - Add a question to a node's bank
+     */
+    async createQuestion(nodeId, input) {
+        try {
+            const question = questionBank.createQuestion(nodeId, input);
+            if (!question) {
+                return {
+                    success: false,
+                    error: 'Node not found',
+                    code: 404
+                };
+            }
+            return {
+                success: true,
+                data: question,
+                message: 'Question created successfully'
+            };
+        } catch (error) {
+            return this.questionError(error);
+        }
+    }
+
+    /**
+     * GET /api/questions/:id - Get a question with its answer
+     */
+    async getQuestion(id) {
+        const question = questionBank.getQuestion(id);
+        if (!question) {
+            return {
+                success: false,
+                error: 'Question not found',
+                code: 404
+            };
+        }
+        return {
+            success: true,
+            data: question
+        };
+    }
+
+    /**
+     * PUT /api/questions/:id - Update a question
+     */
+    async updateQuestion(id, updates) {
+        try {
+            const question = questionBank.updateQuestion(id, updates);
+            if (!question) {
+                return {
+                    success: false,
+                    error: 'Question not found',
+                    code: 404
+                };
+            }
+            return {
+                success: true,
+                data: question,
+                message: 'Question updated successfully'
+            };
+        } catch (error) {
+            return this.questionError(error);
+        }
+    }
+
+    /**
+     * DELETE /api/questions/:id - Delete a question
+     */
+    async deleteQuestion(id) {
+        if (!questionBank.deleteQuestion(id)) {
+            return {
+                success: false,
+                error: 'Question not found',
+                code: 404
+            };
+        }
+        return {
+            success: true,
+            message: 'Question deleted successfully'
+        };
+    }
+
+    /**
+     * GET /api/questions/:id/stats - Item statistics and calibrated difficulty of a question
+     */
+    async getQuestionStats(id) {
+        const question = questionBank.getQuestion(id);
+        if (!question) {
+            return {
+                success: false,
+                error: 'Question not found',
+                code: 404
+            };
+        }
+        return {
+            success: true,
+            data: itemAnalysis.questionStats(question)
+        };
+    }
+
+    /**
+     * Map question bank errors to responses (answer data that does not match the type is a 400)
+     */
+    questionError(error) {
+        if (error instanceof QuestionValidationError) {
+            return {
+                success: false,
+                error: error.message,
+                errors: error.errors,
+                code: 400
+            };
+        }
+        return {
+            success: false,
+            error: error.message,
+            code: 500
+        };
+    }
+
+    /**
+     * POST /api/nodes/:id/quiz - Assemble a quiz from the node's question bank
+     */
+    async createQuiz(nodeId, options = {}) {
+        try {
+            const result = await this.quizzes.createQuiz(nodeId, options);
+            if (!result.success) {
+                return result;
+            }
+            return {
+                success: true,
+                data: result.quiz,
+                message: `Quiz with ${result.quiz.questions.length} question(s) assembled`
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                code: 500
+            };
+        }
+    }
+
+    /**
+     * GET /api/quizzes/:id - Get a quiz (answers and results only after it is submitted)
+     */
+    async getQuiz(id) {
+        const quiz = this.quizzes.getQuiz(id);
+        if (!quiz) {
+            return {
+                success: false,
+                error: 'Quiz not found',
+                code: 404
+            };
+        }
+        return {
+            success: true,
+            data: quiz
+        };
+    }
+
+    /**
+     * POST /api/quizzes/:id/submit - Grade a quiz and complete the lesson with the computed score
+     */
+    async submitQuiz(id, submission) {
+        try {
+            const result = await this.quizzes.submitQuiz(id, submission.answers, {
+                durationSeconds: submission.durationSeconds ?? null,
+                timings: submission.timings
+            });
+            if (!result.success) {
+                return result;
+            }
+            return {
+                success: true,
+                data: result.quiz,
+                completion: result.completion,
+                message: `Quiz ${result.quiz.passed ? 'passed' : 'failed'} with ${result.quiz.score}%`
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                code: 500
+            };
+        }
+    }
+
+    /**
+     * POST /api/lessons/complete - Submit lesson completion
+     */
+    async completeLesson(lessonId, nodeId, passed, score = null, durationSeconds = null) {
+        try {
+            if (!lessonId) {
+                return {
+                    success: false,
+                    error: 'lessonId is required',
+                    code: 400
+                };
+            }
+            
+            if (score !== null && score !== undefined && (typeof score !== 'number' || score < 0 || score > 100)) {
+                return {
+                    success: false,
+                    error: 'score must be a number between 0 and 100',
+                    code: 400
+                };
+            }
+            
+            const completionResult = await this.lessonGenerator.completeLessonFeedback(
+                lessonId,
+                nodeId,
+                Boolean(passed),
+                score ?? null,
+                { durationSeconds: durationSeconds ?? undefined }
+            );
+            
+            if (!completionResult.success) {
+                return completionResult;
+            }
+            
+            return {
                 success: true,
-                data: learningPaths,
-                message: 'Learning path suggestions generated successfully'
+                data: completionResult,
+                message: 'Lesson completion processed successfully'
             };
         } catch (error) {
             return {
@@ -639,31 +2103,67 @@ export class LearningNodeAPI {
     }
 
     /**
-     * POST /api/lessons/request - Request new lesson with weighted random selection
+     * GET /api/lessons?status=&nodeId=&strategy=&userId=&limit= - List lesson history
      */
-    async requestLesson(userPreferences = {}) {
+    async getLessons(filters = {}) {
         try {
-            console.log('🎯 API: Requesting lesson with preferences:', userPreferences);
-            const lessonRequest = await this.lessonGenerator.requestLesson(userPreferences);
+            const lessons = this.lessonGenerator.getLessons({
+                status: filters.status,
+                nodeId: filters.nodeId,
+                strategy: filters.strategy,
+                userId: filters.userId,
+                limit: parseInt(filters.limit) || 50
+            });
             
-            if (lessonRequest.success) {
-                // Generate AI prompt for display
-                const aiPrompt = this.generateAIPrompt(lessonRequest);
-                
+            return {
+                success: true,
+                data: lessons,
+                count: lessons.length,
+                message: 'Lessons retrieved successfully'
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                code: 500
+            };
+        }
+    }
+
+    /**
+     * POST /api/lessons/replay - Re-run a lesson's selection with its seed and weight snapshot
+     */
+    async replayLesson(lessonId, seed = null) {
+        try {
+            if (!lessonId) {
                 return {
-                    success: true,
-                    data: {
-                        ...lessonRequest,
-                        aiPrompt: aiPrompt
-                    },
-                    message: 'Lesson request generated successfully with AI prompt'
+                    success: false,
+                    error: 'lessonId is required',
+                    code: 400
                 };
-            } else {
-                console.log('❌ API: Lesson request failed:', lessonRequest.error);
-                return lessonRequest;
             }
+            
+            if (seed !== null && seed !== undefined && !SeededRandom.isValidSeed(seed)) {
+                return {
+                    success: false,
+                    error: 'seed must be an integer between 0 and 4294967295',
+                    code: 400
+                };
+            }
+            
+            const result = await this.lessonGenerator.replayLesson(lessonId, seed ?? null);
+            if (!result.success) {
+                return result;
+            }
+            
+            return {
+                success: true,
+                data: result.replay,
+                message: result.replay.matches
+                    ? 'Replay selected the same topic'
+                    : 'Replay selected a different topic'
+            };
         } catch (error) {
-            console.error('❌ API: Lesson request error:', error);
             return {
                 success: false,
                 error: error.message,
@@ -673,16 +2173,89 @@ export class LearningNodeAPI {
     }
 
     /**
-     * POST /api/lessons/complete - Submit lesson completion
+     * GET /api/lessons/strategies - List lesson selection strategies
      */
-    async completeLesson(lessonId, nodeId, passed, score = null) {
+    async getSelectionStrategies() {
         try {
-            const completionResult = await this.lessonGenerator.completeLessonFeedback(lessonId, nodeId, passed, score);
+            const strategies = this.lessonGenerator.businessLogic.selectionStrategies.list();
             
             return {
                 success: true,
-                data: completionResult,
-                message: 'Lesson completion processed successfully'
+                data: strategies,
+                count: strategies.length,
+                message: 'Selection strategies retrieved successfully'
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                code: 500
+            };
+        }
+    }
+
+    /**
+     * GET /api/lessons/due?algorithm=&level=&limit=&userId= - Get topics due for spaced repetition review
+     */
+    async getDueLessons(filters = {}) {
+        try {
+            const algorithms = this.lessonGenerator.businessLogic.scheduler.getAlgorithmNames();
+            if (filters.algorithm && !algorithms.includes(filters.algorithm)) {
+                return {
+                    success: false,
+                    error: `Unknown algorithm. Available: ${algorithms.join(', ')}`,
+                    code: 400
+                };
+            }
+            
+            let level = null;
+            if (filters.level !== undefined) {
+                level = this.parseWeightLevel(filters.level);
+                if (level === null) {
+                    return {
+                        success: false,
+                        error: 'Level must be between 0 and 5',
+                        code: 400
+                    };
+                }
+            }
+            
+            const due = await this.lessonGenerator.getDueLessons(filters.algorithm, level, parseInt(filters.limit) || 50, filters.userId || null);
+            
+            return {
+                success: true,
+                data: due,
+                count: due.length,
+                algorithm: filters.algorithm || this.lessonGenerator.businessLogic.scheduler.defaultAlgorithm,
+                message: 'Due lessons retrieved successfully'
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                code: 500
+            };
+        }
+    }
+
+    /**
+     * GET /api/lessons/:id - Get a specific lesson
+     */
+    async getLesson(id) {
+        try {
+            const lesson = this.lessonGenerator.getLesson(id);
+            if (!lesson) {
+                return {
+                    success: false,
+                    error: 'Lesson not found',
+                    code: 404
+                };
+            }
+            
+            return {
+                success: true,
+                data: lesson,
+                message: 'Lesson retrieved successfully'
             };
         } catch (error) {
             return {
@@ -694,11 +2267,41 @@ export class LearningNodeAPI {
     }
 
     /**
-     * GET /api/lessons/weights/:level - View current weights at a level
+     * Parse a weight level (0 for legacy root nodes, 1-5 for level tables)
+     * @param {string|number} level - Requested level
+     * @returns {number|null} Level number or null if invalid
+     */
+    parseWeightLevel(level) {
+        const levelNum = parseInt(level);
+        if (isNaN(levelNum) || levelNum < 0 || levelNum > 5) {
+            return null;
+        }
+        return levelNum;
+    }
+
+    /**
+     * GET /api/lessons/weights/:level?userId= - View current weights at a level (for one user when given)
      */
-    async getLessonWeights(level = 0) {
+    async getLessonWeights(level = 0, userId = null) {
         try {
-            const weightDistribution = await this.lessonGenerator.getWeightDistribution(level);
+            const levelNum = this.parseWeightLevel(level);
+            if (levelNum === null) {
+                return {
+                    success: false,
+                    error: 'Level must be between 0 and 5',
+                    code: 400
+                };
+            }
+            
+            if (userId && !dbManager.getUser(userId)) {
+                return {
+                    success: false,
+                    error: 'User not found',
+                    code: 404
+                };
+            }
+            
+            const weightDistribution = await this.lessonGenerator.getWeightDistribution(levelNum, userId || null);
             
             return {
                 success: true,
@@ -714,6 +2317,125 @@ export class LearningNodeAPI {
         }
     }
 
+    /**
+     * POST /api/lessons/weights/:level/reset - Reset all weights at a level to default (one user's when given)
+     */
+    async resetLessonWeights(level, userId = null) {
+        try {
+            const levelNum = this.parseWeightLevel(level);
+            if (levelNum === null) {
+                return {
+                    success: false,
+                    error: 'Level must be between 0 and 5',
+                    code: 400
+                };
+            }
+            
+            if (userId && !dbManager.getUser(userId)) {
+                return {
+                    success: false,
+                    error: 'User not found',
+                    code: 404
+                };
+            }
+            
+            const result = await this.lessonGenerator.resetWeights(levelNum, userId || null);
+            if (!result.success) {
+                return result;
+            }
+            
+            return {
+                success: true,
+                data: result,
+                message: result.message
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                code: 500
+            };
+        }
+    }
+
+    /**
+     * PUT /api/lessons/weights/:level/:nodeId - Manually set a node's weight (one user's when given)
+     */
+    async setLessonWeight(level, nodeId, weight, userId = null) {
+        try {
+            const levelNum = this.parseWeightLevel(level);
+            if (levelNum === null) {
+                return {
+                    success: false,
+                    error: 'Level must be between 0 and 5',
+                    code: 400
+                };
+            }
+            
+            if (userId && !dbManager.getUser(userId)) {
+                return {
+                    success: false,
+                    error: 'User not found',
+                    code: 404
+                };
+            }
+            
+            const result = await this.lessonGenerator.setNodeWeight(levelNum, nodeId, weight, userId || null);
+            if (!result.success) {
+                return result;
+            }
+            
+            return {
+                success: true,
+                data: result,
+                message: result.message
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                code: 500
+            };
+        }
+    }
+
+    /**
+     * GET /api/lessons/weights/:level/history?nodeId=&reason=&userId=&limit= - Get weight change history
+     */
+    async getWeightHistory(level, filters = {}) {
+        try {
+            const levelNum = this.parseWeightLevel(level);
+            if (levelNum === null) {
+                return {
+                    success: false,
+                    error: 'Level must be between 0 and 5',
+                    code: 400
+                };
+            }
+            
+            const history = this.lessonGenerator.getWeightHistory(levelNum, {
+                nodeId: filters.nodeId,
+                reason: filters.reason,
+                userId: filters.userId,
+                limit: parseInt(filters.limit) || 100
+            });
+            
+            return {
+                success: true,
+                data: history,
+                count: history.length,
+                level: levelNum,
+                message: 'Weight history retrieved successfully'
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                code: 500
+            };
+        }
+    }
+
     /**
      * GET /api/lessons/statistics - Get lesson statistics
      */
@@ -809,8 +2531,13 @@ Please generate a comprehensive new topic proposal following this structure.`;
     **Learning History**:
     - Topic Mastery: ${lessonContext.user.topicMastery}%
     - Last Practiced: ${lessonContext.user.lastPracticed || 'Never'}
+    - Lessons Completed: ${lessonContext.user.learningHistory.totalLessons} (${lessonContext.user.learningHistory.passedLessons} passed, average score ${lessonContext.user.learningHistory.averageScore}%)
     - Notes: ${lessonContext.user.notes || 'No notes available'}
     
+    ## Selection Path
+    **Path**: ${lessonRequest.selectionPath.map(step => step.name).join(' → ')}
+    ${lessonRequest.selectionPath.map(step => `- Depth ${step.depth} (level ${step.level}): ${step.name} - weight ${step.selection_weight} of ${step.candidates} options (mastery x${step.weight_breakdown.mastery}, importance x${step.weight_breakdown.baseImportance}, recency x${step.weight_breakdown.lastPracticed})`).join('\n')}
+    
     ## Learning Objectives
     ${lessonContext.learningObjectives.map(obj => `- ${obj}`).join('\n')}
     
@@ -836,8 +2563,8 @@ Please generate a comprehensive new topic proposal following this structure.`;
     - **Summary & Assessment** (2-3 minutes): Review and quick quiz
     
     ## Additional Context
-    - This topic was selected using weighted random selection
-    - Weight: ${selectedTopic.selection_weight || 100} (normal = 100)
+    - This topic was selected using the ${lessonRequest.strategy} strategy (seed ${lessonRequest.seed})
+    - Weight: ${selectedTopic.selection_weight ?? 100} (normal = 100)
     - Selection method: AI-calculated weights based on mastery and user preferences
     - Topic metadata: ${JSON.stringify(selectedTopic.metadata || {}, null, 2)}
     
@@ -846,138 +2573,211 @@ Please generate a comprehensive new topic proposal following this structure.`;
         return prompt;
     }
 
+    /**
+     * The user a lesson request acts for: the given userId, or the caller when a learner leaves it out
+     * @param {Object} data - Request data
+     * @param {Object} context - Request context
+     * @returns {string|null} User ID, or null for a shared (user-less) lesson
+     */
+    actingUserId(data, context = {}) {
+        if (data.userId) {
+            return data.userId;
+        }
+        return context.user?.role === 'learner' ? context.user.id : null;
+    }
+
+    /**
+     * Middleware: check the caller's role against the route permission table
+     * Requests without an authenticated user are not checked here (the server rejects them when auth is required)
+     * @param {Object} request - Router request ({ method, path, params, data, context, route })
+     * @returns {Object|undefined} 403 response, or nothing when the request is allowed
+     */
+    authorize({ method, path, params, data, context, route }) {
+        // Public routes (signing up, logging in, refreshing) are open to every role
+        if (!context.user || route.public) {
+            return;
+        }
+        
+        const rule = this.permissions.ruleFor(method, route.path);
+        let ownerId = null;
+        if (rule?.owner === 'path') {
+            ownerId = params.id;
+        } else if (rule?.owner === 'body' || rule?.owner === 'query') {
+            ownerId = this.actingUserId(data, context);
+        } else if (rule?.owner === 'lesson') {
+            const lessonId = params.id || data.lessonId;
+            const lesson = lessonId ? dbManager.getLesson(lessonId) : null;
+            // Let the handler report unknown lessons as 404
+            ownerId = lesson ? lesson.user_id : context.user.id;
+        } else if (rule?.owner === 'quiz') {
+            const quiz = dbManager.getQuiz(params.id);
+            ownerId = quiz ? quiz.user_id : context.user.id;
+        }
+        
+        if (this.permissions.isAllowed(context.user, rule, method, ownerId)) {
+            return;
+        }
+        
+        return {
+            success: false,
+            error: rule?.owner
+                ? `Role ${context.user.role} can only ${method} ${path} for their own account`
+                : `Role ${context.user.role} cannot ${method} ${path}`,
+            code: 403
+        };
+    }
+
+    /**
+     * Middleware: require an authenticated user
+     * @param {Object} request - Router request
+     * @returns {Object|undefined} 401 response, or nothing when a user is signed in
+     */
+    requireUser({ context }) {
+        if (!context.user) {
+            return {
+                success: false,
+                error: 'Authentication required',
+                code: 401
+            };
+        }
+    }
+
+    /**
+     * Register every API route
+     * Static segments win over params, so e.g. /levels/search is matched before /levels/:level
+     */
+    registerRoutes() {
+        const router = this.router;
+        const requireUser = [Object.assign(request => this.requireUser(request), { requiresUser: true })];
+        const validate = schemaName => [this.validator.middleware(schemaName)];
+        
+        router.use(request => this.authorize(request));
+        
+        router.group('🗄️ Schema endpoints')
+            .get('/schema', () => this.getSchema(), { description: 'Get database schema' })
+            .get('/tables/:tableName', ({ params, data }) => this.getTableData(params.tableName, data), { description: 'Get table data (paginated)', middleware: validate('tableData') });
+        
+        router.group('🧠 Business Logic endpoints')
+            .get('/business-logic/content-review', ({ data }) => this.performContentReview(data.userPreferences || {}), { description: 'AI content review', middleware: validate('contentReview') })
+            .post('/business-logic/content-review', ({ data }) => this.performContentReview(data.userPreferences || {}), { description: 'AI content review', middleware: validate('contentReview') })
+            .get('/business-logic/analysis', () => this.getContentAnalysis(), { description: 'Content analysis' })
+            .get('/business-logic/recommendations', ({ data }) => this.getRecommendations(data.userPreferences || {}), { description: 'AI recommendations' })
+            .get('/business-logic/learning-paths', ({ data }) => this.getLearningPaths(data.userPreferences || {}), { description: 'Learning path suggestions' });
+        
+        router.group('📚 Lesson endpoints (Weighted Random Selection)')
+            .post('/lessons/request', ({ data, context }) => this.requestLesson(data.userPreferences || {}, this.actingUserId(data, context)), { description: 'Request new lesson with AI prompt (optional userId)', middleware: validate('lessonRequest') })
+            .post('/lessons/complete', ({ data }) => this.completeLesson(data.lessonId, data.nodeId, data.passed, data.score, data.durationSeconds), { description: 'Submit lesson completion', middleware: validate('lessonComplete') })
+            .post('/lessons/replay', ({ data }) => this.replayLesson(data.lessonId, data.seed), { description: 'Replay a lesson selection from its seed', middleware: validate('lessonReplay') })
+            .get('/lessons', ({ data, context }) => this.getLessons({ ...data, userId: this.actingUserId(data, context) }), { description: 'List lesson history (optional userId)', middleware: [...requireUser, ...validate('lessonList')] })
+            .get('/lessons/due', ({ data, context }) => this.getDueLessons({ ...data, userId: this.actingUserId(data, context) }), { description: 'Topics due for spaced repetition review (optional userId)', middleware: [...requireUser, ...validate('lessonsDue')] })
+            .get('/lessons/strategies', () => this.getSelectionStrategies(), { description: 'List lesson selection strategies' })
+            .get('/lessons/statistics', () => this.getLessonStatistics(), { description: 'Get lesson statistics' })
+            .get('/lessons/:id', ({ params }) => this.getLesson(params.id), { description: 'Get specific lesson', middleware: requireUser })
+            .post('/lessons/:id/generate', ({ params, data }) => this.generateLesson(params.id, data), { description: 'Generate lesson content with the configured LLM', middleware: validate('lessonGenerate') })
+            .get('/lessons/:id/content', ({ params }) => this.getLessonContent(params.id), { description: 'Get lesson content blocks in section order' })
+            .post('/lessons/:id/content', ({ params, data }) => this.createLessonContent(params.id, data), { description: 'Add a content block to a lesson', middleware: validate('lessonContentCreate') })
+            .get('/lesson-content/:id', ({ params }) => this.getLessonContentBlock(params.id), { description: 'Get a content block' })
+            .put('/lesson-content/:id', ({ params, data }) => this.updateLessonContentBlock(params.id, data), { description: 'Update a content block', middleware: validate('lessonContentUpdate') })
+            .delete('/lesson-content/:id', ({ params }) => this.deleteLessonContentBlock(params.id), { description: 'Delete a content block' })
+            .get('/lessons/weights/:level', ({ params, data, context }) => this.getLessonWeights(params.level, this.actingUserId(data, context)), { description: 'View current weights (optional userId)', middleware: [...requireUser, ...validate('weightList')] })
+            .get('/lessons/weights/:level/history', ({ params, data, context }) => this.getWeightHistory(params.level, { ...data, userId: this.actingUserId(data, context) }), { description: 'View weight change history (optional userId)', middleware: [...requireUser, ...validate('weightHistory')] })
+            .post('/lessons/weights/:level/reset', ({ params, data, context }) => this.resetLessonWeights(params.level, this.actingUserId(data, context)), { description: 'Reset weights to default (optional userId)', middleware: validate('weightReset') })
+            .put('/lessons/weights/:level/:nodeId', ({ params, data, context }) => this.setLessonWeight(params.level, params.nodeId, data.weight, this.actingUserId(data, context)), { description: 'Manually set a node weight (optional userId)', middleware: validate('weightSet') });
+        
+        router.group('📝 Quiz endpoints (question banks, graded server-side; ?level= picks a level node)')
+            .get('/nodes/:id/questions', ({ params, data }) => this.getNodeQuestions(params.id, data), { description: 'Question bank of a node, with answers (?level=&difficulty=)', middleware: [...requireUser, ...validate('questionList')] })
+            .post('/nodes/:id/questions', ({ params, data }) => this.createQuestion(params.id, data), { description: 'Add a question to a node\'s question bank', middleware: validate('questionCreate') })
+            .post('/nodes/:id/quiz', ({ params, data, context }) => this.createQuiz(params.id, { ...data, userId: this.actingUserId(data, context) }), { description: 'Assemble a quiz sized to the lesson duration (optional lessonId or userId)', middleware: validate('quizCreate') })
+            .get('/questions/:id', ({ params }) => this.getQuestion(params.id), { description: 'Get a question with its answer', middleware: requireUser })
+            .get('/questions/:id/stats', ({ params }) => this.getQuestionStats(params.id), { description: 'Item statistics: p-value, discrimination, average time and IRT difficulty', middleware: requireUser })
+            .put('/questions/:id', ({ params, data }) => this.updateQuestion(params.id, data), { description: 'Update a question', middleware: validate('questionUpdate') })
+            .delete('/questions/:id', ({ params }) => this.deleteQuestion(params.id), { description: 'Delete a question' })
+            .get('/quizzes/:id', ({ params }) => this.getQuiz(params.id), { description: 'Get a quiz (answers only once submitted)', middleware: requireUser })
+            .post('/quizzes/:id/submit', ({ params, data }) => this.submitQuiz(params.id, data), { description: 'Grade answers and complete the lesson with the score', middleware: validate('quizSubmit') });
+        
+        router.group('🌳 Tree endpoints (legacy nodes and level tables)')
+            .get('/tree', ({ data }) => this.getTree(data), { description: 'Nested tree (?depth=&root=&fields=)', middleware: validate('tree') })
+            .get('/tree/:id/subtree', ({ params, data }) => this.getSubtree(params.id, data), { description: 'Subtree below a node (?depth=&fields=)', middleware: validate('subtree') });
+        
+        router.group('🔐 Auth endpoints (send "Authorization: Bearer <token>" on writes; roles checked per route)')
+            .post('/auth/login', ({ data }) => this.login(data), { description: 'Log in (username, password)', public: true, middleware: validate('login') })
+            .post('/auth/refresh', ({ data }) => this.refreshToken(data), { description: 'Exchange a refresh token for new tokens', public: true, middleware: validate('refresh') })
+            .post('/auth/logout', ({ context }) => this.logout(context), { description: 'Revoke the current session', middleware: requireUser })
+            .get('/auth/me', ({ context }) => this.getCurrentUser(context), { description: 'Get the authenticated user', middleware: requireUser });
+        
+        router.group('👤 User endpoints')
+            .get('/users', () => this.getUsers(), { description: 'List users (admin only)', middleware: requireUser })
+            .post('/users', ({ data, context }) => this.createUser(data, context), { description: 'Create user (username, email, password)', public: true, middleware: validate('userCreate') })
+            .get('/users/:id', ({ params }) => this.getUser(params.id), { description: 'Get specific user (admin, or the user themselves)', middleware: requireUser })
+            .put('/users/:id', ({ params, data }) => this.updateUser(params.id, data), { description: 'Update username, email or password', middleware: validate('userUpdate') })
+            .put('/users/:id/role', ({ params, data }) => this.updateUserRole(params.id, data), { description: 'Set role: admin, author or learner (admin only)', middleware: validate('userRole') })
+            .delete('/users/:id', ({ params }) => this.deleteUser(params.id), { description: 'Delete user and their progress' })
+            .get('/users/:id/progress', ({ params, data }) => this.getUserProgress(params.id, data.level), { description: 'Get user progress (?level=)', middleware: [...requireUser, ...validate('userProgressList')] })
+            .put('/users/:id/progress/:level/:nodeId', ({ params, data }) => this.updateUserProgress(params.id, params.level, params.nodeId, data), { description: 'Record progress on a node', middleware: validate('userProgress') });
+        
+        router.group('⚙️ Settings endpoints (admin only)')
+            .get('/settings/llm', () => this.getLLMSettingsResponse(), { description: 'Show LLM provider settings (API key hidden)', middleware: requireUser })
+            .put('/settings/llm', ({ data }) => this.updateLLMSettings(data), { description: 'Change LLM provider, endpoint, model, timeout and retries', middleware: validate('llmSettings') })
+            .get('/settings/knowledge-tracing', () => this.getKnowledgeTracingSettings(), { description: 'Show knowledge tracing parameters (prior, learn, slip, guess)', middleware: requireUser })
+            .put('/settings/knowledge-tracing', ({ data }) => this.updateKnowledgeTracingSettings(data), { description: 'Change knowledge tracing parameters for mastery estimates', middleware: validate('knowledgeTracingSettings') });
+        
+        router.group('📊 Level-based endpoints (Modular Structure)')
+            .get('/levels/search', ({ data }) => this.searchLevelNodes(data.level, data.q), { description: 'Search nodes in a level (?level=&q=)', middleware: validate('levelSearch') })
+            .get('/levels/:level', ({ params, data }) => this.getLevelNodes(params.level, data), { description: 'Get nodes from level (1-5), paginated', middleware: validate('nodeList') })
+            .get('/levels/:level/search', ({ params, data }) => this.searchLevelNodes(params.level, data.q), { description: 'Search nodes in level (?q=)', middleware: validate('search') })
+            .get('/levels/:level/:id', ({ params }) => this.getLevelNode(params.level, params.id), { description: 'Get specific node from level' })
+            .get('/levels/:level/:id/children', ({ params }) => this.getLevelNodeChildren(params.level, params.id), { description: 'Get children from the level below' })
+            .get('/levels/:level/:id/ancestors', ({ params }) => this.getLevelNodeAncestors(params.level, params.id), { description: 'Get ancestors from the levels above' })
+            .post('/levels/:level', ({ params, data }) => this.createLevelNode(params.level, data), { description: 'Create node in level', middleware: validate('levelNodeCreate') })
+            .put('/levels/:level/:id', ({ params, data }) => this.updateLevelNode(params.level, params.id, data), { description: 'Update node in level', middleware: validate('levelNodeUpdate') })
+            .delete('/levels/:level/:id', ({ params }) => this.deleteLevelNode(params.level, params.id), { description: 'Delete node from level' });
+        
+        router.group('🎯 Mastery endpoints')
+            .get('/mastery/nodes', ({ data }) => this.getNodesByMastery(data.min, data.max), { description: 'Filter nodes by mastery (?min=0&max=100)', middleware: validate('nodesByMastery') })
+            .get('/nodes/mastery', ({ data }) => this.getNodesByMastery(data.min, data.max), { description: 'Deprecated alias of /mastery/nodes', middleware: validate('nodesByMastery'), deprecated: true });
+
+        router.group('🌳 Legacy endpoints (Backward compatibility)')
+            .get('/nodes', ({ data }) => this.getRootNodes(data), { description: 'Get root nodes (paginated)', middleware: validate('nodeList') })
+            .get('/nodes/:id', ({ params }) => this.getNode(params.id), { description: 'Get specific node' })
+            .get('/nodes/:id/children', ({ params }) => this.getChildren(params.id), { description: 'Get children of node' })
+            .get('/nodes/:id/path', ({ params }) => this.getNodePath(params.id), { description: 'Get full path to node' })
+            .get('/nodes/:id/descendants', ({ params }) => this.getDescendants(params.id), { description: 'Get all descendants' })
+            .get('/nodes/:id/content', ({ params, data }) => this.getNodeContent(params.id, data), { description: 'Lesson content blocks attached to a node (?level=)', middleware: validate('nodeContent') })
+            .get('/nodes/:id/related', ({ params, data }) => this.getRelatedNodes(params.id, data), { description: 'Related nodes across levels (?k=&level=)', middleware: validate('relatedNodes') })
+            .get('/nodes/:id/mastery-estimate', ({ params, data, context }) => this.getMasteryEstimate(params.id, { ...data, userId: this.actingUserId(data, context) }), { description: 'Knowledge tracing mastery estimate with its 95% interval (?level=&userId=)', middleware: [...requireUser, ...validate('masteryEstimate')] })
+            .post('/nodes', ({ data }) => this.createNode(data), { description: 'Create new node', middleware: validate('nodeCreate') })
+            .put('/nodes/:id', ({ params, data }) => this.updateNode(params.id, data), { description: 'Update node', middleware: validate('nodeUpdate') })
+            .put('/nodes/:id/mastery', ({ params, data }) => this.updateMastery(params.id, data.percentage), { description: 'Update mastery', middleware: validate('masteryUpdate') })
+            .post('/nodes/:id/notes', ({ params, data }) => this.addNotes(params.id, data.notes), { description: 'Add notes', middleware: validate('notesCreate') })
+            .delete('/nodes/:id', ({ params }) => this.deleteNode(params.id), { description: 'Delete node' })
+            .get('/search', ({ data }) => this.searchNodes(data.q, data), { description: 'Full-text search across all levels (?q=&levels=)', middleware: validate('contentSearch') })
+            .get('/export', () => this.exportData(), { description: 'Export data' })
+            .post('/import', ({ data }) => this.importData(data), { description: 'Import data (JSON or NDJSON nodes)', middleware: validate('import'), bulk: 'nodes' });
+    }
+
+    /**
+     * GET /api/openapi.json - OpenAPI 3 document for every registered route
+     * Built once: routes and schemas do not change while the server runs
+     * @returns {Object} OpenAPI document (not wrapped in a success envelope)
+     */
+    getOpenAPISpec() {
+        if (!this.openAPISpec) {
+            this.openAPISpec = this.openAPI.generate();
+        }
+        return this.openAPISpec;
+    }
+
     /**
      * Handle API requests
      * @param {string} method - HTTP method
      * @param {string} path - Request path
-     * @param {Object} data - Request data
+     * @param {Object} input - { query, body } kept separate; see Router.handle
+     * @param {Object} context - Request context ({ user, session } once authenticated)
      * @returns {Object} API response
      */
-    async handleRequest(method, path, data = {}) {
-        const pathParts = path.split('/').filter(part => part);
-        
+    async handleRequest(method, path, input = {}, context = {}) {
         try {
-            switch (method.toUpperCase()) {
-                case 'GET':
-                    // Level-based endpoints
-                    if (pathParts.length === 2 && pathParts[0] === 'levels') {
-                        if (pathParts[1] === 'search') {
-                            return await this.searchLevelNodes(data.level, data.q);
-                        }
-                        return await this.getLevelNodes(pathParts[1]);
-                    } else if (pathParts.length === 3 && pathParts[0] === 'levels') {
-                        if (pathParts[2] === 'search') {
-                            return await this.searchLevelNodes(pathParts[1], data.q);
-                        }
-                        return await this.getLevelNode(pathParts[1], pathParts[2]);
-                    }
-                    
-                    // Legacy endpoints for backward compatibility
-                    if (pathParts.length === 2 && pathParts[0] === 'nodes') {
-                        if (pathParts[1] === 'mastery') {
-                            return await this.getNodesByMastery(data.min, data.max);
-                        }
-                        return await this.getNode(pathParts[1]);
-                    } else if (pathParts.length === 3 && pathParts[0] === 'nodes' && pathParts[2] === 'children') {
-                        return await this.getChildren(pathParts[1]);
-                    } else if (pathParts.length === 3 && pathParts[0] === 'nodes' && pathParts[2] === 'path') {
-                        return await this.getNodePath(pathParts[1]);
-                    } else if (pathParts.length === 3 && pathParts[0] === 'nodes' && pathParts[2] === 'descendants') {
-                        return await this.getDescendants(pathParts[1]);
-                    } else if (pathParts.length === 1 && pathParts[0] === 'search') {
-                        return await this.searchNodes(data.q);
-                    } else if (pathParts.length === 1 && pathParts[0] === 'export') {
-                        return await this.exportData();
-                    } else if (pathParts.length === 1 && pathParts[0] === 'schema') {
-                        return await this.getSchema();
-                    } else if (pathParts.length === 2 && pathParts[0] === 'tables') {
-                        return await this.getTableData(pathParts[1]);
-                    } else if (pathParts.length === 1 && pathParts[0] === 'nodes') {
-                        return await this.getRootNodes();
-                    }
-                    
-                    // Business Logic endpoints
-                    else if (pathParts.length === 2 && pathParts[0] === 'business-logic') {
-                        if (pathParts[1] === 'content-review') {
-                            return await this.performContentReview(data.userPreferences || {});
-                        } else if (pathParts[1] === 'analysis') {
-                            return await this.getContentAnalysis();
-                        } else if (pathParts[1] === 'recommendations') {
-                            return await this.getRecommendations(data.userPreferences || {});
-                        } else if (pathParts[1] === 'learning-paths') {
-                            return await this.getLearningPaths(data.userPreferences || {});
-                        }
-                    }
-                    
-                    // Lesson endpoints (GET only)
-                    else if (pathParts.length === 2 && pathParts[0] === 'lessons') {
-                        if (pathParts[1] === 'statistics') {
-                            return await this.getLessonStatistics();
-                        }
-                    } else if (pathParts.length === 3 && pathParts[0] === 'lessons') {
-                        if (pathParts[1] === 'weights') {
-                            return await this.getLessonWeights(parseInt(pathParts[2]) || 0);
-                        }
-                    }
-                    break;
-
-                case 'POST':
-                    // Level-based endpoints
-                    if (pathParts.length === 2 && pathParts[0] === 'levels') {
-                        return await this.createLevelNode(pathParts[1], data);
-                    }
-                    
-                    // Legacy endpoints
-                    if (pathParts.length === 1 && pathParts[0] === 'nodes') {
-                        return await this.createNode(data);
-                    } else if (pathParts.length === 3 && pathParts[0] === 'nodes' && pathParts[2] === 'notes') {
-                        return await this.addNotes(pathParts[1], data.notes);
-                    } else if (pathParts.length === 1 && pathParts[0] === 'import') {
-                        return await this.importData(data);
-                    } else if (pathParts.length === 2 && pathParts[0] === 'business-logic' && pathParts[1] === 'content-review') {
-                        return await this.performContentReview(data.userPreferences || {});
-                    } else if (pathParts.length === 2 && pathParts[0] === 'lessons') {
-                        if (pathParts[1] === 'request') {
-                            return await this.requestLesson(data.userPreferences || {});
-                        } else if (pathParts[1] === 'complete') {
-                            return await this.completeLesson(data.lessonId, data.nodeId, data.passed, data.score);
-                        }
-                    }
-                    break;
-
-                case 'PUT':
-                    // Level-based endpoints
-                    if (pathParts.length === 3 && pathParts[0] === 'levels') {
-                        return await this.updateLevelNode(pathParts[1], pathParts[2], data);
-                    }
-                    
-                    // Legacy endpoints
-                    if (pathParts.length === 2 && pathParts[0] === 'nodes') {
-                        return await this.updateNode(pathParts[1], data);
-                    } else if (pathParts.length === 3 && pathParts[0] === 'nodes' && pathParts[2] === 'mastery') {
-                        return await this.updateMastery(pathParts[1], data.percentage);
-                    }
-                    break;
-
-                case 'DELETE':
-                    // Level-based endpoints
-                    if (pathParts.length === 3 && pathParts[0] === 'levels') {
-                        return await this.deleteLevelNode(pathParts[1], pathParts[2]);
-                    }
-                    
-                    // Legacy endpoints
-                    if (pathParts.length === 2 && pathParts[0] === 'nodes') {
-                        return await this.deleteNode(pathParts[1]);
-                    }
-                    break;
-            }
-
-            return {
-                success: false,
-                error: 'Endpoint not found',
-                code: 404
-            };
-
+            return await this.router.handle(method, path, input, context);
         } catch (error) {
             return {
                 success: false,
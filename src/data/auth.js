@@ -0,0 +1,234 @@
+/**
+ * Authentication Service
+ * Password hashing, HMAC-signed bearer tokens and revocable sessions, without any external service
+ *
+ * Access tokens are "<payload>.<signature>": a base64url JSON payload { sub, sid, iat, exp } signed with
+ * HMAC-SHA256. Every login opens a row in auth_sessions holding a hashed refresh token. Refreshing rotates
+ * the refresh token, and logging out revokes the session, which invalidates its access tokens immediately.
+ */
+import crypto from 'crypto';
+import { dbManager } from './database.js';
+
+const ACCESS_TOKEN_TTL_SECONDS = 60 * 60;
+const REFRESH_TOKEN_TTL_SECONDS = 30 * 24 * 60 * 60;
+const SCRYPT_KEY_LENGTH = 64;
+
+export class AuthService {
+    /**
+     * @param {string} secret - HMAC signing secret (defaults to AUTH_SECRET)
+     */
+    constructor(secret = process.env.AUTH_SECRET) {
+        if (!secret) {
+            console.warn('⚠️  AUTH_SECRET is not set: using a random secret, so tokens stop working when the server restarts');
+        }
+        this.secret = secret || crypto.randomBytes(32).toString('hex');
+        this.accessTokenTtl = ACCESS_TOKEN_TTL_SECONDS;
+        this.refreshTokenTtl = REFRESH_TOKEN_TTL_SECONDS;
+        this.minPasswordLength = 8;
+    }
+
+    /**
+     * Hash a password with scrypt and a random salt
+     * @param {string} password - Plain text password
+     * @returns {string} Stored hash ("scrypt$<salt>$<hash>")
+     */
+    hashPassword(password) {
+        const salt = crypto.randomBytes(16).toString('hex');
+        const hash = crypto.scryptSync(password, salt, SCRYPT_KEY_LENGTH).toString('hex');
+        return `scrypt$${salt}$${hash}`;
+    }
+
+    /**
+     * Check a password against a stored hash
+     * @param {string} password - Plain text password
+     * @param {string|null} storedHash - Hash from hashPassword
+     * @returns {boolean} Whether the password matches
+     */
+    verifyPassword(password, storedHash) {
+        const [scheme, salt, hash] = (storedHash || '').split('$');
+        if (scheme !== 'scrypt' || !salt || !hash || typeof password !== 'string') {
+            return false;
+        }
+
+        const expected = Buffer.from(hash, 'hex');
+        const actual = crypto.scryptSync(password, salt, expected.length);
+        return crypto.timingSafeEqual(actual, expected);
+    }
+
+    /**
+     * Sign a token payload
+     * @param {Object} payload - Token claims
+     * @returns {string} Signed token
+     */
+    signToken(payload) {
+        const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+        return `${encoded}.${this.sign(encoded)}`;
+    }
+
+    /**
+     * Verify a token's signature and expiry
+     * @param {string} token - Signed token
+     * @returns {Object|null} Token claims, or null if the token is invalid or expired
+     */
+    verifyToken(token) {
+        const [encoded, signature, extra] = String(token || '').split('.');
+        if (!encoded || !signature || extra !== undefined) {
+            return null;
+        }
+
+        const expected = Buffer.from(this.sign(encoded));
+        const actual = Buffer.from(signature);
+        if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+            return null;
+        }
+
+        try {
+            const payload = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+            return payload.exp > Math.floor(Date.now() / 1000) ? payload : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * HMAC-SHA256 signature of a value
+     * @param {string} value - Value to sign
+     * @returns {string} base64url signature
+     */
+    sign(value) {
+        return crypto.createHmac('sha256', this.secret).update(value).digest('base64url');
+    }
+
+    /**
+     * Hash a refresh token for storage (only the hash is kept in auth_sessions)
+     * @param {string} refreshToken - Refresh token
+     * @returns {string} SHA-256 hex digest
+     */
+    hashRefreshToken(refreshToken) {
+        return crypto.createHash('sha256').update(String(refreshToken)).digest('hex');
+    }
+
+    /**
+     * Issue an access token and a fresh refresh token for a session
+     * @param {string} userId - User ID
+     * @param {string} sessionId - Session ID
+     * @returns {Object} { token, refreshToken, refreshTokenHash, expiresAt, refreshExpiresAt }
+     */
+    issueTokens(userId, sessionId) {
+        const now = Math.floor(Date.now() / 1000);
+        const token = this.signToken({ sub: userId, sid: sessionId, iat: now, exp: now + this.accessTokenTtl });
+        const refreshToken = crypto.randomBytes(32).toString('base64url');
+
+        return {
+            token,
+            refreshToken,
+            refreshTokenHash: this.hashRefreshToken(refreshToken),
+            expiresAt: new Date((now + this.accessTokenTtl) * 1000).toISOString(),
+            refreshExpiresAt: new Date((now + this.refreshTokenTtl) * 1000).toISOString()
+        };
+    }
+
+    /**
+     * Log in with a username and password
+     * @param {string} username - Username
+     * @param {string} password - Password
+     * @returns {Object|null} { user, session, token, refreshToken, expiresAt }, or null for bad credentials
+     */
+    login(username, password) {
+        const credentials = dbManager.getUserCredentials(username);
+        if (!credentials || !this.verifyPassword(password, credentials.password_hash)) {
+            return null;
+        }
+
+        const sessionId = `session_${Date.now()}_${crypto.randomBytes(6).toString('hex')}`;
+        const tokens = this.issueTokens(credentials.id, sessionId);
+        dbManager.createAuthSession({
+            id: sessionId,
+            user_id: credentials.id,
+            refresh_token_hash: tokens.refreshTokenHash,
+            expires_at: tokens.refreshExpiresAt
+        });
+
+        console.log(`🔑 User ${credentials.username} logged in (session ${sessionId})`);
+        return this.buildSessionResult(credentials.id, sessionId, tokens);
+    }
+
+    /**
+     * Exchange a refresh token for a new access token, rotating the refresh token
+     * @param {string} refreshToken - Refresh token from login or a previous refresh
+     * @returns {Object|null} New tokens, or null if the refresh token is unknown, expired or revoked
+     */
+    refresh(refreshToken) {
+        const session = dbManager.getAuthSessionByRefreshHash(this.hashRefreshToken(refreshToken));
+        if (!session || session.revoked_at || Date.parse(session.expires_at) <= Date.now()) {
+            return null;
+        }
+
+        const tokens = this.issueTokens(session.user_id, session.id);
+        dbManager.rotateAuthSession(session.id, tokens.refreshTokenHash, tokens.refreshExpiresAt);
+        return this.buildSessionResult(session.user_id, session.id, tokens);
+    }
+
+    /**
+     * Revoke a session so its access and refresh tokens stop working
+     * @param {string} sessionId - Session ID
+     * @returns {boolean} Whether an active session was revoked
+     */
+    revoke(sessionId) {
+        return dbManager.revokeAuthSession(sessionId).changes > 0;
+    }
+
+    /**
+     * Resolve the user behind an Authorization header
+     * @param {string|undefined} authorizationHeader - "Bearer <token>" header value
+     * @returns {Object} { user, session } when authenticated, { error } for a bad token, or {} when no token was sent
+     */
+    authenticate(authorizationHeader) {
+        if (!authorizationHeader) {
+            return {};
+        }
+
+        const [scheme, token] = authorizationHeader.split(' ');
+        if (scheme !== 'Bearer' || !token) {
+            return { error: 'Authorization header must be "Bearer <token>"' };
+        }
+
+        const payload = this.verifyToken(token);
+        if (!payload) {
+            return { error: 'Invalid or expired token' };
+        }
+
+        const session = dbManager.getAuthSession(payload.sid);
+        if (!session || session.revoked_at) {
+            return { error: 'Session has been revoked' };
+        }
+
+        const user = dbManager.getUser(payload.sub);
+        if (!user) {
+            return { error: 'User no longer exists' };
+        }
+
+        return { user, session };
+    }
+
+    /**
+     * Shape the response for a login or refresh
+     * @param {string} userId - User ID
+     * @param {string} sessionId - Session ID
+     * @param {Object} tokens - Tokens from issueTokens
+     * @returns {Object} Session result
+     */
+    buildSessionResult(userId, sessionId, tokens) {
+        return {
+            user: dbManager.getUser(userId),
+            sessionId,
+            token: tokens.token,
+            tokenType: 'Bearer',
+            expiresAt: tokens.expiresAt,
+            refreshToken: tokens.refreshToken,
+            refreshExpiresAt: tokens.refreshExpiresAt
+        };
+    }
+}
+
+export default AuthService;
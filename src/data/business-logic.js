@@ -6,12 +6,24 @@ import { LearningNodeManager } from './manager.js';
 import { dbManager } from './database.js';
 import { AIDecisionEngine } from './ai-decision-engine.js';
 import { WeightedSelector } from './weighted-selector.js';
+import { SpacedRepetitionScheduler } from './spaced-repetition.js';
+import { SelectionStrategyRegistry } from './selection-strategies.js';
+import { SeededRandom } from './seeded-random.js';
+import { nodeEmbeddings, RELATED_MIN_SIMILARITY } from './embeddings.js';
+import { itemAnalysis } from './item-analysis.js';
+import { knowledgeTracer } from './knowledge-tracing.js';
+
+// Top-level subjects at least this similar are reported as overlapping
+const OVERLAP_MIN_SIMILARITY = 0.7;
 
 export class BusinessLogicEngine {
     constructor() {
         this.manager = new LearningNodeManager();
         this.aiEngine = new AIDecisionEngine();
         this.weightedSelector = new WeightedSelector();
+        this.scheduler = new SpacedRepetitionScheduler();
+        this.selectionStrategies = new SelectionStrategyRegistry();
+        this.maxDrillDepth = 5;
         this.isInitialized = false;
     }
 
@@ -69,9 +81,10 @@ export class BusinessLogicEngine {
 
     /**
      * Analyze content at the topmost layer (Level 1)
+     * @param {string|null} userId - Analyze with this user's mastery (null for shared node values)
      * @returns {Object} Top layer analysis
      */
-    async analyzeTopLayerContent() {
+    async analyzeTopLayerContent(userId = null) {
         console.log('📊 Analyzing top layer content...');
         
         try {
@@ -82,11 +95,17 @@ export class BusinessLogicEngine {
             const level1Nodes = dbManager.getLevelNodes(1);
             
             // Combine both sources for comprehensive analysis
-            const allTopLevelContent = [
+            const combinedContent = [
                 ...rootNodes.map(node => ({ ...node, source: 'legacy_root' })),
                 ...level1Nodes.map(node => ({ ...node, source: 'level_1' }))
             ];
 
+            // Use the learner's own mastery, falling back to the node's values
+            const userProgress = this.getUserProgressMap(userId, combinedContent);
+            const allTopLevelContent = userProgress
+                ? this.weightedSelector.applyUserProgress(combinedContent, userProgress)
+                : combinedContent;
+
             const analysis = {
                 totalContent: allTopLevelContent.length,
                 contentBreakdown: this.analyzeContentBreakdown(allTopLevelContent),
@@ -140,7 +159,7 @@ export class BusinessLogicEngine {
             alternativeOptions: this.buildAlternativeOptions(content, analysis),
             learningStrategy: this.buildLearningStrategy(analysis, userPreferences),
             contentCreationNeeds: this.identifyContentCreationNeeds(analysis),
-            priorityActions: this.buildPriorityActions(analysis, aiDecision)
+            priorityActions: this.buildPriorityActions(content, analysis, aiDecision)
         };
 
         return recommendations;
@@ -263,19 +282,42 @@ export class BusinessLogicEngine {
     identifyContentGaps(content) {
         const gaps = [];
         
-        // Identify missing foundational topics
-        const commonSubjects = ['Mathematics', 'Science', 'Language', 'History', 'Arts'];
-        const existingSubjects = content.map(node => node.name.toLowerCase());
+        // Compare subjects with the rest of the library by text similarity
+        const embedded = content.length > 0 ? nodeEmbeddings.loadAll() : [];
+        const subjectKeys = new Set(content.map(node => `${this.getNodeLevel(node)}:${node.id}`));
+        const subjects = embedded.filter(entry => subjectKeys.has(`${entry.level}:${entry.id}`));
         
-        commonSubjects.forEach(subject => {
-            if (!existingSubjects.some(existing => existing.includes(subject.toLowerCase()))) {
+        subjects.forEach((subject, index) => {
+            // A subject with no child topics and nothing related elsewhere has no material to learn from
+            const childCount = subject.level === 0
+                ? dbManager.getChildren(subject.id).length
+                : subject.level < 5 ? dbManager.getLevelChildren(subject.level + 1, subject.id).length : 0;
+            const relatedCount = embedded.filter(entry => entry !== subject &&
+                nodeEmbeddings.similarity(subject.vector, entry.vector) >= RELATED_MIN_SIMILARITY).length;
+            if (childCount === 0 && relatedCount === 0) {
                 gaps.push({
-                    type: 'missing_subject',
-                    subject: subject,
+                    type: 'unsupported_subject',
+                    nodeId: subject.id,
+                    subject: subject.name,
                     priority: 'high',
-                    reasoning: `Missing foundational subject: ${subject}`
+                    reasoning: `Nothing in the library covers ${subject.name} yet - it needs topics of its own`
                 });
             }
+            
+            // Subjects that read almost the same split learners' progress between them
+            subjects.slice(index + 1).forEach(other => {
+                const similarity = nodeEmbeddings.similarity(subject.vector, other.vector);
+                if (similarity >= OVERLAP_MIN_SIMILARITY) {
+                    gaps.push({
+                        type: 'overlapping_subjects',
+                        subject: subject.name,
+                        overlapsWith: other.name,
+                        similarity: Math.round(similarity * 1000) / 1000,
+                        priority: 'low',
+                        reasoning: `${subject.name} and ${other.name} cover similar material - consider merging them`
+                    });
+                }
+            });
         });
 
         // Identify low mastery areas
@@ -469,7 +511,7 @@ export class BusinessLogicEngine {
         return needs;
     }
 
-    buildPriorityActions(analysis, aiDecision) {
+    buildPriorityActions(content, analysis, aiDecision) {
         const actions = [];
         
         // High priority: Address content gaps
@@ -483,7 +525,7 @@ export class BusinessLogicEngine {
         }
 
         // Medium priority: Improve low mastery content
-        const lowMasteryNodes = analysis.content.filter(c => (c.mastery_percentage || 0) < 30);
+        const lowMasteryNodes = content.filter(c => (c.mastery_percentage || 0) < 30);
         if (lowMasteryNodes.length > 0) {
             actions.push({
                 action: 'improve_content_quality',
@@ -494,7 +536,7 @@ export class BusinessLogicEngine {
         }
 
         // Low priority: Expand successful content
-        const highMasteryNodes = analysis.content.filter(c => (c.mastery_percentage || 0) > 80);
+        const highMasteryNodes = content.filter(c => (c.mastery_percentage || 0) > 80);
         if (highMasteryNodes.length > 0) {
             actions.push({
                 action: 'expand_successful_content',
@@ -671,17 +713,51 @@ export class BusinessLogicEngine {
     /**
      * Generate a lesson request using weighted random selection
      * @param {Object} userPreferences - User preferences and settings
+     * @param {string|null} userId - Learner to select for (null for shared node mastery and weights)
      * @returns {Object} Selected topic and context for lesson generation
      */
-    async generateLessonRequest(userPreferences = {}) {
+    async generateLessonRequest(userPreferences = {}, userId = null) {
         await this.initialize();
         
         console.log('🎯 Generating lesson request with weighted selection...');
         
         try {
+            if (userPreferences.strategy && !this.selectionStrategies.has(userPreferences.strategy)) {
+                return {
+                    success: false,
+                    error: `Unknown selection strategy: ${userPreferences.strategy}. Available: ${this.selectionStrategies.getNames().join(', ')}`,
+                    code: 400
+                };
+            }
+
+            if (userPreferences.seed !== undefined && !SeededRandom.isValidSeed(userPreferences.seed)) {
+                return {
+                    success: false,
+                    error: 'seed must be an integer between 0 and 4294967295',
+                    code: 400
+                };
+            }
+
+            const maxDepth = userPreferences.maxDepth ?? this.maxDrillDepth;
+            if (!Number.isInteger(maxDepth) || maxDepth < 1) {
+                return {
+                    success: false,
+                    error: 'maxDepth must be a positive integer',
+                    code: 400
+                };
+            }
+
+            if (userId && !dbManager.getUser(userId)) {
+                return {
+                    success: false,
+                    error: 'User not found',
+                    code: 404
+                };
+            }
+
             // Analyze top layer content
             console.log('📊 Step 1: Analyzing top layer content...');
-            const topLayerAnalysis = await this.analyzeTopLayerContent();
+            const topLayerAnalysis = await this.analyzeTopLayerContent(userId);
             console.log('✅ Top layer analysis complete:', topLayerAnalysis.content.length, 'items');
             
             if (topLayerAnalysis.content.length === 0) {
@@ -692,7 +768,7 @@ export class BusinessLogicEngine {
                 };
             }
 
-            // Calculate weights using AI analysis and user preferences
+            // Calculate weights using AI analysis and user preferences (content already carries the user's values)
             console.log('🎯 Step 2: Calculating weights...');
             const nodesWithWeights = this.weightedSelector.calculateWeights(
                 topLayerAnalysis.content,
@@ -701,10 +777,32 @@ export class BusinessLogicEngine {
             );
             console.log('✅ Weights calculated for', nodesWithWeights.length, 'nodes');
 
-            // Perform weighted random selection
-            console.log('🎲 Step 3: Performing weighted random selection...');
-            const selectedTopic = this.weightedSelector.weightedRandomPick(nodesWithWeights);
-            console.log('✅ Topic selected:', selectedTopic.name);
+            // Pick the topic with the requested strategy (or the server default) using a seeded PRNG
+            const strategy = this.selectionStrategies.get(userPreferences.strategy);
+            const seed = userPreferences.seed ?? SeededRandom.generateSeed();
+            console.log(`🎲 Step 3: Selecting topic with ${strategy.name} strategy (seed ${seed})...`);
+            const selectionContext = {
+                userPreferences,
+                userId,
+                weightedSelector: this.weightedSelector,
+                engine: this,
+                random: new SeededRandom(seed).asFunction()
+            };
+            const { selected: topTopic, details: strategyDetails } = strategy.select(nodesWithWeights, selectionContext);
+            console.log('✅ Topic selected:', topTopic.name);
+            
+            // Descend through the hierarchy from the selected subject
+            const { leaf: selectedTopic, path: selectionPath } = topTopic.isCreateNewTopic
+                ? { leaf: topTopic, path: [] }
+                : this.drillDown(topTopic, nodesWithWeights.length, strategy, selectionContext, topLayerAnalysis.analysis, maxDepth);
+            
+            const selectionInfo = {
+                userId,
+                strategy: strategy.name,
+                strategyDetails,
+                seed,
+                selectionPath
+            };
             
             // Handle "Create New Topic" selection
             if (selectedTopic.isCreateNewTopic) {
@@ -731,6 +829,8 @@ export class BusinessLogicEngine {
                         lessonType: 'creation'
                     },
                     weightStatistics: this.weightedSelector.getWeightStatistics(nodesWithWeights),
+                    weightSnapshot: this.buildWeightSnapshot(nodesWithWeights),
+                    ...selectionInfo,
                     timestamp: new Date().toISOString(),
                     isCreateNewTopic: true
                 };
@@ -738,7 +838,7 @@ export class BusinessLogicEngine {
             
             // Gather user experience data for AI lesson generation
             console.log('📋 Step 4: Gathering user experience data...');
-            const userExperienceData = await this.gatherUserExperienceData(selectedTopic, userPreferences);
+            const userExperienceData = await this.gatherUserExperienceData(selectedTopic, userPreferences, userId);
             console.log('✅ User experience data gathered');
             
             // Build AI context for lesson generation
@@ -753,6 +853,8 @@ export class BusinessLogicEngine {
                 selectedTopic,
                 lessonContext,
                 weightStatistics: this.weightedSelector.getWeightStatistics(nodesWithWeights),
+                weightSnapshot: this.buildWeightSnapshot(nodesWithWeights),
+                ...selectionInfo,
                 timestamp: new Date().toISOString()
             };
 
@@ -768,46 +870,64 @@ export class BusinessLogicEngine {
      * @param {string} nodeId - ID of the completed node
      * @param {boolean} passed - Whether the lesson was passed
      * @param {number} score - Lesson score (0-100)
+     * @param {number} level - Level of the completed node (0 for legacy nodes)
+     * @param {string|null} userId - Learner who took the lesson (null to update the shared node values)
+     * @param {Array<boolean>|null} outcomes - Graded answers that are the evidence for the mastery estimate
+     *   (defaults to the lesson's pass or fail)
      * @returns {Object} Updated weights and mastery information
      */
-    async handleLessonComplete(nodeId, passed, score = null) {
+    async handleLessonComplete(nodeId, passed, score = null, level = 0, userId = null, outcomes = null) {
         await this.initialize();
         
         console.log(`📝 Handling lesson completion for node ${nodeId}: ${passed ? 'PASSED' : 'FAILED'}`);
         
         try {
             // Get the completed node
-            const completedNode = await this.manager.getNode(nodeId);
+            const completedNode = level === 0
+                ? await this.manager.getNode(nodeId)
+                : dbManager.getLevelNode(level, nodeId);
             if (!completedNode) {
                 throw new Error('Completed node not found');
             }
 
-            // Update mastery percentage based on lesson result
-            let newMastery = completedNode.mastery_percentage || 0;
-            if (passed) {
-                // Increase mastery on pass (5-15 points based on score)
-                const masteryIncrease = score ? Math.round(score / 10) : 10;
-                newMastery = Math.min(100, newMastery + masteryIncrease);
+            // A learner starts from the node's mastery until they have their own
+            const progress = userId ? dbManager.getUserProgressEntry(userId, nodeId, level) : null;
+            const previousMastery = progress?.mastery_percentage ?? completedNode.mastery_percentage ?? 0;
+
+            // Update the knowledge tracing estimate with the lesson's evidence
+            const masteryEstimate = knowledgeTracer.update(nodeId, level, userId, previousMastery, outcomes ?? [passed]);
+            const newMastery = masteryEstimate.mastery_percentage;
+
+            // Update mastery and last practiced timestamp in database
+            if (userId) {
+                dbManager.updateUserProgress(userId, nodeId, level, {
+                    mastery_percentage: newMastery,
+                    last_practiced: new Date().toISOString(),
+                    notes: progress?.notes
+                });
+            } else if (level === 0) {
+                await this.manager.updateMastery(nodeId, newMastery);
+                await this.updateLastPracticed(nodeId);
             } else {
-                // Slight decrease on fail (encourage retry)
-                newMastery = Math.max(0, newMastery - 2);
+                dbManager.updateLevelNode(level, nodeId, {
+                    mastery_percentage: newMastery,
+                    last_practiced: new Date().toISOString()
+                });
             }
 
-            // Update mastery in database
-            await this.manager.updateMastery(nodeId, newMastery);
-
-            // Update last practiced timestamp
-            await this.updateLastPracticed(nodeId);
+            // Update spaced repetition state for every algorithm so they can be compared
+            const reviewSchedules = this.updateReviewSchedules(nodeId, level, passed, score, userId);
 
             // Handle weight redistribution if lesson was passed
             let weightUpdates = [];
             if (passed) {
-                // Get all nodes at the same level for weight redistribution
-                const allNodes = await this.manager.getRootNodes();
-                const nodesWithWeights = allNodes.map(node => ({
-                    ...node,
-                    selection_weight: node.selection_weight || 100
-                }));
+                // Get the sibling nodes the topic was selected from for weight redistribution
+                const siblings = dbManager.getNodesWithWeights(level, completedNode.parent_id)
+                    .map(node => ({ ...node, source: level === 0 ? 'legacy_child' : `level_${level}` }));
+                const userProgress = this.getUserProgressMap(userId, siblings);
+                const nodesWithWeights = userProgress
+                    ? this.weightedSelector.applyUserProgress(siblings, userProgress)
+                    : siblings;
 
                 // Redistribute weight from completed topic
                 const updatedNodes = this.weightedSelector.redistributeWeight(
@@ -817,18 +937,22 @@ export class BusinessLogicEngine {
                 );
 
                 // Update weights in database
-                weightUpdates = await this.updateNodeWeights(updatedNodes);
+                weightUpdates = await this.updateNodeWeights(updatedNodes, level, 'completion', userId);
             }
 
-            console.log(`✅ Lesson completion handled: mastery ${completedNode.mastery_percentage}% → ${newMastery}%`);
+            console.log(`✅ Lesson completion handled: mastery ${previousMastery}% → ${newMastery}%${userId ? ` for user ${userId}` : ''}`);
             
             return {
                 success: true,
+                userId,
                 nodeId,
                 passed,
                 score,
                 newMastery,
+                masteryEstimate,
                 weightUpdates,
+                reviewSchedule: reviewSchedules[this.scheduler.defaultAlgorithm],
+                reviewSchedules,
                 timestamp: new Date().toISOString()
             };
 
@@ -838,26 +962,280 @@ export class BusinessLogicEngine {
         }
     }
 
+    /**
+     * Get the storage level of a node from its source tag (0 for legacy nodes)
+     * @param {Object} node - Node tagged with its source
+     * @returns {number} Level number
+     */
+    getNodeLevel(node) {
+        const match = /^level_(\d)$/.exec(node.source || '');
+        return match ? Number(match[1]) : 0;
+    }
+
+    /**
+     * Look up a user's progress for a set of nodes
+     * @param {string|null} userId - User ID (null for shared node values)
+     * @param {Array} nodes - Nodes tagged with their source
+     * @returns {Map|null} user_progress rows keyed by node ID (null when no user is given)
+     */
+    getUserProgressMap(userId, nodes) {
+        if (!userId) {
+            return null;
+        }
+
+        const index = dbManager.getUserProgressIndex(userId);
+        const progress = new Map();
+        for (const node of nodes) {
+            const row = index.get(`${this.getNodeLevel(node)}:${node.id}`);
+            if (row) {
+                progress.set(node.id, row);
+            }
+        }
+        return progress;
+    }
+
+    /**
+     * Get the children of a node one step down the hierarchy
+     * Legacy nodes descend through learning_nodes.parent_id; level N nodes descend into level N+1
+     * @param {Object} node - Node tagged with its source
+     * @returns {Array} Child nodes tagged with their source
+     */
+    getChildNodes(node) {
+        const level = this.getNodeLevel(node);
+
+        if (level === 0) {
+            return dbManager.getNodesWithWeights(0, node.id).map(child => ({ ...child, source: 'legacy_child' }));
+        }
+
+        if (level >= 5) {
+            return [];
+        }
+
+        return dbManager.getNodesWithWeights(level + 1, node.id).map(child => ({ ...child, source: `level_${level + 1}` }));
+    }
+
+    /**
+     * Descend from a selected subject, picking among children at each level with the same strategy
+     * @param {Object} topNode - Selected top-layer node with weights
+     * @param {number} topCandidates - Number of candidates at the top layer
+     * @param {Object} strategy - Selection strategy
+     * @param {Object} selectionContext - Strategy context (preferences, selector, engine, random)
+     * @param {Object} analysis - Top layer analysis
+     * @param {number} maxDepth - Maximum number of levels in the path (1 = top layer only)
+     * @returns {Object} { leaf, path } where path holds one entry per level with its weight breakdown, and below the
+     *   top layer the weight snapshot of the children it was picked from (the top layer's is the lesson's snapshot)
+     */
+    drillDown(topNode, topCandidates, strategy, selectionContext, analysis, maxDepth = this.maxDrillDepth) {
+        const buildStep = (node, depth, candidates, weightSnapshot = null) => ({
+            depth,
+            level: this.getNodeLevel(node),
+            id: node.id,
+            name: node.name,
+            source: node.source || null,
+            mastery_percentage: node.mastery_percentage || 0,
+            selection_weight: node.selection_weight,
+            weight_breakdown: node.weight_breakdown,
+            candidates,
+            ...(weightSnapshot ? { weight_snapshot: weightSnapshot } : {})
+        });
+
+        const path = [buildStep(topNode, 1, topCandidates)];
+        let current = topNode;
+
+        while (path.length < maxDepth) {
+            const children = this.getChildNodes(current);
+            if (children.length === 0) break;
+
+            const childWeights = this.weightedSelector
+                .calculateWeights(
+                    children,
+                    selectionContext.userPreferences,
+                    analysis,
+                    this.getUserProgressMap(selectionContext.userId, children)
+                )
+                .filter(node => !node.isCreateNewTopic);
+            const depth = path.length + 1;
+            const { selected } = strategy.select(childWeights, { ...selectionContext, depth });
+
+            path.push(buildStep(selected, depth, childWeights.length, this.buildWeightSnapshot(childWeights)));
+            current = selected;
+        }
+
+        console.log(`🌳 Drill-down path: ${path.map(step => step.name).join(' → ')}`);
+        return { leaf: current, path };
+    }
+
+    /**
+     * Apply a lesson result to the stored review state of every scheduling algorithm
+     * @param {string} nodeId - Node ID
+     * @param {number} level - Node level (0 for legacy root nodes)
+     * @param {boolean} passed - Whether the lesson was passed
+     * @param {number} score - Lesson score (0-100)
+     * @param {string|null} userId - Learner who took the lesson (null for the shared schedule)
+     * @returns {Object} New review state keyed by algorithm name
+     */
+    updateReviewSchedules(nodeId, level, passed, score = null, userId = null) {
+        const reviewedAt = new Date();
+        const schedules = {};
+
+        for (const algorithm of this.scheduler.getAlgorithmNames()) {
+            const current = dbManager.getReviewSchedule(nodeId, level, algorithm, userId);
+            const next = this.scheduler.review(algorithm, current, passed, score, reviewedAt);
+            dbManager.saveReviewSchedule(nodeId, level, next, userId);
+            schedules[algorithm] = next;
+        }
+
+        return schedules;
+    }
+
+    /**
+     * Boost the weights of overdue nodes and return only the overdue ones
+     * @param {Array} nodesWithWeights - Nodes with calculated weights
+     * @param {string} algorithm - Spaced repetition algorithm name
+     * @param {string|null} userId - Learner whose reviews count (null for the shared schedule)
+     * @returns {Array} Overdue nodes with overdue-adjusted weights
+     */
+    applyDueWeighting(nodesWithWeights, algorithm = null, userId = null) {
+        const algorithmName = this.scheduler.getAlgorithm(algorithm).name;
+        const now = new Date();
+        const dueNodes = [];
+
+        for (const node of nodesWithWeights) {
+            if (node.isCreateNewTopic) continue;
+
+            const schedule = dbManager.getReviewSchedule(node.id, this.getNodeLevel(node), algorithmName, userId);
+            if (!schedule) continue;
+
+            const dueInfo = this.scheduler.getDueInfo(schedule, now);
+            if (!dueInfo.isDue) continue;
+
+            const overdue = this.scheduler.calculateOverdueMultiplier(schedule, now);
+            const weight = Math.round(node.selection_weight * overdue);
+            dueNodes.push({
+                ...node,
+                selection_weight: weight,
+                due_info: { ...dueInfo, dueDate: schedule.due_date, algorithm: algorithmName },
+                weight_breakdown: {
+                    ...node.weight_breakdown,
+                    overdue,
+                    final: weight
+                }
+            });
+        }
+
+        return dueNodes;
+    }
+
+    /**
+     * Get nodes whose spaced repetition review is due
+     * @param {string} algorithm - Spaced repetition algorithm name
+     * @param {number|null} level - Level to restrict to (null for all levels)
+     * @param {number} limit - Maximum number of items
+     * @param {string|null} userId - Learner whose reviews to list (null for the shared schedule)
+     * @returns {Array} Due items, most overdue first
+     */
+    getDueReviews(algorithm = null, level = null, limit = 50, userId = null) {
+        const algorithmName = this.scheduler.getAlgorithm(algorithm).name;
+        const now = new Date();
+
+        return dbManager.getDueReviews(algorithmName, now.toISOString(), level, userId)
+            .slice(0, limit)
+            .map(schedule => ({
+                ...schedule,
+                ...this.scheduler.getDueInfo(schedule, now)
+            }));
+    }
+
     /**
      * Gather user experience data for lesson generation
      * @param {Object} selectedTopic - Selected topic node
      * @param {Object} userPreferences - User preferences
+     * @param {string|null} userId - Learner whose lesson history to use (null for everyone's)
      * @returns {Object} User experience data
      */
-    async gatherUserExperienceData(selectedTopic, userPreferences) {
+    async gatherUserExperienceData(selectedTopic, userPreferences, userId = null) {
+        const topicHistory = dbManager.getLessonHistory(selectedTopic.id, userId);
+        const overallHistory = dbManager.getLessonHistory(null, userId);
+
         return {
             topicMastery: selectedTopic.mastery_percentage || 0,
             lastPracticed: selectedTopic.last_practiced,
             notes: selectedTopic.notes || '',
             userPreferences,
             learningHistory: {
-                totalLessons: 0, // TODO: Implement lesson history tracking
-                averageScore: 0,
+                totalLessons: topicHistory.total_lessons,
+                passedLessons: topicHistory.passed_lessons,
+                averageScore: Math.round(topicHistory.average_score || 0),
+                lastCompletedAt: topicHistory.last_completed_at,
+                overallLessons: overallHistory.total_lessons,
+                overallAverageScore: Math.round(overallHistory.average_score || 0),
                 preferredDifficulty: userPreferences.difficulty || 'intermediate'
             }
         };
     }
 
+    /**
+     * Build a compact snapshot of the weights used for a selection
+     * @param {Array} nodesWithWeights - Nodes with calculated weights
+     * @returns {Array} Weight snapshot suitable for persisting with a lesson
+     */
+    buildWeightSnapshot(nodesWithWeights) {
+        return nodesWithWeights.map(node => ({
+            id: node.id,
+            name: node.name,
+            source: node.source || null,
+            mastery_percentage: node.mastery_percentage || 0,
+            last_practiced: node.last_practiced || null,
+            created_at: node.created_at || null,
+            selection_weight: node.selection_weight,
+            weight_breakdown: node.weight_breakdown
+        }));
+    }
+
+    /**
+     * Re-run a selection against its stored weight snapshots, descending through the drill-down path
+     * The descent stops where the replay picks a node the original path did not, since only the children of the
+     * original picks were snapshotted. Lesson history is limited to lessons before lessonId; strategies that read
+     * review schedules see the current state, so they may pick differently
+     * @param {Object} selection - Stored selection ({ lessonId, weightSnapshot, selectionPath, strategy, userPreferences, seed, userId })
+     * @returns {Object} Replayed selection with the top-layer weighted draw and the replayed path
+     */
+    replaySelection({ lessonId = null, weightSnapshot, selectionPath = [], strategy, userPreferences = {}, seed, userId = null }) {
+        const selectionStrategy = this.selectionStrategies.get(strategy);
+        const context = {
+            userPreferences,
+            userId,
+            beforeLessonId: lessonId,
+            weightedSelector: this.weightedSelector,
+            engine: this,
+            random: new SeededRandom(seed).asFunction()
+        };
+        const fromSnapshot = snapshot => snapshot.map(entry => ({
+            ...entry,
+            isCreateNewTopic: entry.id === 'create_new_topic'
+        }));
+
+        const result = selectionStrategy.select(fromSnapshot(weightSnapshot), context);
+        const path = [{ depth: 1, id: result.selected.id, name: result.selected.name }];
+        let leaf = result.selected;
+
+        for (const step of selectionPath.slice(1)) {
+            if (!step.weight_snapshot || selectionPath[step.depth - 2].id !== leaf.id) break;
+            const { selected } = selectionStrategy.select(fromSnapshot(step.weight_snapshot), { ...context, depth: step.depth });
+            path.push({ depth: step.depth, id: selected.id, name: selected.name });
+            leaf = selected;
+        }
+
+        return {
+            strategy: selectionStrategy.name,
+            seed,
+            selectedTopic: leaf,
+            selectionPath: path,
+            draw: result.draw,
+            strategyDetails: result.details
+        };
+    }
+
     /**
      * Build lesson context for AI generation
      * @param {Object} selectedTopic - Selected topic
@@ -908,16 +1286,20 @@ export class BusinessLogicEngine {
 
     /**
      * Determine lesson type based on topic and user experience
-     * @param {Object} topic - Selected topic
+     * Once the topic's questions are calibrated, the learner's expected success on them is used instead of
+     * mastery alone, so a topic whose questions turn out harder than average keeps learners on easier lessons
+     * @param {Object} topic - Selected topic (tagged with its source)
      * @param {Object} userExperience - User experience data
      * @returns {string} Lesson type
      */
     determineLessonType(topic, userExperience) {
         const mastery = topic.mastery_percentage || 0;
+        const itemDifficulty = itemAnalysis.nodeDifficulty(topic.id, this.getNodeLevel(topic));
+        const readiness = itemDifficulty === null ? mastery : itemAnalysis.expectedSuccess(mastery, itemDifficulty) * 100;
         
-        if (mastery < 30) {
+        if (readiness < 30) {
             return 'introduction';
-        } else if (mastery < 70) {
+        } else if (readiness < 70) {
             return 'practice';
         } else {
             return 'mastery';
@@ -927,17 +1309,23 @@ export class BusinessLogicEngine {
     /**
      * Update node weights in database
      * @param {Array} updatedNodes - Nodes with updated weights
+     * @param {number} level - Level of the nodes (0 for root level)
+     * @param {string} reason - Reason recorded in weight history
+     * @param {string|null} userId - Update this user's weights instead of the shared node weights
      * @returns {Array} Weight update results
      */
-    async updateNodeWeights(updatedNodes) {
+    async updateNodeWeights(updatedNodes, level = 0, reason = 'completion', userId = null) {
         const updates = [];
         
         for (const node of updatedNodes) {
             if (node.weight_change && node.weight_change !== 0) {
                 // Update weight in database
-                await this.manager.updateNode(node.id, {
-                    selection_weight: node.selection_weight
-                });
+                const updated = userId
+                    ? dbManager.updateUserNodeWeight(userId, level, node.id, node.selection_weight - node.weight_change, node.selection_weight, reason)
+                    : dbManager.updateNodeWeight(level, node.id, node.selection_weight, reason);
+                if (!updated) {
+                    continue;
+                }
                 
                 updates.push({
                     nodeId: node.id,
@@ -971,27 +1359,22 @@ export class BusinessLogicEngine {
     /**
      * Get current weight distribution for debugging
      * @param {number} level - Level to get weights for (0 for root level)
+     * @param {string|null} userId - Show this user's weights (null for the shared node weights)
      * @returns {Object} Weight distribution information
      */
-    async getWeightDistribution(level = 0) {
+    async getWeightDistribution(level = 0, userId = null) {
         await this.initialize();
         
         try {
-            let nodes;
-            if (level === 0) {
-                nodes = await this.manager.getRootNodes();
-            } else {
-                nodes = dbManager.getLevelNodes(level);
-            }
-            
-            const nodesWithWeights = nodes.map(node => ({
-                ...node,
-                selection_weight: node.selection_weight || 100
-            }));
+            const nodes = dbManager.getNodesWithWeights(level)
+                .map(node => ({ ...node, source: level === 0 ? 'legacy_root' : `level_${level}` }));
+            const userProgress = this.getUserProgressMap(userId, nodes);
+            const nodesWithWeights = userProgress ? this.weightedSelector.applyUserProgress(nodes, userProgress) : nodes;
             
             return {
                 success: true,
                 level,
+                userId,
                 statistics: this.weightedSelector.getWeightStatistics(nodesWithWeights),
                 nodes: nodesWithWeights.map(node => ({
                     id: node.id,
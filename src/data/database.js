@@ -9,9 +9,23 @@ import { fileURLToPath } from 'url';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Columns safe to return from user lookups (password_hash stays out of API responses)
+const USER_COLUMNS = 'id, username, email, role, created_at, updated_at';
+
+// Level node columns that updateLevelNode may write (keys are interpolated into SQL, so never take them from a request)
+const LEVEL_NODE_UPDATABLE_COLUMNS = [
+    'name', 'content', 'mastery_percentage', 'last_practiced', 'notes', 'parent_id', 'node_type', 'metadata', 'selection_weight'
+];
+
+// Lesson content columns that updateLessonContentBlock may write
+const LESSON_CONTENT_UPDATABLE_COLUMNS = ['node_id', 'node_level', 'section', 'position', 'block_type', 'data'];
+
+// Question columns that updateQuestion may write
+const QUESTION_UPDATABLE_COLUMNS = ['question_type', 'difficulty', 'prompt', 'data', 'explanation', 'estimated_seconds'];
+
 export class DatabaseManager {
     constructor(dbPath = null) {
-        this.dbPath = dbPath || path.join(__dirname, '../../data/microlearn.db');
+        this.dbPath = dbPath || process.env.MICROLEARN_DB_PATH || path.join(__dirname, '../../data/microlearn.db');
         this.db = null;
         this.isInitialized = false;
     }
@@ -189,18 +203,6 @@ export class DatabaseManager {
         return this.query(sql, [nodeId]);
     }
 
-    /**
-     * Search nodes by name or notes
-     */
-    searchNodes(query) {
-        const searchTerm = `%${query}%`;
-        return this.query(`
-            SELECT * FROM learning_nodes 
-            WHERE name LIKE ? OR notes LIKE ? 
-            ORDER BY mastery_percentage DESC, created_at ASC
-        `, [searchTerm, searchTerm]);
-    }
-
     /**
      * Get nodes by mastery range
      */
@@ -212,6 +214,46 @@ export class DatabaseManager {
         `, [minMastery, maxMastery]);
     }
 
+    /**
+     * Read one page of a table in keyset order
+     * SQLite sorts NULLs first ascending and last descending, so a cursor on a NULL value only continues among the
+     * NULLs by key, and one on a value still has the NULLs ahead of it when descending
+     * @param {string} table - Table name (from code, never from request input)
+     * @param {Object} options - { where, params, sort: { column, direction }, key, limit, after: { value, key } }
+     * @returns {Object} { rows, total, hasMore }
+     */
+    queryPage(table, { where = [], params = [], sort, key = 'id', limit, after = null }) {
+        const column = sort.column;
+        const direction = sort.direction === 'DESC' ? 'DESC' : 'ASC';
+        const whereSql = conditions => conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+
+        const total = this.queryOne(`SELECT COUNT(*) as count FROM ${table}${whereSql(where)}`, params).count;
+
+        const conditions = [...where];
+        const pageParams = [...params];
+        if (after) {
+            const operator = direction === 'DESC' ? '<' : '>';
+            if (after.value === null) {
+                const laterValues = direction === 'ASC' ? ` OR ${column} IS NOT NULL` : '';
+                conditions.push(`((${column} IS NULL AND ${key} ${operator} ?)${laterValues})`);
+                pageParams.push(after.key);
+            } else {
+                const laterNulls = direction === 'DESC' ? ` OR ${column} IS NULL` : '';
+                conditions.push(`(${column} ${operator} ? OR (${column} = ? AND ${key} ${operator} ?)${laterNulls})`);
+                pageParams.push(after.value, after.value, after.key);
+            }
+        }
+
+        // One extra row tells whether another page follows
+        const rows = this.query(`
+            SELECT * FROM ${table}${whereSql(conditions)}
+            ORDER BY ${column} ${direction}, ${key} ${direction}
+            LIMIT ?
+        `, [...pageParams, limit + 1]);
+
+        return { rows: rows.slice(0, limit), total, hasMore: rows.length > limit };
+    }
+
     // Level-based operations for modular structure
     getLevelNodes(level) {
         const sql = `SELECT * FROM level_${level}_nodes ORDER BY created_at DESC`;
@@ -228,6 +270,28 @@ export class DatabaseManager {
         return this.query(sql, [parentId]);
     }
 
+    /**
+     * Walk parent links up through the level tables
+     * @param {number} level - Level of the starting node (1-5)
+     * @param {string} id - Starting node ID
+     * @returns {Array} Ancestors ordered from level 1 down to the direct parent, tagged with their level
+     */
+    getLevelAncestors(level, id) {
+        const ancestors = [];
+        let node = this.getLevelNode(level, id);
+        let currentLevel = level;
+
+        while (node && node.parent_id && currentLevel > 1) {
+            currentLevel -= 1;
+            node = this.getLevelNode(currentLevel, node.parent_id);
+            if (node) {
+                ancestors.unshift({ ...node, level: currentLevel });
+            }
+        }
+
+        return ancestors;
+    }
+
     getLevelRootNodes(level) {
         const sql = `SELECT * FROM level_${level}_nodes WHERE parent_id IS NULL ORDER BY name ASC`;
         return this.query(sql);
@@ -257,6 +321,9 @@ export class DatabaseManager {
         const values = [];
         
         Object.keys(updates).forEach(key => {
+            if (!LEVEL_NODE_UPDATABLE_COLUMNS.includes(key)) {
+                throw new Error(`Cannot update level node column: ${key}`);
+            }
             if (key === 'metadata') {
                 fields.push(`${key} = ?`);
                 values.push(JSON.stringify(updates[key]));
@@ -278,35 +345,117 @@ export class DatabaseManager {
         return this.execute(sql, [id]);
     }
 
-    searchLevelNodes(level, query) {
-        const searchTerm = `%${query.toLowerCase()}%`;
+    // Server settings (JSON values by key)
+    getSetting(key) {
+        const row = this.queryOne('SELECT value FROM settings WHERE key = ?', [key]);
+        return row ? JSON.parse(row.value) : null;
+    }
+
+    saveSetting(key, value) {
         const sql = `
-            SELECT * FROM level_${level}_nodes 
-            WHERE LOWER(name) LIKE ? OR LOWER(content) LIKE ? OR LOWER(notes) LIKE ?
-            ORDER BY name ASC
+            INSERT INTO settings (key, value, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)
+            ON CONFLICT (key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
         `;
-        return this.query(sql, [searchTerm, searchTerm, searchTerm]);
+        return this.execute(sql, [key, JSON.stringify(value)]);
     }
 
-    // User management operations
+    // User management operations (password hashes are only returned by getUserCredentials)
     createUser(userData) {
         const sql = `
-            INSERT INTO users (id, username, email)
-            VALUES (?, ?, ?)
+            INSERT INTO users (id, username, email, password_hash, role)
+            VALUES (?, ?, ?, ?, ?)
         `;
-        return this.execute(sql, [userData.id, userData.username, userData.email]);
+        return this.execute(sql, [userData.id, userData.username, userData.email, userData.password_hash || null, userData.role || 'learner']);
     }
 
     getUser(id) {
-        const sql = `SELECT * FROM users WHERE id = ?`;
+        const sql = `SELECT ${USER_COLUMNS} FROM users WHERE id = ?`;
         return this.queryOne(sql, [id]);
     }
 
     getUserByUsername(username) {
-        const sql = `SELECT * FROM users WHERE username = ?`;
+        const sql = `SELECT ${USER_COLUMNS} FROM users WHERE username = ?`;
+        return this.queryOne(sql, [username]);
+    }
+
+    getUserByEmail(email) {
+        const sql = `SELECT ${USER_COLUMNS} FROM users WHERE email = ?`;
+        return this.queryOne(sql, [email]);
+    }
+
+    getUserCredentials(username) {
+        const sql = `SELECT id, username, password_hash FROM users WHERE username = ?`;
         return this.queryOne(sql, [username]);
     }
 
+    getUsers() {
+        const sql = `SELECT ${USER_COLUMNS} FROM users ORDER BY created_at ASC, username ASC`;
+        return this.query(sql);
+    }
+
+    countUsers(role = null) {
+        const sql = role
+            ? `SELECT COUNT(*) as count FROM users WHERE role = ?`
+            : `SELECT COUNT(*) as count FROM users`;
+        return this.queryOne(sql, role ? [role] : []).count;
+    }
+
+    updateUser(id, updates) {
+        const fields = [];
+        const values = [];
+        
+        ['username', 'email', 'password_hash', 'role'].forEach(key => {
+            if (updates[key] !== undefined) {
+                fields.push(`${key} = ?`);
+                values.push(updates[key]);
+            }
+        });
+        
+        fields.push('updated_at = CURRENT_TIMESTAMP');
+        values.push(id);
+        
+        const sql = `UPDATE users SET ${fields.join(', ')} WHERE id = ?`;
+        return this.execute(sql, values);
+    }
+
+    deleteUser(id) {
+        const sql = `DELETE FROM users WHERE id = ?`;
+        return this.execute(sql, [id]);
+    }
+
+    // Auth session operations
+    createAuthSession(sessionData) {
+        const sql = `
+            INSERT INTO auth_sessions (id, user_id, refresh_token_hash, expires_at)
+            VALUES (?, ?, ?, ?)
+        `;
+        return this.execute(sql, [sessionData.id, sessionData.user_id, sessionData.refresh_token_hash, sessionData.expires_at]);
+    }
+
+    getAuthSession(id) {
+        const sql = `SELECT * FROM auth_sessions WHERE id = ?`;
+        return this.queryOne(sql, [id]);
+    }
+
+    getAuthSessionByRefreshHash(refreshTokenHash) {
+        const sql = `SELECT * FROM auth_sessions WHERE refresh_token_hash = ?`;
+        return this.queryOne(sql, [refreshTokenHash]);
+    }
+
+    rotateAuthSession(id, refreshTokenHash, expiresAt) {
+        const sql = `
+            UPDATE auth_sessions
+            SET refresh_token_hash = ?, expires_at = ?, refreshed_at = ?
+            WHERE id = ? AND revoked_at IS NULL
+        `;
+        return this.execute(sql, [refreshTokenHash, expiresAt, new Date().toISOString(), id]);
+    }
+
+    revokeAuthSession(id) {
+        const sql = `UPDATE auth_sessions SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL`;
+        return this.execute(sql, [new Date().toISOString(), id]);
+    }
+
     // User progress operations
     getUserProgress(userId, level = null) {
         let sql = `
@@ -317,7 +466,7 @@ export class DatabaseManager {
         `;
         const params = [userId];
         
-        if (level) {
+        if (level !== null && level !== undefined) {
             sql += ` AND up.level = ?`;
             params.push(level);
         }
@@ -326,23 +475,565 @@ export class DatabaseManager {
         return this.query(sql, params);
     }
 
+    /**
+     * Index all of a user's progress rows by level and node
+     * @param {string} userId - User ID
+     * @returns {Map} Progress rows keyed by "level:nodeId"
+     */
+    getUserProgressIndex(userId) {
+        const rows = this.query(`SELECT * FROM user_progress WHERE user_id = ?`, [userId]);
+        return new Map(rows.map(row => [`${row.level}:${row.node_id}`, row]));
+    }
+
+    getUserProgressEntry(userId, nodeId, level) {
+        const sql = `SELECT * FROM user_progress WHERE user_id = ? AND node_id = ? AND level = ?`;
+        return this.queryOne(sql, [userId, nodeId, level]);
+    }
+
     updateUserProgress(userId, nodeId, level, progressData) {
         const sql = `
-            INSERT OR REPLACE INTO user_progress 
+            INSERT INTO user_progress 
             (id, user_id, node_id, level, mastery_percentage, last_practiced, notes)
             VALUES (?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT(id) DO UPDATE SET
+                mastery_percentage = excluded.mastery_percentage,
+                last_practiced = excluded.last_practiced,
+                notes = excluded.notes,
+                updated_at = CURRENT_TIMESTAMP
         `;
         return this.execute(sql, [
             `${userId}_${nodeId}_${level}`,
             userId,
             nodeId,
             level,
-            progressData.mastery_percentage || 0,
+            progressData.mastery_percentage ?? null,
             progressData.last_practiced || new Date().toISOString(),
             progressData.notes || ''
         ]);
     }
 
+    /**
+     * Set a user's selection weight for a node and record the change in weight history
+     * Creates a progress row without mastery (so the node's mastery still applies) if the user has none yet
+     * @param {string} userId - User ID
+     * @param {number} level - Level of the node (0 for legacy nodes)
+     * @param {string} nodeId - Node ID
+     * @param {number} oldWeight - Weight the user had before (their own or the node's)
+     * @param {number} newWeight - New selection weight
+     * @param {string} reason - Reason for the change ('completion', 'reset' or 'manual')
+     */
+    updateUserNodeWeight(userId, level, nodeId, oldWeight, newWeight, reason = 'manual') {
+        const sql = `
+            INSERT INTO user_progress (id, user_id, node_id, level, mastery_percentage, last_practiced, selection_weight)
+            VALUES (?, ?, ?, ?, NULL, NULL, ?)
+            ON CONFLICT(id) DO UPDATE SET
+                selection_weight = excluded.selection_weight,
+                updated_at = CURRENT_TIMESTAMP
+        `;
+        this.execute(sql, [`${userId}_${nodeId}_${level}`, userId, nodeId, level, newWeight]);
+        this.recordWeightChange(level, nodeId, oldWeight, newWeight, reason, userId);
+        return true;
+    }
+
+    // Lesson history operations
+    createLesson(lessonData) {
+        const sql = `
+            INSERT INTO lessons
+            (id, node_id, node_level, node_name, user_id, status, lesson_type, strategy, seed, selection_path, prompt, weight_snapshot, user_preferences, requested_at)
+            VALUES (?, ?, ?, ?, ?, 'requested', ?, ?, ?, ?, ?, ?, ?, ?)
+        `;
+        return this.execute(sql, [
+            lessonData.id,
+            lessonData.node_id,
+            lessonData.node_level || 0,
+            lessonData.node_name,
+            lessonData.user_id || null,
+            lessonData.lesson_type || null,
+            lessonData.strategy || null,
+            lessonData.seed ?? null,
+            JSON.stringify(lessonData.selection_path || []),
+            lessonData.prompt || '',
+            JSON.stringify(lessonData.weight_snapshot || []),
+            JSON.stringify(lessonData.user_preferences || {}),
+            lessonData.requested_at || new Date().toISOString()
+        ]);
+    }
+
+    getLesson(id) {
+        const sql = `SELECT * FROM lessons WHERE id = ?`;
+        return this.queryOne(sql, [id]);
+    }
+
+    getLessons(filters = {}) {
+        let sql = `SELECT * FROM lessons WHERE 1 = 1`;
+        const params = [];
+
+        if (filters.status) {
+            sql += ` AND status = ?`;
+            params.push(filters.status);
+        }
+
+        if (filters.nodeId) {
+            sql += ` AND node_id = ?`;
+            params.push(filters.nodeId);
+        }
+
+        if (filters.strategy) {
+            sql += ` AND strategy = ?`;
+            params.push(filters.strategy);
+        }
+
+        if (filters.userId) {
+            sql += ` AND user_id = ?`;
+            params.push(filters.userId);
+        }
+
+        if (filters.beforeLessonId) {
+            sql += ` AND rowid < (SELECT rowid FROM lessons WHERE id = ?)`;
+            params.push(filters.beforeLessonId);
+        }
+
+        sql += ` ORDER BY requested_at DESC, rowid DESC LIMIT ?`;
+        params.push(filters.limit || 50);
+        return this.query(sql, params);
+    }
+
+    completeLesson(id, result) {
+        const sql = `
+            UPDATE lessons
+            SET status = 'completed', passed = ?, score = ?, duration_seconds = ?, completed_at = ?
+            WHERE id = ? AND status = 'requested'
+        `;
+        return this.execute(sql, [
+            result.passed ? 1 : 0,
+            result.score ?? null,
+            result.duration_seconds ?? null,
+            result.completed_at || new Date().toISOString(),
+            id
+        ]);
+    }
+
+    reopenLesson(id) {
+        const sql = `
+            UPDATE lessons
+            SET status = 'requested', passed = NULL, score = NULL, duration_seconds = NULL, completed_at = NULL
+            WHERE id = ? AND status = 'completed'
+        `;
+        return this.execute(sql, [id]);
+    }
+
+    saveLessonContent(id, generated) {
+        const sql = `
+            UPDATE lessons
+            SET content = ?, content_provider = ?, content_model = ?, content_generated_at = ?, generation_attempts = ?
+            WHERE id = ?
+        `;
+        return this.execute(sql, [
+            generated.content,
+            generated.provider,
+            generated.model || null,
+            generated.generated_at || new Date().toISOString(),
+            generated.attempts ?? null,
+            id
+        ]);
+    }
+
+    // Lesson content blocks, in section order then position
+    createLessonContentBlock(block) {
+        const sql = `
+            INSERT INTO lesson_content (id, lesson_id, node_id, node_level, section, position, block_type, data, source)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `;
+        return this.execute(sql, [
+            block.id,
+            block.lesson_id,
+            block.node_id ?? null,
+            block.node_level ?? null,
+            block.section,
+            block.position,
+            block.block_type,
+            JSON.stringify(block.data || {}),
+            block.source || 'author'
+        ]);
+    }
+
+    getLessonContentBlock(id) {
+        return this.queryOne('SELECT * FROM lesson_content WHERE id = ?', [id]);
+    }
+
+    getLessonContentBlocks(filters = {}) {
+        let sql = `SELECT * FROM lesson_content WHERE 1 = 1`;
+        const params = [];
+
+        if (filters.lessonId) {
+            sql += ` AND lesson_id = ?`;
+            params.push(filters.lessonId);
+        }
+
+        if (filters.nodeId) {
+            sql += ` AND node_id = ?`;
+            params.push(filters.nodeId);
+        }
+
+        if (filters.nodeLevel !== undefined && filters.nodeLevel !== null) {
+            sql += ` AND node_level = ?`;
+            params.push(filters.nodeLevel);
+        }
+
+        sql += `
+            ORDER BY lesson_id,
+                CASE section WHEN 'introduction' THEN 0 WHEN 'core_content' THEN 1 WHEN 'practice' THEN 2 ELSE 3 END,
+                position, created_at, rowid
+        `;
+        return this.query(sql, params);
+    }
+
+    getNextLessonContentPosition(lessonId, section) {
+        const row = this.queryOne(
+            'SELECT COALESCE(MAX(position) + 1, 0) as position FROM lesson_content WHERE lesson_id = ? AND section = ?',
+            [lessonId, section]
+        );
+        return row.position;
+    }
+
+    updateLessonContentBlock(id, updates) {
+        const fields = [];
+        const values = [];
+
+        Object.keys(updates).forEach(key => {
+            if (!LESSON_CONTENT_UPDATABLE_COLUMNS.includes(key)) {
+                throw new Error(`Cannot update lesson content column: ${key}`);
+            }
+            fields.push(`${key} = ?`);
+            values.push(key === 'data' ? JSON.stringify(updates[key]) : updates[key]);
+        });
+
+        fields.push('updated_at = CURRENT_TIMESTAMP');
+        values.push(id);
+        return this.execute(`UPDATE lesson_content SET ${fields.join(', ')} WHERE id = ?`, values);
+    }
+
+    deleteLessonContentBlock(id) {
+        return this.execute('DELETE FROM lesson_content WHERE id = ?', [id]);
+    }
+
+    deleteLessonContent(lessonId, source = null) {
+        if (source) {
+            return this.execute('DELETE FROM lesson_content WHERE lesson_id = ? AND source = ?', [lessonId, source]);
+        }
+        return this.execute('DELETE FROM lesson_content WHERE lesson_id = ?', [lessonId]);
+    }
+
+    // Question bank operations
+    createQuestion(question) {
+        const sql = `
+            INSERT INTO questions (id, node_id, node_level, question_type, difficulty, prompt, data, explanation, estimated_seconds)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `;
+        return this.execute(sql, [
+            question.id,
+            question.node_id,
+            question.node_level || 0,
+            question.question_type,
+            question.difficulty,
+            question.prompt,
+            JSON.stringify(question.data || {}),
+            question.explanation ?? null,
+            question.estimated_seconds ?? 60
+        ]);
+    }
+
+    getQuestion(id) {
+        return this.queryOne('SELECT * FROM questions WHERE id = ?', [id]);
+    }
+
+    getQuestions(filters = {}) {
+        let sql = `SELECT * FROM questions WHERE 1 = 1`;
+        const params = [];
+
+        if (filters.nodeId) {
+            sql += ` AND node_id = ? AND node_level = ?`;
+            params.push(filters.nodeId, filters.nodeLevel || 0);
+        }
+
+        if (filters.difficulty) {
+            sql += ` AND difficulty = ?`;
+            params.push(filters.difficulty);
+        }
+
+        if (filters.ids) {
+            sql += ` AND id IN (${filters.ids.map(() => '?').join(', ') || 'NULL'})`;
+            params.push(...filters.ids);
+        }
+
+        sql += ` ORDER BY created_at, rowid`;
+        return this.query(sql, params);
+    }
+
+    updateQuestion(id, updates) {
+        const fields = [];
+        const values = [];
+
+        Object.keys(updates).forEach(key => {
+            if (!QUESTION_UPDATABLE_COLUMNS.includes(key)) {
+                throw new Error(`Cannot update question column: ${key}`);
+            }
+            fields.push(`${key} = ?`);
+            values.push(key === 'data' ? JSON.stringify(updates[key]) : updates[key]);
+        });
+
+        fields.push('updated_at = CURRENT_TIMESTAMP');
+        values.push(id);
+        return this.execute(`UPDATE questions SET ${fields.join(', ')} WHERE id = ?`, values);
+    }
+
+    deleteQuestion(id) {
+        return this.execute('DELETE FROM questions WHERE id = ?', [id]);
+    }
+
+    // Question response operations
+    createQuestionResponse(response) {
+        const sql = `
+            INSERT INTO question_responses (question_id, quiz_id, user_id, correct, time_seconds, rest_score, answered_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `;
+        return this.execute(sql, [
+            response.question_id,
+            response.quiz_id,
+            response.user_id ?? null,
+            response.correct ? 1 : 0,
+            response.time_seconds ?? null,
+            response.rest_score ?? null,
+            response.answered_at || new Date().toISOString()
+        ]);
+    }
+
+    getQuestionResponses(questionId) {
+        return this.query('SELECT * FROM question_responses WHERE question_id = ? ORDER BY id', [questionId]);
+    }
+
+    /**
+     * Count responses and correct answers per question, for one node's questions or a list of question IDs
+     */
+    getQuestionResponseCounts(filters = {}) {
+        let sql = `
+            SELECT r.question_id, COUNT(*) as responses, SUM(r.correct) as correct
+            FROM question_responses r
+            JOIN questions q ON q.id = r.question_id
+            WHERE 1 = 1
+        `;
+        const params = [];
+
+        if (filters.nodeId) {
+            sql += ` AND q.node_id = ? AND q.node_level = ?`;
+            params.push(filters.nodeId, filters.nodeLevel || 0);
+        }
+
+        if (filters.ids) {
+            sql += ` AND q.id IN (${filters.ids.map(() => '?').join(', ') || 'NULL'})`;
+            params.push(...filters.ids);
+        }
+
+        sql += ` GROUP BY r.question_id`;
+        return this.query(sql, params);
+    }
+
+    // Quiz operations
+    createQuiz(quiz) {
+        const sql = `
+            INSERT INTO quizzes (id, node_id, node_level, user_id, lesson_id, difficulty, duration_minutes, seed, question_ids)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `;
+        return this.execute(sql, [
+            quiz.id,
+            quiz.node_id,
+            quiz.node_level || 0,
+            quiz.user_id ?? null,
+            quiz.lesson_id ?? null,
+            quiz.difficulty,
+            quiz.duration_minutes,
+            quiz.seed,
+            JSON.stringify(quiz.question_ids)
+        ]);
+    }
+
+    getQuiz(id) {
+        return this.queryOne('SELECT * FROM quizzes WHERE id = ?', [id]);
+    }
+
+    submitQuiz(id, submission) {
+        const sql = `
+            UPDATE quizzes
+            SET status = 'submitted', score = ?, passed = ?, results = ?, submitted_at = ?
+            WHERE id = ? AND status = 'open'
+        `;
+        return this.execute(sql, [
+            submission.score,
+            submission.passed ? 1 : 0,
+            JSON.stringify(submission.results),
+            submission.submitted_at || new Date().toISOString(),
+            id
+        ]);
+    }
+
+    /**
+     * Get aggregated lesson history, optionally for a single node and/or user
+     * @param {string|null} nodeId - Node ID (null for all nodes)
+     * @param {string|null} userId - User ID (null for all users)
+     * @param {string|null} beforeLessonId - Only count lessons completed before this lesson was requested
+     * @returns {Object} Lesson history totals
+     */
+    getLessonHistory(nodeId = null, userId = null, beforeLessonId = null) {
+        let where = `WHERE status = 'completed'`;
+        const params = [];
+        if (nodeId) {
+            where += ` AND node_id = ?`;
+            params.push(nodeId);
+        }
+        if (userId) {
+            where += ` AND user_id = ?`;
+            params.push(userId);
+        }
+        if (beforeLessonId) {
+            where += ` AND completed_at < (SELECT requested_at FROM lessons WHERE id = ?)`;
+            params.push(beforeLessonId);
+        }
+        const sql = `
+            SELECT COUNT(*) as total_lessons,
+                   COALESCE(SUM(passed), 0) as passed_lessons,
+                   AVG(score) as average_score,
+                   AVG(duration_seconds) as average_duration,
+                   MAX(completed_at) as last_completed_at
+            FROM lessons ${where}
+        `;
+        return this.queryOne(sql, params);
+    }
+
+    /**
+     * Get lesson outcomes grouped by selection strategy
+     * @returns {Array} Per-strategy lesson totals
+     */
+    getLessonStatisticsByStrategy() {
+        const sql = `
+            SELECT strategy,
+                   COUNT(*) as requested_lessons,
+                   SUM(CASE WHEN status = 'completed' THEN 1 ELSE 0 END) as completed_lessons,
+                   COALESCE(SUM(passed), 0) as passed_lessons,
+                   AVG(score) as average_score
+            FROM lessons
+            WHERE strategy IS NOT NULL
+            GROUP BY strategy
+            ORDER BY strategy
+        `;
+        return this.query(sql);
+    }
+
+    // Knowledge tracing operations (a null user is the node's shared estimate)
+    getMasteryEstimate(userId, nodeId, level) {
+        return this.queryOne('SELECT * FROM mastery_estimates WHERE id = ?', [`${userId ?? 'shared'}_${nodeId}_${level}`]);
+    }
+
+    saveMasteryEstimate(estimate) {
+        const sql = `
+            INSERT INTO mastery_estimates (id, user_id, node_id, node_level, probability, observations, correct, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT(id) DO UPDATE SET
+                probability = excluded.probability,
+                observations = excluded.observations,
+                correct = excluded.correct,
+                updated_at = excluded.updated_at
+        `;
+        return this.execute(sql, [
+            `${estimate.user_id ?? 'shared'}_${estimate.node_id}_${estimate.node_level}`,
+            estimate.user_id ?? null,
+            estimate.node_id,
+            estimate.node_level,
+            estimate.probability,
+            estimate.observations,
+            estimate.correct,
+            estimate.updated_at || new Date().toISOString()
+        ]);
+    }
+
+    // Spaced repetition operations (a null user is the node's shared schedule)
+    getReviewSchedule(nodeId, level, algorithm, userId = null) {
+        return this.queryOne('SELECT * FROM review_schedule WHERE id = ?', [`${userId ?? 'shared'}_${nodeId}_${level}_${algorithm}`]);
+    }
+
+    getReviewSchedules(algorithm, level = null, userId = null) {
+        let sql = `SELECT * FROM review_schedule WHERE algorithm = ? AND user_id IS ?`;
+        const params = [algorithm, userId];
+
+        if (level !== null) {
+            sql += ` AND level = ?`;
+            params.push(level);
+        }
+
+        sql += ` ORDER BY due_date ASC`;
+        return this.query(sql, params);
+    }
+
+    saveReviewSchedule(nodeId, level, state, userId = null) {
+        const sql = `
+            INSERT INTO review_schedule
+            (id, user_id, node_id, level, algorithm, ease_factor, interval_days, repetitions, stability, difficulty, lapses, last_reviewed, due_date, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT(id) DO UPDATE SET
+                ease_factor = excluded.ease_factor,
+                interval_days = excluded.interval_days,
+                repetitions = excluded.repetitions,
+                stability = excluded.stability,
+                difficulty = excluded.difficulty,
+                lapses = excluded.lapses,
+                last_reviewed = excluded.last_reviewed,
+                due_date = excluded.due_date,
+                updated_at = excluded.updated_at
+        `;
+        return this.execute(sql, [
+            `${userId ?? 'shared'}_${nodeId}_${level}_${state.algorithm}`,
+            userId,
+            nodeId,
+            level,
+            state.algorithm,
+            state.ease_factor,
+            state.interval_days,
+            state.repetitions,
+            state.stability,
+            state.difficulty,
+            state.lapses,
+            state.last_reviewed,
+            state.due_date,
+            new Date().toISOString()
+        ]);
+    }
+
+    /**
+     * Get review schedules that are due, joined with their node names
+     * @param {string} algorithm - Algorithm name
+     * @param {string} asOf - ISO timestamp to compare due dates against
+     * @param {number|null} level - Level to restrict to (null for all levels)
+     * @param {string|null} userId - Learner whose schedule to use, with their own mastery (null for the shared one)
+     * @returns {Array} Due review schedules
+     */
+    getDueReviews(algorithm, asOf, level = null, userId = null) {
+        const levels = level === null ? [0, 1, 2, 3, 4, 5] : [level];
+        const due = [];
+
+        levels.forEach(lvl => {
+            const table = lvl === 0 ? 'learning_nodes' : `level_${lvl}_nodes`;
+            const sql = `
+                SELECT rs.*, n.name, COALESCE(up.mastery_percentage, n.mastery_percentage) AS mastery_percentage
+                FROM review_schedule rs
+                JOIN ${table} n ON n.id = rs.node_id
+                LEFT JOIN user_progress up ON up.user_id = rs.user_id AND up.node_id = rs.node_id AND up.level = rs.level
+                WHERE rs.algorithm = ? AND rs.level = ? AND rs.due_date <= ? AND rs.user_id IS ?
+            `;
+            due.push(...this.query(sql, [algorithm, lvl, asOf, userId]));
+        });
+
+        return due.sort((a, b) => a.due_date.localeCompare(b.due_date));
+    }
+
     /**
      * Close database connection
      */
@@ -364,13 +1055,18 @@ export class DatabaseManager {
     /**
      * Get nodes with weights for a specific level
      * @param {number} level - Level to get nodes from (0 for root level)
+     * @param {string|null} parentId - Only return children of this parent (defaults to root nodes at level 0, all nodes otherwise)
      * @returns {Array} Nodes with selection weights
      */
-    getNodesWithWeights(level = 0) {
+    getNodesWithWeights(level = 0, parentId = null) {
         try {
             let query, params;
             
-            if (level === 0) {
+            if (parentId) {
+                const table = level === 0 ? 'learning_nodes' : `level_${level}_nodes`;
+                query = `SELECT *, selection_weight FROM ${table} WHERE parent_id = ?`;
+                params = [parentId];
+            } else if (level === 0) {
                 query = 'SELECT *, selection_weight FROM learning_nodes WHERE parent_id IS NULL';
                 params = [];
             } else {
@@ -381,7 +1077,7 @@ export class DatabaseManager {
             const nodes = this.db.prepare(query).all(params);
             return nodes.map(node => ({
                 ...node,
-                selection_weight: node.selection_weight || 100
+                selection_weight: node.selection_weight ?? 100
             }));
         } catch (error) {
             console.error('Error getting nodes with weights:', error);
@@ -390,24 +1086,24 @@ export class DatabaseManager {
     }
 
     /**
-     * Update a single node's weight
+     * Update a single node's weight and record the change in weight history
      * @param {number} level - Level of the node (0 for root level)
      * @param {string} nodeId - Node ID
      * @param {number} newWeight - New selection weight
+     * @param {string} reason - Reason for the change ('completion', 'reset' or 'manual')
      * @returns {boolean} Success status
      */
-    updateNodeWeight(level, nodeId, newWeight) {
+    updateNodeWeight(level, nodeId, newWeight, reason = 'manual') {
         try {
-            let query;
-            
-            if (level === 0) {
-                query = 'UPDATE learning_nodes SET selection_weight = ? WHERE id = ?';
-            } else {
-                query = `UPDATE level_${level}_nodes SET selection_weight = ? WHERE id = ?`;
+            const table = level === 0 ? 'learning_nodes' : `level_${level}_nodes`;
+            const existing = this.db.prepare(`SELECT selection_weight FROM ${table} WHERE id = ?`).get(nodeId);
+            if (!existing) {
+                return false;
             }
-            
-            const result = this.db.prepare(query).run(newWeight, nodeId);
-            return result.changes > 0;
+
+            this.db.prepare(`UPDATE ${table} SET selection_weight = ? WHERE id = ?`).run(newWeight, nodeId);
+            this.recordWeightChange(level, nodeId, existing.selection_weight, newWeight, reason);
+            return true;
         } catch (error) {
             console.error('Error updating node weight:', error);
             return false;
@@ -418,9 +1114,10 @@ export class DatabaseManager {
      * Batch update weights for multiple nodes
      * @param {number} level - Level of the nodes (0 for root level)
      * @param {Array} weightUpdates - Array of {nodeId, newWeight} objects
+     * @param {string} reason - Reason for the change ('completion', 'reset' or 'manual')
      * @returns {number} Number of nodes updated
      */
-    batchUpdateWeights(level, weightUpdates) {
+    batchUpdateWeights(level, weightUpdates, reason = 'manual') {
         if (!weightUpdates || weightUpdates.length === 0) {
             return 0;
         }
@@ -430,7 +1127,7 @@ export class DatabaseManager {
                 let updatedCount = 0;
                 
                 for (const update of weightUpdates) {
-                    const success = this.updateNodeWeight(level, update.nodeId, update.newWeight);
+                    const success = this.updateNodeWeight(level, update.nodeId, update.newWeight, reason);
                     if (success) {
                         updatedCount++;
                     }
@@ -454,22 +1151,91 @@ export class DatabaseManager {
      */
     resetAllWeights(level = 0, defaultWeight = 100) {
         try {
-            let query;
-            
-            if (level === 0) {
-                query = 'UPDATE learning_nodes SET selection_weight = ? WHERE parent_id IS NULL';
-            } else {
-                query = `UPDATE level_${level}_nodes SET selection_weight = ?`;
-            }
-            
-            const result = this.db.prepare(query).run(defaultWeight);
-            return result.changes;
+            const changedNodes = this.getNodesWithWeights(level)
+                .filter(node => node.selection_weight !== defaultWeight);
+
+            return this.batchUpdateWeights(
+                level,
+                changedNodes.map(node => ({ nodeId: node.id, newWeight: defaultWeight })),
+                'reset'
+            );
         } catch (error) {
             console.error('Error resetting weights:', error);
             return 0;
         }
     }
 
+    /**
+     * Reset a user's weights at a level to the default value
+     * Nodes whose weight for the user (their own or the node's) is already the default are left alone
+     * @param {string} userId - User ID
+     * @param {number} level - Level to reset (0 for root level)
+     * @param {number} defaultWeight - Default weight value (default: 100)
+     * @returns {number} Number of nodes updated
+     */
+    resetUserWeights(userId, level = 0, defaultWeight = 100) {
+        const progress = this.getUserProgressIndex(userId);
+        const changedNodes = this.getNodesWithWeights(level)
+            .map(node => ({ id: node.id, weight: progress.get(`${level}:${node.id}`)?.selection_weight ?? node.selection_weight }))
+            .filter(node => node.weight !== defaultWeight);
+
+        return this.transaction(() => {
+            changedNodes.forEach(node => this.updateUserNodeWeight(userId, level, node.id, node.weight, defaultWeight, 'reset'));
+            return changedNodes.length;
+        });
+    }
+
+    /**
+     * Record a weight change in weight history
+     * @param {number} level - Level of the node (0 for root level)
+     * @param {string} nodeId - Node ID
+     * @param {number|null} oldWeight - Previous selection weight
+     * @param {number} newWeight - New selection weight
+     * @param {string} reason - Reason for the change ('completion', 'reset' or 'manual')
+     * @param {string|null} userId - User whose weight changed (null for the shared node weight)
+     */
+    recordWeightChange(level, nodeId, oldWeight, newWeight, reason, userId = null) {
+        const sql = `
+            INSERT INTO weight_history (node_id, level, old_weight, new_weight, reason, user_id, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `;
+        return this.execute(sql, [nodeId, level, oldWeight ?? null, newWeight, reason, userId, new Date().toISOString()]);
+    }
+
+    /**
+     * Get weight history, most recent first
+     * @param {Object} filters - Optional level, nodeId, reason, userId and limit filters
+     * @returns {Array} Weight history entries
+     */
+    getWeightHistory(filters = {}) {
+        let sql = `SELECT * FROM weight_history WHERE 1 = 1`;
+        const params = [];
+
+        if (filters.level !== undefined && filters.level !== null) {
+            sql += ` AND level = ?`;
+            params.push(filters.level);
+        }
+
+        if (filters.nodeId) {
+            sql += ` AND node_id = ?`;
+            params.push(filters.nodeId);
+        }
+
+        if (filters.reason) {
+            sql += ` AND reason = ?`;
+            params.push(filters.reason);
+        }
+
+        if (filters.userId) {
+            sql += ` AND user_id = ?`;
+            params.push(filters.userId);
+        }
+
+        sql += ` ORDER BY id DESC LIMIT ?`;
+        params.push(filters.limit || 100);
+        return this.query(sql, params);
+    }
+
     /**
      * Get weight statistics for a level
      * @param {number} level - Level to get statistics for (0 for root level)
@@ -0,0 +1,231 @@
+/**
+ * Node Embeddings
+ * Offline vectors for finding related nodes across learning_nodes (level 0) and the level tables
+ *
+ * Each node's name, content and notes are turned into a hashed n-gram vector: words and the character
+ * trigrams inside them are hashed into a fixed number of dimensions, so related wording ("equation",
+ * "equations", "équations") lands on shared features without a vocabulary or any network call. Vectors only
+ * depend on the node's own text, so a stored vector stays valid until that text changes. They are kept in
+ * node_embeddings (migration 23) with a hash of the text they were computed from; writes re-index the node
+ * and anything written another way (imports, migrations) is picked up by refresh() before a lookup.
+ */
+import crypto from 'crypto';
+import { dbManager } from './database.js';
+
+export const EMBEDDING_DIMENSIONS = 512;
+
+// Cosine similarity below this is treated as unrelated
+export const RELATED_MIN_SIMILARITY = 0.15;
+
+// Text columns embedded per level; the name counts twice
+const EMBEDDING_SOURCES = {
+    0: { table: 'learning_nodes', columns: ['name', 'notes'] },
+    ...Object.fromEntries([1, 2, 3, 4, 5].map(level => [
+        level,
+        { table: `level_${level}_nodes`, columns: ['name', 'content', 'notes'] }
+    ]))
+};
+
+const FEATURE_WEIGHTS = { word: 1, trigram: 0.5 };
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'how', 'in', 'into', 'is', 'it', 'its',
+    'of', 'on', 'or', 'that', 'the', 'their', 'this', 'to', 'use', 'uses', 'using', 'was', 'what', 'with'
+]);
+
+export class NodeEmbeddings {
+    constructor(dimensions = EMBEDDING_DIMENSIONS) {
+        this.dimensions = dimensions;
+    }
+
+    /**
+     * Split text into lowercase words without accents
+     * @param {string} text - Text to tokenize
+     * @returns {Array} Words
+     */
+    tokenize(text) {
+        return String(text ?? '')
+            .normalize('NFKD')
+            .replace(/\p{M}/gu, '')
+            .toLowerCase()
+            .split(/[^\p{L}\p{N}]+/u)
+            .filter(Boolean);
+    }
+
+    /**
+     * Hash a feature to a dimension and a sign (the sign keeps colliding features from only adding up)
+     * @param {string} feature - Feature string
+     * @returns {Object} { index, sign }
+     */
+    hashFeature(feature) {
+        // FNV-1a
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < feature.length; i++) {
+            hash ^= feature.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        hash >>>= 0;
+        return { index: hash % this.dimensions, sign: hash & 0x80000000 ? -1 : 1 };
+    }
+
+    /**
+     * Vectorize text into a unit-length hashed n-gram vector
+     * @param {string} text - Text to vectorize
+     * @returns {Float32Array} Vector (all zeros when the text has no words)
+     */
+    vectorize(text) {
+        const counts = new Map();
+        const add = (feature, weight) => counts.set(feature, (counts.get(feature) || 0) + weight);
+
+        for (const word of this.tokenize(text)) {
+            if (STOP_WORDS.has(word)) continue;
+            add(`w:${word}`, FEATURE_WEIGHTS.word);
+            const padded = `#${word}#`;
+            for (let i = 0; i + 3 <= padded.length; i++) {
+                add(`t:${padded.slice(i, i + 3)}`, FEATURE_WEIGHTS.trigram);
+            }
+        }
+
+        const vector = new Float32Array(this.dimensions);
+        for (const [feature, count] of counts) {
+            const { index, sign } = this.hashFeature(feature);
+            // Sublinear term frequency so repeated words do not dominate
+            vector[index] += sign * (1 + Math.log(count));
+        }
+
+        const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+        if (norm > 0) {
+            for (let i = 0; i < vector.length; i++) {
+                vector[i] /= norm;
+            }
+        }
+        return vector;
+    }
+
+    /**
+     * Cosine similarity of two unit vectors
+     */
+    similarity(a, b) {
+        let dot = 0;
+        for (let i = 0; i < a.length; i++) {
+            dot += a[i] * b[i];
+        }
+        return dot;
+    }
+
+    /**
+     * Text a node is embedded from
+     * @param {Object} node - Node row
+     * @param {number} level - 0 for learning_nodes, 1-5 for a level table
+     * @returns {string} Text
+     */
+    textFor(node, level) {
+        const { columns } = EMBEDDING_SOURCES[level];
+        return [node.name, ...columns.map(column => node[column])].filter(Boolean).join('\n');
+    }
+
+    /**
+     * Store a node's vector unless its text is unchanged since the last one
+     * @param {number} level - 0 for learning_nodes, 1-5 for a level table
+     * @param {Object} node - Node row
+     * @param {string|null} storedHash - Text hash already on file (looked up when not given)
+     * @returns {boolean} True when the vector was (re)computed
+     */
+    store(level, node, storedHash = undefined) {
+        const text = this.textFor(node, level);
+        const textHash = crypto.createHash('sha1').update(text).digest('hex');
+        const previousHash = storedHash !== undefined ? storedHash : dbManager.queryOne(
+            'SELECT text_hash FROM node_embeddings WHERE level = ? AND node_id = ?',
+            [level, node.id]
+        )?.text_hash;
+        if (previousHash === textHash) {
+            return false;
+        }
+
+        const vector = this.vectorize(text);
+        dbManager.execute(`
+            INSERT INTO node_embeddings (level, node_id, text_hash, vector, updated_at)
+            VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+            ON CONFLICT (level, node_id) DO UPDATE SET
+                text_hash = excluded.text_hash, vector = excluded.vector, updated_at = excluded.updated_at
+        `, [level, node.id, textHash, Buffer.from(vector.buffer)]);
+        return true;
+    }
+
+    /**
+     * Recompute one node's vector after it was created or updated
+     * @param {number} level - 0 for learning_nodes, 1-5 for a level table
+     * @param {string} id - Node ID
+     * @returns {boolean} True when the vector was (re)computed
+     */
+    indexNode(level, id) {
+        const node = dbManager.queryOne(`SELECT * FROM ${EMBEDDING_SOURCES[level].table} WHERE id = ?`, [id]);
+        return node ? this.store(level, node) : false;
+    }
+
+    /**
+     * Embed every node that has no vector yet or whose text changed
+     * @returns {number} Vectors (re)computed
+     */
+    refresh() {
+        const stored = new Map(dbManager.query('SELECT level, node_id, text_hash FROM node_embeddings')
+            .map(row => [`${row.level}:${row.node_id}`, row.text_hash]));
+
+        let updated = 0;
+        dbManager.transaction(() => {
+            for (const [level, { table }] of Object.entries(EMBEDDING_SOURCES)) {
+                for (const node of dbManager.query(`SELECT * FROM ${table}`)) {
+                    if (this.store(Number(level), node, stored.get(`${level}:${node.id}`) ?? null)) {
+                        updated++;
+                    }
+                }
+            }
+        });
+        return updated;
+    }
+
+    /**
+     * Load every stored vector with the node it belongs to
+     * @returns {Array} [{ id, level, name, node_type, mastery_percentage, parent_id, vector }]
+     */
+    loadAll() {
+        this.refresh();
+        return Object.entries(EMBEDDING_SOURCES).flatMap(([level, { table }]) => dbManager.query(`
+            SELECT n.id, n.name, n.node_type, n.mastery_percentage, n.parent_id, e.level, e.vector
+            FROM node_embeddings e
+            JOIN ${table} n ON n.id = e.node_id
+            WHERE e.level = ?
+        `, [Number(level)]).map(row => ({
+            ...row,
+            vector: new Float32Array(row.vector.buffer, row.vector.byteOffset, this.dimensions)
+        })));
+    }
+
+    /**
+     * Find the nodes most similar to one node, across all levels
+     * @param {string} id - Node ID (legacy or level node)
+     * @param {Object} options - { k, level } (level picks the table when the same ID exists in several)
+     * @returns {Object|null} { node, related } or null if the node was not found
+     */
+    related(id, { k = 5, level = null } = {}) {
+        const entries = this.loadAll();
+        const node = entries.find(entry => entry.id === id && (level === null || entry.level === level));
+        if (!node) {
+            return null;
+        }
+
+        const related = entries
+            .filter(entry => entry !== node)
+            .map(entry => ({ ...entry, similarity: this.similarity(node.vector, entry.vector) }))
+            .filter(entry => entry.similarity >= RELATED_MIN_SIMILARITY)
+            .sort((a, b) => b.similarity - a.similarity || a.level - b.level || a.id.localeCompare(b.id))
+            .slice(0, k)
+            .map(({ vector, similarity, ...entry }) => ({ ...entry, similarity: Math.round(similarity * 1000) / 1000 }));
+
+        const { vector, ...source } = node;
+        return { node: source, related };
+    }
+}
+
+export const nodeEmbeddings = new NodeEmbeddings();
+export default NodeEmbeddings;
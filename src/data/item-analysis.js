@@ -0,0 +1,170 @@
+/**
+ * Item Analysis
+ * Statistics for bank questions from their graded responses, and difficulty calibrated from them that replaces the
+ * author's tag in quiz assembly and shifts which lesson type a node gets
+ */
+import { dbManager } from './database.js';
+
+// Responses a question needs before its measured difficulty is trusted over its tag
+export const MIN_CALIBRATION_RESPONSES = 5;
+
+// Logit difficulty bands: easier than -1 is beginner, harder than 1 is advanced
+const DIFFICULTY_BANDS = { beginner: -1, advanced: 1 };
+
+const round = (value, places = 3) => value === null ? null : Math.round(value * 10 ** places) / 10 ** places;
+
+export class ItemAnalysis {
+    /**
+     * Store the graded answers of a submitted quiz
+     * Each answer keeps whether it was correct, the time it took and the learner's score on the rest of the quiz
+     * @param {Object} quiz - Quiz ({ id, user_id })
+     * @param {Array} results - Graded results ({ question_id, correct })
+     * @param {Object} options - { timings: { questionId: seconds }, durationSeconds } (a duration is split evenly
+     *   over questions without their own timing)
+     */
+    recordResponses(quiz, results, { timings = {}, durationSeconds = null } = {}) {
+        const correctTotal = results.filter(result => result.correct).length;
+        const evenShare = durationSeconds !== null && results.length > 0 ? durationSeconds / results.length : null;
+        const answeredAt = new Date().toISOString();
+
+        dbManager.transaction(() => {
+            for (const result of results) {
+                const timing = Number(timings?.[result.question_id]);
+                dbManager.createQuestionResponse({
+                    question_id: result.question_id,
+                    quiz_id: quiz.id,
+                    user_id: quiz.user_id,
+                    correct: result.correct,
+                    time_seconds: Number.isFinite(timing) && timing >= 0 ? timing : evenShare,
+                    // Percentage correct on the quiz's other questions
+                    rest_score: results.length > 1
+                        ? ((correctTotal - (result.correct ? 1 : 0)) / (results.length - 1)) * 100
+                        : null,
+                    answered_at: answeredAt
+                });
+            }
+        });
+    }
+
+    /**
+     * Rasch difficulty in logits from a response count
+     * ln((1 - p) / p) with p smoothed by half a response either way, which is the estimate when learner abilities
+     * average out to zero; 0 is a coin flip
+     * @param {number} correct - Correct responses
+     * @param {number} responses - All responses
+     * @returns {number} Difficulty (positive is harder)
+     */
+    logitDifficulty(correct, responses) {
+        const p = (correct + 0.5) / (responses + 1);
+        return Math.log((1 - p) / p);
+    }
+
+    /**
+     * Difficulty tag for a logit difficulty
+     * @param {number} logit - Logit difficulty
+     * @returns {string} beginner, intermediate or advanced
+     */
+    difficultyLabel(logit) {
+        if (logit < DIFFICULTY_BANDS.beginner) return 'beginner';
+        if (logit > DIFFICULTY_BANDS.advanced) return 'advanced';
+        return 'intermediate';
+    }
+
+    /**
+     * Point-biserial correlation of correctness with the rest score
+     * Questions that strong learners get right and weak learners get wrong score near 1
+     * @param {Array} responses - Responses with rest scores
+     * @returns {number|null} Discrimination, or null when either side has no variance
+     */
+    discrimination(responses) {
+        const scored = responses.filter(response => response.rest_score !== null);
+        const right = scored.filter(response => response.correct);
+        const wrong = scored.filter(response => !response.correct);
+        if (right.length === 0 || wrong.length === 0) {
+            return null;
+        }
+
+        const mean = list => list.reduce((sum, response) => sum + response.rest_score, 0) / list.length;
+        const overall = mean(scored);
+        const variance = scored.reduce((sum, response) => sum + (response.rest_score - overall) ** 2, 0) / scored.length;
+        if (variance === 0) {
+            return null;
+        }
+
+        const p = right.length / scored.length;
+        return ((mean(right) - mean(wrong)) / Math.sqrt(variance)) * Math.sqrt(p * (1 - p));
+    }
+
+    /**
+     * Item statistics for one question: p-value (share correct), discrimination, average time and IRT difficulty
+     * Its calibrated difficulty is only given from MIN_CALIBRATION_RESPONSES responses on
+     * @param {Object} question - Parsed question ({ id, difficulty })
+     * @returns {Object} Statistics (null where there are too few responses)
+     */
+    questionStats(question) {
+        const responses = dbManager.getQuestionResponses(question.id);
+        const correct = responses.filter(response => response.correct).length;
+        const timed = responses.filter(response => response.time_seconds !== null);
+        const logit = responses.length > 0 ? this.logitDifficulty(correct, responses.length) : null;
+        const calibrated = responses.length >= MIN_CALIBRATION_RESPONSES;
+
+        return {
+            question_id: question.id,
+            responses: responses.length,
+            correct,
+            p_value: responses.length > 0 ? round(correct / responses.length) : null,
+            discrimination: round(this.discrimination(responses)),
+            average_time_seconds: timed.length > 0
+                ? round(timed.reduce((sum, response) => sum + response.time_seconds, 0) / timed.length, 1)
+                : null,
+            irt_difficulty: round(logit),
+            tagged_difficulty: question.difficulty,
+            calibrated_difficulty: calibrated ? this.difficultyLabel(logit) : null,
+            min_calibration_responses: MIN_CALIBRATION_RESPONSES
+        };
+    }
+
+    /**
+     * Measured difficulty of the questions that have enough responses
+     * @param {Object} filters - { nodeId, nodeLevel } or { ids }
+     * @returns {Map} Question ID to { logit, label }
+     */
+    calibratedDifficulties(filters) {
+        return new Map(dbManager.getQuestionResponseCounts(filters)
+            .filter(row => row.responses >= MIN_CALIBRATION_RESPONSES)
+            .map(row => {
+                const logit = this.logitDifficulty(row.correct, row.responses);
+                return [row.question_id, { logit, label: this.difficultyLabel(logit) }];
+            }));
+    }
+
+    /**
+     * Mean measured difficulty of a node's calibrated questions
+     * @param {string} nodeId - Node ID
+     * @param {number} level - 0 for learning_nodes, 1-5 for a level table
+     * @returns {number|null} Logit difficulty, or null when no question is calibrated
+     */
+    nodeDifficulty(nodeId, level = 0) {
+        const calibrated = [...this.calibratedDifficulties({ nodeId, nodeLevel: level }).values()];
+        if (calibrated.length === 0) {
+            return null;
+        }
+        return calibrated.reduce((sum, item) => sum + item.logit, 0) / calibrated.length;
+    }
+
+    /**
+     * Chance a learner answers a node's questions correctly, treating mastery as ability on the logit scale
+     * With an item difficulty of 0 this is mastery / 100
+     * @param {number} masteryPercentage - Learner mastery (0-100)
+     * @param {number} itemDifficulty - Logit difficulty
+     * @returns {number} Probability (0-1)
+     */
+    expectedSuccess(masteryPercentage, itemDifficulty) {
+        const mastery = Math.min(99, Math.max(1, masteryPercentage)) / 100;
+        const ability = Math.log(mastery / (1 - mastery));
+        return 1 / (1 + Math.exp(itemDifficulty - ability));
+    }
+}
+
+export const itemAnalysis = new ItemAnalysis();
+export default ItemAnalysis;
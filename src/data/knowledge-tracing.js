@@ -0,0 +1,179 @@
+/**
+ * Knowledge Tracing
+ * Bayesian Knowledge Tracing (BKT) estimate of mastery per user and node, updated by each graded outcome (a quiz
+ * question, or a lesson's pass or fail when it had no quiz) and written to mastery_percentage
+ */
+import { dbManager } from './database.js';
+
+export const DEFAULT_KNOWLEDGE_TRACING_PARAMETERS = {
+    prior: 0.1,
+    learn: 0.1,
+    slip: 0.1,
+    guess: 0.2
+};
+
+// Outcomes the starting estimate counts as in the confidence interval
+const PRIOR_WEIGHT = 2;
+
+// Normal quantile for a 95% interval
+const Z_95 = 1.96;
+
+// Estimates stay inside these bounds so a single outcome can always move them
+const MIN_PROBABILITY = 0.001;
+const MAX_PROBABILITY = 0.999;
+
+const clamp = probability => Math.min(MAX_PROBABILITY, Math.max(MIN_PROBABILITY, probability));
+const round = value => Math.round(value * 1000) / 1000;
+
+export class KnowledgeTracer {
+    /**
+     * Current BKT parameters: stored settings over the defaults
+     * @returns {Object} { prior, learn, slip, guess }
+     */
+    getParameters() {
+        return { ...DEFAULT_KNOWLEDGE_TRACING_PARAMETERS, ...(dbManager.getSetting('knowledgeTracing') || {}) };
+    }
+
+    /**
+     * Check that parameters describe a usable model
+     * @param {Object} parameters - { prior, learn, slip, guess }
+     * @returns {string|null} Problem with the parameters, or null when they are usable
+     */
+    checkParameters(parameters) {
+        // Otherwise a right answer would be evidence of not knowing the skill
+        if (parameters.slip + parameters.guess >= 1) {
+            return `slip (${parameters.slip}) and guess (${parameters.guess}) must add up to less than 1`;
+        }
+        return null;
+    }
+
+    /**
+     * Apply one graded outcome to a mastery probability
+     * Bayes' rule given the chance of a slip (wrong although known) and a guess (right although not known), then the
+     * chance to learn the skill from the practice:
+     *   P(known | right) = P(known) (1 - slip) / (P(known) (1 - slip) + (1 - P(known)) guess)
+     *   P(known | wrong) = P(known) slip / (P(known) slip + (1 - P(known)) (1 - guess))
+     *   P(known next)    = P(known | outcome) + (1 - P(known | outcome)) learn
+     * @param {number} probability - P(known) before the outcome
+     * @param {boolean} correct - Whether the outcome was right (or the lesson passed)
+     * @param {Object} parameters - { learn, slip, guess }
+     * @returns {number} P(known) after the outcome and the chance to learn from it
+     */
+    observe(probability, correct, { learn, slip, guess }) {
+        const known = correct ? probability * (1 - slip) : probability * slip;
+        const unknown = correct ? (1 - probability) * guess : (1 - probability) * (1 - guess);
+        const posterior = known / (known + unknown);
+        return clamp(posterior + (1 - posterior) * learn);
+    }
+
+    /**
+     * The state tracing continues from
+     * A mastery that no longer matches the stored estimate was set by hand, so tracing restarts from it; a mastery
+     * of 0 means never assessed and starts from the prior
+     * @param {Object|null} state - Stored estimate
+     * @param {number|null} masteryPercentage - Current mastery of the learner or node
+     * @param {Object} parameters - { prior }
+     * @returns {Object} { probability, observations, correct }
+     */
+    startingState(state, masteryPercentage, parameters) {
+        if (state && Math.round(state.probability * 100) === masteryPercentage) {
+            return { probability: state.probability, observations: state.observations, correct: state.correct };
+        }
+        const probability = masteryPercentage ? masteryPercentage / 100 : parameters.prior;
+        return { probability: clamp(probability), observations: 0, correct: 0 };
+    }
+
+    /**
+     * Trace graded outcomes for a learner (or the shared node) and store the new estimate
+     * The caller writes the returned mastery_percentage wherever mastery is kept
+     * @param {string} nodeId - Node ID
+     * @param {number} level - 0 for learning_nodes, 1-5 for a level table
+     * @param {string|null} userId - Learner, or null for the node's shared mastery
+     * @param {number|null} masteryPercentage - Current mastery
+     * @param {Array<boolean>} outcomes - Graded outcomes in order
+     * @returns {Object} Estimate (see describe)
+     */
+    update(nodeId, level, userId, masteryPercentage, outcomes) {
+        const parameters = this.getParameters();
+        const state = this.startingState(dbManager.getMasteryEstimate(userId, nodeId, level), masteryPercentage, parameters);
+
+        for (const correct of outcomes) {
+            state.probability = this.observe(state.probability, correct, parameters);
+            state.observations += 1;
+            state.correct += correct ? 1 : 0;
+        }
+
+        const saved = { ...state, user_id: userId, node_id: nodeId, node_level: level, updated_at: new Date().toISOString() };
+        dbManager.saveMasteryEstimate(saved);
+        return this.describe(saved, parameters);
+    }
+
+    /**
+     * Current estimate for a learner (or the shared node) without changing it
+     * @param {string} nodeId - Node ID
+     * @param {number} level - 0 for learning_nodes, 1-5 for a level table
+     * @param {string|null} userId - Learner, or null for the node's shared mastery
+     * @returns {Object|null} Estimate (see describe), or null if the node does not exist
+     */
+    getEstimate(nodeId, level = 0, userId = null) {
+        const node = level ? dbManager.getLevelNode(level, nodeId) : dbManager.getNode(nodeId);
+        if (!node) {
+            return null;
+        }
+
+        // A learner starts from the node's mastery until they have their own
+        const progress = userId ? dbManager.getUserProgressEntry(userId, nodeId, level) : null;
+        const mastery = progress?.mastery_percentage ?? node.mastery_percentage ?? 0;
+        const parameters = this.getParameters();
+        const stored = dbManager.getMasteryEstimate(userId, nodeId, level);
+        const state = this.startingState(stored, mastery, parameters);
+
+        return this.describe({
+            ...state,
+            user_id: userId,
+            node_id: nodeId,
+            node_level: level,
+            updated_at: state.observations > 0 ? stored.updated_at : null
+        }, parameters);
+    }
+
+    /**
+     * 95% interval around an estimate
+     * Treats the estimate as the mean of a Beta distribution backed by the outcomes seen plus PRIOR_WEIGHT
+     * @param {number} probability - P(known)
+     * @param {number} observations - Outcomes traced since the starting estimate
+     * @returns {Object} { level, lower, upper }
+     */
+    confidenceInterval(probability, observations) {
+        const margin = Z_95 * Math.sqrt((probability * (1 - probability)) / (PRIOR_WEIGHT + observations + 1));
+        return {
+            level: 0.95,
+            lower: round(Math.max(0, probability - margin)),
+            upper: round(Math.min(1, probability + margin))
+        };
+    }
+
+    /**
+     * Shape a traced state for responses
+     * @param {Object} state - { user_id, node_id, node_level, probability, observations, correct, updated_at }
+     * @param {Object} parameters - Parameters it was traced with
+     * @returns {Object} Estimate
+     */
+    describe(state, parameters) {
+        return {
+            node_id: state.node_id,
+            node_level: state.node_level,
+            user_id: state.user_id,
+            mastery_percentage: Math.round(state.probability * 100),
+            probability: round(state.probability),
+            confidence_interval: this.confidenceInterval(state.probability, state.observations),
+            observations: state.observations,
+            correct: state.correct,
+            updated_at: state.updated_at,
+            parameters
+        };
+    }
+}
+
+export const knowledgeTracer = new KnowledgeTracer();
+export default KnowledgeTracer;
@@ -0,0 +1,278 @@
+/**
+ * Legacy-to-Level Data Migrator
+ * Moves learning_nodes into level_1..5_nodes by tree depth, keeping node IDs so parent links point at the level
+ * above, and can move a batch back
+ */
+import { fileURLToPath } from 'url';
+import { dbManager } from './database.js';
+import { migrationManager } from './migrations.js';
+
+const MAX_LEVEL = 5;
+
+export class LegacyLevelMigrator {
+    /**
+     * Work out where every legacy node would move
+     * Whole trees move or stay: a tree is blocked if any node is deeper than level 5 or any of its IDs is already in
+     * a level table
+     * @returns {Object} Report with moves, blocked trees and a summary
+     */
+    plan() {
+        const nodes = dbManager.query('SELECT * FROM learning_nodes ORDER BY created_at ASC');
+        const planned = nodes.map(node => {
+            const path = dbManager.getNodePath(node.id);
+            return {
+                id: node.id,
+                name: node.name,
+                parent_id: node.parent_id,
+                root_id: path[0].id,
+                level: path.length
+            };
+        });
+
+        const blockedRoots = new Map();
+        for (const move of planned) {
+            if (move.level > MAX_LEVEL) {
+                blockedRoots.set(move.root_id, `${move.name} is at depth ${move.level} (maximum ${MAX_LEVEL})`);
+            } else if (this.findLevelNode(move.id)) {
+                blockedRoots.set(move.root_id, `ID ${move.id} already exists in a level table`);
+            }
+        }
+
+        const moves = planned.filter(move => !blockedRoots.has(move.root_id));
+        const blocked = Array.from(blockedRoots.entries()).map(([rootId, reason]) => ({
+            root_id: rootId,
+            root_name: planned.find(move => move.id === rootId)?.name,
+            nodes: planned.filter(move => move.root_id === rootId).length,
+            reason
+        }));
+
+        const byLevel = {};
+        for (let level = 1; level <= MAX_LEVEL; level++) {
+            byLevel[level] = moves.filter(move => move.level === level).length;
+        }
+
+        return {
+            moves,
+            blocked,
+            summary: {
+                legacyNodes: nodes.length,
+                movableNodes: moves.length,
+                blockedTrees: blocked.length,
+                byLevel
+            }
+        };
+    }
+
+    /**
+     * Move legacy nodes into the level tables
+     * @param {Object} options - { dryRun } (dry run by default)
+     * @returns {Object} Report, including the batch ID when applied
+     */
+    migrate({ dryRun = true } = {}) {
+        const report = this.plan();
+        if (dryRun || report.moves.length === 0) {
+            return { dryRun, batchId: null, ...report };
+        }
+
+        const batchId = `legacy_move_${Date.now()}`;
+        const movedAt = new Date().toISOString();
+        const byDepth = [...report.moves].sort((a, b) => a.level - b.level);
+
+        dbManager.transaction(() => {
+            // Parents first so each level's foreign key to the level above is satisfied
+            for (const move of byDepth) {
+                const node = dbManager.getNode(move.id);
+                dbManager.execute(`
+                    INSERT INTO level_${move.level}_nodes
+                    (id, name, content, mastery_percentage, last_practiced, notes, parent_id, node_type, metadata, selection_weight, created_at, updated_at)
+                    VALUES (?, ?, '', ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                `, [
+                    node.id, node.name, node.mastery_percentage, node.last_practiced, node.notes, node.parent_id,
+                    node.node_type, node.metadata, node.selection_weight, node.created_at, node.updated_at
+                ]);
+                dbManager.execute(`
+                    INSERT INTO legacy_level_moves (batch_id, node_id, level, parent_id, moved_at)
+                    VALUES (?, ?, ?, ?, ?)
+                `, [batchId, node.id, move.level, node.parent_id, movedAt]);
+                this.relabelHistory(node.id, 0, move.level);
+            }
+
+            // Children first so nothing is removed by ON DELETE CASCADE before it is copied
+            for (const move of [...byDepth].reverse()) {
+                dbManager.execute('DELETE FROM learning_nodes WHERE id = ?', [move.id]);
+            }
+        });
+
+        console.log(`✅ Moved ${report.moves.length} legacy nodes into level tables (batch ${batchId})`);
+        return { dryRun, batchId, ...report };
+    }
+
+    /**
+     * Move a batch back into learning_nodes
+     * @param {string} batchId - Batch ID returned by migrate()
+     * @param {Object} options - { dryRun } (dry run by default)
+     * @returns {Object} Revert report
+     */
+    revert(batchId, { dryRun = true } = {}) {
+        const moves = dbManager.query(
+            'SELECT * FROM legacy_level_moves WHERE batch_id = ? AND reverted_at IS NULL ORDER BY level ASC',
+            [batchId]
+        );
+        if (moves.length === 0) {
+            throw new Error(`No applied batch found with ID ${batchId}`);
+        }
+
+        const movedIds = new Set(moves.map(move => move.node_id));
+        const problems = [];
+        for (const move of moves) {
+            if (!dbManager.getLevelNode(move.level, move.node_id)) {
+                problems.push(`${move.node_id} no longer exists at level ${move.level}`);
+            }
+            if (move.level < MAX_LEVEL) {
+                const added = dbManager.getLevelChildren(move.level + 1, move.node_id)
+                    .filter(child => !movedIds.has(child.id));
+                added.forEach(child => problems.push(`${child.name} (level ${move.level + 1}) was added under ${move.node_id} after the move`));
+            }
+            if (dbManager.getNode(move.node_id)) {
+                problems.push(`${move.node_id} already exists in learning_nodes`);
+            }
+        }
+
+        const report = { dryRun, batchId, nodes: moves.length, problems };
+        if (dryRun || problems.length > 0) {
+            return report;
+        }
+
+        dbManager.transaction(() => {
+            for (const move of moves) {
+                const node = dbManager.getLevelNode(move.level, move.node_id);
+                dbManager.execute(`
+                    INSERT INTO learning_nodes
+                    (id, name, mastery_percentage, last_practiced, notes, parent_id, node_type, metadata, selection_weight, created_at, updated_at)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                `, [
+                    node.id, node.name, node.mastery_percentage, node.last_practiced, node.notes, move.parent_id,
+                    node.node_type, node.metadata, node.selection_weight, node.created_at, node.updated_at
+                ]);
+                this.relabelHistory(node.id, move.level, 0);
+            }
+
+            for (const move of [...moves].reverse()) {
+                dbManager.execute(`DELETE FROM level_${move.level}_nodes WHERE id = ?`, [move.node_id]);
+            }
+
+            dbManager.execute(
+                'UPDATE legacy_level_moves SET reverted_at = ? WHERE batch_id = ?',
+                [new Date().toISOString(), batchId]
+            );
+        });
+
+        console.log(`✅ Reverted batch ${batchId}: ${moves.length} nodes moved back to learning_nodes`);
+        return report;
+    }
+
+    /**
+     * List migration batches
+     * @returns {Array} Batches with node counts and revert status
+     */
+    listBatches() {
+        return dbManager.query(`
+            SELECT batch_id, COUNT(*) as nodes, MIN(moved_at) as moved_at, MAX(reverted_at) as reverted_at
+            FROM legacy_level_moves
+            GROUP BY batch_id
+            ORDER BY moved_at DESC
+        `);
+    }
+
+    /**
+     * Find a node in any level table
+     * @param {string} id - Node ID
+     * @returns {Object|null} Level node or null
+     */
+    findLevelNode(id) {
+        for (let level = 1; level <= MAX_LEVEL; level++) {
+            const node = dbManager.getLevelNode(level, id);
+            if (node) return node;
+        }
+        return null;
+    }
+
+    /**
+     * Relabel per-node history and progress rows when a node changes storage level: lesson and weight history,
+     * review schedules, user progress, embeddings, questions, quizzes and mastery estimates
+     * @param {string} nodeId - Node ID
+     * @param {number} fromLevel - Previous level (0 for learning_nodes)
+     * @param {number} toLevel - New level (0 for learning_nodes)
+     */
+    relabelHistory(nodeId, fromLevel, toLevel) {
+        dbManager.execute('UPDATE lessons SET node_level = ? WHERE node_id = ? AND node_level = ?', [toLevel, nodeId, fromLevel]);
+        dbManager.execute('UPDATE weight_history SET level = ? WHERE node_id = ? AND level = ?', [toLevel, nodeId, fromLevel]);
+        // The embedded text is the same at every level (a moved node's content starts empty), so the vector stays valid
+        dbManager.execute('UPDATE node_embeddings SET level = ? WHERE node_id = ? AND level = ?', [toLevel, nodeId, fromLevel]);
+        dbManager.execute(`
+            UPDATE review_schedule SET level = ?, id = COALESCE(user_id, 'shared') || '_' || node_id || '_' || CAST(? AS INTEGER) || '_' || algorithm
+            WHERE node_id = ? AND level = ?
+        `, [toLevel, toLevel, nodeId, fromLevel]);
+        dbManager.execute(`
+            UPDATE user_progress SET level = ?, id = user_id || '_' || node_id || '_' || CAST(? AS INTEGER)
+            WHERE node_id = ? AND level = ?
+        `, [toLevel, toLevel, nodeId, fromLevel]);
+        // Responses follow their questions by question_id
+        dbManager.execute('UPDATE questions SET node_level = ? WHERE node_id = ? AND node_level = ?', [toLevel, nodeId, fromLevel]);
+        dbManager.execute('UPDATE quizzes SET node_level = ? WHERE node_id = ? AND node_level = ?', [toLevel, nodeId, fromLevel]);
+        dbManager.execute(`
+            UPDATE mastery_estimates SET node_level = ?, id = COALESCE(user_id, 'shared') || '_' || node_id || '_' || CAST(? AS INTEGER)
+            WHERE node_id = ? AND node_level = ?
+        `, [toLevel, toLevel, nodeId, fromLevel]);
+    }
+}
+
+/**
+ * Command line entry point
+ *   node src/data/legacy-migrator.js                  Dry run: report what would move
+ *   node src/data/legacy-migrator.js --apply          Move legacy nodes into the level tables
+ *   node src/data/legacy-migrator.js --list           List applied batches
+ *   node src/data/legacy-migrator.js --revert <batch> Move a batch back into learning_nodes
+ * @param {Array} args - Command line arguments
+ */
+async function main(args) {
+    await migrationManager.migrate();
+    const migrator = new LegacyLevelMigrator();
+
+    if (args.includes('--list')) {
+        console.table(migrator.listBatches());
+        return;
+    }
+
+    const revertIndex = args.indexOf('--revert');
+    if (revertIndex !== -1) {
+        const report = migrator.revert(args[revertIndex + 1], { dryRun: !args.includes('--apply') });
+        console.log(`\n🔁 Revert ${report.dryRun ? 'dry run' : 'applied'} for ${report.batchId}: ${report.nodes} nodes`);
+        report.problems.forEach(problem => console.log(`   ⚠️  ${problem}`));
+        if (report.dryRun && report.problems.length === 0) {
+            console.log('   Run again with --apply to move these nodes back');
+        }
+        return;
+    }
+
+    const report = migrator.migrate({ dryRun: !args.includes('--apply') });
+    console.log(`\n📦 Legacy-to-level migration ${report.dryRun ? 'dry run' : `applied (batch ${report.batchId})`}`);
+    console.log(`   Legacy nodes: ${report.summary.legacyNodes}, movable: ${report.summary.movableNodes}`);
+    Object.entries(report.summary.byLevel).forEach(([level, count]) => {
+        console.log(`   Level ${level}: ${count} nodes`);
+    });
+    report.moves.forEach(move => console.log(`   * ${move.name} → level_${move.level}_nodes`));
+    report.blocked.forEach(tree => console.log(`   ⚠️  Skipping ${tree.root_name} (${tree.nodes} nodes): ${tree.reason}`));
+    if (report.dryRun && report.moves.length > 0) {
+        console.log('   Run again with --apply to move these nodes');
+    }
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    main(process.argv.slice(2)).catch(error => {
+        console.error('❌ Legacy migration failed:', error.message);
+        process.exit(1);
+    });
+}
+
+export default LegacyLevelMigrator;
@@ -0,0 +1,277 @@
+/**
+ * Lesson Content
+ * Lessons as ordered, typed blocks: markdown text, worked examples, code, image references, multiple-choice and
+ * free-response questions, and flashcards
+ *
+ * Blocks belong to a lesson, sit in one of its four sections (introduction, core content, practice, summary) and
+ * can be attached to a node, so a node's material can be listed across all lessons about it. Block data is checked
+ * against LESSON_BLOCK_SCHEMAS whether an author writes it or an LLM generates it; generated lessons are asked for
+ * a JSON document of blocks (LESSON_OUTPUT_FORMAT) and nothing is stored unless every block is valid.
+ */
+import { dbManager } from './database.js';
+import { RequestValidator, LESSON_BLOCK_SCHEMAS, LESSON_SECTIONS } from './validation.js';
+
+// Appended to the lesson prompt so the LLM answers with blocks instead of free text
+export const LESSON_OUTPUT_FORMAT = `## Output Format
+Reply with only a JSON object, no other text:
+{"title": string, "blocks": [{"section": string, "type": string, "data": object}]}
+- section is one of: ${LESSON_SECTIONS.join(', ')} (use each section at least once, in that order)
+- type and data are one of:
+  - markdown: {"text"}
+  - worked_example: {"problem", "steps": [string], "answer"}
+  - code: {"language", "code", "explanation"}
+  - image: {"url", "alt", "caption"}
+  - multiple_choice: {"question", "options": [string], "correct_index": number, "explanation"}
+  - free_response: {"question", "sample_answer", "rubric"}
+  - flashcard: {"front", "back"}`;
+
+const DOCUMENT_SCHEMA = {
+    fields: {
+        title: { type: 'string', nullable: true },
+        blocks: { type: 'array', required: true, minItems: 1, maxItems: 100, items: { type: 'object' } }
+    }
+};
+
+const GENERATED_BLOCK_SCHEMA = {
+    strict: true,
+    fields: {
+        section: { type: 'string', required: true, enum: LESSON_SECTIONS },
+        type: { type: 'string', required: true, enum: Object.keys(LESSON_BLOCK_SCHEMAS) },
+        data: { type: 'object', required: true }
+    }
+};
+
+export class LessonContentValidationError extends Error {
+    /**
+     * @param {Array} errors - [{ field, message }]
+     */
+    constructor(errors) {
+        super(`Invalid lesson content: ${errors.map(error => `${error.field} ${error.message}`).join('; ')}`);
+        this.name = 'LessonContentValidationError';
+        this.errors = errors;
+    }
+}
+
+export class LessonContentModel {
+    constructor(validator = new RequestValidator()) {
+        this.validator = validator;
+    }
+
+    /**
+     * Check a block's data against the schema for its type
+     * @param {string} type - Block type
+     * @param {Object} data - Block data
+     * @param {string} prefix - Prepended to error fields (e.g. "blocks[2].")
+     * @returns {Array} [{ field, message }]
+     */
+    validateData(type, data, prefix = '') {
+        const schema = LESSON_BLOCK_SCHEMAS[type];
+        if (!schema) {
+            return [{ field: `${prefix}type`, message: `must be one of: ${Object.keys(LESSON_BLOCK_SCHEMAS).join(', ')}` }];
+        }
+
+        const { errors } = this.validator.validate(schema, data);
+        if (type === 'multiple_choice' && errors.length === 0 && data.correct_index >= data.options.length) {
+            errors.push({ field: 'correct_index', message: `must point at one of the ${data.options.length} options` });
+        }
+        return errors.map(error => ({ ...error, field: `${prefix}data.${error.field}` }));
+    }
+
+    /**
+     * Parse and validate an LLM reply as a lesson document
+     * @param {string} text - Generated text (a JSON object, optionally in a ```json fence)
+     * @returns {Object} { title, blocks: [{ section, type, data }] } with blocks in section order
+     * @throws {LessonContentValidationError} When the reply is not a valid document
+     */
+    parseDocument(text) {
+        const json = String(text).trim().replace(/^```(?:json)?\s*([\s\S]*?)\s*```$/, '$1');
+        let document;
+        try {
+            document = JSON.parse(json);
+        } catch (error) {
+            throw new LessonContentValidationError([{ field: 'content', message: 'is not a JSON object' }]);
+        }
+        if (!document || typeof document !== 'object' || Array.isArray(document)) {
+            throw new LessonContentValidationError([{ field: 'content', message: 'is not a JSON object' }]);
+        }
+
+        const { errors } = this.validator.validate(DOCUMENT_SCHEMA, document);
+        if (errors.length === 0) {
+            document.blocks.forEach((block, index) => {
+                const prefix = `blocks[${index}].`;
+                const placement = this.validator.validate(GENERATED_BLOCK_SCHEMA, block);
+                errors.push(...placement.errors.map(error => ({ ...error, field: `${prefix}${error.field}` })));
+                if (placement.errors.length === 0) {
+                    errors.push(...this.validateData(block.type, block.data, prefix));
+                }
+            });
+        }
+        if (errors.length > 0) {
+            throw new LessonContentValidationError(errors);
+        }
+
+        const blocks = LESSON_SECTIONS.flatMap(section => document.blocks.filter(block => block.section === section));
+        return { title: document.title ?? null, blocks };
+    }
+
+    /**
+     * Check that a block's node exists
+     * @param {string|null} nodeId - Node ID
+     * @param {number|null} nodeLevel - 0 for learning_nodes, 1-5 for a level table
+     * @throws {LessonContentValidationError} When the node does not exist
+     */
+    checkNode(nodeId, nodeLevel) {
+        if (nodeId === null || nodeId === undefined) {
+            return;
+        }
+        const node = nodeLevel ? dbManager.getLevelNode(nodeLevel, nodeId) : dbManager.getNode(nodeId);
+        if (!node) {
+            throw new LessonContentValidationError([{ field: 'node_id', message: `is not a level ${nodeLevel || 0} node` }]);
+        }
+    }
+
+    /**
+     * Parse the data column of a stored block
+     * @param {Object} row - Raw lesson_content row
+     * @returns {Object} Block
+     */
+    parseBlock(row) {
+        const { block_type, data, ...block } = row;
+        return { ...block, type: block_type, data: JSON.parse(data || '{}') };
+    }
+
+    /**
+     * Get a lesson's blocks in section order
+     * @param {string} lessonId - Lesson ID
+     * @returns {Array} Blocks
+     */
+    getLessonContent(lessonId) {
+        return dbManager.getLessonContentBlocks({ lessonId }).map(row => this.parseBlock(row));
+    }
+
+    /**
+     * Get the blocks attached to a node, across all lessons
+     * @param {string} nodeId - Node ID
+     * @param {number|null} nodeLevel - Only blocks attached at this level
+     * @returns {Array} Blocks
+     */
+    getNodeContent(nodeId, nodeLevel = null) {
+        return dbManager.getLessonContentBlocks({ nodeId, nodeLevel }).map(row => this.parseBlock(row));
+    }
+
+    /**
+     * Get one block
+     * @param {string} id - Block ID
+     * @returns {Object|null} Block or null if not found
+     */
+    getBlock(id) {
+        const row = dbManager.getLessonContentBlock(id);
+        return row ? this.parseBlock(row) : null;
+    }
+
+    /**
+     * Add a block to a lesson
+     * @param {string} lessonId - Lesson ID (must exist)
+     * @param {Object} block - { type, section, data, position?, node_id?, node_level? }
+     * @param {string} source - 'author' or 'generated'
+     * @returns {Object} Created block
+     * @throws {LessonContentValidationError} When the data or node is invalid
+     */
+    createBlock(lessonId, block, source = 'author') {
+        const errors = this.validateData(block.type, block.data);
+        if (errors.length > 0) {
+            throw new LessonContentValidationError(errors);
+        }
+        const nodeLevel = block.node_id ? block.node_level ?? 0 : null;
+        this.checkNode(block.node_id, nodeLevel);
+
+        const id = this.generateId();
+        dbManager.createLessonContentBlock({
+            id,
+            lesson_id: lessonId,
+            node_id: block.node_id ?? null,
+            node_level: nodeLevel,
+            section: block.section,
+            position: block.position ?? dbManager.getNextLessonContentPosition(lessonId, block.section),
+            block_type: block.type,
+            data: block.data,
+            source
+        });
+        return this.getBlock(id);
+    }
+
+    /**
+     * Update a block; data replaces the block's data and is checked against the (new) type
+     * @param {string} id - Block ID
+     * @param {Object} updates - Any of type, section, position, node_id, node_level, data
+     * @returns {Object|null} Updated block or null if not found
+     * @throws {LessonContentValidationError} When the data or node is invalid
+     */
+    updateBlock(id, updates) {
+        const existing = this.getBlock(id);
+        if (!existing) {
+            return null;
+        }
+
+        const { type, ...columns } = updates;
+        if (type !== undefined || updates.data !== undefined) {
+            const errors = this.validateData(type ?? existing.type, updates.data ?? existing.data);
+            if (errors.length > 0) {
+                throw new LessonContentValidationError(errors);
+            }
+        }
+        if (type !== undefined) {
+            columns.block_type = type;
+        }
+
+        if (updates.node_id !== undefined || updates.node_level !== undefined) {
+            const nodeId = updates.node_id !== undefined ? updates.node_id : existing.node_id;
+            const nodeLevel = nodeId ? (updates.node_level ?? existing.node_level ?? 0) : null;
+            this.checkNode(nodeId, nodeLevel);
+            columns.node_id = nodeId;
+            columns.node_level = nodeLevel;
+        }
+
+        dbManager.updateLessonContentBlock(id, columns);
+        return this.getBlock(id);
+    }
+
+    /**
+     * Delete a block
+     * @param {string} id - Block ID
+     * @returns {boolean} True if a block was deleted
+     */
+    deleteBlock(id) {
+        return dbManager.deleteLessonContentBlock(id).changes > 0;
+    }
+
+    /**
+     * Replace a lesson's generated blocks with a new document's (authored blocks are kept)
+     * @param {Object} lesson - Lesson row
+     * @param {Array} blocks - Validated blocks from parseDocument()
+     * @returns {Array} The lesson's blocks after the change
+     */
+    replaceGeneratedContent(lesson, blocks) {
+        // Attach the blocks to the lesson's node while it still exists (lessons that suggest a new topic have none)
+        const nodeLevel = lesson.node_level ?? 0;
+        const nodeExists = nodeLevel ? dbManager.getLevelNode(nodeLevel, lesson.node_id) : dbManager.getNode(lesson.node_id);
+        const node = nodeExists ? { node_id: lesson.node_id, node_level: nodeLevel } : {};
+
+        dbManager.transaction(() => {
+            dbManager.deleteLessonContent(lesson.id, 'generated');
+            blocks.forEach(block => this.createBlock(lesson.id, { ...block, ...node }, 'generated'));
+        });
+        return this.getLessonContent(lesson.id);
+    }
+
+    /**
+     * Generate unique ID
+     * @returns {string} Unique identifier
+     */
+    generateId() {
+        return `block_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+}
+
+export const lessonContent = new LessonContentModel();
+export default LessonContentModel;
@@ -3,6 +3,8 @@
  * Orchestrates the lesson request workflow and handles lesson completion feedback
  */
 import { BusinessLogicEngine } from './business-logic.js';
+import { dbManager } from './database.js';
+import { lessonContent, LessonContentValidationError, LESSON_OUTPUT_FORMAT } from './lesson-content.js';
 
 export class LessonGenerator {
     constructor(businessLogic = null) {
@@ -25,16 +27,17 @@ export class LessonGenerator {
     /**
      * Request a new lesson using weighted random selection
      * @param {Object} userPreferences - User preferences and settings
+     * @param {string|null} userId - Learner the lesson is for (null for shared node mastery and weights)
      * @returns {Object} Lesson request with selected topic and context
      */
-    async requestLesson(userPreferences = {}) {
+    async requestLesson(userPreferences = {}, userId = null) {
         await this.initialize();
         
         console.log('📚 Requesting new lesson...');
         
         try {
             // Use business logic to generate lesson request
-            const lessonRequest = await this.businessLogic.generateLessonRequest(userPreferences);
+            const lessonRequest = await this.businessLogic.generateLessonRequest(userPreferences, userId);
             
             if (!lessonRequest.success) {
                 return lessonRequest;
@@ -44,7 +47,7 @@ export class LessonGenerator {
             const enhancedRequest = {
                 ...lessonRequest,
                 lessonId: this.generateLessonId(),
-                requestType: 'weighted_random',
+                requestType: lessonRequest.strategy,
                 userPreferences,
                 readyForAI: true,
                 aiPromptContext: this.buildAIPromptContext(lessonRequest)
@@ -69,7 +72,7 @@ export class LessonGenerator {
      * @param {string} nodeId - Node ID of the completed lesson
      * @param {boolean} passed - Whether the lesson was passed
      * @param {number} score - Lesson score (0-100)
-     * @param {Object} additionalData - Additional lesson data
+     * @param {Object} additionalData - Additional lesson data ({ durationSeconds, outcomes: graded answers for the mastery estimate })
      * @returns {Object} Completion feedback result
      */
     async completeLessonFeedback(lessonId, nodeId, passed, score = null, additionalData = {}) {
@@ -78,10 +81,58 @@ export class LessonGenerator {
         console.log(`📝 Processing lesson completion feedback for lesson ${lessonId}...`);
         
         try {
-            // Use business logic to handle lesson completion
-            const completionResult = await this.businessLogic.handleLessonComplete(nodeId, passed, score);
-            
+            // Only lessons that were actually requested can be completed
+            const lesson = dbManager.getLesson(lessonId);
+            if (!lesson) {
+                return {
+                    success: false,
+                    error: 'Lesson not found',
+                    code: 404
+                };
+            }
+
+            const completedNodeId = nodeId || lesson.node_id;
+            if (completedNodeId !== lesson.node_id) {
+                return {
+                    success: false,
+                    error: `Lesson ${lessonId} was issued for node ${lesson.node_id}, not ${completedNodeId}`,
+                    code: 400
+                };
+            }
+
+            const completedAt = new Date().toISOString();
+            const durationSeconds = additionalData.durationSeconds ??
+                Math.max(0, Math.round((Date.parse(completedAt) - Date.parse(lesson.requested_at)) / 1000));
+
+            // Claim the lesson before touching mastery so concurrent completions cannot both apply
+            const claim = dbManager.completeLesson(lessonId, {
+                passed,
+                score,
+                duration_seconds: durationSeconds,
+                completed_at: completedAt
+            });
+            if (claim.changes !== 1) {
+                return {
+                    success: false,
+                    error: 'Lesson already completed',
+                    code: 409
+                };
+            }
+
+            // "Create New Topic" lessons have no node to update mastery or weights on
+            let completionResult;
+            try {
+                completionResult = completedNodeId === 'create_new_topic'
+                    ? { success: true, nodeId: completedNodeId, passed, score, weightUpdates: [], timestamp: completedAt }
+                    : await this.businessLogic.handleLessonComplete(completedNodeId, passed, score, lesson.node_level, lesson.user_id, additionalData.outcomes);
+            } catch (error) {
+                dbManager.reopenLesson(lessonId);
+                throw error;
+            }
+
+            // The updates are asynchronous, so a failed one releases the claim instead of rolling back with it
             if (!completionResult.success) {
+                dbManager.reopenLesson(lessonId);
                 return completionResult;
             }
 
@@ -89,7 +140,8 @@ export class LessonGenerator {
             const enhancedResult = {
                 ...completionResult,
                 lessonId,
-                completionTimestamp: new Date().toISOString(),
+                durationSeconds,
+                completionTimestamp: completedAt,
                 feedback: this.generateFeedback(passed, score),
                 nextRecommendations: this.generateNextRecommendations(completionResult),
                 additionalData
@@ -108,14 +160,221 @@ export class LessonGenerator {
         }
     }
 
+    /**
+     * Persist a generated lesson request so it can later be completed
+     * @param {Object} lessonRequest - Lesson request returned by requestLesson
+     * @param {string} prompt - AI prompt generated for the lesson
+     * @returns {Object} Stored lesson
+     */
+    recordLessonRequest(lessonRequest, prompt = '') {
+        const { selectedTopic, lessonContext } = lessonRequest;
+
+        dbManager.createLesson({
+            id: lessonRequest.lessonId,
+            node_id: selectedTopic.id,
+            node_level: this.businessLogic.getNodeLevel(selectedTopic),
+            node_name: selectedTopic.name,
+            user_id: lessonRequest.userId,
+            lesson_type: lessonContext.lessonType,
+            strategy: lessonRequest.strategy,
+            seed: lessonRequest.seed,
+            selection_path: lessonRequest.selectionPath,
+            prompt,
+            weight_snapshot: lessonRequest.weightSnapshot,
+            user_preferences: lessonRequest.userPreferences,
+            requested_at: lessonRequest.timestamp
+        });
+
+        return this.getLesson(lessonRequest.lessonId);
+    }
+
+    /**
+     * Send a stored lesson's prompt to a language model and store the lesson it writes as content blocks
+     * @param {string} lessonId - Lesson ID
+     * @param {LLMClient} llmClient - Client for the configured provider
+     * @param {Object} options - { regenerate } to replace content that was already generated
+     * @returns {Object} Stored lesson with its raw content and blocks, or an error response (502 when the
+     *   reply does not match the lesson content schema, in which case nothing is stored)
+     */
+    async generateLessonContent(lessonId, llmClient, { regenerate = false } = {}) {
+        const lesson = this.getLesson(lessonId);
+        if (!lesson) {
+            return {
+                success: false,
+                error: 'Lesson not found',
+                code: 404
+            };
+        }
+
+        if (lesson.content && !regenerate) {
+            return {
+                success: false,
+                error: 'Lesson content was already generated; send regenerate: true to replace it',
+                code: 409
+            };
+        }
+
+        if (!lesson.prompt) {
+            return {
+                success: false,
+                error: 'Lesson has no prompt to generate from',
+                code: 400
+            };
+        }
+
+        console.log(`🤖 Generating lesson ${lessonId} with ${llmClient.provider.name}...`);
+        const generated = await llmClient.generate(`${lesson.prompt}\n\n${LESSON_OUTPUT_FORMAT}`);
+
+        let document;
+        try {
+            document = lessonContent.parseDocument(generated.content);
+        } catch (error) {
+            if (!(error instanceof LessonContentValidationError)) {
+                throw error;
+            }
+            console.log(`⚠️ Lesson ${lessonId} from ${generated.provider} does not match the content schema`);
+            return {
+                success: false,
+                error: `${generated.provider} returned lesson content that does not match the schema: ${error.message}`,
+                errors: error.errors,
+                code: 502
+            };
+        }
+
+        const blocks = dbManager.transaction(() => {
+            dbManager.saveLessonContent(lessonId, generated);
+            return lessonContent.replaceGeneratedContent(lesson, document.blocks);
+        });
+        console.log(`✅ Lesson ${lessonId} generated in ${generated.attempts} attempt(s) with ${document.blocks.length} blocks`);
+
+        return {
+            success: true,
+            lesson: this.getLesson(lessonId),
+            blocks,
+            usage: generated.usage
+        };
+    }
+
+    /**
+     * Get a stored lesson by ID
+     * @param {string} lessonId - Lesson ID
+     * @returns {Object|null} Lesson or null if not found
+     */
+    getLesson(lessonId) {
+        const lesson = dbManager.getLesson(lessonId);
+        return lesson ? this.parseLesson(lesson) : null;
+    }
+
+    /**
+     * List stored lessons, most recent first
+     * @param {Object} filters - Optional status, nodeId, strategy, userId and limit filters
+     * @returns {Array} Lessons
+     */
+    getLessons(filters = {}) {
+        return dbManager.getLessons(filters).map(lesson => this.parseLesson(lesson));
+    }
+
+    /**
+     * Parse JSON columns and flags of a stored lesson row
+     * @param {Object} lesson - Raw lesson row
+     * @returns {Object} Parsed lesson
+     */
+    parseLesson(lesson) {
+        return {
+            ...lesson,
+            passed: lesson.passed === null ? null : lesson.passed === 1,
+            weight_snapshot: JSON.parse(lesson.weight_snapshot || '[]'),
+            selection_path: JSON.parse(lesson.selection_path || '[]'),
+            user_preferences: JSON.parse(lesson.user_preferences || '{}')
+        };
+    }
+
+    /**
+     * Replay the selection of a stored lesson against its weight snapshot
+     * @param {string} lessonId - Lesson ID
+     * @param {number|null} seed - Seed override (defaults to the lesson's recorded seed)
+     * @returns {Object} Replay result showing which topic the seed selects and why
+     */
+    async replayLesson(lessonId, seed = null) {
+        await this.initialize();
+
+        try {
+            const lesson = this.getLesson(lessonId);
+            if (!lesson) {
+                return {
+                    success: false,
+                    error: `Lesson ${lessonId} not found`,
+                    code: 404
+                };
+            }
+
+            const replaySeed = seed ?? lesson.seed;
+            if (replaySeed === null || replaySeed === undefined) {
+                return {
+                    success: false,
+                    error: `Lesson ${lessonId} has no recorded seed`,
+                    code: 409
+                };
+            }
+
+            const replay = this.businessLogic.replaySelection({
+                lessonId,
+                weightSnapshot: lesson.weight_snapshot,
+                selectionPath: lesson.selection_path,
+                strategy: lesson.strategy,
+                userPreferences: lesson.user_preferences,
+                seed: replaySeed,
+                userId: lesson.user_id
+            });
+
+            // The replay descends through the same drill-down levels, so it ends on a leaf like the original
+            const originalNodeId = lesson.node_id;
+            const originalNodeName = lesson.node_name;
+
+            console.log(`🔁 Replayed lesson ${lessonId}: ${replay.selectedTopic.name} (originally ${originalNodeName})`);
+            return {
+                success: true,
+                replay: {
+                    lessonId,
+                    originalNodeId,
+                    originalNodeName,
+                    originalSeed: lesson.seed,
+                    matches: replay.selectedTopic.id === originalNodeId,
+                    ...replay
+                }
+            };
+        } catch (error) {
+            console.error('❌ Lesson replay failed:', error);
+            return {
+                success: false,
+                error: error.message,
+                code: 500
+            };
+        }
+    }
+
+    /**
+     * Get topics whose spaced repetition review is due
+     * @param {string} algorithm - Spaced repetition algorithm name
+     * @param {number|null} level - Level to restrict to (null for all levels)
+     * @param {number} limit - Maximum number of items
+     * @param {string|null} userId - Learner whose reviews to list (null for the shared schedule)
+     * @returns {Array} Due items
+     */
+    async getDueLessons(algorithm = null, level = null, limit = 50, userId = null) {
+        await this.initialize();
+        return this.businessLogic.getDueReviews(algorithm, level, limit, userId);
+    }
+
     /**
      * Get current weight distribution for debugging
      * @param {number} level - Level to get weights for (0 for root level)
+     * @param {string|null} userId - Show this user's weights (null for the shared node weights)
      * @returns {Object} Weight distribution information
      */
-    async getWeightDistribution(level = 0) {
+    async getWeightDistribution(level = 0, userId = null) {
         await this.initialize();
-        return await this.businessLogic.getWeightDistribution(level);
+        return await this.businessLogic.getWeightDistribution(level, userId);
     }
 
     /**
@@ -153,7 +412,7 @@ export class LessonGenerator {
             },
             context: {
                 weightStatistics: lessonRequest.weightStatistics,
-                selectionMethod: 'weighted_random',
+                selectionMethod: lessonRequest.strategy,
                 timestamp: lessonRequest.timestamp
             }
         };
@@ -229,6 +488,7 @@ export class LessonGenerator {
         try {
             // Get weight distribution for root level
             const weightDistribution = await this.getWeightDistribution(0);
+            const lessonHistory = dbManager.getLessonHistory();
             
             return {
                 success: true,
@@ -236,6 +496,16 @@ export class LessonGenerator {
                     totalTopics: weightDistribution.statistics?.totalNodes || 0,
                     averageWeight: weightDistribution.statistics?.averageWeight || 100,
                     weightDistribution: weightDistribution.statistics?.weightDistribution || {},
+                    completedLessons: lessonHistory.total_lessons,
+                    passedLessons: lessonHistory.passed_lessons,
+                    averageScore: Math.round(lessonHistory.average_score || 0),
+                    byStrategy: dbManager.getLessonStatisticsByStrategy().map(row => ({
+                        strategy: row.strategy,
+                        requestedLessons: row.requested_lessons,
+                        completedLessons: row.completed_lessons,
+                        passedLessons: row.passed_lessons,
+                        averageScore: row.average_score === null ? null : Math.round(row.average_score)
+                    })),
                     lastUpdated: new Date().toISOString()
                 },
                 message: 'Lesson statistics retrieved successfully'
@@ -252,36 +522,27 @@ export class LessonGenerator {
     /**
      * Reset all weights to default (admin function)
      * @param {number} level - Level to reset (0 for root level)
+     * @param {string|null} userId - User whose weights to reset (null for the shared node weights)
      * @returns {Object} Reset result
      */
-    async resetWeights(level = 0) {
+    async resetWeights(level = 0, userId = null) {
         await this.initialize();
         
         try {
-            // Get current nodes
-            let nodes;
-            if (level === 0) {
-                nodes = await this.businessLogic.manager.getRootNodes();
-            } else {
-                nodes = this.businessLogic.dbManager.getLevelNodes(level);
-            }
-            
-            // Reset all weights to default
-            const resetNodes = nodes.map(node => ({
-                ...node,
-                selection_weight: 100
-            }));
-            
-            // Update weights in database
-            await this.businessLogic.updateNodeWeights(resetNodes);
+            const defaultWeight = this.businessLogic.weightedSelector.defaultWeight;
+            const nodesReset = userId
+                ? dbManager.resetUserWeights(userId, level, defaultWeight)
+                : dbManager.resetAllWeights(level, defaultWeight);
             
-            console.log(`✅ Reset weights for ${resetNodes.length} nodes at level ${level}`);
+            console.log(`✅ Reset weights for ${nodesReset} nodes at level ${level}${userId ? ` for user ${userId}` : ''}`);
             
             return {
                 success: true,
                 level,
-                nodesReset: resetNodes.length,
-                message: `Reset ${resetNodes.length} node weights to default`
+                userId,
+                nodesReset,
+                defaultWeight,
+                message: `Reset ${nodesReset} node weights to default`
             };
         } catch (error) {
             return {
@@ -291,6 +552,64 @@ export class LessonGenerator {
             };
         }
     }
+
+    /**
+     * Manually set the selection weight of a single node
+     * @param {number} level - Level of the node (0 for root level)
+     * @param {string} nodeId - Node ID
+     * @param {number} weight - New selection weight
+     * @param {string|null} userId - User whose weight to set (null for the shared node weight)
+     * @returns {Object} Update result
+     */
+    async setNodeWeight(level, nodeId, weight, userId = null) {
+        await this.initialize();
+        
+        const { minWeight, maxWeight } = this.businessLogic.weightedSelector;
+        if (typeof weight !== 'number' || weight < minWeight || weight > maxWeight) {
+            return {
+                success: false,
+                error: `weight must be a number between ${minWeight} and ${maxWeight}`,
+                code: 400
+            };
+        }
+        
+        let updated;
+        if (userId) {
+            const node = level === 0 ? dbManager.getNode(nodeId) : dbManager.getLevelNode(level, nodeId);
+            const progress = node ? dbManager.getUserProgressEntry(userId, nodeId, level) : null;
+            updated = Boolean(node) && dbManager.updateUserNodeWeight(
+                userId, level, nodeId, progress?.selection_weight ?? node.selection_weight, Math.round(weight), 'manual'
+            );
+        } else {
+            updated = dbManager.updateNodeWeight(level, nodeId, Math.round(weight), 'manual');
+        }
+        if (!updated) {
+            return {
+                success: false,
+                error: 'Node not found',
+                code: 404
+            };
+        }
+        
+        return {
+            success: true,
+            level,
+            nodeId,
+            userId,
+            weight: Math.round(weight),
+            message: 'Node weight updated successfully'
+        };
+    }
+
+    /**
+     * Get the recorded weight changes for a level
+     * @param {number} level - Level of the nodes (0 for root level)
+     * @param {Object} filters - Optional nodeId, reason, userId and limit filters
+     * @returns {Array} Weight history entries
+     */
+    getWeightHistory(level = 0, filters = {}) {
+        return dbManager.getWeightHistory({ ...filters, level });
+    }
 }
 
 export default LessonGenerator;
@@ -0,0 +1,336 @@
+/**
+ * LLM Providers
+ * Send lesson prompts to a language model and return the generated text
+ *
+ * Every provider implements generate(prompt, { signal }) and resolves to { content, model, usage }. The HTTP
+ * providers speak the OpenAI chat completions, Anthropic messages and Ollama generate APIs, so any server that
+ * is compatible with one of them works by pointing baseUrl at it. The mock provider builds a lesson document
+ * (see lesson-content.js) from the prompt alone, with no network and the same output for the same prompt, for
+ * tests and offline use.
+ * LLMClient wraps a provider with a per-attempt timeout and retries with exponential backoff for timeouts,
+ * network errors, 408, 429 and 5xx responses; other failures are returned at once.
+ */
+import fetch from 'node-fetch';
+
+const SYSTEM_PROMPT = 'You write short, accurate micro-lessons. Reply in exactly the format the prompt asks for.';
+
+// Defaults for settings left unset; baseUrl and model fall back to the provider's own defaults
+export const DEFAULT_LLM_SETTINGS = {
+    provider: 'mock',
+    baseUrl: null,
+    model: null,
+    apiKey: null,
+    timeoutMs: 30000,
+    maxRetries: 2,
+    retryDelayMs: 500,
+    temperature: 0.7,
+    maxTokens: 2000
+};
+
+export class LLMProviderError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} options - { status, retryable, timedOut }
+     */
+    constructor(message, { status = null, retryable = false, timedOut = false } = {}) {
+        super(message);
+        this.name = 'LLMProviderError';
+        this.status = status;
+        this.retryable = retryable;
+        this.timedOut = timedOut;
+    }
+}
+
+/**
+ * Shared HTTP handling for the remote providers
+ */
+class HttpProvider {
+    constructor(settings, defaults) {
+        this.baseUrl = (settings.baseUrl || defaults.baseUrl).replace(/\/+$/, '');
+        this.model = settings.model || defaults.model;
+        this.apiKey = settings.apiKey || null;
+        this.temperature = settings.temperature;
+        this.maxTokens = settings.maxTokens;
+    }
+
+    /**
+     * POST JSON and return the parsed response body
+     * @throws {LLMProviderError} On network errors and non-2xx responses
+     */
+    async post(path, body, headers, signal) {
+        let response;
+        try {
+            response = await fetch(`${this.baseUrl}${path}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...headers },
+                body: JSON.stringify(body),
+                signal
+            });
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw error;
+            }
+            throw new LLMProviderError(`${this.name} request failed: ${error.message}`, { retryable: true });
+        }
+
+        const text = await response.text();
+        if (!response.ok) {
+            const retryable = response.status === 408 || response.status === 429 || response.status >= 500;
+            throw new LLMProviderError(
+                `${this.name} returned ${response.status}: ${text.slice(0, 200)}`,
+                { status: response.status, retryable }
+            );
+        }
+
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new LLMProviderError(`${this.name} returned a response that is not JSON`);
+        }
+    }
+
+    /**
+     * Require generated text in a response
+     */
+    requireContent(content) {
+        if (typeof content !== 'string' || !content.trim()) {
+            throw new LLMProviderError(`${this.name} returned no lesson content`);
+        }
+        return content;
+    }
+}
+
+/**
+ * OpenAI-compatible chat completions (POST {baseUrl}/chat/completions)
+ */
+export class OpenAICompatibleProvider extends HttpProvider {
+    constructor(settings = {}) {
+        super(settings, { baseUrl: 'https://api.openai.com/v1', model: 'gpt-4o-mini' });
+        this.name = 'openai';
+    }
+
+    async generate(prompt, { signal } = {}) {
+        const result = await this.post('/chat/completions', {
+            model: this.model,
+            messages: [
+                { role: 'system', content: SYSTEM_PROMPT },
+                { role: 'user', content: prompt }
+            ],
+            temperature: this.temperature,
+            max_tokens: this.maxTokens
+        }, this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}, signal);
+
+        return {
+            content: this.requireContent(result.choices?.[0]?.message?.content),
+            model: result.model || this.model,
+            usage: result.usage
+                ? { inputTokens: result.usage.prompt_tokens ?? null, outputTokens: result.usage.completion_tokens ?? null }
+                : null
+        };
+    }
+}
+
+/**
+ * Anthropic-compatible messages (POST {baseUrl}/v1/messages)
+ */
+export class AnthropicCompatibleProvider extends HttpProvider {
+    constructor(settings = {}) {
+        super(settings, { baseUrl: 'https://api.anthropic.com', model: 'claude-3-5-haiku-latest' });
+        this.name = 'anthropic';
+    }
+
+    async generate(prompt, { signal } = {}) {
+        const headers = { 'anthropic-version': '2023-06-01' };
+        if (this.apiKey) {
+            headers['x-api-key'] = this.apiKey;
+        }
+        const result = await this.post('/v1/messages', {
+            model: this.model,
+            system: SYSTEM_PROMPT,
+            messages: [{ role: 'user', content: prompt }],
+            temperature: this.temperature,
+            max_tokens: this.maxTokens
+        }, headers, signal);
+
+        const text = (result.content || [])
+            .filter(block => block.type === 'text')
+            .map(block => block.text)
+            .join('');
+        return {
+            content: this.requireContent(text),
+            model: result.model || this.model,
+            usage: result.usage
+                ? { inputTokens: result.usage.input_tokens ?? null, outputTokens: result.usage.output_tokens ?? null }
+                : null
+        };
+    }
+}
+
+/**
+ * Local Ollama-style generate endpoint (POST {baseUrl}/api/generate)
+ */
+export class OllamaProvider extends HttpProvider {
+    constructor(settings = {}) {
+        super(settings, { baseUrl: 'http://localhost:11434', model: 'llama3' });
+        this.name = 'ollama';
+    }
+
+    async generate(prompt, { signal } = {}) {
+        const result = await this.post('/api/generate', {
+            model: this.model,
+            system: SYSTEM_PROMPT,
+            prompt,
+            stream: false,
+            options: { temperature: this.temperature, num_predict: this.maxTokens }
+        }, {}, signal);
+
+        return {
+            content: this.requireContent(result.response),
+            model: result.model || this.model,
+            usage: result.prompt_eval_count !== undefined
+                ? { inputTokens: result.prompt_eval_count, outputTokens: result.eval_count ?? null }
+                : null
+        };
+    }
+}
+
+/**
+ * Offline provider: writes a fixed-structure lesson document about the prompt's topic
+ */
+export class MockProvider {
+    constructor(settings = {}) {
+        this.name = 'mock';
+        this.model = settings.model || 'mock-lesson-v1';
+    }
+
+    async generate(prompt) {
+        const topic = /\*\*Topic\*\*:\s*(.+)/.exec(prompt)?.[1].trim() || 'New Topic';
+        const lessonType = /\*\*Lesson Type\*\*:\s*(.+)/.exec(prompt)?.[1].trim() || 'lesson';
+
+        const document = {
+            title: topic,
+            blocks: [
+                { section: 'introduction', type: 'markdown', data: { text: `This ${lessonType} introduces ${topic} and why it matters.` } },
+                { section: 'core_content', type: 'markdown', data: { text: `- The key idea behind ${topic}\n- How ${topic} connects to what you already know` } },
+                {
+                    section: 'core_content',
+                    type: 'worked_example',
+                    data: {
+                        problem: `Apply ${topic} to a simple case.`,
+                        steps: [`Recall the key idea behind ${topic}.`, 'Apply it to the case step by step.'],
+                        answer: `The case follows from ${topic}.`
+                    }
+                },
+                {
+                    section: 'practice',
+                    type: 'multiple_choice',
+                    data: {
+                        question: `Which statement about ${topic} is true?`,
+                        options: [`It is the key idea of this lesson`, `It is unrelated to this lesson`],
+                        correct_index: 0,
+                        explanation: `This lesson is about ${topic}.`
+                    }
+                },
+                { section: 'practice', type: 'free_response', data: { question: `Explain ${topic} in your own words.`, sample_answer: null, rubric: null } },
+                { section: 'summary', type: 'flashcard', data: { front: topic, back: `The key idea behind ${topic}` } },
+                { section: 'summary', type: 'markdown', data: { text: `You reviewed the essentials of ${topic}.` } }
+            ]
+        };
+        const content = JSON.stringify(document);
+
+        return {
+            content,
+            model: this.model,
+            usage: { inputTokens: prompt.split(/\s+/).length, outputTokens: content.split(/\s+/).length }
+        };
+    }
+}
+
+export const LLM_PROVIDERS = {
+    mock: MockProvider,
+    openai: OpenAICompatibleProvider,
+    anthropic: AnthropicCompatibleProvider,
+    ollama: OllamaProvider
+};
+
+/**
+ * Read LLM settings from environment variables (unset variables are left out)
+ * @param {Object} env - Environment (process.env)
+ * @returns {Object} Settings overrides
+ */
+export function llmSettingsFromEnv(env = process.env) {
+    const settings = {
+        provider: env.LLM_PROVIDER,
+        baseUrl: env.LLM_BASE_URL,
+        model: env.LLM_MODEL,
+        apiKey: env.LLM_API_KEY,
+        timeoutMs: env.LLM_TIMEOUT_MS !== undefined ? Number(env.LLM_TIMEOUT_MS) : undefined,
+        maxRetries: env.LLM_MAX_RETRIES !== undefined ? Number(env.LLM_MAX_RETRIES) : undefined
+    };
+    return Object.fromEntries(Object.entries(settings).filter(([, value]) => value !== undefined && value !== ''));
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+export class LLMClient {
+    /**
+     * @param {Object} settings - LLM settings (see DEFAULT_LLM_SETTINGS)
+     */
+    constructor(settings = {}) {
+        this.settings = { ...DEFAULT_LLM_SETTINGS, ...settings };
+        const Provider = LLM_PROVIDERS[this.settings.provider];
+        if (!Provider) {
+            throw new Error(`Unknown LLM provider: ${this.settings.provider}. Available: ${Object.keys(LLM_PROVIDERS).join(', ')}`);
+        }
+        this.provider = new Provider(this.settings);
+    }
+
+    /**
+     * Run one attempt, aborting it when it exceeds the timeout
+     */
+    async attempt(prompt) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.settings.timeoutMs);
+        try {
+            return await this.provider.generate(prompt, { signal: controller.signal });
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new LLMProviderError(
+                    `${this.provider.name} did not respond within ${this.settings.timeoutMs}ms`,
+                    { retryable: true, timedOut: true }
+                );
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Generate text for a prompt, retrying transient failures
+     * @param {string} prompt - Prompt to send
+     * @returns {Object} { content, provider, model, usage, attempts }
+     * @throws {LLMProviderError} When every attempt failed (error.attempts says how many were made)
+     */
+    async generate(prompt) {
+        const maxAttempts = this.settings.maxRetries + 1;
+        for (let attempt = 1; ; attempt++) {
+            try {
+                const result = await this.attempt(prompt);
+                return { ...result, provider: this.provider.name, attempts: attempt };
+            } catch (error) {
+                const failure = error instanceof LLMProviderError
+                    ? error
+                    : new LLMProviderError(`${this.provider.name} failed: ${error.message}`);
+                if (!failure.retryable || attempt >= maxAttempts) {
+                    failure.attempts = attempt;
+                    throw failure;
+                }
+                console.log(`⚠️ LLM attempt ${attempt} failed (${failure.message}), retrying...`);
+                await sleep(this.settings.retryDelayMs * 2 ** (attempt - 1));
+            }
+        }
+    }
+}
+
+export default LLMClient;
@@ -4,6 +4,13 @@
  */
 import { LearningNodeSchema } from './schema.js';
 import { dbManager } from './database.js';
+import { fullTextSearch } from './search.js';
+import { nodeEmbeddings } from './embeddings.js';
+
+// Columns updateNode may write: the schema's fields minus the ones the database owns
+const UPDATABLE_COLUMNS = Object.keys(LearningNodeSchema)
+    .filter(key => !['id', 'created_at', 'updated_at'].includes(key))
+    .concat('selection_weight');
 
 export class LearningNodeManager {
     constructor() {
@@ -59,6 +66,7 @@ export class LearningNodeManager {
             node.notes, node.parent_id, node.node_type, node.metadata,
             node.created_at, node.updated_at
         ]);
+        nodeEmbeddings.indexNode(0, node.id);
 
         // Parse metadata back to object for return
         node.metadata = JSON.parse(node.metadata);
@@ -113,6 +121,23 @@ export class LearningNodeManager {
         }));
     }
 
+    /**
+     * Get one page of legacy nodes
+     * @param {Object} options - Paging options from Paginator.parse (where, params, sort, limit, after) and key
+     * @returns {Object} { rows, total, hasMore } with metadata parsed
+     */
+    async getNodesPage(options) {
+        await this.initialize();
+        const page = dbManager.queryPage('learning_nodes', options);
+        return {
+            ...page,
+            rows: page.rows.map(node => ({
+                ...node,
+                metadata: JSON.parse(node.metadata || '{}')
+            }))
+        };
+    }
+
     /**
      * Update a node
      * @param {string} id - Node ID
@@ -131,13 +156,17 @@ export class LearningNodeManager {
         const updateValues = [];
         
         Object.keys(updates).forEach(key => {
-            if (key !== 'id' && key !== 'created_at') {
-                updateFields.push(`${key} = ?`);
-                if (key === 'metadata') {
-                    updateValues.push(JSON.stringify(updates[key]));
-                } else {
-                    updateValues.push(updates[key]);
-                }
+            if (key === 'id' || key === 'created_at' || key === 'updated_at') {
+                return;
+            }
+            if (!UPDATABLE_COLUMNS.includes(key)) {
+                throw new Error(`Cannot update node column: ${key}`);
+            }
+            updateFields.push(`${key} = ?`);
+            if (key === 'metadata') {
+                updateValues.push(JSON.stringify(updates[key]));
+            } else {
+                updateValues.push(updates[key]);
             }
         });
         
@@ -148,6 +177,7 @@ export class LearningNodeManager {
 
         const sql = `UPDATE learning_nodes SET ${updateFields.join(', ')} WHERE id = ?`;
         dbManager.execute(sql, updateValues);
+        nodeEmbeddings.indexNode(0, id);
 
         // Return updated node
         return await this.getNode(id);
@@ -203,13 +233,13 @@ export class LearningNodeManager {
     }
 
     /**
-     * Search nodes by name or notes
+     * Search nodes by name or notes (full-text, best match first)
      * @param {string} query - Search query
      * @returns {Array} Matching nodes
      */
     async searchNodes(query) {
         await this.initialize();
-        const results = dbManager.searchNodes(query);
+        const results = fullTextSearch.searchLevel(0, query);
         
         // Parse metadata for each result
         return results.map(node => ({
@@ -305,9 +335,6 @@ export class LearningNodeManager {
             // Start transaction for atomic import
             const trans = dbManager.db.transaction(() => {
                 // Clear existing data
-                dbManager.execute('DELETE FROM ai_decisions');
-                dbManager.execute('DELETE FROM learning_path_history');
-                dbManager.execute('DELETE FROM ai_metadata');
                 dbManager.execute('DELETE FROM learning_nodes');
 
                 // Import nodes
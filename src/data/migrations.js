@@ -507,4 +507,780 @@ migrationManager.registerMigration(
     }
 );
 
+// Migration 10: Persist lesson lifecycle
+migrationManager.registerMigration(
+    10,
+    'Create lessons table for lesson request and completion history',
+    async (db) => {
+        const createLessonsTable = `
+            CREATE TABLE IF NOT EXISTS lessons (
+                id TEXT PRIMARY KEY,
+                node_id TEXT NOT NULL,
+                node_level INTEGER DEFAULT 0,
+                node_name TEXT NOT NULL,
+                status TEXT DEFAULT 'requested' CHECK(status IN ('requested', 'completed')),
+                lesson_type TEXT,
+                prompt TEXT DEFAULT '',
+                weight_snapshot TEXT DEFAULT '[]',
+                user_preferences TEXT DEFAULT '{}',
+                passed INTEGER NULL,
+                score INTEGER NULL CHECK(score IS NULL OR (score >= 0 AND score <= 100)),
+                duration_seconds INTEGER NULL,
+                requested_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                completed_at DATETIME NULL
+            )
+        `;
+
+        db.execute(createLessonsTable);
+        db.execute('CREATE INDEX IF NOT EXISTS idx_lessons_node_id ON lessons(node_id)');
+        db.execute('CREATE INDEX IF NOT EXISTS idx_lessons_status ON lessons(status)');
+        db.execute('CREATE INDEX IF NOT EXISTS idx_lessons_requested_at ON lessons(requested_at)');
+        console.log('✅ Created lessons table');
+    },
+    async (db) => {
+        db.execute('DROP INDEX IF EXISTS idx_lessons_node_id');
+        db.execute('DROP INDEX IF EXISTS idx_lessons_status');
+        db.execute('DROP INDEX IF EXISTS idx_lessons_requested_at');
+        db.execute('DROP TABLE IF EXISTS lessons');
+    }
+);
+
+// Migration 11: Selection weights and weight history
+migrationManager.registerMigration(
+    11,
+    'Add selection_weight column and weight history table',
+    async (db) => {
+        const weightedTables = ['learning_nodes'];
+        for (let level = 1; level <= 5; level++) {
+            weightedTables.push(`level_${level}_nodes`);
+        }
+
+        // Only add the column where it is missing so manually patched databases still migrate
+        weightedTables.forEach(table => {
+            const columns = db.query(`PRAGMA table_info(${table})`);
+            if (!columns.some(column => column.name === 'selection_weight')) {
+                db.execute(`ALTER TABLE ${table} ADD COLUMN selection_weight INTEGER DEFAULT 100`);
+            }
+        });
+
+        const createWeightHistoryTable = `
+            CREATE TABLE IF NOT EXISTS weight_history (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                node_id TEXT NOT NULL,
+                level INTEGER NOT NULL CHECK(level >= 0 AND level <= 5),
+                old_weight INTEGER,
+                new_weight INTEGER NOT NULL,
+                reason TEXT NOT NULL CHECK(reason IN ('completion', 'reset', 'manual')),
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `;
+
+        db.execute(createWeightHistoryTable);
+        db.execute('CREATE INDEX IF NOT EXISTS idx_weight_history_node_id ON weight_history(node_id)');
+        db.execute('CREATE INDEX IF NOT EXISTS idx_weight_history_level ON weight_history(level)');
+        console.log('✅ Added selection weights and weight history');
+    },
+    async (db) => {
+        db.execute('DROP INDEX IF EXISTS idx_weight_history_node_id');
+        db.execute('DROP INDEX IF EXISTS idx_weight_history_level');
+        db.execute('DROP TABLE IF EXISTS weight_history');
+
+        const weightedTables = ['learning_nodes'];
+        for (let level = 1; level <= 5; level++) {
+            weightedTables.push(`level_${level}_nodes`);
+        }
+
+        weightedTables.forEach(table => {
+            db.execute(`ALTER TABLE ${table} DROP COLUMN selection_weight`);
+        });
+    }
+);
+
+// Migration 12: Spaced repetition review state
+migrationManager.registerMigration(
+    12,
+    'Create review schedule table for spaced repetition',
+    async (db) => {
+        const createReviewScheduleTable = `
+            CREATE TABLE IF NOT EXISTS review_schedule (
+                id TEXT PRIMARY KEY,
+                node_id TEXT NOT NULL,
+                level INTEGER NOT NULL DEFAULT 0 CHECK(level >= 0 AND level <= 5),
+                algorithm TEXT NOT NULL,
+                ease_factor REAL,
+                interval_days REAL DEFAULT 0,
+                repetitions INTEGER DEFAULT 0,
+                stability REAL,
+                difficulty REAL,
+                lapses INTEGER DEFAULT 0,
+                last_reviewed DATETIME,
+                due_date DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                
+                UNIQUE(node_id, level, algorithm)
+            )
+        `;
+
+        db.execute(createReviewScheduleTable);
+        db.execute('CREATE INDEX IF NOT EXISTS idx_review_schedule_due ON review_schedule(algorithm, due_date)');
+        console.log('✅ Created review schedule table');
+    },
+    async (db) => {
+        db.execute('DROP INDEX IF EXISTS idx_review_schedule_due');
+        db.execute('DROP TABLE IF EXISTS review_schedule');
+    }
+);
+
+// Migration 13: Record which selection strategy picked each lesson
+migrationManager.registerMigration(
+    13,
+    'Add selection strategy to lessons',
+    async (db) => {
+        db.execute('ALTER TABLE lessons ADD COLUMN strategy TEXT');
+        db.execute('CREATE INDEX IF NOT EXISTS idx_lessons_strategy ON lessons(strategy)');
+        console.log('✅ Added selection strategy to lessons');
+    },
+    async (db) => {
+        db.execute('DROP INDEX IF EXISTS idx_lessons_strategy');
+        db.execute('ALTER TABLE lessons DROP COLUMN strategy');
+    }
+);
+
+// Migration 14: Record the PRNG seed used to select each lesson
+migrationManager.registerMigration(
+    14,
+    'Add selection seed to lessons',
+    async (db) => {
+        db.execute('ALTER TABLE lessons ADD COLUMN seed INTEGER');
+        console.log('✅ Added selection seed to lessons');
+    },
+    async (db) => {
+        db.execute('ALTER TABLE lessons DROP COLUMN seed');
+    }
+);
+
+// Migration 15: Record the hierarchical drill-down path of each lesson
+migrationManager.registerMigration(
+    15,
+    'Add selection path to lessons',
+    async (db) => {
+        db.execute(`ALTER TABLE lessons ADD COLUMN selection_path TEXT DEFAULT '[]'`);
+        console.log('✅ Added selection path to lessons');
+    },
+    async (db) => {
+        db.execute('ALTER TABLE lessons DROP COLUMN selection_path');
+    }
+);
+
+/**
+ * Rebuild a level table so parent_id references another table
+ * SQLite cannot alter foreign keys, so the table is recreated and copied. Parent links that do not
+ * exist in the new parent table are cleared.
+ * @param {Object} db - Database manager
+ * @param {number} level - Level to rebuild (1-5)
+ * @param {string} parentTable - Table that parent_id should reference
+ */
+function rebuildLevelTable(db, level, parentTable) {
+    const table = `level_${level}_nodes`;
+    const columns = 'id, name, content, mastery_percentage, last_practiced, notes, parent_id, node_type, metadata, selection_weight, created_at, updated_at';
+
+    db.execute(`
+        CREATE TABLE ${table}_rebuild (
+            id TEXT PRIMARY KEY,
+            name TEXT NOT NULL,
+            content TEXT DEFAULT '',
+            mastery_percentage INTEGER DEFAULT 0 CHECK(mastery_percentage >= 0 AND mastery_percentage <= 100),
+            last_practiced DATETIME,
+            notes TEXT DEFAULT '',
+            parent_id TEXT NULL,
+            node_type TEXT DEFAULT 'concept',
+            metadata TEXT DEFAULT '{}',
+            selection_weight INTEGER DEFAULT 100,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            
+            FOREIGN KEY (parent_id) REFERENCES ${parentTable}(id) ON DELETE CASCADE
+        )
+    `);
+
+    const orphaned = db.queryOne(`
+        SELECT COUNT(*) as count FROM ${table}
+        WHERE parent_id IS NOT NULL AND parent_id NOT IN (SELECT id FROM ${parentTable})
+    `).count;
+    if (orphaned > 0) {
+        console.log(`⚠️  Clearing ${orphaned} parent links in ${table} that do not exist in ${parentTable}`);
+    }
+
+    db.execute(`
+        INSERT INTO ${table}_rebuild (${columns})
+        SELECT id, name, content, mastery_percentage, last_practiced, notes,
+               CASE WHEN parent_id IN (SELECT id FROM ${parentTable}) THEN parent_id ELSE NULL END,
+               node_type, metadata, selection_weight, created_at, updated_at
+        FROM ${table}
+    `);
+    db.execute(`DROP TABLE ${table}`);
+    db.execute(`ALTER TABLE ${table}_rebuild RENAME TO ${table}`);
+
+    db.execute(`CREATE INDEX IF NOT EXISTS idx_level_${level}_parent_id ON ${table}(parent_id)`);
+    db.execute(`CREATE INDEX IF NOT EXISTS idx_level_${level}_name ON ${table}(name)`);
+    db.execute(`CREATE INDEX IF NOT EXISTS idx_level_${level}_mastery ON ${table}(mastery_percentage)`);
+    db.execute(`CREATE INDEX IF NOT EXISTS idx_level_${level}_created_at ON ${table}(created_at)`);
+}
+
+// Migration 16: Level N parent_id references level N-1
+migrationManager.registerMigration(
+    16,
+    'Link level table parents to the level above',
+    async (db) => {
+        // Foreign keys must be off while tables are swapped, and the pragma cannot change inside a transaction
+        db.db.pragma('foreign_keys = OFF');
+        try {
+            db.transaction(() => {
+                for (let level = 2; level <= 5; level++) {
+                    rebuildLevelTable(db, level, `level_${level - 1}_nodes`);
+                }
+            });
+        } finally {
+            db.db.pragma('foreign_keys = ON');
+        }
+        console.log('✅ Linked level table parents to the level above');
+    },
+    async (db) => {
+        // The old schema links parents within the same table, so rolling back would drop every cross-level link
+        for (let level = 2; level <= 5; level++) {
+            const linked = db.queryOne(`
+                SELECT COUNT(*) as count FROM level_${level}_nodes
+                WHERE parent_id IS NOT NULL AND parent_id NOT IN (SELECT id FROM level_${level}_nodes)
+            `).count;
+            if (linked > 0) {
+                throw new Error(`Cannot roll back: ${linked} nodes in level_${level}_nodes have a parent in level_${level - 1}_nodes, and the old schema would clear those links`);
+            }
+        }
+
+        db.db.pragma('foreign_keys = OFF');
+        try {
+            db.transaction(() => {
+                for (let level = 5; level >= 2; level--) {
+                    rebuildLevelTable(db, level, `level_${level}_nodes`);
+                }
+            });
+        } finally {
+            db.db.pragma('foreign_keys = ON');
+        }
+    }
+);
+
+// Migration 17: Track legacy nodes moved into level tables so a batch can be reverted
+migrationManager.registerMigration(
+    17,
+    'Create legacy level moves table',
+    async (db) => {
+        const createLegacyLevelMovesTable = `
+            CREATE TABLE IF NOT EXISTS legacy_level_moves (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                batch_id TEXT NOT NULL,
+                node_id TEXT NOT NULL,
+                level INTEGER NOT NULL CHECK(level >= 1 AND level <= 5),
+                parent_id TEXT NULL,
+                moved_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                reverted_at DATETIME NULL
+            )
+        `;
+
+        db.execute(createLegacyLevelMovesTable);
+        db.execute('CREATE INDEX IF NOT EXISTS idx_legacy_level_moves_batch ON legacy_level_moves(batch_id)');
+        console.log('✅ Created legacy level moves table');
+    },
+    async (db) => {
+        db.execute('DROP INDEX IF EXISTS idx_legacy_level_moves_batch');
+        db.execute('DROP TABLE IF EXISTS legacy_level_moves');
+    }
+);
+
+/**
+ * Rebuild user_progress with either the per-user selection schema or the original schema
+ * The per-user schema allows level 0 (legacy nodes), a NULL mastery (use the node's value) and a per-user
+ * selection_weight. Rolling back drops legacy rows and defaults missing mastery to 0.
+ * @param {Object} db - Database manager
+ * @param {boolean} perUser - Whether to build the per-user schema
+ */
+function rebuildUserProgressTable(db, perUser) {
+    db.execute(`
+        CREATE TABLE user_progress_rebuild (
+            id TEXT PRIMARY KEY,
+            user_id TEXT NOT NULL,
+            node_id TEXT NOT NULL,
+            level INTEGER NOT NULL CHECK(level >= ${perUser ? 0 : 1} AND level <= 5),
+            mastery_percentage INTEGER ${perUser ? 'NULL' : 'DEFAULT 0'} CHECK(mastery_percentage >= 0 AND mastery_percentage <= 100),
+            last_practiced DATETIME,
+            notes TEXT DEFAULT '',
+            ${perUser ? 'selection_weight INTEGER NULL,' : ''}
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+            UNIQUE(user_id, node_id, level)
+        )
+    `);
+
+    const columns = 'id, user_id, node_id, level, mastery_percentage, last_practiced, notes, created_at, updated_at';
+    db.execute(perUser
+        ? `INSERT INTO user_progress_rebuild (${columns}) SELECT ${columns} FROM user_progress`
+        : `INSERT INTO user_progress_rebuild (${columns})
+           SELECT id, user_id, node_id, level, COALESCE(mastery_percentage, 0), last_practiced, notes, created_at, updated_at
+           FROM user_progress WHERE level >= 1`);
+    db.execute('DROP TABLE user_progress');
+    db.execute('ALTER TABLE user_progress_rebuild RENAME TO user_progress');
+
+    db.execute('CREATE INDEX IF NOT EXISTS idx_user_progress_user_id ON user_progress(user_id)');
+    db.execute('CREATE INDEX IF NOT EXISTS idx_user_progress_node_id ON user_progress(node_id)');
+    db.execute('CREATE INDEX IF NOT EXISTS idx_user_progress_level ON user_progress(level)');
+    db.execute('CREATE INDEX IF NOT EXISTS idx_user_progress_mastery ON user_progress(mastery_percentage)');
+}
+
+// Migration 18: Per-user mastery and selection weights
+migrationManager.registerMigration(
+    18,
+    'Add per-user mastery and selection weights',
+    async (db) => {
+        db.transaction(() => {
+            rebuildUserProgressTable(db, true);
+            db.execute('ALTER TABLE lessons ADD COLUMN user_id TEXT');
+            db.execute('CREATE INDEX IF NOT EXISTS idx_lessons_user_id ON lessons(user_id)');
+            db.execute('ALTER TABLE weight_history ADD COLUMN user_id TEXT');
+        });
+        console.log('✅ Added per-user mastery and selection weights');
+    },
+    async (db) => {
+        db.transaction(() => {
+            // Per-user weight changes have no meaning once weights are shared again
+            db.execute('DELETE FROM weight_history WHERE user_id IS NOT NULL');
+            db.execute('ALTER TABLE weight_history DROP COLUMN user_id');
+            db.execute('DROP INDEX IF EXISTS idx_lessons_user_id');
+            db.execute('ALTER TABLE lessons DROP COLUMN user_id');
+            rebuildUserProgressTable(db, false);
+        });
+    }
+);
+
+// Migration 19: Passwords and token sessions
+migrationManager.registerMigration(
+    19,
+    'Add user passwords and auth sessions',
+    async (db) => {
+        const createAuthSessionsTable = `
+            CREATE TABLE IF NOT EXISTS auth_sessions (
+                id TEXT PRIMARY KEY,
+                user_id TEXT NOT NULL,
+                refresh_token_hash TEXT NOT NULL UNIQUE,
+                expires_at DATETIME NOT NULL,
+                refreshed_at DATETIME,
+                revoked_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            )
+        `;
+
+        db.execute('ALTER TABLE users ADD COLUMN password_hash TEXT');
+        db.execute(createAuthSessionsTable);
+        db.execute('CREATE INDEX IF NOT EXISTS idx_auth_sessions_user_id ON auth_sessions(user_id)');
+        console.log('✅ Added user passwords and auth sessions');
+    },
+    async (db) => {
+        db.execute('DROP INDEX IF EXISTS idx_auth_sessions_user_id');
+        db.execute('DROP TABLE IF EXISTS auth_sessions');
+        db.execute('ALTER TABLE users DROP COLUMN password_hash');
+    }
+);
+
+// Migration 20: User roles
+migrationManager.registerMigration(
+    20,
+    'Add user roles',
+    async (db) => {
+        db.execute(`ALTER TABLE users ADD COLUMN role TEXT NOT NULL DEFAULT 'learner' CHECK (role IN ('admin', 'author', 'learner'))`);
+        
+        // The earliest account administers an existing install; everyone else starts as a learner
+        db.execute(`
+            UPDATE users SET role = 'admin'
+            WHERE id = (SELECT id FROM users ORDER BY created_at ASC, rowid ASC LIMIT 1)
+        `);
+        console.log('✅ Added user roles');
+    },
+    async (db) => {
+        db.execute('ALTER TABLE users DROP COLUMN role');
+    }
+);
+
+// Migration 21: Indexes for sorting and filtering node lists
+migrationManager.registerMigration(
+    21,
+    'Index node types and update times for paginated lists',
+    async (db) => {
+        db.execute('CREATE INDEX IF NOT EXISTS idx_nodes_node_type ON learning_nodes(node_type)');
+        db.execute('CREATE INDEX IF NOT EXISTS idx_nodes_updated_at ON learning_nodes(updated_at)');
+        for (let level = 1; level <= 5; level++) {
+            db.execute(`CREATE INDEX IF NOT EXISTS idx_level_${level}_node_type ON level_${level}_nodes(node_type)`);
+            db.execute(`CREATE INDEX IF NOT EXISTS idx_level_${level}_updated_at ON level_${level}_nodes(updated_at)`);
+        }
+        console.log('✅ Added node type and update time indexes');
+    },
+    async (db) => {
+        db.execute('DROP INDEX IF EXISTS idx_nodes_updated_at');
+        for (let level = 1; level <= 5; level++) {
+            db.execute(`DROP INDEX IF EXISTS idx_level_${level}_node_type`);
+            db.execute(`DROP INDEX IF EXISTS idx_level_${level}_updated_at`);
+        }
+    }
+);
+
+/**
+ * Create an external-content FTS5 index for a table and the triggers that keep it in sync
+ * The index reads rows by rowid; a migration that rebuilds the table must recreate the triggers and rebuild the index
+ */
+function createSearchIndex(db, table, columns) {
+    const index = `${table}_fts`;
+    const list = columns.join(', ');
+    const values = prefix => columns.map(column => `${prefix}.${column}`).join(', ');
+
+    db.execute(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS ${index} USING fts5(
+            ${list}, content='${table}', content_rowid='rowid', tokenize='unicode61 remove_diacritics 2'
+        )
+    `);
+    db.execute(`
+        CREATE TRIGGER IF NOT EXISTS ${index}_insert AFTER INSERT ON ${table} BEGIN
+            INSERT INTO ${index} (rowid, ${list}) VALUES (new.rowid, ${values('new')});
+        END
+    `);
+    db.execute(`
+        CREATE TRIGGER IF NOT EXISTS ${index}_delete AFTER DELETE ON ${table} BEGIN
+            INSERT INTO ${index} (${index}, rowid, ${list}) VALUES ('delete', old.rowid, ${values('old')});
+        END
+    `);
+    db.execute(`
+        CREATE TRIGGER IF NOT EXISTS ${index}_update AFTER UPDATE OF ${list} ON ${table} BEGIN
+            INSERT INTO ${index} (${index}, rowid, ${list}) VALUES ('delete', old.rowid, ${values('old')});
+            INSERT INTO ${index} (rowid, ${list}) VALUES (new.rowid, ${values('new')});
+        END
+    `);
+    db.execute(`INSERT INTO ${index} (${index}) VALUES ('rebuild')`);
+}
+
+function dropSearchIndex(db, table) {
+    const index = `${table}_fts`;
+    ['insert', 'delete', 'update'].forEach(event => db.execute(`DROP TRIGGER IF EXISTS ${index}_${event}`));
+    db.execute(`DROP TABLE IF EXISTS ${index}`);
+}
+
+// Migration 22: Full-text search
+migrationManager.registerMigration(
+    22,
+    'Add FTS5 full-text search indexes for nodes',
+    async (db) => {
+        db.transaction(() => {
+            createSearchIndex(db, 'learning_nodes', ['name', 'notes']);
+            for (let level = 1; level <= 5; level++) {
+                createSearchIndex(db, `level_${level}_nodes`, ['name', 'content', 'notes']);
+            }
+        });
+        console.log('✅ Added full-text search indexes');
+    },
+    async (db) => {
+        dropSearchIndex(db, 'learning_nodes');
+        for (let level = 1; level <= 5; level++) {
+            dropSearchIndex(db, `level_${level}_nodes`);
+        }
+    }
+);
+
+// Node tables by level (0 = learning_nodes)
+const EMBEDDED_TABLES = ['learning_nodes', 'level_1_nodes', 'level_2_nodes', 'level_3_nodes', 'level_4_nodes', 'level_5_nodes'];
+
+// Migration 23: Node embeddings for related topics
+migrationManager.registerMigration(
+    23,
+    'Add node embeddings for related topics',
+    async (db) => {
+        db.transaction(() => {
+            db.execute(`
+                CREATE TABLE IF NOT EXISTS node_embeddings (
+                    level INTEGER NOT NULL CHECK (level BETWEEN 0 AND 5),
+                    node_id TEXT NOT NULL,
+                    text_hash TEXT NOT NULL,
+                    vector BLOB NOT NULL,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    PRIMARY KEY (level, node_id)
+                )
+            `);
+
+            // Vectors are computed in JS, but deleting a node (or cascading to its children) drops its vector here
+            EMBEDDED_TABLES.forEach((table, level) => {
+                db.execute(`
+                    CREATE TRIGGER IF NOT EXISTS ${table}_embedding_delete AFTER DELETE ON ${table} BEGIN
+                        DELETE FROM node_embeddings WHERE level = ${level} AND node_id = old.id;
+                    END
+                `);
+            });
+        });
+        console.log('✅ Added node embeddings table');
+    },
+    async (db) => {
+        EMBEDDED_TABLES.forEach(table => db.execute(`DROP TRIGGER IF EXISTS ${table}_embedding_delete`));
+        db.execute('DROP TABLE IF EXISTS node_embeddings');
+    }
+);
+
+// Migration 24: Server settings and generated lesson content
+migrationManager.registerMigration(
+    24,
+    'Add settings and generated lesson content',
+    async (db) => {
+        db.transaction(() => {
+            db.execute(`
+                CREATE TABLE IF NOT EXISTS settings (
+                    key TEXT PRIMARY KEY,
+                    value TEXT NOT NULL DEFAULT '{}',
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            db.execute('ALTER TABLE lessons ADD COLUMN content TEXT');
+            db.execute('ALTER TABLE lessons ADD COLUMN content_provider TEXT');
+            db.execute('ALTER TABLE lessons ADD COLUMN content_model TEXT');
+            db.execute('ALTER TABLE lessons ADD COLUMN content_generated_at DATETIME');
+            db.execute('ALTER TABLE lessons ADD COLUMN generation_attempts INTEGER');
+        });
+        console.log('✅ Added settings and generated lesson content');
+    },
+    async (db) => {
+        ['content', 'content_provider', 'content_model', 'content_generated_at', 'generation_attempts']
+            .forEach(column => db.execute(`ALTER TABLE lessons DROP COLUMN ${column}`));
+        db.execute('DROP TABLE IF EXISTS settings');
+    }
+);
+
+// Migration 25: Structured lesson content
+migrationManager.registerMigration(
+    25,
+    'Add structured lesson content blocks',
+    async (db) => {
+        db.execute(`
+            CREATE TABLE IF NOT EXISTS lesson_content (
+                id TEXT PRIMARY KEY,
+                lesson_id TEXT NOT NULL REFERENCES lessons(id) ON DELETE CASCADE,
+                node_id TEXT NULL,
+                node_level INTEGER NULL CHECK (node_level IS NULL OR node_level BETWEEN 0 AND 5),
+                section TEXT NOT NULL CHECK (section IN ('introduction', 'core_content', 'practice', 'summary')),
+                position INTEGER NOT NULL DEFAULT 0,
+                block_type TEXT NOT NULL CHECK (block_type IN (
+                    'markdown', 'worked_example', 'code', 'image', 'multiple_choice', 'free_response', 'flashcard'
+                )),
+                data TEXT NOT NULL DEFAULT '{}',
+                source TEXT NOT NULL DEFAULT 'author' CHECK (source IN ('author', 'generated')),
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        db.execute('CREATE INDEX IF NOT EXISTS idx_lesson_content_lesson ON lesson_content(lesson_id, section, position)');
+        db.execute('CREATE INDEX IF NOT EXISTS idx_lesson_content_node ON lesson_content(node_id, node_level)');
+        console.log('✅ Added lesson content blocks');
+    },
+    async (db) => {
+        db.execute('DROP INDEX IF EXISTS idx_lesson_content_node');
+        db.execute('DROP INDEX IF EXISTS idx_lesson_content_lesson');
+        db.execute('DROP TABLE IF EXISTS lesson_content');
+    }
+);
+
+// Migration 26: Question bank and quizzes
+migrationManager.registerMigration(
+    26,
+    'Add question bank and quizzes',
+    async (db) => {
+        db.transaction(() => {
+            db.execute(`
+                CREATE TABLE IF NOT EXISTS questions (
+                    id TEXT PRIMARY KEY,
+                    node_id TEXT NOT NULL,
+                    node_level INTEGER NOT NULL DEFAULT 0 CHECK (node_level BETWEEN 0 AND 5),
+                    question_type TEXT NOT NULL CHECK (question_type IN ('multiple_choice', 'true_false', 'numeric', 'short_answer')),
+                    difficulty TEXT NOT NULL CHECK (difficulty IN ('beginner', 'intermediate', 'advanced')),
+                    prompt TEXT NOT NULL,
+                    data TEXT NOT NULL DEFAULT '{}',
+                    explanation TEXT NULL,
+                    estimated_seconds INTEGER NOT NULL DEFAULT 60,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            db.execute('CREATE INDEX IF NOT EXISTS idx_questions_node ON questions(node_id, node_level, difficulty)');
+            db.execute(`
+                CREATE TABLE IF NOT EXISTS quizzes (
+                    id TEXT PRIMARY KEY,
+                    node_id TEXT NOT NULL,
+                    node_level INTEGER NOT NULL DEFAULT 0,
+                    user_id TEXT NULL,
+                    lesson_id TEXT NULL,
+                    difficulty TEXT NOT NULL,
+                    duration_minutes INTEGER NOT NULL,
+                    seed INTEGER NOT NULL,
+                    question_ids TEXT NOT NULL DEFAULT '[]',
+                    status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'submitted')),
+                    score INTEGER NULL CHECK (score IS NULL OR (score >= 0 AND score <= 100)),
+                    passed INTEGER NULL,
+                    results TEXT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    submitted_at DATETIME NULL
+                )
+            `);
+            db.execute('CREATE INDEX IF NOT EXISTS idx_quizzes_node ON quizzes(node_id, node_level)');
+            db.execute('CREATE INDEX IF NOT EXISTS idx_quizzes_user ON quizzes(user_id)');
+
+            // A node's questions go with it
+            EMBEDDED_TABLES.forEach((table, level) => {
+                db.execute(`
+                    CREATE TRIGGER IF NOT EXISTS ${table}_questions_delete AFTER DELETE ON ${table} BEGIN
+                        DELETE FROM questions WHERE node_level = ${level} AND node_id = old.id;
+                    END
+                `);
+            });
+        });
+        console.log('✅ Added question bank and quizzes');
+    },
+    async (db) => {
+        EMBEDDED_TABLES.forEach(table => db.execute(`DROP TRIGGER IF EXISTS ${table}_questions_delete`));
+        db.execute('DROP INDEX IF EXISTS idx_quizzes_user');
+        db.execute('DROP INDEX IF EXISTS idx_quizzes_node');
+        db.execute('DROP TABLE IF EXISTS quizzes');
+        db.execute('DROP INDEX IF EXISTS idx_questions_node');
+        db.execute('DROP TABLE IF EXISTS questions');
+    }
+);
+
+// Migration 27: Graded question responses for item analysis
+migrationManager.registerMigration(
+    27,
+    'Add question responses',
+    async (db) => {
+        db.execute(`
+            CREATE TABLE IF NOT EXISTS question_responses (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                question_id TEXT NOT NULL REFERENCES questions(id) ON DELETE CASCADE,
+                quiz_id TEXT NOT NULL,
+                user_id TEXT NULL,
+                correct INTEGER NOT NULL CHECK (correct IN (0, 1)),
+                time_seconds REAL NULL,
+                rest_score REAL NULL,
+                answered_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        db.execute('CREATE INDEX IF NOT EXISTS idx_question_responses_question ON question_responses(question_id)');
+        db.execute('CREATE INDEX IF NOT EXISTS idx_question_responses_user ON question_responses(user_id)');
+        console.log('✅ Added question responses');
+    },
+    async (db) => {
+        db.execute('DROP INDEX IF EXISTS idx_question_responses_user');
+        db.execute('DROP INDEX IF EXISTS idx_question_responses_question');
+        db.execute('DROP TABLE IF EXISTS question_responses');
+    }
+);
+
+// Migration 28: Knowledge tracing estimates per learner and node
+migrationManager.registerMigration(
+    28,
+    'Add mastery estimates',
+    async (db) => {
+        db.transaction(() => {
+            db.execute(`
+                CREATE TABLE IF NOT EXISTS mastery_estimates (
+                    id TEXT PRIMARY KEY,
+                    user_id TEXT NULL REFERENCES users(id) ON DELETE CASCADE,
+                    node_id TEXT NOT NULL,
+                    node_level INTEGER NOT NULL DEFAULT 0 CHECK (node_level >= 0 AND node_level <= 5),
+                    probability REAL NOT NULL CHECK (probability >= 0 AND probability <= 1),
+                    observations INTEGER NOT NULL DEFAULT 0,
+                    correct INTEGER NOT NULL DEFAULT 0,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            db.execute('CREATE INDEX IF NOT EXISTS idx_mastery_estimates_node ON mastery_estimates(node_level, node_id)');
+
+            // A node's estimates go with it
+            EMBEDDED_TABLES.forEach((table, level) => {
+                db.execute(`
+                    CREATE TRIGGER IF NOT EXISTS ${table}_mastery_estimates_delete AFTER DELETE ON ${table} BEGIN
+                        DELETE FROM mastery_estimates WHERE node_level = ${level} AND node_id = old.id;
+                    END
+                `);
+            });
+        });
+        console.log('✅ Added mastery estimates');
+    },
+    async (db) => {
+        EMBEDDED_TABLES.forEach(table => db.execute(`DROP TRIGGER IF EXISTS ${table}_mastery_estimates_delete`));
+        db.execute('DROP INDEX IF EXISTS idx_mastery_estimates_node');
+        db.execute('DROP TABLE IF EXISTS mastery_estimates');
+    }
+);
+
+/**
+ * Rebuild review_schedule with or without a learner per row
+ * The per-user schema adds user_id (NULL for the shared schedule) and prefixes ids with it like mastery_estimates.
+ * Rolling back keeps only the shared rows.
+ * @param {Object} db - Database manager
+ * @param {boolean} perUser - Whether to build the per-user schema
+ */
+function rebuildReviewScheduleTable(db, perUser) {
+    db.execute(`
+        CREATE TABLE review_schedule_rebuild (
+            id TEXT PRIMARY KEY,
+            ${perUser ? 'user_id TEXT NULL REFERENCES users(id) ON DELETE CASCADE,' : ''}
+            node_id TEXT NOT NULL,
+            level INTEGER NOT NULL DEFAULT 0 CHECK(level >= 0 AND level <= 5),
+            algorithm TEXT NOT NULL,
+            ease_factor REAL,
+            interval_days REAL DEFAULT 0,
+            repetitions INTEGER DEFAULT 0,
+            stability REAL,
+            difficulty REAL,
+            lapses INTEGER DEFAULT 0,
+            last_reviewed DATETIME,
+            due_date DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            
+            UNIQUE(${perUser ? 'user_id, ' : ''}node_id, level, algorithm)
+        )
+    `);
+
+    const columns = 'node_id, level, algorithm, ease_factor, interval_days, repetitions, stability, difficulty, lapses, last_reviewed, due_date, created_at, updated_at';
+    db.execute(perUser
+        ? `INSERT INTO review_schedule_rebuild (id, user_id, ${columns})
+           SELECT 'shared_' || id, NULL, ${columns} FROM review_schedule`
+        : `INSERT INTO review_schedule_rebuild (id, ${columns})
+           SELECT node_id || '_' || level || '_' || algorithm, ${columns} FROM review_schedule WHERE user_id IS NULL`);
+    db.execute('DROP TABLE review_schedule');
+    db.execute('ALTER TABLE review_schedule_rebuild RENAME TO review_schedule');
+
+    db.execute('CREATE INDEX IF NOT EXISTS idx_review_schedule_due ON review_schedule(algorithm, due_date)');
+    if (perUser) {
+        db.execute('CREATE INDEX IF NOT EXISTS idx_review_schedule_user ON review_schedule(user_id)');
+    }
+}
+
+// Migration 29: Spaced repetition state per learner
+migrationManager.registerMigration(
+    29,
+    'Add user_id to review schedule',
+    async (db) => {
+        db.transaction(() => rebuildReviewScheduleTable(db, true));
+        console.log('✅ Added user_id to review schedule');
+    },
+    async (db) => {
+        db.transaction(() => rebuildReviewScheduleTable(db, false));
+    }
+);
+
 export default migrationManager;
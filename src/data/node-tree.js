@@ -0,0 +1,140 @@
+/**
+ * Node Tree Builder
+ * Assembles one nested hierarchy from legacy learning_nodes and the level_1..5_nodes tables
+ *
+ * Legacy nodes nest through learning_nodes.parent_id; level N nodes nest under their parent in level N-1.
+ * Legacy roots, level 1 nodes and parentless nodes at deeper levels form the top of the tree. Nodes carry
+ * the same source tags the business logic uses ('legacy_root', 'legacy_child', 'level_N').
+ */
+import { dbManager } from './database.js';
+
+// Fields that can be requested with ?fields= (id and children are always included)
+const NODE_FIELDS = [
+    'name', 'content', 'mastery_percentage', 'last_practiced', 'notes', 'parent_id', 'node_type',
+    'metadata', 'selection_weight', 'created_at', 'updated_at', 'source', 'level', 'depth', 'child_count'
+];
+const DEFAULT_FIELDS = ['name', 'source', 'level', 'depth', 'mastery_percentage', 'node_type', 'child_count'];
+
+export class NodeTreeBuilder {
+    constructor() {
+        this.fields = NODE_FIELDS;
+        this.defaultFields = DEFAULT_FIELDS;
+    }
+
+    /**
+     * Parse a comma separated field list
+     * @param {string|Array|null} fields - Requested fields (e.g. "name,mastery_percentage")
+     * @returns {Array} Field names
+     */
+    parseFields(fields = null) {
+        if (!fields) return this.defaultFields;
+
+        const requested = (Array.isArray(fields) ? fields : String(fields).split(','))
+            .map(field => field.trim())
+            .filter(Boolean);
+        const unknown = requested.filter(field => !this.fields.includes(field));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown fields: ${unknown.join(', ')}. Available: ${this.fields.join(', ')}`);
+        }
+        return requested;
+    }
+
+    /**
+     * Load every node from both storage models and index children by parent
+     * @returns {Object} { nodesById, childrenByKey, roots }
+     */
+    load() {
+        const nodesById = new Map();
+        const childrenByKey = new Map();
+        const roots = [];
+
+        const addChild = (key, node) => {
+            if (!childrenByKey.has(key)) childrenByKey.set(key, []);
+            childrenByKey.get(key).push(node);
+        };
+
+        for (const node of dbManager.query('SELECT * FROM learning_nodes ORDER BY created_at ASC')) {
+            const tagged = { ...node, level: 0, source: node.parent_id ? 'legacy_child' : 'legacy_root' };
+            nodesById.set(node.id, tagged);
+            if (node.parent_id) {
+                addChild(`0:${node.parent_id}`, tagged);
+            } else {
+                roots.push(tagged);
+            }
+        }
+
+        for (let level = 1; level <= 5; level++) {
+            for (const node of dbManager.query(`SELECT * FROM level_${level}_nodes ORDER BY created_at ASC, name ASC`)) {
+                const tagged = { ...node, level, source: `level_${level}` };
+                nodesById.set(node.id, tagged);
+                if (level > 1 && node.parent_id) {
+                    addChild(`${level - 1}:${node.parent_id}`, tagged);
+                } else {
+                    roots.push(tagged);
+                }
+            }
+        }
+
+        return { nodesById, childrenByKey, roots };
+    }
+
+    /**
+     * Build the tree, optionally starting from a single node
+     * @param {Object} options - { depth, root, fields }
+     * @returns {Array|null} Top-level tree nodes (null if the root was not found)
+     */
+    buildTree({ depth = null, root = null, fields = null } = {}) {
+        const selectedFields = this.parseFields(fields);
+        const index = this.load();
+
+        if (root) {
+            const rootNode = index.nodesById.get(root);
+            return rootNode ? [this.buildNode(rootNode, 1, depth, selectedFields, index)] : null;
+        }
+
+        return index.roots.map(node => this.buildNode(node, 1, depth, selectedFields, index));
+    }
+
+    /**
+     * Build the subtree below a node
+     * @param {string} id - Node ID (legacy or level node)
+     * @param {Object} options - { depth, fields }
+     * @returns {Object|null} Subtree (null if the node was not found)
+     */
+    buildSubtree(id, { depth = null, fields = null } = {}) {
+        const tree = this.buildTree({ depth, root: id, fields });
+        return tree ? tree[0] : null;
+    }
+
+    /**
+     * Build one tree node and its children down to the depth limit
+     * @param {Object} node - Tagged node row
+     * @param {number} depth - Depth of this node (1 for the top of the requested tree)
+     * @param {number|null} maxDepth - Maximum depth (null for unlimited)
+     * @param {Array} fields - Fields to include
+     * @param {Object} index - Loaded node index
+     * @returns {Object} Tree node
+     */
+    buildNode(node, depth, maxDepth, fields, index) {
+        const children = index.childrenByKey.get(`${node.level}:${node.id}`) || [];
+        const values = {
+            ...node,
+            metadata: typeof node.metadata === 'string' ? JSON.parse(node.metadata || '{}') : node.metadata,
+            depth,
+            child_count: children.length
+        };
+
+        const treeNode = { id: node.id };
+        for (const field of fields) {
+            treeNode[field] = values[field] ?? null;
+        }
+
+        treeNode.children = maxDepth !== null && depth >= maxDepth
+            ? []
+            : children.map(child => this.buildNode(child, depth + 1, maxDepth, fields, index));
+
+        return treeNode;
+    }
+}
+
+export default NodeTreeBuilder;
@@ -0,0 +1,298 @@
+/**
+ * OpenAPI Specification
+ * Builds an OpenAPI 3 document from the router's route table and the request validation schemas
+ *
+ * Paths, summaries and tags come from the routes as registered, so the document cannot drift from what the
+ * server dispatches. Each route's validation schema becomes its request body (POST and PUT) or its query
+ * parameters (GET and DELETE). Writes that are not public need a bearer token, and the roles allowed by the
+ * permission table are listed under x-roles.
+ */
+import { REQUEST_SCHEMAS } from './validation.js';
+import { ROLES } from './permissions.js';
+
+const PATH_PARAMETERS = {
+    level: { type: 'integer', minimum: 0, maximum: 5, description: 'Level number (0 = legacy learning_nodes, 1-5 = level tables)' }
+};
+
+const COMPONENT_SCHEMAS = {
+    Success: {
+        type: 'object',
+        properties: {
+            success: { type: 'boolean', enum: [true] },
+            data: { description: 'Endpoint-specific payload' },
+            count: { type: 'integer', description: 'Number of items when data is a list' },
+            message: { type: 'string' }
+        },
+        required: ['success']
+    },
+    Error: {
+        type: 'object',
+        properties: {
+            success: { type: 'boolean', enum: [false] },
+            error: { type: 'string' },
+            code: { type: 'integer' }
+        },
+        required: ['success', 'error', 'code']
+    },
+    ValidationError: {
+        allOf: [
+            { $ref: '#/components/schemas/Error' },
+            {
+                type: 'object',
+                properties: {
+                    errors: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: { field: { type: 'string' }, message: { type: 'string' } },
+                            required: ['field', 'message']
+                        }
+                    }
+                }
+            }
+        ]
+    }
+};
+
+export class OpenAPIGenerator {
+    /**
+     * @param {Object} options - { router, permissions, schemas, info }
+     */
+    constructor({ router, permissions = null, schemas = REQUEST_SCHEMAS, info = {} }) {
+        this.router = router;
+        this.permissions = permissions;
+        this.schemas = schemas;
+        this.info = {
+            title: 'MicroLearn API',
+            version: '1.0.0',
+            ...info
+        };
+    }
+
+    /**
+     * Build the OpenAPI document
+     * @returns {Object} OpenAPI 3.0 document
+     */
+    generate() {
+        const routes = this.router.listRoutes();
+        const paths = {};
+        const tags = [];
+
+        routes.forEach(route => {
+            const tag = this.tagFor(route.group);
+            if (!tags.some(existing => existing.name === tag.name)) {
+                tags.push(tag);
+            }
+
+            const openAPIPath = this.toOpenAPIPath(route.path);
+            paths[openAPIPath] = paths[openAPIPath] || {};
+            paths[openAPIPath][route.method.toLowerCase()] = this.buildOperation(route, tag.name);
+        });
+
+        return {
+            openapi: '3.0.3',
+            info: this.info,
+            servers: [{ url: '/api' }],
+            tags,
+            paths,
+            components: {
+                schemas: COMPONENT_SCHEMAS,
+                securitySchemes: {
+                    bearerAuth: {
+                        type: 'http',
+                        scheme: 'bearer',
+                        description: 'Access token from POST /auth/login or /auth/refresh'
+                    }
+                }
+            }
+        };
+    }
+
+    /**
+     * Turn a router group title into a tag ("🌳 Tree endpoints (legacy ...)" -> "Tree endpoints")
+     * @param {string|null} group - Group title
+     * @returns {Object} { name, description }
+     */
+    tagFor(group) {
+        if (!group) {
+            return { name: 'Other endpoints' };
+        }
+        const description = group.replace(/^[^A-Za-z]+/, '');
+        return { name: description.replace(/\s*\(.*\)$/, ''), description };
+    }
+
+    /**
+     * Convert a router pattern to OpenAPI path syntax ("/nodes/:id" -> "/nodes/{id}")
+     * @param {string} path - Router path pattern
+     * @returns {string} OpenAPI path
+     */
+    toOpenAPIPath(path) {
+        return path.replace(/:([A-Za-z]+)/g, '{$1}');
+    }
+
+    /**
+     * Derive an operationId from method and path ("PUT /nodes/:id/mastery" -> "putNodesByIdMastery")
+     * @param {Object} route - Route listing
+     * @returns {string} operationId
+     */
+    operationId(route) {
+        const words = route.path.split('/').filter(part => part).flatMap(segment => {
+            const param = segment.startsWith(':');
+            const parts = (param ? segment.slice(1) : segment).split(/[^A-Za-z0-9]+/);
+            return param ? ['by', ...parts] : parts;
+        });
+        return [route.method.toLowerCase(), ...words]
+            .map((word, index) => index === 0 ? word : word.charAt(0).toUpperCase() + word.slice(1))
+            .join('');
+    }
+
+    /**
+     * Convert a validation field rule to a JSON schema
+     * @param {Object} rule - Field rule from REQUEST_SCHEMAS
+     * @returns {Object} JSON schema
+     */
+    fieldToJSONSchema(rule) {
+        const schema = rule.type === 'date'
+            ? { type: 'string', format: 'date-time' }
+            : { type: rule.type };
+
+        if (rule.type === 'array') schema.items = rule.items ? this.fieldToJSONSchema(rule.items) : {};
+        if (rule.minItems !== undefined) schema.minItems = rule.minItems;
+        if (rule.maxItems !== undefined) schema.maxItems = rule.maxItems;
+        if (rule.nullable) schema.nullable = true;
+        if (rule.enum) schema.enum = rule.enum;
+        if (rule.min !== undefined) schema.minimum = rule.min;
+        if (rule.max !== undefined) schema.maximum = rule.max;
+        if (rule.minLength !== undefined) schema.minLength = rule.minLength;
+        if (rule.maxLength !== undefined) schema.maxLength = rule.maxLength;
+        return schema;
+    }
+
+    /**
+     * Convert a request schema to a JSON object schema
+     * @param {Object} schema - Request schema from REQUEST_SCHEMAS
+     * @returns {Object} JSON schema
+     */
+    toJSONSchema(schema) {
+        const properties = {};
+        Object.entries(schema.fields).forEach(([field, rule]) => {
+            properties[field] = this.fieldToJSONSchema(rule);
+        });
+
+        const required = Object.keys(schema.fields).filter(field => schema.fields[field].required);
+        const jsonSchema = { type: 'object', properties };
+        if (required.length > 0) jsonSchema.required = required;
+        if (schema.minFields) jsonSchema.minProperties = schema.minFields;
+        if (schema.strict) jsonSchema.additionalProperties = false;
+        return jsonSchema;
+    }
+
+    /**
+     * Describe who may call a route
+     * @param {Object} route - Route listing
+     * @returns {Object} { roles, owner } or null for public routes and reads open to everyone
+     */
+    accessFor(route) {
+        if (route.public) {
+            return null;
+        }
+        const rule = this.permissions?.ruleFor(route.method, route.path) || null;
+        if (rule) {
+            return { roles: rule.roles, owner: rule.owner || null };
+        }
+        return route.method === 'GET' ? null : { roles: ['admin'], owner: null };
+    }
+
+    /**
+     * Build the operation object for one route
+     * @param {Object} route - Route listing
+     * @param {string} tag - Tag name
+     * @returns {Object} OpenAPI operation
+     */
+    buildOperation(route, tag) {
+        const hasBody = route.method === 'POST' || route.method === 'PUT';
+        const isWrite = hasBody || route.method === 'DELETE';
+        const schema = route.schema ? this.schemas[route.schema] : null;
+        const parameters = route.path.split('/')
+            .filter(segment => segment.startsWith(':'))
+            .map(segment => {
+                const name = segment.slice(1);
+                return { name, in: 'path', required: true, schema: PATH_PARAMETERS[name] || { type: 'string' } };
+            });
+
+        const operation = {
+            tags: [tag],
+            summary: route.description,
+            operationId: this.operationId(route),
+            parameters,
+            responses: {
+                200: { description: 'Success', content: { 'application/json': { schema: { $ref: '#/components/schemas/Success' } } } }
+            }
+        };
+        if (route.deprecated) {
+            operation.deprecated = true;
+        }
+
+        if (schema && hasBody) {
+            const bodySchema = this.toJSONSchema(schema);
+            operation.requestBody = {
+                required: Boolean(bodySchema.required),
+                content: {
+                    'application/json': { schema: bodySchema },
+                    'application/x-www-form-urlencoded': { schema: bodySchema }
+                }
+            };
+            if (route.bulk) {
+                operation.requestBody.content['application/x-ndjson'] = {
+                    schema: { type: 'string', description: `One JSON object per line, collected into ${route.bulk}` }
+                };
+            }
+        } else if (schema) {
+            Object.entries(schema.fields).forEach(([name, rule]) => {
+                parameters.push({ name, in: 'query', required: Boolean(rule.required), schema: this.fieldToJSONSchema(rule) });
+            });
+        }
+
+        const errors = {};
+        if (schema || parameters.length > 0) {
+            errors[400] = { description: 'Invalid request', schema: 'ValidationError' };
+        }
+        const needsUser = route.requiresUser || (isWrite && !route.public);
+        if (needsUser) {
+            operation.security = [{ bearerAuth: [] }];
+            errors[401] = { description: 'Missing or invalid token' };
+        }
+
+        const access = this.accessFor(route);
+        if (access) {
+            operation['x-roles'] = access.roles;
+            if (access.owner) {
+                operation['x-owner'] = access.owner;
+            }
+            if (needsUser && access.roles.length < ROLES.length) {
+                errors[403] = { description: `Requires role ${access.roles.join(' or ')}${access.owner ? ' unless acting for yourself' : ''}` };
+            }
+        }
+        if (route.path.includes(':')) {
+            errors[404] = { description: 'Not found' };
+        }
+        if (hasBody) {
+            errors[413] = { description: 'Request body too large' };
+            errors[415] = { description: 'Unsupported content type' };
+        }
+
+        Object.entries(errors).forEach(([status, { description, schema: errorSchema = 'Error' }]) => {
+            operation.responses[status] = {
+                description,
+                content: { 'application/json': { schema: { $ref: `#/components/schemas/${errorSchema}` } } }
+            };
+        });
+
+        if (operation.parameters.length === 0) {
+            delete operation.parameters;
+        }
+        return operation;
+    }
+}
+
+export default OpenAPIGenerator;
@@ -0,0 +1,210 @@
+/**
+ * List Pagination
+ * Cursor pagination, sorting, filtering and field projection for list endpoints
+ *
+ * Pages are read with keyset pagination: the cursor records the sort value and key of the last row returned,
+ * so the next page starts strictly after it and rows inserted meanwhile do not shift pages. Cursors are opaque
+ * base64url strings bound to the sort they were issued for. Sorting is limited to indexed columns, with the
+ * table's key breaking ties so every row has exactly one place in the order.
+ */
+
+export const PAGE_LIMITS = { default: 50, max: 500 };
+
+// Indexed columns of learning_nodes and the level tables (node_type and updated_at since migration 21)
+const NODE_SORT_COLUMNS = ['name', 'mastery_percentage', 'created_at', 'updated_at', 'node_type'];
+const NODE_COLUMNS = [
+    'id', 'name', 'content', 'mastery_percentage', 'last_practiced', 'notes', 'parent_id', 'node_type',
+    'metadata', 'selection_weight', 'created_at', 'updated_at'
+];
+
+/**
+ * Paging rules per table: its key, sortable columns, projectable columns and whether node filters apply
+ */
+export const PAGINATED_TABLES = {
+    learning_nodes: {
+        key: 'id',
+        sortable: NODE_SORT_COLUMNS,
+        columns: NODE_COLUMNS.filter(column => column !== 'content'),
+        nodeFilters: true
+    },
+    level_nodes: {
+        key: 'id',
+        sortable: NODE_SORT_COLUMNS,
+        columns: NODE_COLUMNS,
+        nodeFilters: true
+    },
+    migrations: {
+        key: 'version',
+        sortable: ['version', 'applied_at'],
+        columns: ['version', 'description', 'applied_at'],
+        nodeFilters: false
+    }
+};
+
+export class Paginator {
+    constructor(limits = PAGE_LIMITS) {
+        this.limits = limits;
+    }
+
+    /**
+     * Read paging options from a (validated) query
+     * @param {Object} query - { limit, cursor, sort, fields, mastery_min, mastery_max, node_type, updated_since }
+     * @param {Object} table - Entry from PAGINATED_TABLES
+     * @param {string} defaultSort - Sort used when the query has none ("created_at:desc")
+     * @returns {Object} { limit, sort, after, fields, where, params }
+     * @throws {Error} When the sort, cursor or fields are not allowed
+     */
+    parse(query, table, defaultSort) {
+        const limit = Math.min(query.limit || this.limits.default, this.limits.max);
+        const sort = this.parseSort(query.sort || defaultSort, table);
+        const after = query.cursor ? this.decodeCursor(query.cursor, sort) : null;
+        const fields = this.parseFields(query.fields, table);
+
+        const where = [];
+        const params = [];
+        if (table.nodeFilters) {
+            if (query.mastery_min !== undefined) {
+                where.push('mastery_percentage >= ?');
+                params.push(query.mastery_min);
+            }
+            if (query.mastery_max !== undefined) {
+                where.push('mastery_percentage <= ?');
+                params.push(query.mastery_max);
+            }
+            if (query.node_type !== undefined) {
+                where.push('node_type = ?');
+                params.push(query.node_type);
+            }
+            if (query.updated_since !== undefined) {
+                // datetime() compares SQLite timestamps and ISO strings alike
+                where.push('datetime(updated_at) >= datetime(?)');
+                params.push(query.updated_since);
+            }
+        }
+
+        return { limit, sort, after, fields, where, params };
+    }
+
+    /**
+     * Parse "field:asc|desc"
+     * @param {string} value - Sort expression
+     * @param {Object} table - Entry from PAGINATED_TABLES
+     * @returns {Object} { column, direction }
+     */
+    parseSort(value, table) {
+        const [column, direction = 'asc'] = String(value).split(':');
+        if (!table.sortable.includes(column)) {
+            throw new Error(`Cannot sort by ${column}. Sortable: ${table.sortable.join(', ')}`);
+        }
+        if (!['asc', 'desc'].includes(direction.toLowerCase())) {
+            throw new Error(`Sort direction must be asc or desc, got ${direction}`);
+        }
+        return { column, direction: direction.toUpperCase() };
+    }
+
+    /**
+     * Parse a comma-separated field list
+     * @param {string} value - "id,name"
+     * @param {Object} table - Entry from PAGINATED_TABLES
+     * @returns {Array|null} Fields to return, or null for all of them
+     */
+    parseFields(value, table) {
+        if (!value) {
+            return null;
+        }
+        const fields = String(value).split(',').map(field => field.trim()).filter(Boolean);
+        const unknown = fields.filter(field => !table.columns.includes(field));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown fields: ${unknown.join(', ')}. Available: ${table.columns.join(', ')}`);
+        }
+        return fields;
+    }
+
+    /**
+     * Encode the position after a row
+     * @param {Object} row - Last row of a page
+     * @param {Object} sort - { column, direction }
+     * @param {string} key - Table key column
+     * @returns {string} Cursor
+     */
+    encodeCursor(row, sort, key) {
+        const position = { sort: `${sort.column}:${sort.direction}`, value: row[sort.column] ?? null, key: row[key] };
+        return Buffer.from(JSON.stringify(position)).toString('base64url');
+    }
+
+    /**
+     * Decode a cursor issued for the same sort
+     * @param {string} cursor - Cursor from next_cursor
+     * @param {Object} sort - { column, direction }
+     * @returns {Object} { value, key } (value is null when the row sorted on a NULL)
+     */
+    decodeCursor(cursor, sort) {
+        let position;
+        try {
+            position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        } catch (error) {
+            throw new Error('Invalid cursor');
+        }
+        if (!position || position.key === undefined || position.value === undefined) {
+            throw new Error('Invalid cursor');
+        }
+        if (position.sort !== `${sort.column}:${sort.direction}`) {
+            throw new Error('Cursor was issued for a different sort');
+        }
+        return { value: position.value, key: position.key };
+    }
+
+    /**
+     * Encode an offset for lists ordered by a computed score (such as search rank), where keyset cursors do not apply
+     * @param {number} offset - Rows already returned
+     * @param {string} order - Name of the ordering the offset belongs to
+     * @returns {string} Cursor
+     */
+    encodeOffsetCursor(offset, order) {
+        return Buffer.from(JSON.stringify({ sort: order, offset })).toString('base64url');
+    }
+
+    /**
+     * Decode an offset cursor issued for the same ordering
+     * @param {string} cursor - Cursor from next_cursor
+     * @param {string} order - Name of the ordering
+     * @returns {number} Offset
+     */
+    decodeOffsetCursor(cursor, order) {
+        let position;
+        try {
+            position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        } catch (error) {
+            throw new Error('Invalid cursor');
+        }
+        if (!Number.isInteger(position?.offset) || position.offset < 0) {
+            throw new Error('Invalid cursor');
+        }
+        if (position.sort !== order) {
+            throw new Error('Cursor was issued for a different sort');
+        }
+        return position.offset;
+    }
+
+    /**
+     * Turn a page read from the database into the list response fields
+     * @param {Object} page - { rows, total, hasMore } from dbManager.queryPage
+     * @param {Object} options - Parsed options from parse()
+     * @param {Object} table - Entry from PAGINATED_TABLES
+     * @returns {Object} { data, count, total, next_cursor }
+     */
+    toResponse(page, options, table) {
+        const last = page.rows[page.rows.length - 1];
+        const data = options.fields
+            ? page.rows.map(row => Object.fromEntries(options.fields.map(field => [field, row[field]])))
+            : page.rows;
+        return {
+            data,
+            count: data.length,
+            total: page.total,
+            next_cursor: page.hasMore && last ? this.encodeCursor(last, options.sort, table.key) : null
+        };
+    }
+}
+
+export default Paginator;
@@ -0,0 +1,108 @@
+/**
+ * Role-Based Permissions
+ * Maps API routes (by their router path pattern) to the roles allowed to call them
+ *
+ * Admins manage users and imports, authors curate the content tree and weights, and learners take lessons
+ * and keep their own progress. A rule's "owner" names where to find the user a request acts for; learners
+ * (and anyone else outside the rule's roles) may still call it when that user is themselves. Reads are
+ * public unless a rule says otherwise (per-user learning data has one), and writes without a rule are admin only.
+ */
+
+export const ROLES = ['admin', 'author', 'learner'];
+
+const EVERYONE = ROLES;
+const AUTHORS = ['admin', 'author'];
+const ADMINS = ['admin'];
+
+export const ROUTE_PERMISSIONS = [
+    // Accounts
+    { method: 'POST', path: '/auth/logout', roles: EVERYONE },
+    { method: 'POST', path: '/users', roles: EVERYONE },
+    { method: 'GET', path: '/users', roles: ADMINS },
+    { method: 'GET', path: '/users/:id', roles: ADMINS, owner: 'path' },
+    { method: 'PUT', path: '/users/:id/role', roles: ADMINS },
+    { method: 'PUT', path: '/users/:id', roles: ADMINS, owner: 'path' },
+    { method: 'DELETE', path: '/users/:id', roles: ADMINS, owner: 'path' },
+    { method: 'PUT', path: '/users/:id/progress/:level/:nodeId', roles: ADMINS, owner: 'path' },
+    { method: 'GET', path: '/users/:id/progress', roles: AUTHORS, owner: 'path' },
+
+    // Learning
+    { method: 'POST', path: '/lessons/request', roles: AUTHORS, owner: 'body' },
+    { method: 'POST', path: '/lessons/complete', roles: AUTHORS, owner: 'lesson' },
+    { method: 'POST', path: '/lessons/replay', roles: EVERYONE },
+    { method: 'GET', path: '/lessons', roles: AUTHORS, owner: 'query' },
+    { method: 'GET', path: '/lessons/due', roles: AUTHORS, owner: 'query' },
+    { method: 'GET', path: '/lessons/:id', roles: AUTHORS, owner: 'lesson' },
+    { method: 'GET', path: '/lessons/weights/:level', roles: AUTHORS, owner: 'query' },
+    { method: 'GET', path: '/lessons/weights/:level/history', roles: AUTHORS, owner: 'query' },
+    { method: 'GET', path: '/nodes/:id/mastery-estimate', roles: AUTHORS, owner: 'query' },
+    { method: 'POST', path: '/lessons/:id/generate', roles: AUTHORS, owner: 'lesson' },
+    { method: 'POST', path: '/nodes/:id/quiz', roles: AUTHORS, owner: 'body' },
+    { method: 'GET', path: '/quizzes/:id', roles: AUTHORS, owner: 'quiz' },
+    { method: 'POST', path: '/quizzes/:id/submit', roles: AUTHORS, owner: 'quiz' },
+
+    // Authoring
+    { method: 'POST', path: '/levels/:level', roles: AUTHORS },
+    { method: 'PUT', path: '/levels/:level/:id', roles: AUTHORS },
+    { method: 'DELETE', path: '/levels/:level/:id', roles: AUTHORS },
+    { method: 'POST', path: '/nodes', roles: AUTHORS },
+    { method: 'PUT', path: '/nodes/:id', roles: AUTHORS },
+    { method: 'PUT', path: '/nodes/:id/mastery', roles: AUTHORS },
+    { method: 'POST', path: '/nodes/:id/notes', roles: AUTHORS },
+    { method: 'DELETE', path: '/nodes/:id', roles: AUTHORS },
+    { method: 'POST', path: '/business-logic/content-review', roles: AUTHORS },
+    { method: 'POST', path: '/lessons/weights/:level/reset', roles: AUTHORS, owner: 'body' },
+    { method: 'PUT', path: '/lessons/weights/:level/:nodeId', roles: AUTHORS, owner: 'body' },
+    { method: 'POST', path: '/lessons/:id/content', roles: AUTHORS },
+    { method: 'PUT', path: '/lesson-content/:id', roles: AUTHORS },
+    { method: 'DELETE', path: '/lesson-content/:id', roles: AUTHORS },
+    { method: 'GET', path: '/nodes/:id/questions', roles: AUTHORS },
+    { method: 'POST', path: '/nodes/:id/questions', roles: AUTHORS },
+    { method: 'GET', path: '/questions/:id', roles: AUTHORS },
+    { method: 'GET', path: '/questions/:id/stats', roles: AUTHORS },
+    { method: 'PUT', path: '/questions/:id', roles: AUTHORS },
+    { method: 'DELETE', path: '/questions/:id', roles: AUTHORS },
+
+    // Administration
+    { method: 'POST', path: '/import', roles: ADMINS },
+    { method: 'GET', path: '/settings/llm', roles: ADMINS },
+    { method: 'PUT', path: '/settings/llm', roles: ADMINS },
+    { method: 'GET', path: '/settings/knowledge-tracing', roles: ADMINS },
+    { method: 'PUT', path: '/settings/knowledge-tracing', roles: ADMINS }
+];
+
+export class PermissionPolicy {
+    constructor(rules = ROUTE_PERMISSIONS) {
+        this.rules = new Map(rules.map(rule => [`${rule.method} ${rule.path}`, rule]));
+    }
+
+    /**
+     * Find the rule for a route
+     * @param {string} method - HTTP method
+     * @param {string} routePath - Route pattern as registered with the router ("/nodes/:id")
+     * @returns {Object|null} Matching rule, or null when the route has none
+     */
+    ruleFor(method, routePath) {
+        return this.rules.get(`${method} ${routePath}`) || null;
+    }
+
+    /**
+     * Check whether a user may call a route
+     * @param {Object} user - Authenticated user ({ id, role })
+     * @param {Object|null} rule - Matching rule from ruleFor (null when none matched)
+     * @param {string} method - HTTP method
+     * @param {string|null} ownerId - User the request acts for (for rules with an owner)
+     * @returns {boolean} Whether the request is allowed
+     */
+    isAllowed(user, rule, method, ownerId = null) {
+        if (!rule) {
+            return method === 'GET' || user.role === 'admin';
+        }
+        if (rule.roles.includes(user.role)) {
+            return true;
+        }
+        return Boolean(rule.owner) && ownerId === user.id;
+    }
+}
+
+export default PermissionPolicy;
@@ -0,0 +1,231 @@
+/**
+ * Question Bank
+ * Per-node assessment questions (multiple choice, true/false, numeric, short answer) with difficulty tags
+ *
+ * A question belongs to one node (legacy or level node). Its answer lives in data and is checked against
+ * QUESTION_DATA_SCHEMAS for its type; learners only ever see publicView(), which leaves the answer out, and
+ * answers are graded here on the server.
+ */
+import { dbManager } from './database.js';
+import { RequestValidator, QUESTION_DATA_SCHEMAS } from './validation.js';
+
+// Numeric answers within this distance count as equal when a question sets no tolerance
+const DEFAULT_NUMERIC_TOLERANCE = 1e-9;
+
+export class QuestionValidationError extends Error {
+    /**
+     * @param {Array} errors - [{ field, message }]
+     */
+    constructor(errors) {
+        super(`Invalid question: ${errors.map(error => `${error.field} ${error.message}`).join('; ')}`);
+        this.name = 'QuestionValidationError';
+        this.errors = errors;
+    }
+}
+
+export class QuestionBank {
+    constructor(validator = new RequestValidator()) {
+        this.validator = validator;
+    }
+
+    /**
+     * Check a question's answer data against the schema for its type
+     * @param {string} type - Question type
+     * @param {Object} data - Answer data
+     * @returns {Array} [{ field, message }]
+     */
+    validateData(type, data) {
+        const { errors } = this.validator.validate(QUESTION_DATA_SCHEMAS[type], data);
+        if (type === 'multiple_choice' && errors.length === 0 && data.correct_index >= data.options.length) {
+            errors.push({ field: 'correct_index', message: `must point at one of the ${data.options.length} options` });
+        }
+        return errors.map(error => ({ ...error, field: `data.${error.field}` }));
+    }
+
+    /**
+     * Find the node a question is for
+     * @param {string} nodeId - Node ID
+     * @param {number} level - 0 for learning_nodes, 1-5 for a level table
+     * @returns {Object|null} Node or null if not found
+     */
+    getNode(nodeId, level = 0) {
+        return level ? dbManager.getLevelNode(level, nodeId) : dbManager.getNode(nodeId);
+    }
+
+    /**
+     * Parse the data column of a stored question
+     * @param {Object} row - Raw questions row
+     * @returns {Object} Question
+     */
+    parseQuestion(row) {
+        const { question_type, data, ...question } = row;
+        return { ...question, type: question_type, data: JSON.parse(data || '{}') };
+    }
+
+    /**
+     * A question as shown to learners: the prompt and choices without the answer
+     * @param {Object} question - Parsed question
+     * @returns {Object} Question without its answer
+     */
+    publicView(question) {
+        const view = {
+            id: question.id,
+            type: question.type,
+            difficulty: question.difficulty,
+            prompt: question.prompt,
+            estimated_seconds: question.estimated_seconds
+        };
+        if (question.type === 'multiple_choice') {
+            view.options = question.data.options;
+        }
+        return view;
+    }
+
+    /**
+     * Get one question
+     * @param {string} id - Question ID
+     * @returns {Object|null} Question or null if not found
+     */
+    getQuestion(id) {
+        const row = dbManager.getQuestion(id);
+        return row ? this.parseQuestion(row) : null;
+    }
+
+    /**
+     * List a node's questions
+     * @param {string} nodeId - Node ID
+     * @param {Object} options - { level, difficulty }
+     * @returns {Array} Questions
+     */
+    getQuestions(nodeId, { level = 0, difficulty = null } = {}) {
+        return dbManager.getQuestions({ nodeId, nodeLevel: level, difficulty }).map(row => this.parseQuestion(row));
+    }
+
+    /**
+     * Get questions by ID, in the order given
+     * @param {Array} ids - Question IDs
+     * @returns {Array} Questions that still exist
+     */
+    getQuestionsById(ids) {
+        const byId = new Map(dbManager.getQuestions({ ids }).map(row => [row.id, this.parseQuestion(row)]));
+        return ids.map(id => byId.get(id)).filter(Boolean);
+    }
+
+    /**
+     * Add a question to a node's bank
+     * @param {string} nodeId - Node ID
+     * @param {Object} input - { level, type, difficulty, prompt, data, explanation, estimated_seconds }
+     * @returns {Object|null} Created question, or null if the node does not exist
+     * @throws {QuestionValidationError} When the answer data does not match the type
+     */
+    createQuestion(nodeId, input) {
+        const level = input.level || 0;
+        if (!this.getNode(nodeId, level)) {
+            return null;
+        }
+
+        const errors = this.validateData(input.type, input.data);
+        if (errors.length > 0) {
+            throw new QuestionValidationError(errors);
+        }
+
+        const id = this.generateId();
+        dbManager.createQuestion({
+            id,
+            node_id: nodeId,
+            node_level: level,
+            question_type: input.type,
+            difficulty: input.difficulty,
+            prompt: input.prompt,
+            data: input.data,
+            explanation: input.explanation,
+            estimated_seconds: input.estimated_seconds
+        });
+        return this.getQuestion(id);
+    }
+
+    /**
+     * Update a question; data replaces the answer and is checked against the (new) type
+     * @param {string} id - Question ID
+     * @param {Object} updates - Any of type, difficulty, prompt, data, explanation, estimated_seconds
+     * @returns {Object|null} Updated question or null if not found
+     * @throws {QuestionValidationError} When the answer data does not match the type
+     */
+    updateQuestion(id, updates) {
+        const existing = this.getQuestion(id);
+        if (!existing) {
+            return null;
+        }
+
+        const { type, ...columns } = updates;
+        if (type !== undefined || updates.data !== undefined) {
+            const errors = this.validateData(type ?? existing.type, updates.data ?? existing.data);
+            if (errors.length > 0) {
+                throw new QuestionValidationError(errors);
+            }
+        }
+        if (type !== undefined) {
+            columns.question_type = type;
+        }
+
+        dbManager.updateQuestion(id, columns);
+        return this.getQuestion(id);
+    }
+
+    /**
+     * Delete a question
+     * @param {string} id - Question ID
+     * @returns {boolean} True if a question was deleted
+     */
+    deleteQuestion(id) {
+        return dbManager.deleteQuestion(id).changes > 0;
+    }
+
+    /**
+     * Grade one answer
+     * @param {Object} question - Parsed question
+     * @param {*} answer - Submitted answer (undefined when unanswered)
+     * @returns {boolean} Whether the answer is correct
+     */
+    grade(question, answer) {
+        if (answer === undefined || answer === null) {
+            return false;
+        }
+
+        const { data } = question;
+        switch (question.type) {
+            case 'multiple_choice':
+                return Number.isInteger(answer) && answer === data.correct_index;
+            case 'true_false':
+                return answer === data.answer;
+            case 'numeric': {
+                const value = typeof answer === 'string' && answer.trim() !== '' ? Number(answer) : answer;
+                const tolerance = data.tolerance ?? DEFAULT_NUMERIC_TOLERANCE;
+                return typeof value === 'number' && Number.isFinite(value) && Math.abs(value - data.answer) <= tolerance;
+            }
+            case 'short_answer': {
+                if (typeof answer !== 'string') {
+                    return false;
+                }
+                const normalize = text => {
+                    const collapsed = text.trim().replace(/\s+/g, ' ');
+                    return data.case_sensitive ? collapsed : collapsed.toLowerCase();
+                };
+                return data.accepted.some(accepted => normalize(accepted) === normalize(answer));
+            }
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Generate unique ID
+     * @returns {string} Unique identifier
+     */
+    generateId() {
+        return `question_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+}
+
+export const questionBank = new QuestionBank();
+export default QuestionBank;
@@ -0,0 +1,223 @@
+/**
+ * Quizzes
+ * Assemble quizzes from a node's question bank and grade them on the server
+ *
+ * A quiz gets the practice share of the lesson's time (QUIZ_TIME_SHARE of lessonContext.estimatedDuration) and
+ * is filled with questions whose estimated times fit in it. Questions at the difficulty inferDifficultyFromMastery
+ * gives for the learner's mastery come first, then the nearest other difficulties; the order within a difficulty
+ * is shuffled with a seed that is stored on the quiz. A question's difficulty is the one measured from its
+ * responses once it has enough of them (see item-analysis.js), and its author's tag until then. Submitting grades
+ * the answers, records each response for item analysis and passes the score to handleLessonComplete, through the
+ * lesson's completion when the quiz was assembled for a lesson, so mastery and weights never depend on a score the
+ * client reports. Each graded answer is one outcome for the knowledge tracing mastery estimate.
+ */
+import { dbManager } from './database.js';
+import { questionBank } from './question-bank.js';
+import { itemAnalysis } from './item-analysis.js';
+import { SeededRandom } from './seeded-random.js';
+import { QUESTION_DIFFICULTIES } from './validation.js';
+
+// Share of the lesson's estimated duration given to the quiz (the practice part of the lesson prompt)
+export const QUIZ_TIME_SHARE = 0.3;
+
+// Lowest score that passes
+export const QUIZ_PASS_SCORE = 70;
+
+const MAX_QUIZ_QUESTIONS = 20;
+
+export class QuizEngine {
+    /**
+     * @param {BusinessLogicEngine} businessLogic - Builds the lesson context and applies completions
+     * @param {LessonGenerator} lessonGenerator - Completes the lesson a quiz was assembled for
+     */
+    constructor(businessLogic, lessonGenerator) {
+        this.businessLogic = businessLogic;
+        this.lessonGenerator = lessonGenerator;
+    }
+
+    /**
+     * Assemble a quiz for a node
+     * @param {string} nodeId - Node ID
+     * @param {Object} options - { level, userId, lessonId, duration, seed }; a lesson sets the level, learner and duration
+     * @returns {Object} { success, quiz } or an error response
+     */
+    async createQuiz(nodeId, { level = null, userId = null, lessonId = null, duration = null, seed = null } = {}) {
+        let nodeLevel = level ?? 0;
+        let learnerId = userId;
+        let minutes = duration;
+
+        if (lessonId) {
+            const lesson = dbManager.getLesson(lessonId);
+            if (!lesson) {
+                return { success: false, error: 'Lesson not found', code: 404 };
+            }
+            if (lesson.node_id !== nodeId || (level !== null && lesson.node_level !== level)) {
+                return {
+                    success: false,
+                    error: `Lesson ${lessonId} was issued for level ${lesson.node_level} node ${lesson.node_id}`,
+                    code: 400
+                };
+            }
+            if (lesson.status === 'completed') {
+                return { success: false, error: 'Lesson already completed', code: 409 };
+            }
+            if (userId && userId !== lesson.user_id) {
+                return { success: false, error: `Lesson ${lessonId} belongs to another user`, code: 400 };
+            }
+            nodeLevel = lesson.node_level;
+            learnerId = lesson.user_id;
+            minutes = minutes ?? JSON.parse(lesson.user_preferences || '{}').duration;
+        }
+
+        const node = questionBank.getNode(nodeId, nodeLevel);
+        if (!node) {
+            return { success: false, error: 'Node not found', code: 404 };
+        }
+
+        const calibrated = itemAnalysis.calibratedDifficulties({ nodeId, nodeLevel });
+        const questions = questionBank.getQuestions(nodeId, { level: nodeLevel }).map(question => ({
+            ...question,
+            served_difficulty: calibrated.get(question.id)?.label ?? question.difficulty
+        }));
+        if (questions.length === 0) {
+            return { success: false, error: `Node ${node.name} has no questions in its question bank`, code: 404 };
+        }
+
+        // A learner is quizzed at their own mastery, falling back to the node's
+        const progress = learnerId ? dbManager.getUserProgressEntry(learnerId, nodeId, nodeLevel) : null;
+        const mastery = progress?.mastery_percentage ?? node.mastery_percentage ?? 0;
+        const lessonContext = this.businessLogic.buildLessonContext(
+            { ...node, mastery_percentage: mastery, source: nodeLevel ? `level_${nodeLevel}` : 'legacy' },
+            {},
+            null,
+            { duration: minutes }
+        );
+
+        const random = new SeededRandom(seed ?? SeededRandom.generateSeed());
+        const budgetSeconds = Math.round(lessonContext.estimatedDuration * 60 * QUIZ_TIME_SHARE);
+        const picked = this.assembleQuestions(questions, lessonContext.topic.difficulty, budgetSeconds, random.asFunction());
+
+        const id = this.generateId();
+        dbManager.createQuiz({
+            id,
+            node_id: nodeId,
+            node_level: nodeLevel,
+            user_id: learnerId,
+            lesson_id: lessonId,
+            difficulty: lessonContext.topic.difficulty,
+            duration_minutes: lessonContext.estimatedDuration,
+            seed: random.seed,
+            question_ids: picked.map(question => question.id)
+        });
+        console.log(`📝 Assembled quiz ${id} for ${node.name}: ${picked.length} ${lessonContext.topic.difficulty} question(s)`);
+
+        return { success: true, quiz: this.getQuiz(id) };
+    }
+
+    /**
+     * Pick questions that fit a time budget, closest difficulty first
+     * @param {Array} questions - The node's questions, with the served_difficulty to match on
+     * @param {string} difficulty - Target difficulty
+     * @param {number} budgetSeconds - Time the quiz may take
+     * @param {Function} random - Random function returning [0, 1)
+     * @returns {Array} Picked questions (always at least one)
+     */
+    assembleQuestions(questions, difficulty, budgetSeconds, random) {
+        const target = QUESTION_DIFFICULTIES.indexOf(difficulty);
+        const shuffled = [...questions];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        const distance = question => Math.abs(QUESTION_DIFFICULTIES.indexOf(question.served_difficulty) - target);
+        const ordered = shuffled.sort((a, b) => distance(a) - distance(b));
+
+        const picked = [];
+        let usedSeconds = 0;
+        for (const question of ordered) {
+            if (picked.length >= MAX_QUIZ_QUESTIONS) break;
+            if (picked.length > 0 && usedSeconds + question.estimated_seconds > budgetSeconds) continue;
+            picked.push(question);
+            usedSeconds += question.estimated_seconds;
+        }
+        return picked;
+    }
+
+    /**
+     * Get a quiz: questions without answers while it is open, with results once submitted
+     * @param {string} id - Quiz ID
+     * @returns {Object|null} Quiz or null if not found
+     */
+    getQuiz(id) {
+        const row = dbManager.getQuiz(id);
+        if (!row) {
+            return null;
+        }
+
+        const { question_ids, results, passed, ...quiz } = row;
+        const questions = questionBank.getQuestionsById(JSON.parse(question_ids));
+        return {
+            ...quiz,
+            passed: passed === null ? null : Boolean(passed),
+            time_budget_seconds: Math.round(quiz.duration_minutes * 60 * QUIZ_TIME_SHARE),
+            questions: questions.map(question => questionBank.publicView(question)),
+            results: results ? JSON.parse(results) : null
+        };
+    }
+
+    /**
+     * Grade a quiz and record the result as a lesson completion
+     * @param {string} id - Quiz ID
+     * @param {Object} answers - { questionId: answer }; unanswered questions are wrong
+     * @param {Object} options - { durationSeconds, timings: { questionId: seconds } }
+     * @returns {Object} { success, quiz, completion } or an error response
+     */
+    async submitQuiz(id, answers, { durationSeconds = null, timings = {} } = {}) {
+        const quiz = this.getQuiz(id);
+        if (!quiz) {
+            return { success: false, error: 'Quiz not found', code: 404 };
+        }
+        if (quiz.status === 'submitted') {
+            return { success: false, error: 'Quiz already submitted', code: 409 };
+        }
+
+        const questions = questionBank.getQuestionsById(quiz.questions.map(question => question.id));
+        const results = questions.map(question => ({
+            question_id: question.id,
+            answer: answers[question.id] ?? null,
+            correct: questionBank.grade(question, answers[question.id]),
+            expected: question.data,
+            explanation: question.explanation
+        }));
+        const correct = results.filter(result => result.correct).length;
+        const score = results.length > 0 ? Math.round((correct / results.length) * 100) : 0;
+        const passed = score >= QUIZ_PASS_SCORE;
+
+        // Every graded answer is evidence for the mastery estimate
+        const outcomes = results.map(result => result.correct);
+        const completion = quiz.lesson_id
+            ? await this.lessonGenerator.completeLessonFeedback(quiz.lesson_id, quiz.node_id, passed, score, { durationSeconds, quizId: id, outcomes })
+            : await this.businessLogic.handleLessonComplete(quiz.node_id, passed, score, quiz.node_level, quiz.user_id, outcomes);
+        if (!completion.success) {
+            return completion;
+        }
+
+        dbManager.transaction(() => {
+            dbManager.submitQuiz(id, { score, passed, results });
+            itemAnalysis.recordResponses(quiz, results, { timings, durationSeconds });
+        });
+        console.log(`✅ Quiz ${id} graded: ${correct}/${results.length} (${score}%)`);
+
+        return { success: true, quiz: this.getQuiz(id), completion };
+    }
+
+    /**
+     * Generate unique ID
+     * @returns {string} Unique identifier
+     */
+    generateId() {
+        return `quiz_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+}
+
+export default QuizEngine;
@@ -0,0 +1,191 @@
+/**
+ * Declarative API Router
+ * Route table with path patterns ("/nodes/:id/mastery"), method matching and middleware for LearningNodeAPI
+ */
+
+const METHODS = ['GET', 'POST', 'PUT', 'DELETE'];
+
+export class Router {
+    constructor() {
+        this.routes = [];
+        this.middleware = [];
+    }
+
+    /**
+     * Register a route
+     * Middleware may carry a schema (the validation schema it checks) or requiresUser tag for route listings
+     * @param {string} method - HTTP method
+     * @param {string} path - Path pattern ("/nodes/:id")
+     * @param {Function} handler - async (request) => response
+     * @param {Object} options - { description, group, middleware, public, bulk, deprecated }
+     * @returns {Router} This router
+     */
+    add(method, path, handler, options = {}) {
+        this.routes.push({
+            method: method.toUpperCase(),
+            path,
+            segments: path.split('/').filter(part => part),
+            handler,
+            description: options.description || '',
+            group: options.group || null,
+            middleware: options.middleware || [],
+            public: Boolean(options.public),
+            bulk: options.bulk || null,
+            deprecated: Boolean(options.deprecated)
+        });
+        return this;
+    }
+
+    /**
+     * Register middleware that runs before every route's own middleware
+     * @param {Function} middleware - async (request) => response | undefined
+     * @returns {Router} This router
+     */
+    use(middleware) {
+        this.middleware.push(middleware);
+        return this;
+    }
+
+    /**
+     * Register routes under a banner group
+     * @param {string} title - Group title shown in route listings
+     * @returns {Object} { get, post, put, delete } registering into the group
+     */
+    group(title) {
+        const scoped = {};
+        METHODS.forEach(method => {
+            scoped[method.toLowerCase()] = (path, handler, options = {}) => {
+                this.add(method, path, handler, { ...options, group: title });
+                return scoped;
+            };
+        });
+        return scoped;
+    }
+
+    /**
+     * Match a path pattern against path segments
+     * @param {Object} route - Registered route
+     * @param {Array} pathParts - Request path segments
+     * @returns {Object|null} Captured params, or null when the pattern does not match
+     */
+    matchPattern(route, pathParts) {
+        if (route.segments.length !== pathParts.length) {
+            return null;
+        }
+
+        const params = {};
+        for (let i = 0; i < route.segments.length; i++) {
+            const segment = route.segments[i];
+            if (segment.startsWith(':')) {
+                params[segment.slice(1)] = pathParts[i];
+            } else if (segment !== pathParts[i]) {
+                return null;
+            }
+        }
+        return params;
+    }
+
+    /**
+     * Order two routes so literal segments win over params at the first difference
+     * @returns {number} Negative when a is more specific than b
+     */
+    compareSpecificity(a, b) {
+        for (let i = 0; i < a.segments.length; i++) {
+            const aParam = a.segments[i].startsWith(':');
+            const bParam = b.segments[i].startsWith(':');
+            if (aParam !== bParam) {
+                return aParam ? 1 : -1;
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * Find the route for a request
+     * The most specific pattern with the method wins, whatever the registration order; a path that only matches
+     * under other methods gets their list for a 405
+     * @param {string} method - HTTP method
+     * @param {string} path - Request path
+     * @returns {Object} { route, params }, { allowed } when only other methods match, or {} when nothing matches
+     */
+    match(method, path) {
+        const pathParts = path.split('/').filter(part => part);
+        const candidates = this.routes
+            .map(route => ({ route, params: this.matchPattern(route, pathParts) }))
+            .filter(candidate => candidate.params !== null)
+            .sort((a, b) => this.compareSpecificity(a.route, b.route));
+
+        if (candidates.length === 0) {
+            return {};
+        }
+
+        // Most specific first, so POST /levels/search falls back to POST /levels/:level
+        const found = candidates.find(candidate => candidate.route.method === method.toUpperCase());
+        if (found) {
+            return found;
+        }
+        return { allowed: [...new Set(candidates.map(candidate => candidate.route.method))] };
+    }
+
+    /**
+     * Dispatch a request through middleware to its route handler
+     * Handlers and middleware receive { method, path, params, query, body, data, context, route }. data is the body
+     * for POST and PUT and the query otherwise, so a query parameter never overrides a body field. Middleware that
+     * returns a response stops the request
+     * @param {string} method - HTTP method
+     * @param {string} path - Request path
+     * @param {Object} input - { query, body } as parsed by the server
+     * @param {Object} context - Request context
+     * @returns {Object} API response
+     */
+    async handle(method, path, input = {}, context = {}) {
+        const { route, params, allowed } = this.match(method, path);
+
+        if (!route) {
+            if (allowed) {
+                return {
+                    success: false,
+                    error: `Method ${method.toUpperCase()} not allowed`,
+                    allowed,
+                    code: 405
+                };
+            }
+            return {
+                success: false,
+                error: 'Endpoint not found',
+                code: 404
+            };
+        }
+
+        const { query = {}, body = {} } = input;
+        const data = route.method === 'POST' || route.method === 'PUT' ? body : query;
+        const request = { method: route.method, path, params, query, body, data, context, route };
+        for (const middleware of [...this.middleware, ...route.middleware]) {
+            const response = await middleware(request);
+            if (response) {
+                return response;
+            }
+        }
+        return await route.handler(request);
+    }
+
+    /**
+     * List registered routes in registration order
+     * @returns {Array} [{ method, path, description, group, public, bulk, deprecated, schema, requiresUser }]
+     */
+    listRoutes() {
+        return this.routes.map(route => ({
+            method: route.method,
+            path: route.path,
+            description: route.description,
+            group: route.group,
+            public: route.public,
+            bulk: route.bulk,
+            deprecated: route.deprecated,
+            schema: route.middleware.map(middleware => middleware.schema).find(Boolean) || null,
+            requiresUser: route.middleware.some(middleware => middleware.requiresUser)
+        }));
+    }
+}
+
+export default Router;
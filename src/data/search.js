@@ -0,0 +1,131 @@
+/**
+ * Full-Text Search
+ * BM25-ranked search over the FTS5 indexes of learning_nodes (level 0) and the level tables
+ *
+ * Each table has an external-content FTS5 index (<table>_fts, created by migration 22) kept in sync by
+ * triggers. User input is turned into a MATCH expression term by term: every word is quoted so FTS5 operators
+ * and punctuation cannot break the query, "quoted text" matches as a phrase, word* matches as a prefix, and
+ * the last word always matches as a prefix so results appear while typing. Words must all match (AND).
+ */
+import { dbManager } from './database.js';
+
+export const SEARCH_LEVELS = [0, 1, 2, 3, 4, 5];
+
+// BM25 column weights follow each index's columns: name, (content,) notes
+const SEARCH_SOURCES = {
+    0: { table: 'learning_nodes', weights: [10, 5] },
+    ...Object.fromEntries([1, 2, 3, 4, 5].map(level => [
+        level,
+        { table: `level_${level}_nodes`, weights: [10, 1, 5] }
+    ]))
+};
+
+const HIGHLIGHT = { open: '<mark>', close: '</mark>', ellipsis: '…', snippetTokens: 12 };
+
+export class SearchQueryError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SearchQueryError';
+    }
+}
+
+export class FullTextSearch {
+    /**
+     * Turn user input into an FTS5 MATCH expression
+     * @param {string} text - Search input (words, "phrases", prefix*)
+     * @returns {string} MATCH expression
+     * @throws {SearchQueryError} When the input has no words
+     */
+    buildMatchQuery(text) {
+        const input = String(text ?? '');
+        const terms = [];
+        const pattern = /"([^"]*)"|(\S+)/g;
+        let match;
+        while ((match = pattern.exec(input)) !== null) {
+            if (match[1] !== undefined) {
+                if (match[1].trim()) {
+                    terms.push({ text: match[1].trim(), phrase: true, prefix: false });
+                }
+            } else {
+                const word = match[2].replace(/"/g, '');
+                const stem = word.replace(/\*+$/, '');
+                if (/[\p{L}\p{N}]/u.test(stem)) {
+                    terms.push({ text: stem, phrase: false, prefix: word.endsWith('*') });
+                }
+            }
+        }
+
+        if (terms.length === 0) {
+            throw new SearchQueryError('Search query must contain at least one word');
+        }
+
+        // Search as you type: the word being typed matches as a prefix
+        const last = terms[terms.length - 1];
+        if (!last.phrase) {
+            last.prefix = true;
+        }
+
+        return terms.map(term => `"${term.text.replace(/"/g, '""')}"${term.prefix ? '*' : ''}`).join(' ');
+    }
+
+    /**
+     * Search one or more levels, ranked together
+     * BM25 scores come from each table's own index, so ordering between levels is approximate
+     * @param {string} text - Search input
+     * @param {Object} options - { levels, limit, offset }
+     * @returns {Object} { results, total }
+     */
+    search(text, { levels = SEARCH_LEVELS, limit = 20, offset = 0 } = {}) {
+        const matchQuery = this.buildMatchQuery(text);
+        const sources = levels.map(level => ({ level, ...SEARCH_SOURCES[level] }));
+
+        const selects = sources.map(source => {
+            const index = `${source.table}_fts`;
+            return `
+                SELECT n.id, n.name, n.node_type, n.mastery_percentage, n.parent_id, ${source.level} as level,
+                       bm25(${index}, ${source.weights.join(', ')}) as rank,
+                       highlight(${index}, 0, '${HIGHLIGHT.open}', '${HIGHLIGHT.close}') as name_highlight,
+                       snippet(${index}, -1, '${HIGHLIGHT.open}', '${HIGHLIGHT.close}', '${HIGHLIGHT.ellipsis}', ${HIGHLIGHT.snippetTokens}) as snippet
+                FROM ${index}
+                JOIN ${source.table} n ON n.rowid = ${index}.rowid
+                WHERE ${index} MATCH ?
+            `;
+        });
+
+        const results = dbManager.query(`
+            SELECT * FROM (${selects.join(' UNION ALL ')})
+            ORDER BY rank ASC, level ASC, id ASC
+            LIMIT ? OFFSET ?
+        `, [...sources.map(() => matchQuery), limit, offset]);
+
+        const total = sources.reduce((sum, source) => sum + dbManager.queryOne(
+            `SELECT COUNT(*) as count FROM ${source.table}_fts WHERE ${source.table}_fts MATCH ?`,
+            [matchQuery]
+        ).count, 0);
+
+        return { results, total };
+    }
+
+    /**
+     * Search a single table and return its full rows, best match first
+     * @param {number} level - 0 for learning_nodes, 1-5 for a level table
+     * @param {string} text - Search input
+     * @returns {Array} Matching rows with a snippet
+     */
+    searchLevel(level, text) {
+        const matchQuery = this.buildMatchQuery(text);
+        const source = SEARCH_SOURCES[level];
+        const index = `${source.table}_fts`;
+        return dbManager.query(`
+            SELECT n.*,
+                   snippet(${index}, -1, '${HIGHLIGHT.open}', '${HIGHLIGHT.close}', '${HIGHLIGHT.ellipsis}', ${HIGHLIGHT.snippetTokens}) as snippet
+            FROM ${index}
+            JOIN ${source.table} n ON n.rowid = ${index}.rowid
+            WHERE ${index} MATCH ?
+            ORDER BY bm25(${index}, ${source.weights.join(', ')}) ASC, n.name ASC
+        `, [matchQuery]);
+    }
+}
+
+export const fullTextSearch = new FullTextSearch();
+export default FullTextSearch;
@@ -0,0 +1,58 @@
+/**
+ * Seeded Random Number Generator
+ * Deterministic PRNG (mulberry32) so lesson selection can be reproduced from a seed
+ */
+
+const MAX_SEED = 0xFFFFFFFF;
+
+export class SeededRandom {
+    /**
+     * @param {number} seed - Unsigned 32-bit integer seed
+     */
+    constructor(seed = SeededRandom.generateSeed()) {
+        if (!SeededRandom.isValidSeed(seed)) {
+            throw new Error(`Invalid seed: ${seed}. Seeds must be integers between 0 and ${MAX_SEED}`);
+        }
+        this.seed = seed;
+        this.state = seed;
+    }
+
+    /**
+     * Generate a fresh random seed
+     * @returns {number} Unsigned 32-bit integer seed
+     */
+    static generateSeed() {
+        return Math.floor(Math.random() * MAX_SEED);
+    }
+
+    /**
+     * Check whether a value can be used as a seed
+     * @param {*} seed - Candidate seed
+     * @returns {boolean} Whether the seed is valid
+     */
+    static isValidSeed(seed) {
+        return Number.isInteger(seed) && seed >= 0 && seed <= MAX_SEED;
+    }
+
+    /**
+     * Next pseudo-random number, same contract as Math.random()
+     * @returns {number} Number in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) | 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Get a Math.random-compatible function bound to this generator
+     * @returns {Function} Random function
+     */
+    asFunction() {
+        return () => this.next();
+    }
+}
+
+export default SeededRandom;
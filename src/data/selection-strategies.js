@@ -0,0 +1,321 @@
+/**
+ * Lesson Selection Strategies
+ * Pluggable policies for picking the next lesson topic from weighted nodes
+ *
+ * Every strategy receives the nodes produced by WeightedSelector.calculateWeights (including the
+ * "Create New Topic" option) and returns { selected, candidates, draw, details }. The selected node keeps
+ * its selection_weight and weight_breakdown so responses have the same shape whatever the strategy.
+ * All randomness comes from context.random so a seeded generator makes selection reproducible; draw
+ * describes the weighted pick (null for strategies that do not make one). Strategies that read lesson
+ * history or review schedules only look at context.userId's when a user is given, and compare the node each lesson
+ * picked at context.depth (1 for the top layer) of its drill-down path. A replay sets context.beforeLessonId
+ * so history stops where it stood when the replayed lesson was requested.
+ */
+import { dbManager } from './database.js';
+
+/**
+ * The node a past lesson picked at a drill-down depth
+ * @param {Object} lesson - Lessons row
+ * @param {number} depth - Depth in the selection path (1 for the top layer)
+ * @returns {string|null} Node ID (the lesson's node for lessons without a path)
+ */
+function lessonNodeAtDepth(lesson, depth = 1) {
+    const step = JSON.parse(lesson.selection_path || '[]').find(entry => entry.depth === depth);
+    if (step) {
+        return step.id;
+    }
+    return depth === 1 ? lesson.node_id : null;
+}
+
+/**
+ * Split weighted nodes into real topics and the "Create New Topic" option
+ * @param {Array} nodesWithWeights - Nodes with calculated weights
+ * @returns {Object} { topics, createNewTopic }
+ */
+function splitTopics(nodesWithWeights) {
+    return {
+        topics: nodesWithWeights.filter(node => !node.isCreateNewTopic),
+        createNewTopic: nodesWithWeights.find(node => node.isCreateNewTopic) || null
+    };
+}
+
+/**
+ * Weighted random selection (the original behaviour)
+ */
+export class WeightedRandomStrategy {
+    constructor() {
+        this.name = 'weighted-random';
+        this.description = 'Weighted random pick using mastery, recency, interest and analysis weights';
+    }
+
+    select(nodesWithWeights, context) {
+        const draw = context.weightedSelector.explainPick(nodesWithWeights, context.random);
+        return {
+            selected: draw.selected,
+            candidates: nodesWithWeights,
+            draw,
+            details: {}
+        };
+    }
+}
+
+/**
+ * Prefer topics whose spaced repetition review is overdue
+ */
+export class SpacedRepetitionDueStrategy {
+    constructor() {
+        this.name = 'spaced-repetition-due';
+        this.description = 'Weighted pick among overdue review topics, falling back to weighted random when nothing is due';
+    }
+
+    select(nodesWithWeights, context) {
+        const algorithm = context.engine.scheduler.getAlgorithm(context.userPreferences.srAlgorithm).name;
+        const dueNodes = context.engine.applyDueWeighting(nodesWithWeights, algorithm, context.userId);
+        const candidates = dueNodes.length > 0 ? dueNodes : nodesWithWeights;
+        const draw = context.weightedSelector.explainPick(candidates, context.random);
+
+        return {
+            selected: draw.selected,
+            candidates,
+            draw,
+            details: {
+                srAlgorithm: algorithm,
+                dueCount: dueNodes.length,
+                fellBack: dueNodes.length === 0
+            }
+        };
+    }
+}
+
+/**
+ * Always practice the weakest unmastered topic
+ */
+export class LowestMasteryFirstStrategy {
+    constructor() {
+        this.name = 'lowest-mastery-first';
+        this.description = 'Lowest mastery topic first, least recently practiced breaks ties';
+    }
+
+    select(nodesWithWeights, context) {
+        const { topics, createNewTopic } = splitTopics(nodesWithWeights);
+        const unmastered = topics.filter(node => (node.mastery_percentage || 0) < 100);
+
+        if (unmastered.length === 0) {
+            return {
+                selected: createNewTopic || nodesWithWeights[0],
+                candidates: nodesWithWeights,
+                draw: null,
+                details: { reason: 'All topics mastered' }
+            };
+        }
+
+        const sorted = [...unmastered].sort((a, b) => {
+            const masteryDiff = (a.mastery_percentage || 0) - (b.mastery_percentage || 0);
+            if (masteryDiff !== 0) return masteryDiff;
+            return (a.last_practiced || '').localeCompare(b.last_practiced || '');
+        });
+
+        return {
+            selected: sorted[0],
+            candidates: sorted,
+            draw: null,
+            details: { reason: `Lowest mastery (${sorted[0].mastery_percentage || 0}%)` }
+        };
+    }
+}
+
+/**
+ * Cycle through every topic in a stable order
+ */
+export class RoundRobinStrategy {
+    constructor() {
+        this.name = 'round-robin';
+        this.description = 'Cycles through all topics in creation order, continuing from the last round-robin lesson';
+    }
+
+    select(nodesWithWeights, context) {
+        const { topics, createNewTopic } = splitTopics(nodesWithWeights);
+        if (topics.length === 0) {
+            return { selected: createNewTopic, candidates: nodesWithWeights, draw: null, details: { position: 0 } };
+        }
+
+        const ordered = [...topics].sort((a, b) =>
+            (a.created_at || '').localeCompare(b.created_at || '') || a.id.localeCompare(b.id)
+        );
+        // Continue after the most recent round-robin pick among these topics (other subjects' children do not count)
+        const previousNodeId = dbManager.getLessons({ strategy: this.name, userId: context.userId, beforeLessonId: context.beforeLessonId })
+            .map(lesson => lessonNodeAtDepth(lesson, context.depth))
+            .find(nodeId => ordered.some(node => node.id === nodeId)) || null;
+        const lastIndex = ordered.findIndex(node => node.id === previousNodeId);
+        const position = (lastIndex + 1) % ordered.length;
+
+        return {
+            selected: ordered[position],
+            candidates: ordered,
+            draw: null,
+            details: { position, cycleLength: ordered.length, previousNodeId }
+        };
+    }
+}
+
+/**
+ * Mix topics by avoiding the ones practiced in the most recent lessons
+ */
+export class InterleavedStrategy {
+    constructor(window = 3) {
+        this.name = 'interleaved';
+        this.description = 'Weighted pick that skips topics from the most recent lessons to interleave practice';
+        this.window = window;
+    }
+
+    select(nodesWithWeights, context) {
+        const { topics } = splitTopics(nodesWithWeights);
+        const window = Math.max(0, Math.min(this.window, topics.length - 1));
+        const recentNodeIds = window > 0
+            ? dbManager.getLessons({ userId: context.userId, limit: window, beforeLessonId: context.beforeLessonId }).map(lesson => lessonNodeAtDepth(lesson, context.depth))
+            : [];
+        const fresh = nodesWithWeights.filter(node => !recentNodeIds.includes(node.id));
+        const candidates = fresh.length > 0 ? fresh : nodesWithWeights;
+        const draw = context.weightedSelector.explainPick(candidates, context.random);
+
+        return {
+            selected: draw.selected,
+            candidates,
+            draw,
+            details: { excludedNodeIds: recentNodeIds }
+        };
+    }
+}
+
+/**
+ * Epsilon-greedy multi-armed bandit over topics
+ * Reward is the lesson outcome (score on pass, 0 on fail); untried topics start optimistic at 1.
+ */
+export class EpsilonGreedyStrategy {
+    constructor(epsilon = 0.1) {
+        this.name = 'epsilon-greedy';
+        this.description = 'Explores a random topic with probability epsilon, otherwise exploits the best expected reward times weight';
+        this.epsilon = epsilon;
+    }
+
+    select(nodesWithWeights, context) {
+        const { topics, createNewTopic } = splitTopics(nodesWithWeights);
+        if (topics.length === 0) {
+            return { selected: createNewTopic, candidates: nodesWithWeights, draw: null, details: { explored: false } };
+        }
+
+        const epsilon = context.userPreferences.epsilon ?? this.epsilon;
+        const estimates = topics.map(node => {
+            const history = dbManager.getLessonHistory(node.id, context.userId, context.beforeLessonId);
+            const expectedReward = history.total_lessons > 0
+                ? (history.passed_lessons / history.total_lessons) * ((history.average_score ?? 100) / 100)
+                : 1;
+            return {
+                node,
+                pulls: history.total_lessons,
+                expectedReward: Math.round(expectedReward * 1000) / 1000,
+                value: expectedReward * node.selection_weight
+            };
+        });
+
+        const roll = context.random();
+        const explored = roll < epsilon;
+        const choice = explored
+            ? estimates[Math.floor(context.random() * estimates.length)]
+            : estimates.reduce((best, estimate) => (estimate.value > best.value ? estimate : best));
+
+        return {
+            selected: choice.node,
+            candidates: topics,
+            draw: null,
+            details: {
+                epsilon,
+                roll: Math.round(roll * 1000) / 1000,
+                explored,
+                estimates: estimates.map(({ node, pulls, expectedReward, value }) => ({
+                    nodeId: node.id,
+                    name: node.name,
+                    pulls,
+                    expectedReward,
+                    value: Math.round(value)
+                }))
+            }
+        };
+    }
+}
+
+export class SelectionStrategyRegistry {
+    constructor(defaultStrategy = 'weighted-random') {
+        this.strategies = new Map();
+        this.register(new WeightedRandomStrategy());
+        this.register(new SpacedRepetitionDueStrategy());
+        this.register(new LowestMasteryFirstStrategy());
+        this.register(new RoundRobinStrategy());
+        this.register(new InterleavedStrategy());
+        this.register(new EpsilonGreedyStrategy());
+        this.setDefault(defaultStrategy);
+    }
+
+    /**
+     * Register a selection strategy
+     * @param {Object} strategy - Strategy with name, description and select(nodesWithWeights, context)
+     */
+    register(strategy) {
+        this.strategies.set(strategy.name, strategy);
+    }
+
+    /**
+     * Check whether a strategy is registered
+     * @param {string} name - Strategy name
+     * @returns {boolean} Whether the strategy exists
+     */
+    has(name) {
+        return this.strategies.has(name);
+    }
+
+    /**
+     * Resolve a strategy by name, falling back to the default
+     * @param {string} name - Strategy name
+     * @returns {Object} Strategy
+     */
+    get(name = null) {
+        const strategy = this.strategies.get(name || this.defaultStrategy);
+        if (!strategy) {
+            throw new Error(`Unknown selection strategy: ${name}. Available: ${this.getNames().join(', ')}`);
+        }
+        return strategy;
+    }
+
+    /**
+     * Change the server-wide default strategy
+     * @param {string} name - Strategy name
+     */
+    setDefault(name) {
+        if (!this.strategies.has(name)) {
+            throw new Error(`Unknown selection strategy: ${name}. Available: ${this.getNames().join(', ')}`);
+        }
+        this.defaultStrategy = name;
+    }
+
+    /**
+     * Get the registered strategy names
+     * @returns {Array} Strategy names
+     */
+    getNames() {
+        return Array.from(this.strategies.keys());
+    }
+
+    /**
+     * Describe all registered strategies
+     * @returns {Array} Strategy descriptions
+     */
+    list() {
+        return Array.from(this.strategies.values()).map(strategy => ({
+            name: strategy.name,
+            description: strategy.description,
+            isDefault: strategy.name === this.defaultStrategy
+        }));
+    }
+}
+
+export default SelectionStrategyRegistry;
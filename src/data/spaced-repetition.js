@@ -0,0 +1,317 @@
+/**
+ * Spaced Repetition Scheduler
+ * Tracks per-node review state (ease, interval, stability, due date) with selectable algorithms
+ */
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// FSRS-4.5 default parameters and forgetting curve constants
+const FSRS_WEIGHTS = [
+    0.4872, 1.4003, 3.7145, 13.8206, 5.1618, 1.2298, 0.8975, 0.031, 1.6474,
+    0.1367, 1.0461, 2.1072, 0.0793, 0.3246, 1.587, 0.2272, 2.8755
+];
+const FSRS_DECAY = -0.5;
+const FSRS_FACTOR = 19 / 81;
+
+/**
+ * SM-2 (SuperMemo 2) algorithm
+ * Uses a 0-5 quality grade, an ease factor and a repetition count
+ */
+export class SM2Algorithm {
+    constructor() {
+        this.name = 'sm2';
+    }
+
+    /**
+     * Build the state for a node that has never been reviewed
+     * @returns {Object} Initial review state
+     */
+    initialState() {
+        return {
+            ease_factor: 2.5,
+            interval_days: 0,
+            repetitions: 0,
+            stability: null,
+            difficulty: null,
+            lapses: 0
+        };
+    }
+
+    /**
+     * Apply a review to the current state
+     * @param {Object} state - Current review state
+     * @param {Object} grade - Review grade ({ quality, rating })
+     * @returns {Object} Next review state
+     */
+    review(state, grade) {
+        const quality = grade.quality;
+        let { ease_factor: ease, interval_days: interval, repetitions, lapses } = state;
+
+        if (quality >= 3) {
+            if (repetitions === 0) {
+                interval = 1;
+            } else if (repetitions === 1) {
+                interval = 6;
+            } else {
+                interval = Math.round(interval * ease);
+            }
+            repetitions += 1;
+        } else {
+            repetitions = 0;
+            interval = 1;
+            lapses += 1;
+        }
+
+        ease = Math.max(1.3, ease + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
+
+        return {
+            ...state,
+            ease_factor: Math.round(ease * 1000) / 1000,
+            interval_days: interval,
+            repetitions,
+            lapses
+        };
+    }
+
+    /**
+     * Estimate probability of recall
+     * SM-2 has no forgetting curve, so assume 90% recall at the end of each interval
+     * @param {Object} state - Review state
+     * @param {number} elapsedDays - Days since the last review
+     * @returns {number} Retrievability between 0 and 1
+     */
+    retrievability(state, elapsedDays) {
+        if (!state.interval_days) return 0;
+        return Math.pow(0.9, elapsedDays / state.interval_days);
+    }
+}
+
+/**
+ * FSRS (Free Spaced Repetition Scheduler) algorithm
+ * Models memory stability and difficulty with a power forgetting curve
+ */
+export class FSRSAlgorithm {
+    constructor(requestRetention = 0.9) {
+        this.name = 'fsrs';
+        this.requestRetention = requestRetention;
+    }
+
+    /**
+     * Build the state for a node that has never been reviewed
+     * @returns {Object} Initial review state
+     */
+    initialState() {
+        return {
+            ease_factor: null,
+            interval_days: 0,
+            repetitions: 0,
+            stability: null,
+            difficulty: null,
+            lapses: 0
+        };
+    }
+
+    /**
+     * Apply a review to the current state
+     * @param {Object} state - Current review state
+     * @param {Object} grade - Review grade ({ quality, rating })
+     * @param {number} elapsedDays - Days since the last review
+     * @returns {Object} Next review state
+     */
+    review(state, grade, elapsedDays = 0) {
+        const w = FSRS_WEIGHTS;
+        const rating = grade.rating;
+        let stability;
+        let difficulty;
+        let lapses = state.lapses;
+
+        if (!state.stability) {
+            stability = w[rating - 1];
+            difficulty = this.initialDifficulty(rating);
+        } else {
+            const retrievability = this.retrievability(state, elapsedDays);
+            difficulty = this.nextDifficulty(state.difficulty, rating);
+
+            if (rating === 1) {
+                lapses += 1;
+                stability = w[11] *
+                    Math.pow(state.difficulty, -w[12]) *
+                    (Math.pow(state.stability + 1, w[13]) - 1) *
+                    Math.exp(w[14] * (1 - retrievability));
+            } else {
+                const hardPenalty = rating === 2 ? w[15] : 1;
+                const easyBonus = rating === 4 ? w[16] : 1;
+                stability = state.stability * (1 +
+                    Math.exp(w[8]) *
+                    (11 - state.difficulty) *
+                    Math.pow(state.stability, -w[9]) *
+                    (Math.exp(w[10] * (1 - retrievability)) - 1) *
+                    hardPenalty *
+                    easyBonus);
+            }
+        }
+
+        const interval = Math.max(1, Math.round(
+            (stability / FSRS_FACTOR) * (Math.pow(this.requestRetention, 1 / FSRS_DECAY) - 1)
+        ));
+
+        return {
+            ...state,
+            stability: Math.round(stability * 1000) / 1000,
+            difficulty: Math.round(difficulty * 1000) / 1000,
+            interval_days: interval,
+            repetitions: rating === 1 ? 0 : state.repetitions + 1,
+            lapses
+        };
+    }
+
+    /**
+     * Probability of recall from the FSRS power forgetting curve
+     * @param {Object} state - Review state
+     * @param {number} elapsedDays - Days since the last review
+     * @returns {number} Retrievability between 0 and 1
+     */
+    retrievability(state, elapsedDays) {
+        if (!state.stability) return 0;
+        return Math.pow(1 + FSRS_FACTOR * (elapsedDays / state.stability), FSRS_DECAY);
+    }
+
+    /**
+     * Difficulty after the first review
+     * @param {number} rating - FSRS rating (1-4)
+     * @returns {number} Difficulty between 1 and 10
+     */
+    initialDifficulty(rating) {
+        return Math.max(1, Math.min(10, FSRS_WEIGHTS[4] - (rating - 3) * FSRS_WEIGHTS[5]));
+    }
+
+    /**
+     * Difficulty after a subsequent review, with mean reversion
+     * @param {number} difficulty - Current difficulty
+     * @param {number} rating - FSRS rating (1-4)
+     * @returns {number} Difficulty between 1 and 10
+     */
+    nextDifficulty(difficulty, rating) {
+        const next = difficulty - FSRS_WEIGHTS[6] * (rating - 3);
+        const reverted = FSRS_WEIGHTS[7] * this.initialDifficulty(3) + (1 - FSRS_WEIGHTS[7]) * next;
+        return Math.max(1, Math.min(10, reverted));
+    }
+}
+
+export class SpacedRepetitionScheduler {
+    constructor(options = {}) {
+        this.algorithms = new Map();
+        this.registerAlgorithm(new SM2Algorithm());
+        this.registerAlgorithm(new FSRSAlgorithm(options.requestRetention));
+        this.defaultAlgorithm = options.algorithm || 'sm2';
+    }
+
+    /**
+     * Register a scheduling algorithm
+     * @param {Object} algorithm - Algorithm with name, initialState, review and retrievability
+     */
+    registerAlgorithm(algorithm) {
+        this.algorithms.set(algorithm.name, algorithm);
+    }
+
+    /**
+     * Get the list of available algorithm names
+     * @returns {Array} Algorithm names
+     */
+    getAlgorithmNames() {
+        return Array.from(this.algorithms.keys());
+    }
+
+    /**
+     * Resolve an algorithm by name, falling back to the default
+     * @param {string} name - Algorithm name
+     * @returns {Object} Algorithm
+     */
+    getAlgorithm(name = null) {
+        const algorithm = this.algorithms.get(name || this.defaultAlgorithm);
+        if (!algorithm) {
+            throw new Error(`Unknown spaced repetition algorithm: ${name}. Available: ${this.getAlgorithmNames().join(', ')}`);
+        }
+        return algorithm;
+    }
+
+    /**
+     * Convert a lesson result into algorithm grades
+     * @param {boolean} passed - Whether the lesson was passed
+     * @param {number|null} score - Lesson score (0-100)
+     * @returns {Object} SM-2 quality (0-5) and FSRS rating (1-4)
+     */
+    gradeFromResult(passed, score = null) {
+        if (score === null || score === undefined) {
+            return passed ? { quality: 4, rating: 3 } : { quality: 1, rating: 1 };
+        }
+
+        if (!passed) {
+            return { quality: score >= 50 ? 2 : score >= 25 ? 1 : 0, rating: 1 };
+        }
+
+        if (score >= 90) return { quality: 5, rating: 4 };
+        if (score >= 70) return { quality: 4, rating: 3 };
+        return { quality: 3, rating: 2 };
+    }
+
+    /**
+     * Apply a lesson result to a stored review state
+     * @param {string} algorithmName - Algorithm name
+     * @param {Object|null} state - Current stored state (null if never reviewed)
+     * @param {boolean} passed - Whether the lesson was passed
+     * @param {number|null} score - Lesson score
+     * @param {Date} reviewedAt - Review time
+     * @returns {Object} Next state including last_reviewed and due_date
+     */
+    review(algorithmName, state, passed, score = null, reviewedAt = new Date()) {
+        const algorithm = this.getAlgorithm(algorithmName);
+        const current = state || algorithm.initialState();
+        const elapsedDays = current.last_reviewed
+            ? Math.max(0, (reviewedAt - new Date(current.last_reviewed)) / DAY_MS)
+            : 0;
+
+        const next = algorithm.review(current, this.gradeFromResult(passed, score), elapsedDays);
+        const dueDate = new Date(reviewedAt.getTime() + next.interval_days * DAY_MS);
+
+        return {
+            ...next,
+            algorithm: algorithm.name,
+            last_reviewed: reviewedAt.toISOString(),
+            due_date: dueDate.toISOString()
+        };
+    }
+
+    /**
+     * Describe how overdue a stored review state is
+     * @param {Object} state - Stored review state
+     * @param {Date} now - Reference time
+     * @returns {Object} Due information
+     */
+    getDueInfo(state, now = new Date()) {
+        const algorithm = this.getAlgorithm(state.algorithm);
+        const elapsedDays = state.last_reviewed ? (now - new Date(state.last_reviewed)) / DAY_MS : 0;
+        const daysOverdue = (now - new Date(state.due_date)) / DAY_MS;
+
+        return {
+            isDue: daysOverdue >= 0,
+            daysOverdue: Math.round(daysOverdue * 100) / 100,
+            retrievability: Math.round(algorithm.retrievability(state, elapsedDays) * 1000) / 1000
+        };
+    }
+
+    /**
+     * Weight multiplier that favours overdue items (1.0 when just due, up to 3.0)
+     * @param {Object} state - Stored review state
+     * @param {Date} now - Reference time
+     * @returns {number} Overdue multiplier
+     */
+    calculateOverdueMultiplier(state, now = new Date()) {
+        const { daysOverdue } = this.getDueInfo(state, now);
+        if (daysOverdue < 0) return 0;
+        const interval = Math.max(1, state.interval_days || 1);
+        return Math.round(Math.min(3, 1 + daysOverdue / interval) * 100) / 100;
+    }
+}
+
+export default SpacedRepetitionScheduler;
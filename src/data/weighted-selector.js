@@ -9,21 +9,48 @@ export class WeightedSelector {
         this.minWeight = 0;
     }
 
+    /**
+     * Replace node-level mastery, last practiced and selection weight with a user's own values
+     * Values the user has no record of keep the node's value as the default
+     * @param {Array} nodes - Learning nodes
+     * @param {Map} userProgress - user_progress rows keyed by node ID
+     * @returns {Array} Nodes with the user's values and a progress_source of 'user' or 'node'
+     */
+    applyUserProgress(nodes, userProgress) {
+        return nodes.map(node => {
+            const progress = userProgress.get(node.id);
+            if (!progress) {
+                return { ...node, progress_source: 'node' };
+            }
+
+            return {
+                ...node,
+                mastery_percentage: progress.mastery_percentage ?? node.mastery_percentage,
+                last_practiced: progress.last_practiced ?? node.last_practiced,
+                selection_weight: progress.selection_weight ?? node.selection_weight,
+                progress_source: 'user'
+            };
+        });
+    }
+
     /**
      * Calculate selection weights for nodes based on AI analysis and user preferences
      * @param {Array} nodes - Array of learning nodes
      * @param {Object} userPreferences - User preferences and settings
      * @param {Object} analysis - AI analysis results
+     * @param {Map|null} userProgress - Requesting user's progress keyed by node ID (null for shared node values)
      * @returns {Array} Nodes with calculated weights
      */
-    calculateWeights(nodes, userPreferences = {}, analysis = {}) {
+    calculateWeights(nodes, userPreferences = {}, analysis = {}, userProgress = null) {
         console.log('🎯 Calculating selection weights...');
         
+        const learnerNodes = userProgress ? this.applyUserProgress(nodes, userProgress) : nodes;
+        
         // Calculate "Create New Topic" weight based on overall mastery
-        const newTopicWeight = this.calculateNewTopicWeight(nodes);
+        const newTopicWeight = this.calculateNewTopicWeight(learnerNodes);
         
-        const nodesWithWeights = nodes.map(node => {
-            let baseWeight = node.selection_weight || this.defaultWeight;
+        const nodesWithWeights = learnerNodes.map(node => {
+            let baseWeight = node.selection_weight ?? this.defaultWeight;
             
             // Apply simplified mastery weighting (reduced multipliers)
             const masteryWeight = this.calculateMasteryWeight(node.mastery_percentage || 0);
@@ -293,9 +320,20 @@ export class WeightedSelector {
     /**
      * Perform weighted random selection from nodes
      * @param {Array} nodesWithWeights - Nodes with calculated weights
+     * @param {Function} random - Random function returning [0, 1) (defaults to Math.random)
      * @returns {Object} Selected node
      */
-    weightedRandomPick(nodesWithWeights) {
+    weightedRandomPick(nodesWithWeights, random = Math.random) {
+        return this.explainPick(nodesWithWeights, random).selected;
+    }
+
+    /**
+     * Perform weighted random selection and describe the draw
+     * @param {Array} nodesWithWeights - Nodes with calculated weights
+     * @param {Function} random - Random function returning [0, 1) (defaults to Math.random)
+     * @returns {Object} Selected node, random value, total weight and each node's range
+     */
+    explainPick(nodesWithWeights, random = Math.random) {
         if (!nodesWithWeights || nodesWithWeights.length === 0) {
             throw new Error('No nodes available for selection');
         }
@@ -305,25 +343,54 @@ export class WeightedSelector {
         
         if (totalWeight === 0) {
             // If all weights are 0, fall back to equal probability
-            const randomIndex = Math.floor(Math.random() * nodesWithWeights.length);
-            return nodesWithWeights[randomIndex];
+            const randomIndex = Math.floor(random() * nodesWithWeights.length);
+            return {
+                selected: nodesWithWeights[randomIndex],
+                randomValue: randomIndex,
+                totalWeight,
+                ranges: nodesWithWeights.map((node, index) => ({
+                    id: node.id,
+                    name: node.name,
+                    weight: 0,
+                    start: index,
+                    end: index + 1,
+                    probability: Math.round(1000 / nodesWithWeights.length) / 1000
+                }))
+            };
         }
 
         // Generate random number between 0 and totalWeight
-        const randomValue = Math.random() * totalWeight;
+        const randomValue = random() * totalWeight;
         
         // Find the selected node by accumulating weights
         let accumulatedWeight = 0;
-        for (const node of nodesWithWeights) {
+        let selected = null;
+        const ranges = nodesWithWeights.map(node => {
+            const start = accumulatedWeight;
             accumulatedWeight += node.selection_weight;
-            if (randomValue <= accumulatedWeight) {
-                console.log(`🎲 Selected: ${node.name} (weight: ${node.selection_weight}/${totalWeight})`);
-                return node;
+            if (!selected && randomValue <= accumulatedWeight) {
+                selected = node;
             }
-        }
+            return {
+                id: node.id,
+                name: node.name,
+                weight: node.selection_weight,
+                start,
+                end: accumulatedWeight,
+                probability: Math.round((node.selection_weight / totalWeight) * 1000) / 1000
+            };
+        });
 
         // Fallback (should never reach here)
-        return nodesWithWeights[nodesWithWeights.length - 1];
+        selected = selected || nodesWithWeights[nodesWithWeights.length - 1];
+        console.log(`🎲 Selected: ${selected.name} (weight: ${selected.selection_weight}/${totalWeight})`);
+
+        return {
+            selected,
+            randomValue: Math.round(randomValue * 1000) / 1000,
+            totalWeight,
+            ranges
+        };
     }
 
     /**
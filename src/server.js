@@ -9,12 +9,23 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { LearningNodeAPI } from './data/api.js';
 import { migrationManager } from './data/migrations.js';
+import { BodyParser, BodyParseError, DEFAULT_MAX_BODY_BYTES } from './body-parser.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const PORT = 3000;
+const PORT = Number(process.env.PORT) || 3000;
+const SELECTION_STRATEGY = process.env.SELECTION_STRATEGY || 'weighted-random';
+const AUTH_REQUIRED = process.env.AUTH_REQUIRED !== 'false';
+const MAX_BODY_BYTES = Number(process.env.MAX_BODY_BYTES) || DEFAULT_MAX_BODY_BYTES;
+const ADMIN_ACCOUNT = {
+    username: process.env.ADMIN_USERNAME,
+    password: process.env.ADMIN_PASSWORD,
+    email: process.env.ADMIN_EMAIL || `${process.env.ADMIN_USERNAME}@example.com`
+};
+const LOOPBACK_ADDRESSES = new Set(['127.0.0.1', '::1', '::ffff:127.0.0.1']);
 const api = new LearningNodeAPI();
+const bodyParser = new BodyParser({ maxBytes: MAX_BODY_BYTES });
 
 // Initialize database and run migrations
 async function initializeServer() {
@@ -28,51 +39,32 @@ async function initializeServer() {
         // Initialize API
         console.log('🔌 Initializing API...');
         await api.initialize();
+        api.businessLogic.selectionStrategies.setDefault(SELECTION_STRATEGY);
+
+        // Otherwise the first account to sign up becomes the admin, from this machine only unless auth is off
+        if (ADMIN_ACCOUNT.username) {
+            const admin = await api.seedAdmin(ADMIN_ACCOUNT);
+            if (!admin.success && admin.code !== 409) {
+                throw new Error(`Could not create admin ${ADMIN_ACCOUNT.username}: ${admin.error}`);
+            }
+        } else if (AUTH_REQUIRED && (await api.getUsers()).count === 0) {
+            console.warn('⚠️  No admin yet: set ADMIN_USERNAME and ADMIN_PASSWORD, or sign up from localhost to become the admin');
+        }
         
         console.log('✅ Server initialized successfully!');
         console.log(`🌐 Server running on http://localhost:${PORT}`);
         console.log(`🔧 Dev Panel: http://localhost:${PORT}`);
+        console.log(`🎲 Default selection strategy: ${SELECTION_STRATEGY}`);
+        console.log(`🤖 LLM provider for lesson generation: ${api.getLLMSettings().provider}`);
+        console.log(`🔐 Authentication for writes: ${AUTH_REQUIRED ? 'required' : 'disabled (AUTH_REQUIRED=false)'}`);
+        console.log(`👑 Admin: ${ADMIN_ACCOUNT.username || `first account to sign up${AUTH_REQUIRED ? ' from localhost' : ''}`}`);
+        console.log(`📦 Max request body: ${MAX_BODY_BYTES} bytes`);
         console.log('\n📋 Available endpoints:');
         console.log('  GET    /                             - Dev panel');
         console.log('  GET    /health                        - Health check');
-        console.log('  GET    /api/schema                    - Get database schema');
-        console.log('  GET    /api/tables/:tableName         - Get table data');
-        console.log('');
-        console.log('🧠 Business Logic endpoints:');
-        console.log('  POST   /api/business-logic/content-review - AI content review');
-        console.log('  GET    /api/business-logic/analysis       - Content analysis');
-        console.log('  GET    /api/business-logic/recommendations - AI recommendations');
-        console.log('  GET    /api/business-logic/learning-paths  - Learning path suggestions');
-        console.log('');
-        console.log('📚 Lesson endpoints (Weighted Random Selection):');
-        console.log('  POST   /api/lessons/request               - Request new lesson with AI prompt');
-        console.log('  POST   /api/lessons/complete               - Submit lesson completion');
-        console.log('  GET    /api/lessons/weights/:level        - View current weights');
-        console.log('  GET    /api/lessons/statistics             - Get lesson statistics');
-        console.log('');
-        console.log('📊 Level-based endpoints (Modular Structure):');
-        console.log('  GET    /api/levels/:level             - Get all nodes from level (1-5)');
-        console.log('  GET    /api/levels/:level/:id         - Get specific node from level');
-        console.log('  POST   /api/levels/:level             - Create node in level');
-        console.log('  PUT    /api/levels/:level/:id         - Update node in level');
-        console.log('  DELETE /api/levels/:level/:id        - Delete node from level');
-        console.log('  GET    /api/levels/:level/search?q=  - Search nodes in level');
-        console.log('');
-        console.log('🌳 Legacy endpoints (Backward compatibility):');
-        console.log('  GET    /api/nodes                     - Get all root nodes');
-        console.log('  GET    /api/nodes/:id                 - Get specific node');
-        console.log('  GET    /api/nodes/:id/children        - Get children of node');
-        console.log('  GET    /api/nodes/:id/path            - Get full path to node');
-        console.log('  GET    /api/nodes/:id/descendants     - Get all descendants');
-        console.log('  POST   /api/nodes                     - Create new node');
-        console.log('  PUT    /api/nodes/:id                 - Update node');
-        console.log('  PUT    /api/nodes/:id/mastery         - Update mastery');
-        console.log('  POST   /api/nodes/:id/notes           - Add notes');
-        console.log('  DELETE /api/nodes/:id                 - Delete node');
-        console.log('  GET    /api/search?q=query           - Search nodes');
-        console.log('  GET    /api/nodes/mastery?min=0&max=100 - Filter by mastery');
-        console.log('  GET    /api/export                    - Export data');
-        console.log('  POST   /api/import                    - Import data');
+        console.log('  GET    /docs                          - API reference');
+        console.log('  GET    /api/openapi.json              - OpenAPI 3 specification');
+        printRoutes(api.router.listRoutes());
         console.log('\n🧪 Test with curl commands (see test-commands.txt)');
         
     } catch (error) {
@@ -81,44 +73,87 @@ async function initializeServer() {
     }
 }
 
-// Parse request body
-function parseBody(req) {
-    return new Promise((resolve) => {
-        let body = '';
-        req.on('data', chunk => {
-            body += chunk.toString();
-        });
-        req.on('end', () => {
-            try {
-                resolve(body ? JSON.parse(body) : {});
-            } catch (error) {
-                resolve({});
-            }
-        });
+// Print the API routes grouped the way they were registered
+function printRoutes(routes) {
+    let currentGroup = null;
+    routes.forEach(route => {
+        if (route.group !== currentGroup) {
+            currentGroup = route.group;
+            console.log(`\n${currentGroup || 'Other endpoints'}:`);
+        }
+        console.log(`  ${route.method.padEnd(7)}${`/api${route.path}`.padEnd(30)} - ${route.description}`);
     });
 }
 
 // Send JSON response
-function sendResponse(res, statusCode, data) {
+function sendResponse(res, statusCode, data, extraHeaders = {}) {
     res.writeHead(statusCode, {
         'Content-Type': 'application/json',
         'Access-Control-Allow-Origin': '*',
         'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-        'Access-Control-Allow-Headers': 'Content-Type'
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        ...extraHeaders
     });
     res.end(JSON.stringify(data, null, 2));
 }
 
+// Answer a body that could not be read or parsed
+function sendBodyError(res, error) {
+    // The rest of an oversized body is never read, so the connection cannot be reused
+    const headers = error.statusCode === 413 ? { Connection: 'close' } : {};
+    sendResponse(res, error.statusCode, {
+        success: false,
+        error: error.message,
+        ...error.details,
+        code: error.statusCode
+    }, headers);
+}
+
+// Send an HTML page from disk
+function sendHtml(res, htmlPath, name) {
+    try {
+        const htmlContent = fs.readFileSync(htmlPath, 'utf8');
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.end(htmlContent);
+    } catch (error) {
+        sendResponse(res, 500, {
+            error: 'Internal Server Error',
+            message: `Could not load ${name}: ${error.message}`
+        });
+    }
+}
+
 // Handle CORS preflight
 function handleCORS(res) {
     res.writeHead(200, {
         'Access-Control-Allow-Origin': '*',
         'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-        'Access-Control-Allow-Headers': 'Content-Type'
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization'
     });
     res.end();
 }
 
+// Attach the current user and reject unauthenticated writes
+function authenticateRequest(req, method, apiPath) {
+    const auth = api.auth.authenticate(req.headers.authorization);
+    
+    // A token that was sent but does not check out is always an error
+    if (auth.error) {
+        return { error: { success: false, error: auth.error, code: 401 } };
+    }
+    
+    // Routes marked public (signing up, logging in and refreshing) work without a token
+    const isWrite = method === 'POST' || method === 'PUT' || method === 'DELETE';
+    const { route } = api.router.match(method, apiPath);
+    if (AUTH_REQUIRED && isWrite && !auth.user && !route?.public) {
+        return { error: { success: false, error: 'Authentication required', code: 401 } };
+    }
+    
+    // Remote callers must not win the race to the first account on a fresh server
+    const canClaimAdmin = !AUTH_REQUIRED || LOOPBACK_ADDRESSES.has(req.socket.remoteAddress);
+    return { context: { user: auth.user || null, session: auth.session || null, canClaimAdmin } };
+}
+
 // Main request handler
 async function handleRequest(req, res) {
     const parsedUrl = url.parse(req.url, true);
@@ -134,19 +169,29 @@ async function handleRequest(req, res) {
     console.log(`📡 ${method} ${path}`);
 
     try {
-        // Parse request body for POST/PUT requests
-        let body = {};
-        if (method === 'POST' || method === 'PUT') {
-            body = await parseBody(req);
+        // Serve the OpenAPI document as is, without the API's success envelope
+        if (path === '/api/openapi.json' && method === 'GET') {
+            sendResponse(res, 200, api.getOpenAPISpec());
+            return;
         }
 
-        // Merge query parameters with body
-        const data = { ...query, ...body };
-
         // Handle API requests
         if (path.startsWith('/api/')) {
             const apiPath = path.replace('/api', '');
-            const result = await api.handleRequest(method, apiPath, data);
+            const auth = authenticateRequest(req, method, apiPath);
+            if (auth.error) {
+                sendResponse(res, 401, auth.error);
+                return;
+            }
+            
+            // Parse request body for POST/PUT requests; query and body stay separate
+            let body = {};
+            if (method === 'POST' || method === 'PUT') {
+                const { route } = api.router.match(method, apiPath);
+                body = await bodyParser.parse(req, { bulkField: route?.bulk });
+            }
+            
+            const result = await api.handleRequest(method, apiPath, { query, body }, auth.context);
             
             const statusCode = result.success ? 200 : (result.code || 500);
             sendResponse(res, statusCode, result);
@@ -155,19 +200,14 @@ async function handleRequest(req, res) {
 
         // Handle root path - serve dev panel
         if (path === '/') {
-            try {
-                const htmlPath = './dev-panel.html';
-                const htmlContent = fs.readFileSync(htmlPath, 'utf8');
-                res.writeHead(200, { 'Content-Type': 'text/html' });
-                res.end(htmlContent);
-                return;
-            } catch (error) {
-                sendResponse(res, 500, {
-                    error: 'Internal Server Error',
-                    message: 'Could not load dev panel: ' + error.message
-                });
-                return;
-            }
+            sendHtml(res, './dev-panel.html', 'dev panel');
+            return;
+        }
+
+        // Serve the API reference, rendered in the browser from /api/openapi.json
+        if (path === '/docs') {
+            sendHtml(res, './docs.html', 'API docs');
+            return;
         }
 
         // Handle health check
@@ -184,10 +224,15 @@ async function handleRequest(req, res) {
         sendResponse(res, 404, {
             error: 'Not Found',
             message: `Path ${path} not found`,
-            availablePaths: ['/api/*', '/health']
+            availablePaths: ['/api/*', '/health', '/docs']
         });
 
     } catch (error) {
+        if (error instanceof BodyParseError) {
+            console.warn(`⚠️ Rejected request body: ${error.message}`);
+            sendBodyError(res, error);
+            return;
+        }
         console.error('❌ Request error:', error);
         sendResponse(res, 500, {
             error: 'Internal Server Error',
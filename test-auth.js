@@ -0,0 +1,91 @@
+/**
+ * Test script for Authentication
+ * Signs up, logs in, refreshes and revokes tokens, and checks that writes need a bearer token
+ */
+import fetch from 'node-fetch';
+import { BASE_URL, check, fail } from './test-helpers.js';
+
+async function request(method, url, body, token) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) {
+        headers.Authorization = `Bearer ${token}`;
+    }
+    const response = await fetch(`${BASE_URL}${url}`, {
+        method,
+        headers,
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const result = await response.json();
+    return { status: response.status, ...result };
+}
+
+async function testAuth() {
+    console.log('🔐 Testing MicroLearn Authentication...\n');
+
+    try {
+        // 1. Sign up
+        console.log('1. Signing up...');
+        const user = await request('POST', '/api/users', { username: 'grace', email: 'grace@example.com', password: 'hopper-1906' });
+        check(user.success, `Signed up without a token: ${user.data?.username}`);
+        check(user.data?.password_hash === undefined, `Password hash not returned`);
+        const shortPassword = await request('POST', '/api/users', { username: 'short', email: 'short@example.com', password: 'abc' });
+        check(shortPassword.status === 400, `Short password rejected: ${shortPassword.status}`);
+        console.log('');
+
+        // 2. Writes without a token
+        console.log('2. Writing without a token');
+        const anonymous = await request('POST', '/api/nodes', { name: 'Anonymous' });
+        check(anonymous.status === 401, `Anonymous write rejected: ${anonymous.status} ${anonymous.error}`);
+        const reads = await request('GET', '/api/nodes');
+        check(reads.success, `Reads stay public`);
+        const forged = await request('POST', '/api/nodes', { name: 'Forged' }, 'eyJzdWIiOiJ4In0.bm90LWEtc2lnbmF0dXJl');
+        check(forged.status === 401, `Forged token rejected: ${forged.error}`);
+        console.log('');
+
+        // 3. Log in
+        console.log('3. Logging in');
+        const wrongPassword = await request('POST', '/api/auth/login', { username: 'grace', password: 'not-her-password' });
+        check(wrongPassword.status === 401, `Wrong password: ${wrongPassword.status}`);
+        const login = await request('POST', '/api/auth/login', { username: 'grace', password: 'hopper-1906' });
+        const token = login.data?.token;
+        check(token && login.data?.refreshToken, `Logged in, token expires ${login.data?.expiresAt}`);
+        const me = await request('GET', '/api/auth/me', null, token);
+        check(me.data?.id === user.data?.id, `/auth/me returns ${me.data?.username}`);
+        const updated = await request('PUT', `/api/users/${user.data?.id}`, { email: 'grace.hopper@example.com' }, token);
+        check(updated.success, `Authenticated write: ${updated.data?.email}`);
+        console.log('');
+
+        // 4. Refresh
+        console.log('4. Refreshing the token');
+        const refreshed = await request('POST', '/api/auth/refresh', { refreshToken: login.data.refreshToken });
+        check(refreshed.data?.token && refreshed.data.refreshToken !== login.data.refreshToken, `New token pair issued`);
+        const reused = await request('POST', '/api/auth/refresh', { refreshToken: login.data.refreshToken });
+        check(reused.status === 401, `Rotated refresh token cannot be reused: ${reused.status}`);
+        console.log('');
+
+        // 5. Log out
+        console.log('5. Logging out');
+        const logout = await request('POST', '/api/auth/logout', null, refreshed.data.token);
+        check(logout.success, `Session revoked`);
+        const afterLogout = await request('POST', '/api/nodes', { name: 'After Logout' }, refreshed.data.token);
+        check(afterLogout.status === 401, `Token rejected after logout: ${afterLogout.error}`);
+        const refreshAfterLogout = await request('POST', '/api/auth/refresh', { refreshToken: refreshed.data.refreshToken });
+        check(refreshAfterLogout.status === 401, `Refresh rejected after logout`);
+        console.log('');
+
+        // 6. Changing the password
+        console.log('6. Changing the password');
+        const second = await request('POST', '/api/auth/login', { username: 'grace', password: 'hopper-1906' });
+        await request('PUT', `/api/users/${user.data.id}`, { password: 'cobol-1959!' }, second.data.token);
+        const oldPassword = await request('POST', '/api/auth/login', { username: 'grace', password: 'hopper-1906' });
+        const newPassword = await request('POST', '/api/auth/login', { username: 'grace', password: 'cobol-1959!' });
+        check(oldPassword.status === 401 && newPassword.success, `Only the new password works`);
+        console.log('');
+
+        console.log('🎉 Authentication tests completed!');
+    } catch (error) {
+        fail('Test failed:', error.message);
+    }
+}
+
+testAuth();
@@ -0,0 +1,78 @@
+/**
+ * Test script for Request Body Parsing
+ * Checks malformed JSON reporting, the size limit, form and NDJSON bodies, and that query params stay out of bodies
+ */
+import fetch from 'node-fetch';
+import { BASE_URL, headers, authenticate, check, fail } from './test-helpers.js';
+
+// Send a raw body with its own content type
+async function send(method, url, body, contentType = 'application/json') {
+    const response = await fetch(`${BASE_URL}${url}`, {
+        method,
+        headers: { ...headers, 'Content-Type': contentType },
+        body
+    });
+    const result = await response.json();
+    return { status: response.status, ...result };
+}
+
+async function testBodyParser() {
+    console.log('📦 Testing MicroLearn Request Body Parsing...\n');
+
+    try {
+        await authenticate();
+
+        // 1. Malformed JSON
+        console.log('1. Reporting malformed JSON...');
+        const malformed = await send('POST', '/api/nodes', '{\n  "name": "Physics",\n}');
+        check(malformed.status === 400 && malformed.line === 3 && malformed.column === 1, `Trailing comma: ${malformed.status} at line ${malformed.line}, column ${malformed.column}`);
+        console.log(`   ${malformed.error}`);
+        const truncated = await send('POST', '/api/nodes', '{"name": "Phys');
+        check(truncated.status === 400 && truncated.position === 14, `Truncated body: ${truncated.status} at position ${truncated.position}`);
+        const notObject = await send('POST', '/api/nodes', '["Physics"]');
+        check(notObject.status === 400, `Array body: ${notObject.status} ${notObject.error}`);
+        console.log('');
+
+        // 2. Size limit
+        console.log('2. Enforcing the size limit');
+        const huge = JSON.stringify({ name: 'Huge', notes: 'x'.repeat(2 * 1024 * 1024) });
+        const tooLarge = await send('POST', '/api/nodes', huge);
+        check(tooLarge.status === 413, `2 MB body: ${tooLarge.status} ${tooLarge.error}`);
+        console.log('');
+
+        // 3. Content types
+        console.log('3. Parsing other content types');
+        const form = await send('POST', '/api/nodes', 'name=Optics&mastery_percentage=30', 'application/x-www-form-urlencoded');
+        check(form.data?.name === 'Optics' && form.data?.mastery_percentage === 30, `Form body created ${form.data?.name} at ${form.data?.mastery_percentage}%`);
+        const text = await send('POST', '/api/nodes', 'name: Optics', 'text/plain');
+        check(text.status === 415, `text/plain: ${text.status}`);
+        const ndjsonNode = await send('POST', '/api/nodes', '{"name": "Optics"}\n', 'application/x-ndjson');
+        check(ndjsonNode.status === 415, `NDJSON on a non-bulk route: ${ndjsonNode.status}`);
+        console.log('');
+
+        // 4. Query and body stay separate
+        console.log('4. Keeping query params out of the body');
+        const mixed = await send('POST', '/api/nodes?name=Injected&mastery_percentage=100', JSON.stringify({ name: 'Acoustics' }));
+        check(mixed.data?.name === 'Acoustics' && mixed.data?.mastery_percentage === 0, `Body wins: ${mixed.data?.name} at ${mixed.data?.mastery_percentage}%`);
+        console.log('');
+
+        // 5. NDJSON bulk import
+        console.log('5. Importing NDJSON');
+        const now = new Date().toISOString();
+        const lines = ['Mechanics', 'Thermodynamics', 'Relativity']
+            .map((name, index) => JSON.stringify({ id: `ndjson-${index}`, name, mastery_percentage: 10 * index, parent_id: null, node_type: 'subject', created_at: now, updated_at: now }));
+        const badLine = await send('POST', '/api/import', `${lines[0]}\n{"name": }\n`, 'application/x-ndjson');
+        check(badLine.status === 400 && badLine.line === 2, `Bad record reported on line ${badLine.line}`);
+        const imported = await send('POST', '/api/import', `${lines.join('\n')}\n`, 'application/x-ndjson');
+        check(imported.success, `NDJSON import: ${imported.message || imported.error}`);
+        const roots = await fetch(`${BASE_URL}/api/nodes`).then(response => response.json());
+        check(roots.count === 3, `${roots.count} nodes after import`);
+        console.log('');
+
+        console.log('🎉 Body parsing tests completed!');
+    } catch (error) {
+        fail('Test failed:', error.message);
+    }
+}
+
+testBodyParser();
@@ -3,13 +3,14 @@
  * Tests the AI-driven content review and business logic system
  */
 import fetch from 'node-fetch';
-
-const BASE_URL = 'http://localhost:3000';
+import { BASE_URL, headers, authenticate, fail } from './test-helpers.js';
 
 async function testBusinessLogic() {
     console.log('🧠 Testing MicroLearn Business Logic System...\n');
 
     try {
+        await authenticate();
+
         // 1. Health Check
         console.log('1. Health Check');
         const health = await fetch(`${BASE_URL}/health`);
@@ -23,7 +24,7 @@ async function testBusinessLogic() {
         // Create Mathematics root node
         const mathNode = await fetch(`${BASE_URL}/api/nodes`, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers,
             body: JSON.stringify({
                 name: 'Mathematics',
                 mastery_percentage: 75,
@@ -41,7 +42,7 @@ async function testBusinessLogic() {
         // Create Science root node
         const scienceNode = await fetch(`${BASE_URL}/api/nodes`, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers,
             body: JSON.stringify({
                 name: 'Science',
                 mastery_percentage: 60,
@@ -59,7 +60,7 @@ async function testBusinessLogic() {
         // Create Programming root node
         const progNode = await fetch(`${BASE_URL}/api/nodes`, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers,
             body: JSON.stringify({
                 name: 'Programming',
                 mastery_percentage: 45,
@@ -88,7 +89,7 @@ async function testBusinessLogic() {
             console.log(`   - Learning Opportunities: ${analysisData.data.analysis.learningOpportunities.length}`);
             console.log(`   - Content Gaps: ${analysisData.data.analysis.contentGaps.length}`);
         } else {
-            console.log('❌ Analysis failed:', analysisData.error);
+            fail('Analysis failed:', analysisData.error);
         }
         console.log('');
 
@@ -105,7 +106,7 @@ async function testBusinessLogic() {
             console.log(`   - Alternative Options: ${recData.data.alternativeOptions.length}`);
             console.log(`   - Priority Actions: ${recData.data.priorityActions.length}`);
         } else {
-            console.log('❌ Recommendations failed:', recData.error);
+            fail('Recommendations failed:', recData.error);
         }
         console.log('');
 
@@ -123,7 +124,7 @@ async function testBusinessLogic() {
                 console.log(`      Reasoning: ${path.aiReasoning.substring(0, 80)}...`);
             });
         } else {
-            console.log('❌ Learning paths failed:', pathsData.error);
+            fail('Learning paths failed:', pathsData.error);
         }
         console.log('');
 
@@ -131,7 +132,7 @@ async function testBusinessLogic() {
         console.log('6. Testing Full AI Content Review');
         const fullReview = await fetch(`${BASE_URL}/api/business-logic/content-review`, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers,
             body: JSON.stringify({
                 userPreferences: {
                     difficulty: 'intermediate',
@@ -159,7 +160,7 @@ async function testBusinessLogic() {
             console.log(`   - Strengths: ${reviewData.data.aiInsights.strengths.length}`);
             console.log(`   - Next Steps: ${reviewData.data.aiInsights.nextSteps.length}`);
         } else {
-            console.log('❌ Full review failed:', reviewData.error);
+            fail('Full review failed:', reviewData.error);
         }
         console.log('');
 
@@ -167,7 +168,7 @@ async function testBusinessLogic() {
         console.log('7. Testing with Empty User Preferences (as requested)');
         const emptyPrefsReview = await fetch(`${BASE_URL}/api/business-logic/content-review`, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers,
             body: JSON.stringify({
                 userPreferences: {}
             })
@@ -180,7 +181,7 @@ async function testBusinessLogic() {
             console.log(`   - AI still generated recommendations: ${emptyPrefsData.data.recommendations ? 'Yes' : 'No'}`);
             console.log(`   - Learning paths created: ${emptyPrefsData.data.learningPaths.length}`);
         } else {
-            console.log('❌ Empty preferences review failed:', emptyPrefsData.error);
+            fail('Empty preferences review failed:', emptyPrefsData.error);
         }
         console.log('');
 
@@ -201,7 +202,7 @@ async function testBusinessLogic() {
         console.log('- User preference integration (placeholder)');
 
     } catch (error) {
-        console.error('❌ Business Logic Test failed:', error);
+        fail('Business Logic Test failed:', error);
     }
 }
 
@@ -3,13 +3,14 @@
  * Tests the database operations via HTTP API
  */
 import fetch from 'node-fetch';
-
-const BASE_URL = 'http://localhost:3000';
+import { BASE_URL, headers, authenticate, fail } from './test-helpers.js';
 
 async function testAPI() {
     console.log('🧪 Testing MicroLearn Database API...\n');
 
     try {
+        await authenticate();
+
         // 1. Health Check
         console.log('1. Health Check');
         const health = await fetch(`${BASE_URL}/health`);
@@ -28,7 +29,7 @@ async function testAPI() {
         console.log('3. Create Mathematics root node');
         const mathNode = await fetch(`${BASE_URL}/api/nodes`, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers,
             body: JSON.stringify({
                 name: 'Mathematics',
                 mastery_percentage: 75,
@@ -49,7 +50,7 @@ async function testAPI() {
         console.log('4. Create Algebra child node');
         const algebraNode = await fetch(`${BASE_URL}/api/nodes`, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers,
             body: JSON.stringify({
                 name: 'Algebra',
                 mastery_percentage: 80,
@@ -78,7 +79,7 @@ async function testAPI() {
         console.log('6. Create Linear Equations child');
         const linearNode = await fetch(`${BASE_URL}/api/nodes`, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers,
             body: JSON.stringify({
                 name: 'Linear Equations',
                 mastery_percentage: 90,
@@ -121,7 +122,7 @@ async function testAPI() {
         console.log('10. Update mastery of Linear Equations to 95%');
         const updateMastery = await fetch(`${BASE_URL}/api/nodes/${linearId}/mastery`, {
             method: 'PUT',
-            headers: { 'Content-Type': 'application/json' },
+            headers,
             body: JSON.stringify({ percentage: 95 })
         });
         const updateData = await updateMastery.json();
@@ -163,7 +164,7 @@ async function testAPI() {
         console.log('- ✅ Data export');
 
     } catch (error) {
-        console.error('❌ Test failed:', error);
+        fail('Test failed:', error);
     }
 }
 
@@ -0,0 +1,96 @@
+/**
+ * Test script for Hierarchical Drill-Down Selection
+ * Builds a subject tree and verifies lessons descend to a leaf topic
+ */
+import fetch from 'node-fetch';
+import { BASE_URL, headers, authenticate, check, fail } from './test-helpers.js';
+
+async function createNode(node) {
+    const response = await fetch(`${BASE_URL}/api/nodes`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(node)
+    });
+    const result = await response.json();
+    return result.data;
+}
+
+async function requestLesson(userPreferences) {
+    const response = await fetch(`${BASE_URL}/api/lessons/request`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ userPreferences })
+    });
+    return { status: response.status, result: await response.json() };
+}
+
+async function testDrillDown() {
+    console.log('🌳 Testing MicroLearn Hierarchical Drill-Down...\n');
+
+    try {
+        await authenticate();
+
+        // 1. Build a three-level subject tree
+        console.log('1. Creating subject tree...');
+        const science = await createNode({ name: 'Science', mastery_percentage: 10, node_type: 'subject' });
+        const physics = await createNode({ name: 'Physics', mastery_percentage: 20, parent_id: science.id });
+        const chemistry = await createNode({ name: 'Chemistry', mastery_percentage: 30, parent_id: science.id });
+        await createNode({ name: 'Mechanics', mastery_percentage: 5, parent_id: physics.id });
+        await createNode({ name: 'Thermodynamics', mastery_percentage: 15, parent_id: physics.id });
+        await createNode({ name: 'Organic Chemistry', mastery_percentage: 25, parent_id: chemistry.id });
+        console.log('✅ Science → Physics/Chemistry → Mechanics/Thermodynamics/Organic Chemistry');
+        console.log('');
+
+        // 2. Lessons descend to a leaf
+        console.log('2. Requesting a lesson with lowest mastery first (should reach Mechanics)');
+        const { result: lowestResult } = await requestLesson({ strategy: 'lowest-mastery-first' });
+        const path = lowestResult.data.selectionPath;
+        const reachedLeaf = lowestResult.data.selectedTopic.name === 'Mechanics' && path.length === 3;
+        check(reachedLeaf, `Path: ${path.map(step => step.name).join(' → ')}`);
+        path.forEach(step => {
+            console.log(`   * Depth ${step.depth}: ${step.name} (weight ${step.selection_weight} of ${step.candidates} options)`);
+        });
+        const promptHasPath = lowestResult.data.aiPrompt.includes('Science → Physics → Mechanics');
+        check(promptHasPath, `Prompt includes the selection path`);
+        console.log('');
+
+        // 3. maxDepth limits the descent
+        console.log('3. Requesting with maxDepth 2 (should stop at Physics)');
+        const { result: shallowResult } = await requestLesson({ strategy: 'lowest-mastery-first', maxDepth: 2 });
+        const shallowName = shallowResult.data.selectedTopic.name;
+        check(shallowName === 'Physics', `Selected: ${shallowName}`);
+        console.log('');
+
+        // 4. Completing a leaf lesson updates the leaf and its siblings
+        console.log('4. Completing the Mechanics lesson');
+        const completeResponse = await fetch(`${BASE_URL}/api/lessons/complete`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({ lessonId: lowestResult.data.lessonId, passed: true, score: 90 })
+        });
+        const completeData = await completeResponse.json();
+        check(completeData.success, `New mastery: ${completeData.data?.newMastery ?? completeData.error}% (${completeData.data?.weightUpdates.length} sibling weights updated)`);
+        console.log('');
+
+        // 5. Stored lessons keep the path
+        console.log('5. Fetching the stored lesson');
+        const lessonResponse = await fetch(`${BASE_URL}/api/lessons/${lowestResult.data.lessonId}`, { headers });
+        const lessonData = await lessonResponse.json();
+        console.log(`✅ Stored path: ${lessonData.data.selection_path.map(step => step.name).join(' → ')}`);
+        console.log('');
+
+        // 6. Invalid depth is rejected
+        console.log('6. Requesting with maxDepth 0 (should be 400)');
+        const { status } = await requestLesson({ maxDepth: 0 });
+        check(status === 400, `Status: ${status}`);
+        console.log('');
+
+        console.log('🎉 All Drill-Down Tests Completed!');
+
+    } catch (error) {
+        fail('Drill-Down Test failed:', error);
+    }
+}
+
+// Run the test
+testDrillDown();
@@ -3,13 +3,14 @@
  * Demonstrates the new weighting factors: mastery avoidance, base importance, and spaced repetition
  */
 import fetch from 'node-fetch';
-
-const BASE_URL = 'http://localhost:3000';
+import { BASE_URL, headers, authenticate, fail } from './test-helpers.js';
 
 async function testEnhancedWeightedSelection() {
     console.log('🎯 Testing Enhanced Weighted Selection System...\n');
 
     try {
+        await authenticate();
+
         // 1. Health Check
         console.log('1. Health Check');
         const health = await fetch(`${BASE_URL}/health`);
@@ -69,7 +70,7 @@ async function testEnhancedWeightedSelection() {
         for (const topic of testTopics) {
             const response = await fetch(`${BASE_URL}/api/nodes`, {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
+                headers,
                 body: JSON.stringify(topic)
             });
             const result = await response.json();
@@ -113,7 +114,7 @@ async function testEnhancedWeightedSelection() {
             console.log(`   Request ${i}:`);
             const lessonResponse = await fetch(`${BASE_URL}/api/lessons/request`, {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
+                headers,
                 body: JSON.stringify({ userPreferences })
             });
             
@@ -133,7 +134,7 @@ async function testEnhancedWeightedSelection() {
                     console.log(`   🤖 AI Prompt Preview: ${promptPreview}`);
                 }
             } else {
-                console.log(`   ❌ Failed: ${lessonData.error}`);
+                fail(`Failed: ${lessonData.error}`);
             }
             console.log('');
         }
@@ -144,7 +145,7 @@ async function testEnhancedWeightedSelection() {
         // Get a lesson request
         const lessonRequest = await fetch(`${BASE_URL}/api/lessons/request`, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers,
             body: JSON.stringify({ userPreferences })
         });
         
@@ -164,7 +165,7 @@ async function testEnhancedWeightedSelection() {
             
             const completionResponse = await fetch(`${BASE_URL}/api/lessons/complete`, {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
+                headers,
                 body: JSON.stringify(completionData)
             });
             
@@ -182,7 +183,7 @@ async function testEnhancedWeightedSelection() {
                     });
                 }
             } else {
-                console.log(`❌ Completion failed: ${completionResult.error}`);
+                fail(`Completion failed: ${completionResult.error}`);
             }
         }
         console.log('');
@@ -201,7 +202,7 @@ async function testEnhancedWeightedSelection() {
         
         const perfectResponse = await fetch(`${BASE_URL}/api/nodes`, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers,
             body: JSON.stringify(perfectTopic)
         });
         
@@ -213,7 +214,7 @@ async function testEnhancedWeightedSelection() {
             for (let i = 0; i < 10; i++) {
                 const testResponse = await fetch(`${BASE_URL}/api/lessons/request`, {
                     method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
+                    headers,
                     body: JSON.stringify({ userPreferences })
                 });
                 
@@ -227,7 +228,7 @@ async function testEnhancedWeightedSelection() {
             if (perfectTopicSelected === 0) {
                 console.log('✅ 100% mastery avoidance working correctly!');
             } else {
-                console.log('❌ 100% mastery avoidance not working properly');
+                fail('100% mastery avoidance not working properly');
             }
         }
         console.log('');
@@ -249,7 +250,7 @@ async function testEnhancedWeightedSelection() {
         console.log('- Automatic last practiced timestamp updates');
 
     } catch (error) {
-        console.error('❌ Enhanced Weighted Selection Test failed:', error);
+        fail('Enhanced Weighted Selection Test failed:', error);
     }
 }
 
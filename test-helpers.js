@@ -0,0 +1,82 @@
+/**
+ * Shared helpers for the test scripts
+ * Each suite runs in its own process, so headers is that suite's request headers; run-tests.js sets MICROLEARN_URL
+ */
+import fetch from 'node-fetch';
+
+export const BASE_URL = process.env.MICROLEARN_URL || 'http://localhost:3000';
+
+export const headers = { 'Content-Type': 'application/json' };
+
+// run-tests.js starts each server with this account as its admin
+export const TEST_RUNNER = { username: 'test_runner', password: 'test-runner-password', email: 'test_runner@example.com' };
+
+/**
+ * Register the test runner (a 409 means it already exists), log in and put its bearer token on headers
+ */
+export async function authenticate() {
+    const credentials = { username: TEST_RUNNER.username, password: TEST_RUNNER.password };
+    await fetch(`${BASE_URL}/api/users`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ ...credentials, email: TEST_RUNNER.email })
+    });
+    const response = await fetch(`${BASE_URL}/api/auth/login`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(credentials)
+    });
+    const result = await response.json();
+    headers.Authorization = `Bearer ${result.data.token}`;
+}
+
+/**
+ * Send a JSON request
+ * @param {string} method - HTTP method
+ * @param {string} url - Path under BASE_URL
+ * @param {Object} body - Request body (omitted when falsy)
+ * @param {Object} requestHeaders - Headers (the test runner's by default)
+ * @returns {Object} Response body with its status
+ */
+export async function request(method, url, body, requestHeaders = headers) {
+    const response = await fetch(`${BASE_URL}${url}`, {
+        method,
+        headers: requestHeaders,
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const result = await response.json();
+    return { status: response.status, ...result };
+}
+
+/**
+ * Log in as another user
+ * @param {string} username - Username
+ * @param {string} password - Password
+ * @returns {Object} Headers carrying that user's bearer token
+ */
+export async function loginAs(username, password) {
+    const login = await request('POST', '/api/auth/login', { username, password }, { 'Content-Type': 'application/json' });
+    return { 'Content-Type': 'application/json', Authorization: `Bearer ${login.data.token}` };
+}
+
+/**
+ * Print a check, failing the suite's exit code when it does not hold
+ * @param {boolean} passed - Whether the check holds
+ * @param {string} message - What was checked
+ */
+export function check(passed, message) {
+    console.log(`${passed ? '✅' : '❌'} ${message}`);
+    if (!passed) {
+        process.exitCode = 1;
+    }
+}
+
+/**
+ * Report a failed step, failing the suite's exit code
+ * @param {string} message - What failed
+ * @param {...*} details - Errors or values to print after it
+ */
+export function fail(message, ...details) {
+    console.error(`❌ ${message}`, ...details);
+    process.exitCode = 1;
+}
@@ -0,0 +1,104 @@
+/**
+ * Test script for Item Analysis
+ * Records graded responses, checks p-values, discrimination, average time and IRT difficulty, and that calibrated
+ * difficulty changes which questions quizzes serve and which lesson type a topic gets
+ */
+import { authenticate, request, loginAs, check, fail } from './test-helpers.js';
+
+const trueFalse = (prompt, difficulty) => ({ type: 'true_false', difficulty, prompt, data: { answer: true } });
+
+async function testItemAnalysis() {
+    console.log('📈 Testing MicroLearn Item Analysis...\n');
+
+    try {
+        await authenticate();
+
+        // 1. Responses
+        console.log('1. Recording six graded quizzes...');
+        const ratios = await request('POST', '/api/nodes', { name: 'Ratios', mastery_percentage: 20 });
+        const nodeId = ratios.data.id;
+        // Tagged advanced but everyone gets it right; tagged beginner but everyone gets it wrong;
+        // and two intermediate questions that the same half of the learners get right
+        const easy = await request('POST', `/api/nodes/${nodeId}/questions`, trueFalse('A ratio compares two quantities', 'advanced'));
+        const hard = await request('POST', `/api/nodes/${nodeId}/questions`, trueFalse('3:4 equals 4:3', 'beginner'));
+        const split = await request('POST', `/api/nodes/${nodeId}/questions`, trueFalse('2:4 simplifies to 1:2', 'intermediate'));
+        const paired = await request('POST', `/api/nodes/${nodeId}/questions`, trueFalse('6:9 simplifies to 2:3', 'intermediate'));
+
+        for (let learner = 0; learner < 6; learner++) {
+            const strong = learner < 3;
+            const quiz = await request('POST', `/api/nodes/${nodeId}/quiz`, { duration: 30 });
+            await request('POST', `/api/quizzes/${quiz.data.id}/submit`, {
+                answers: {
+                    [easy.data.id]: true,
+                    [hard.data.id]: false,
+                    [split.data.id]: strong,
+                    [paired.data.id]: strong
+                },
+                timings: { [easy.data.id]: 10, [hard.data.id]: 50 + learner * 2 },
+                durationSeconds: 120
+            });
+        }
+        const easyStats = await request('GET', `/api/questions/${easy.data.id}/stats`);
+        check(easyStats.status === 200 && easyStats.data.responses === 6 && easyStats.data.p_value === 1, `Six responses recorded, p-value ${easyStats.data?.p_value}`);
+        console.log('');
+
+        // 2. Statistics
+        console.log('2. Computing item statistics');
+        check(easyStats.data?.irt_difficulty < -1 && easyStats.data.calibrated_difficulty === 'beginner' && easyStats.data.tagged_difficulty === 'advanced', `Everyone right: IRT ${easyStats.data?.irt_difficulty}, tagged ${easyStats.data?.tagged_difficulty}, calibrated ${easyStats.data?.calibrated_difficulty}`);
+        const hardStats = await request('GET', `/api/questions/${hard.data.id}/stats`);
+        check(hardStats.data?.p_value === 0 && hardStats.data.irt_difficulty > 1 && hardStats.data.calibrated_difficulty === 'advanced', `Everyone wrong: IRT ${hardStats.data?.irt_difficulty}, calibrated ${hardStats.data?.calibrated_difficulty}`);
+        check(easyStats.data?.average_time_seconds === 10 && hardStats.data?.average_time_seconds === 55, `Average time from timings: ${easyStats.data?.average_time_seconds}s and ${hardStats.data?.average_time_seconds}s`);
+        const splitStats = await request('GET', `/api/questions/${split.data.id}/stats`);
+        check(splitStats.data?.p_value === 0.5 && splitStats.data.discrimination === 1 && splitStats.data.irt_difficulty === 0, `Half right, by the stronger learners: discrimination ${splitStats.data?.discrimination}, IRT ${splitStats.data?.irt_difficulty}`);
+        check(splitStats.data?.average_time_seconds === 30, `Untimed answers share the quiz duration: ${splitStats.data?.average_time_seconds}s`);
+        check(easyStats.data?.discrimination === null, `No discrimination when everyone answers the same`);
+        const missing = await request('GET', '/api/questions/no-such-question/stats');
+        check(missing.status === 404, `Unknown question: ${missing.status}`);
+        await request('POST', '/api/users', { username: 'stats_learner', email: 'stats_learner@example.com', password: 'correct-horse' });
+        const learnerStats = await request('GET', `/api/questions/${easy.data.id}/stats`, null, await loginAs('stats_learner', 'correct-horse'));
+        const anonymousStats = await request('GET', `/api/questions/${easy.data.id}/stats`, null, { 'Content-Type': 'application/json' });
+        check(learnerStats.status === 403 && anonymousStats.status === 401, `Statistics are for authors: learner ${learnerStats.status}, anonymous ${anonymousStats.status}`);
+        console.log('');
+
+        // 3. Quiz assembly
+        console.log('3. Serving calibrated difficulty');
+        await request('PUT', `/api/nodes/${nodeId}`, { mastery_percentage: 20 });
+        const served = [];
+        for (const seed of [1, 2, 3]) {
+            const quiz = await request('POST', `/api/nodes/${nodeId}/quiz`, { duration: 4, seed });
+            served.push(quiz.data?.questions.map(question => question.id).join());
+        }
+        check(served.every(ids => ids === easy.data.id), `Beginners get the question that measured easiest, not the one tagged beginner`);
+        await request('PUT', `/api/nodes/${nodeId}`, { mastery_percentage: 90 });
+        const expert = await request('POST', `/api/nodes/${nodeId}/quiz`, { duration: 4, seed: 1 });
+        check(expert.data?.questions[0]?.id === hard.data.id, `Advanced learners get the question that measured hardest`);
+        console.log('');
+
+        // 4. Lesson type
+        console.log('4. Choosing the lesson type');
+        await request('PUT', `/api/nodes/${nodeId}`, { mastery_percentage: 50 });
+        const plain = await request('POST', '/api/nodes', { name: 'Proportions', mastery_percentage: 55 });
+        const hardLesson = await request('POST', '/api/lessons/request', { userPreferences: { strategy: 'lowest-mastery-first', maxDepth: 1 } });
+        const hardType = await request('GET', `/api/lessons/${hardLesson.data?.lessonId}`);
+        check(hardType.data?.node_id === nodeId && hardType.data.lesson_type === 'practice', `Ratios at 50% with balanced questions: ${hardType.data?.lesson_type}`);
+        for (let learner = 0; learner < 6; learner++) {
+            const quiz = await request('POST', `/api/nodes/${nodeId}/quiz`, { duration: 30 });
+            await request('POST', `/api/quizzes/${quiz.data.id}/submit`, { answers: {} });
+        }
+        await request('PUT', `/api/nodes/${nodeId}`, { mastery_percentage: 50 });
+        const harderLesson = await request('POST', '/api/lessons/request', { userPreferences: { strategy: 'lowest-mastery-first', maxDepth: 1 } });
+        const harderType = await request('GET', `/api/lessons/${harderLesson.data?.lessonId}`);
+        check(harderType.data?.node_id === nodeId && harderType.data.lesson_type === 'introduction', `Ratios at 50% once its questions measure hard: ${harderType.data?.lesson_type}`);
+        await request('PUT', `/api/nodes/${nodeId}`, { mastery_percentage: 100 });
+        const plainLesson = await request('POST', '/api/lessons/request', { userPreferences: { strategy: 'lowest-mastery-first', maxDepth: 1 } });
+        const plainType = await request('GET', `/api/lessons/${plainLesson.data?.lessonId}`);
+        check(plainType.data?.node_id === plain.data.id && plainType.data.lesson_type === 'practice', `Topic without calibrated questions still goes by mastery: ${plainType.data?.lesson_type}`);
+        console.log('');
+
+        console.log('🎉 Item analysis tests completed!');
+    } catch (error) {
+        fail('Test failed:', error.message);
+    }
+}
+
+testItemAnalysis();
@@ -0,0 +1,98 @@
+/**
+ * Test script for Knowledge Tracing
+ * Checks that lesson and quiz outcomes update mastery with Bayesian Knowledge Tracing, that the estimate's confidence
+ * interval narrows with evidence, that learners are traced separately, and that the parameters can be configured
+ */
+import { authenticate, request, loginAs, check, fail } from './test-helpers.js';
+
+const width = estimate => estimate.confidence_interval.upper - estimate.confidence_interval.lower;
+
+async function completeLesson(passed, score) {
+    const lesson = await request('POST', '/api/lessons/request', { userPreferences: { strategy: 'lowest-mastery-first', maxDepth: 1 } });
+    return request('POST', '/api/lessons/complete', { lessonId: lesson.data.lessonId, passed, score });
+}
+
+async function testKnowledgeTracing() {
+    console.log('🧮 Testing MicroLearn Knowledge Tracing...\n');
+
+    try {
+        await authenticate();
+
+        // 1. Starting estimate
+        console.log('1. Estimating a topic that was never assessed...');
+        const geometry = await request('POST', '/api/nodes', { name: 'Geometry' });
+        const nodeId = geometry.data.id;
+        const fresh = await request('GET', `/api/nodes/${nodeId}/mastery-estimate`);
+        check(fresh.status === 200 && fresh.data.probability === 0.1 && fresh.data.observations === 0, `Starts from the prior: ${fresh.data?.probability}`);
+        check(fresh.data?.confidence_interval.level === 0.95 && fresh.data.confidence_interval.lower === 0 && fresh.data.confidence_interval.upper > 0.4, `Wide interval without evidence: ${fresh.data?.confidence_interval.lower}-${fresh.data?.confidence_interval.upper}`);
+        const missing = await request('GET', '/api/nodes/no-such-node/mastery-estimate');
+        check(missing.status === 404, `Unknown node: ${missing.status}`);
+        console.log('');
+
+        // 2. Lesson outcomes
+        console.log('2. Tracing lesson outcomes');
+        const passed = await completeLesson(true, 80);
+        // P(known | right) = 0.1 * 0.9 / (0.1 * 0.9 + 0.9 * 0.2) = 1/3, then 1/3 + 2/3 * 0.1 = 0.4
+        check(passed.data?.newMastery === 40 && passed.data.masteryEstimate.probability === 0.4, `A pass moves mastery 0% -> ${passed.data?.newMastery}%`);
+        const failed = await completeLesson(false, 30);
+        // P(known | wrong) = 0.4 * 0.1 / (0.4 * 0.1 + 0.6 * 0.8) = 1/13, then 1/13 + 12/13 * 0.1 = 0.169
+        check(failed.data?.newMastery === 17 && failed.data.masteryEstimate.probability === 0.169, `A fail moves it back to ${failed.data?.newMastery}%`);
+        const stored = await request('GET', `/api/nodes/${nodeId}`);
+        check(stored.data?.mastery_percentage === 17, `Estimate written to mastery_percentage: ${stored.data?.mastery_percentage}%`);
+        console.log('');
+
+        // 3. Quiz outcomes
+        console.log('3. Tracing every graded answer of a quiz');
+        const questions = [];
+        for (const prompt of ['A square has four equal sides', 'A triangle has three angles', 'A circle has a radius']) {
+            questions.push(await request('POST', `/api/nodes/${nodeId}/questions`, { type: 'true_false', difficulty: 'beginner', prompt, data: { answer: true } }));
+        }
+        const quiz = await request('POST', `/api/nodes/${nodeId}/quiz`, { duration: 30 });
+        const graded = await request('POST', `/api/quizzes/${quiz.data.id}/submit`, {
+            answers: Object.fromEntries(questions.map(question => [question.data.id, true]))
+        });
+        const afterQuiz = await request('GET', `/api/nodes/${nodeId}/mastery-estimate`);
+        check(graded.completion?.newMastery === 97 && afterQuiz.data?.observations === 5 && afterQuiz.data.correct === 4, `Three right answers: ${graded.completion?.newMastery}% after ${afterQuiz.data?.observations} outcomes`);
+        check(width(afterQuiz.data) < width(fresh.data), `Interval narrows with evidence: ${afterQuiz.data?.confidence_interval.lower}-${afterQuiz.data?.confidence_interval.upper}`);
+        await request('PUT', `/api/nodes/${nodeId}`, { mastery_percentage: 60 });
+        const edited = await request('GET', `/api/nodes/${nodeId}/mastery-estimate`);
+        check(edited.data?.probability === 0.6 && edited.data.observations === 0, `Mastery set by hand restarts tracing: ${edited.data?.probability}`);
+        console.log('');
+
+        // 4. Learners
+        console.log('4. Tracing each learner separately');
+        const learner = await request('POST', '/api/users', { username: 'bkt_learner', email: 'bkt_learner@example.com', password: 'correct-horse' });
+        const learnerHeaders = await loginAs('bkt_learner', 'correct-horse');
+        const ownQuiz = await request('POST', `/api/nodes/${nodeId}/quiz`, { duration: 30 }, learnerHeaders);
+        await request('POST', `/api/quizzes/${ownQuiz.data.id}/submit`, { answers: {} }, learnerHeaders);
+        const own = await request('GET', `/api/nodes/${nodeId}/mastery-estimate`, null, learnerHeaders);
+        check(own.data?.user_id === learner.data.id && own.data.observations === 3 && own.data.correct === 0 && own.data.probability < 0.6, `Learner's own estimate starts from the node's: ${own.data?.mastery_percentage}%`);
+        const byId = await request('GET', `/api/nodes/${nodeId}/mastery-estimate?userId=${learner.data.id}`);
+        const shared = await request('GET', `/api/nodes/${nodeId}/mastery-estimate`);
+        check(byId.data?.probability === own.data?.probability && shared.data?.probability === 0.6, `Shared estimate untouched: ${shared.data?.mastery_percentage}%`);
+        console.log('');
+
+        // 5. Parameters
+        console.log('5. Configuring the parameters');
+        const defaults = await request('GET', '/api/settings/knowledge-tracing');
+        check(defaults.data?.prior === 0.1 && defaults.data.learn === 0.1 && defaults.data.slip === 0.1 && defaults.data.guess === 0.2, `Defaults: ${JSON.stringify(defaults.data)}`);
+        const unusable = await request('PUT', '/api/settings/knowledge-tracing', { slip: 0.4, guess: 0.6 });
+        const outOfRange = await request('PUT', '/api/settings/knowledge-tracing', { learn: 1.5 });
+        check(unusable.status === 400 && outOfRange.status === 400, `Rejects parameters that make right answers count against mastery: ${unusable.error}`);
+        const changed = await request('PUT', '/api/settings/knowledge-tracing', { prior: 0.5 });
+        const untouched = await request('POST', '/api/nodes', { name: 'Topology' });
+        const withPrior = await request('GET', `/api/nodes/${untouched.data.id}/mastery-estimate`);
+        check(changed.data?.prior === 0.5 && withPrior.data?.probability === 0.5, `New prior applies: ${withPrior.data?.probability}`);
+        const forbidden = await request('PUT', '/api/settings/knowledge-tracing', { prior: 0.9 }, learnerHeaders);
+        await request('PUT', '/api/settings/knowledge-tracing', { prior: null });
+        const reset = await request('GET', '/api/settings/knowledge-tracing');
+        check(forbidden.status === 403 && reset.data?.prior === 0.1, `Admin only (${forbidden.status}); null resets to the default`);
+        console.log('');
+
+        console.log('🎉 Knowledge tracing tests completed!');
+    } catch (error) {
+        fail('Test failed:', error.message);
+    }
+}
+
+testKnowledgeTracing();
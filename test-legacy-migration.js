@@ -0,0 +1,111 @@
+/**
+ * Test script for the Legacy-to-Level Migration command
+ * Builds legacy trees over HTTP, then runs the command for a dry run, an apply and a revert
+ */
+import fetch from 'node-fetch';
+import { BASE_URL, headers, authenticate, check, fail } from './test-helpers.js';
+import { execFileSync } from 'child_process';
+
+async function post(url, body) {
+    const response = await fetch(`${BASE_URL}${url}`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body)
+    });
+    const result = await response.json();
+    return result.data;
+}
+
+async function get(url) {
+    const response = await fetch(`${BASE_URL}${url}`, { headers });
+    return response.json();
+}
+
+function runMigrator(args = []) {
+    return execFileSync('node', ['src/data/legacy-migrator.js', ...args], { encoding: 'utf8' });
+}
+
+async function testLegacyMigration() {
+    console.log('📦 Testing MicroLearn Legacy-to-Level Migration...\n');
+
+    try {
+        await authenticate();
+
+        // 1. Create legacy trees
+        console.log('1. Creating legacy trees...');
+        const history = await post('/api/nodes', { name: 'History', node_type: 'subject', metadata: { era: 'all' } });
+        const rome = await post('/api/nodes', { name: 'Ancient Rome', parent_id: history.id });
+        const empire = await post('/api/nodes', { name: 'Roman Empire', parent_id: rome.id });
+        await fetch(`${BASE_URL}/api/nodes/${rome.id}/mastery`, {
+            method: 'PUT',
+            headers,
+            body: JSON.stringify({ percentage: 40 })
+        });
+
+        const question = await post(`/api/nodes/${empire.id}/questions`, {
+            type: 'true_false', difficulty: 'beginner', prompt: 'Augustus was the first Roman emperor', data: { answer: true }
+        });
+        const quiz = await post(`/api/nodes/${empire.id}/quiz`, { duration: 5 });
+        await post(`/api/quizzes/${quiz.id}/submit`, { answers: { [question.id]: true } });
+        const estimate = await get(`/api/nodes/${empire.id}/mastery-estimate`);
+
+        let parent = await post('/api/nodes', { name: 'Deep Root' });
+        for (let depth = 2; depth <= 6; depth++) {
+            parent = await post('/api/nodes', { name: `Deep ${depth}`, parent_id: parent.id });
+        }
+        console.log('✅ History → Ancient Rome → Roman Empire, and a 6-deep tree');
+        console.log('');
+
+        // 2. Dry run
+        console.log('2. Running a dry run');
+        const dryRun = runMigrator();
+        const untouched = await get(`/api/nodes/${rome.id}`);
+        check(dryRun.includes('dry run') && untouched.success, `Dry run reported moves without changing data`);
+        check(dryRun.includes('Skipping Deep Root'), `Tree deeper than level 5 is skipped`);
+        console.log('');
+
+        // 3. Apply
+        console.log('3. Applying the migration');
+        const applied = runMigrator(['--apply']);
+        const batchId = applied.match(/batch (legacy_move_\d+)/)?.[1];
+        check(batchId, `Applied as ${batchId}`);
+
+        const movedRome = await get(`/api/levels/2/${rome.id}`);
+        const movedEmpire = await get(`/api/levels/3/${empire.id}`);
+        const movedHistory = await get(`/api/levels/1/${history.id}`);
+        check(movedRome.data?.parent_id === history.id, `Ancient Rome is level 2 under History (same ID)`);
+        check(movedRome.data?.mastery_percentage === 40, `Mastery preserved: ${movedRome.data?.mastery_percentage}%`);
+        check(movedEmpire.data?.parent_id === rome.id, `Roman Empire is level 3 under Ancient Rome`);
+        check(movedHistory.data?.created_at === history.created_at, `Timestamps preserved`);
+
+        const legacyGone = await fetch(`${BASE_URL}/api/nodes/${history.id}`);
+        const deepKept = await get(`/api/nodes/${parent.id}`);
+        check(legacyGone.status === 404, `History removed from learning_nodes`);
+        check(deepKept.success, `Skipped tree left in learning_nodes`);
+        const movedQuestions = await get(`/api/nodes/${empire.id}/questions?level=3`);
+        const movedQuiz = await get(`/api/quizzes/${quiz.id}`);
+        check(movedQuestions.data?.[0]?.id === question.id && movedQuiz.data?.node_level === 3, `Questions and quizzes moved with the node`);
+        const movedEstimate = await get(`/api/nodes/${empire.id}/mastery-estimate?level=3`);
+        check(movedEstimate.data?.observations === estimate.data?.observations && movedEstimate.data.observations > 0, `Mastery estimate moved with the node: ${movedEstimate.data?.observations} outcomes`);
+        console.log('');
+
+        // 4. Revert
+        console.log('4. Reverting the batch');
+        runMigrator(['--revert', batchId, '--apply']);
+        const restored = await get(`/api/nodes/${rome.id}`);
+        const levelGone = await fetch(`${BASE_URL}/api/levels/2/${rome.id}`);
+        check(restored.data?.parent_id === history.id && restored.data?.mastery_percentage === 40, `Ancient Rome back in learning_nodes under History`);
+        check(levelGone.status === 404, `Level copies removed`);
+        const restoredQuestions = await get(`/api/nodes/${empire.id}/questions`);
+        check(restoredQuestions.data?.[0]?.id === question.id, `Questions moved back: ${restoredQuestions.count}`);
+        const restoredEstimate = await get(`/api/nodes/${empire.id}/mastery-estimate`);
+        check(restoredEstimate.data?.observations === estimate.data?.observations, `Mastery estimate moved back: ${restoredEstimate.data?.observations} outcomes`);
+        console.log('');
+
+        console.log('🎉 Legacy migration tests completed!');
+    } catch (error) {
+        fail('Test failed:', error.message);
+    }
+}
+
+testLegacyMigration();
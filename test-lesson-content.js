@@ -0,0 +1,118 @@
+/**
+ * Test script for Lesson Content
+ * Checks typed content blocks on lessons: creating each block type, rejecting invalid block data, section
+ * ordering, node attachment, updates and deletes, and generated blocks living next to authored ones
+ */
+import fetch from 'node-fetch';
+import { BASE_URL, headers, authenticate, request, check, fail } from './test-helpers.js';
+
+const BLOCKS = [
+    { section: 'summary', type: 'flashcard', data: { front: '1/2 + 1/4', back: '3/4' } },
+    { section: 'introduction', type: 'markdown', data: { text: 'Fractions describe **parts** of a whole.' } },
+    { section: 'core_content', type: 'worked_example', data: { problem: 'Add 1/2 and 1/4', steps: ['Write 1/2 as 2/4', 'Add the numerators: 2/4 + 1/4'], answer: '3/4' } },
+    { section: 'core_content', type: 'code', data: { language: 'python', code: 'from fractions import Fraction\nFraction(1, 2) + Fraction(1, 4)' } },
+    { section: 'core_content', type: 'image', data: { url: 'https://example.com/pie.png', alt: 'A pie cut into quarters' } },
+    { section: 'practice', type: 'multiple_choice', data: { question: 'What is 1/3 + 1/3?', options: ['1/6', '2/3', '2/6'], correct_index: 1 } },
+    { section: 'practice', type: 'free_response', data: { question: 'Why do we need a common denominator?', rubric: 'Mentions equal-sized parts' } }
+];
+
+async function testLessonContent() {
+    console.log('🧱 Testing MicroLearn Lesson Content...\n');
+
+    try {
+        await authenticate();
+        const fractions = await request('POST', '/api/nodes', { name: 'Fractions', mastery_percentage: 30 });
+        const lesson = await request('POST', '/api/lessons/request', { userPreferences: { difficulty: 'beginner' } });
+        const lessonId = lesson.data.lessonId;
+
+        // 1. Every block type
+        console.log('1. Creating one block of each type...');
+        const created = [];
+        for (const block of BLOCKS) {
+            created.push(await request('POST', `/api/lessons/${lessonId}/content`, { ...block, node_id: fractions.data.id }));
+        }
+        const failed = created.filter(result => result.status !== 200);
+        check(failed.length === 0, `Created ${created.length - failed.length} of ${BLOCKS.length} blocks${failed.length ? `: ${failed[0].error}` : ''}`);
+        const content = await request('GET', `/api/lessons/${lessonId}/content`);
+        const order = content.data?.map(block => block.section) || [];
+        check(order[0] === 'introduction' && order[order.length - 1] === 'summary', `Blocks come back in section order: ${[...new Set(order)].join(', ')}`);
+        const codeBlocks = content.data?.filter(block => block.section === 'core_content').map(block => block.type) || [];
+        check(codeBlocks.join() === 'worked_example,code,image', `Positions follow creation order within a section: ${codeBlocks.join(', ')}`);
+        const card = created[0].data;
+        check(card?.type === 'flashcard' && card.data.back === '3/4' && card.source === 'author' && card.node_level === 0, `Block data is returned as JSON with its node and source`);
+        console.log('');
+
+        // 2. Validation
+        console.log('2. Rejecting invalid blocks');
+        const missingText = await request('POST', `/api/lessons/${lessonId}/content`, { section: 'introduction', type: 'markdown', data: {} });
+        check(missingText.status === 400 && missingText.errors?.[0]?.field === 'data.text', `Markdown without text: ${missingText.status} ${missingText.error}`);
+        const badChoice = await request('POST', `/api/lessons/${lessonId}/content`, {
+            section: 'practice', type: 'multiple_choice', data: { question: 'Pick', options: ['A', 'B'], correct_index: 2 }
+        });
+        check(badChoice.status === 400 && badChoice.errors?.[0]?.field === 'data.correct_index', `Answer index past the options: ${badChoice.error}`);
+        const noSteps = await request('POST', `/api/lessons/${lessonId}/content`, { section: 'core_content', type: 'worked_example', data: { problem: 'Add', steps: [] } });
+        const extraField = await request('POST', `/api/lessons/${lessonId}/content`, { section: 'summary', type: 'flashcard', data: { front: 'A', back: 'B', hint: 'C' } });
+        check(noSteps.status === 400 && extraField.status === 400, `Empty steps and unknown data fields: ${noSteps.error} / ${extraField.error}`);
+        const badType = await request('POST', `/api/lessons/${lessonId}/content`, { section: 'summary', type: 'video', data: {} });
+        const badSection = await request('POST', `/api/lessons/${lessonId}/content`, { section: 'appendix', type: 'markdown', data: { text: 'x' } });
+        check(badType.status === 400 && badSection.status === 400, `Unknown type and section: ${badType.status}, ${badSection.status}`);
+        const badNode = await request('POST', `/api/lessons/${lessonId}/content`, { section: 'summary', type: 'markdown', data: { text: 'x' }, node_id: 'no-such-node' });
+        const badLesson = await request('POST', '/api/lessons/no-such-lesson/content', BLOCKS[1]);
+        check(badNode.status === 400 && badLesson.status === 404, `Unknown node and lesson: ${badNode.status}, ${badLesson.status}`);
+        console.log('');
+
+        // 3. Updates
+        console.log('3. Updating blocks');
+        const intro = created[1].data;
+        const edited = await request('PUT', `/api/lesson-content/${intro.id}`, { data: { text: 'Fractions are parts of a whole.' } });
+        check(edited.status === 200 && edited.data.data.text === 'Fractions are parts of a whole.', `Replaced markdown text`);
+        const wrongShape = await request('PUT', `/api/lesson-content/${intro.id}`, { type: 'flashcard' });
+        check(wrongShape.status === 400, `Changing the type without matching data: ${wrongShape.status} ${wrongShape.error}`);
+        const retyped = await request('PUT', `/api/lesson-content/${intro.id}`, { type: 'flashcard', section: 'summary', data: { front: 'Fraction', back: 'Part of a whole' } });
+        check(retyped.data?.type === 'flashcard' && retyped.data.section === 'summary', `Changed type, data and section together`);
+        const detached = await request('PUT', `/api/lesson-content/${intro.id}`, { node_id: null });
+        check(detached.status === 200 && detached.data.node_id === null && detached.data.node_level === null, `Detached from its node`);
+        const missing = await request('PUT', '/api/lesson-content/no-such-block', { position: 1 });
+        check(missing.status === 404, `Unknown block: ${missing.status}`);
+        console.log('');
+
+        // 4. Node content
+        console.log('4. Listing a node\'s content');
+        const nodeContent = await request('GET', `/api/nodes/${fractions.data.id}/content`);
+        check(nodeContent.count === BLOCKS.length - 1, `Blocks attached to Fractions: ${nodeContent.count}`);
+        const otherLevel = await request('GET', `/api/nodes/${fractions.data.id}/content?level=2`);
+        check(otherLevel.count === 0, `None at level 2: ${otherLevel.count}`);
+        console.log('');
+
+        // 5. Generated content
+        console.log('5. Generated blocks next to authored ones');
+        const generated = await request('POST', `/api/lessons/${lessonId}/generate`);
+        const types = new Set(generated.blocks?.filter(block => block.source === 'generated').map(block => block.type));
+        check(generated.status === 200 && types.has('multiple_choice') && types.has('worked_example'), `Mock lesson stored as typed blocks: ${[...types].join(', ')}`);
+        const generatedCount = generated.blocks?.filter(block => block.source === 'generated').length;
+        await request('POST', `/api/lessons/${lessonId}/generate`, { regenerate: true });
+        const afterRegenerate = await request('GET', `/api/lessons/${lessonId}/content`);
+        const authored = afterRegenerate.data?.filter(block => block.source === 'author').length;
+        check(authored === BLOCKS.length && afterRegenerate.count === BLOCKS.length + generatedCount, `Regenerating keeps authored blocks: ${authored} authored, ${afterRegenerate.count} total`);
+        console.log('');
+
+        // 6. Deleting and access
+        console.log('6. Deleting blocks');
+        const deleted = await request('DELETE', `/api/lesson-content/${created[3].data.id}`);
+        const gone = await request('GET', `/api/lesson-content/${created[3].data.id}`);
+        check(deleted.status === 200 && gone.status === 404, `Deleted block is gone: ${gone.status}`);
+        const anonymous = await fetch(`${BASE_URL}/api/lessons/${lessonId}/content`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(BLOCKS[1])
+        });
+        check(anonymous.status === 401, `Adding content without a token: ${anonymous.status}`);
+        console.log('');
+
+        console.log('🎉 Lesson content tests completed!');
+    } catch (error) {
+        fail('Test failed:', error.message);
+    }
+}
+
+testLessonContent();
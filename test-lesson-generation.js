@@ -0,0 +1,159 @@
+/**
+ * Test script for Lesson Generation
+ * Generates lesson content with the offline mock provider, then points the server at a fake LLM server started
+ * here to check the OpenAI, Anthropic and Ollama request formats, retries, timeouts, errors and replies that
+ * are not valid lesson documents
+ */
+import http from 'http';
+import fetch from 'node-fetch';
+import { BASE_URL, headers, authenticate, request, check, fail } from './test-helpers.js';
+
+const FAKE_LLM_PORT = 3999;
+const FAKE_LLM_URL = `http://localhost:${FAKE_LLM_PORT}`;
+
+/**
+ * Fake LLM server: replies with the queued behaviours in order ({ status, body, delayMs }) and records requests
+ */
+function startFakeLLM() {
+    const fake = { requests: [], queue: [] };
+    fake.server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            fake.requests.push({ path: req.url, headers: req.headers, body: JSON.parse(raw || '{}') });
+            const reply = fake.queue.shift() || { status: 500, body: { error: 'nothing queued' } };
+            setTimeout(() => {
+                if (res.destroyed) return;
+                res.writeHead(reply.status, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(reply.body));
+            }, reply.delayMs || 0);
+        });
+    });
+    return new Promise(resolve => fake.server.listen(FAKE_LLM_PORT, () => resolve(fake)));
+}
+
+// A valid lesson document (see LESSON_OUTPUT_FORMAT) with one markdown block per section
+function lessonDocument(title) {
+    const sections = ['introduction', 'core_content', 'practice', 'summary'];
+    return JSON.stringify({
+        title,
+        blocks: sections.map(section => ({ section, type: 'markdown', data: { text: `${title}: ${section}` } }))
+    });
+}
+
+async function requestLesson() {
+    const lesson = await request('POST', '/api/lessons/request', { userPreferences: { difficulty: 'beginner' } });
+    if (!lesson.success) {
+        throw new Error(`Lesson request failed: ${lesson.error}`);
+    }
+    return lesson.data.lessonId;
+}
+
+async function testLessonGeneration() {
+    console.log('🤖 Testing MicroLearn Lesson Generation...\n');
+    const fake = await startFakeLLM();
+
+    try {
+        await authenticate();
+        await request('POST', '/api/nodes', { name: 'Photosynthesis', mastery_percentage: 20 });
+
+        // 1. Mock provider
+        console.log('1. Generating with the offline mock provider...');
+        const settings = await request('GET', '/api/settings/llm');
+        check(settings.data?.provider === 'mock', `Default provider: ${settings.data?.provider}`);
+        const lessonId = await requestLesson();
+        const generated = await request('POST', `/api/lessons/${lessonId}/generate`);
+        const content = generated.data?.content || '';
+        const sections = new Set(generated.blocks?.map(block => block.section));
+        check(generated.status === 200 && sections.size === 4, `Lesson written with all four sections by ${generated.data?.content_provider}: ${generated.blocks?.length} blocks`);
+        const stored = await request('GET', `/api/lessons/${lessonId}`);
+        check(stored.data?.content === content && stored.data?.generation_attempts === 1, `Content stored on the lesson (${stored.data?.content_model}, ${stored.data?.generation_attempts} attempt)`);
+        const again = await request('POST', `/api/lessons/${lessonId}/generate`);
+        check(again.status === 409, `Generating twice: ${again.status}`);
+        const regenerated = await request('POST', `/api/lessons/${lessonId}/generate`, { regenerate: true });
+        const regeneratedBlocks = await request('GET', `/api/lessons/${lessonId}/content`);
+        check(regenerated.data?.content === content && regeneratedBlocks.count === generated.blocks?.length, `Regenerating gives the same mock lesson and replaces its blocks: ${regeneratedBlocks.count}`);
+        console.log('');
+
+        // 2. OpenAI-compatible with a retry
+        console.log('2. OpenAI-compatible provider');
+        const configured = await request('PUT', '/api/settings/llm', {
+            provider: 'openai', baseUrl: `${FAKE_LLM_URL}/v1`, model: 'test-model', apiKey: 'sk-test', timeoutMs: 1000, maxRetries: 2, retryDelayMs: 10
+        });
+        check(configured.status === 200 && configured.data.apiKeySet && configured.data.apiKey === undefined, `Settings saved without echoing the API key`);
+        fake.queue.push(
+            { status: 503, body: { error: 'overloaded' } },
+            { status: 200, body: { model: 'test-model', choices: [{ message: { content: lessonDocument('OpenAI lesson') } }], usage: { prompt_tokens: 10, completion_tokens: 3 } } }
+        );
+        fake.requests.length = 0;
+        const openaiLessonId = await requestLesson();
+        const openaiLesson = await request('POST', `/api/lessons/${openaiLessonId}/generate`);
+        const openaiRequest = fake.requests[1];
+        check(openaiLesson.data?.content === lessonDocument('OpenAI lesson') && openaiLesson.data.generation_attempts === 2, `Retried after a 503: ${openaiLesson.data?.generation_attempts} attempts`);
+        check(openaiRequest?.path === '/v1/chat/completions' && openaiRequest.headers.authorization === 'Bearer sk-test' && openaiRequest.body.messages?.[1]?.content.startsWith(openaiLesson.data?.prompt), `Sent ${openaiRequest?.path} with a bearer key and the lesson prompt`);
+        console.log('');
+
+        // 3. Anthropic-compatible and Ollama
+        console.log('3. Anthropic-compatible and Ollama providers');
+        await request('PUT', '/api/settings/llm', { provider: 'anthropic', baseUrl: FAKE_LLM_URL });
+        fake.queue.push({ status: 200, body: { model: 'test-model', content: [{ type: 'text', text: lessonDocument('Anthropic lesson') }] } });
+        fake.requests.length = 0;
+        const anthropicLesson = await request('POST', `/api/lessons/${await requestLesson()}/generate`);
+        const anthropicRequest = fake.requests[0];
+        check(anthropicLesson.blocks?.[0]?.data.text === 'Anthropic lesson: introduction' && anthropicRequest?.path === '/v1/messages' && anthropicRequest.headers['x-api-key'] === 'sk-test', `Anthropic: ${anthropicRequest?.path} -> ${anthropicLesson.blocks?.[0]?.data.text}`);
+        await request('PUT', '/api/settings/llm', { provider: 'ollama', apiKey: null });
+        fake.queue.push({ status: 200, body: { model: 'test-model', response: lessonDocument('Ollama lesson') } });
+        fake.requests.length = 0;
+        const ollamaLesson = await request('POST', `/api/lessons/${await requestLesson()}/generate`);
+        const ollamaRequest = fake.requests[0];
+        check(ollamaLesson.blocks?.[0]?.data.text === 'Ollama lesson: introduction' && ollamaRequest?.body.stream === false && !ollamaRequest.headers.authorization, `Ollama: ${ollamaRequest?.path} -> ${ollamaLesson.blocks?.[0]?.data.text}`);
+        console.log('');
+
+        // 4. Failures
+        console.log('4. Timeouts and errors');
+        await request('PUT', '/api/settings/llm', { timeoutMs: 200, maxRetries: 1 });
+        fake.queue.push({ status: 200, body: { response: 'late' }, delayMs: 600 }, { status: 200, body: { response: 'late' }, delayMs: 600 });
+        const timeoutLessonId = await requestLesson();
+        const timedOut = await request('POST', `/api/lessons/${timeoutLessonId}/generate`);
+        check(timedOut.status === 504 && timedOut.error.includes('2 attempts'), `Slow provider: ${timedOut.status} ${timedOut.error}`);
+        const untouched = await request('GET', `/api/lessons/${timeoutLessonId}`);
+        check(untouched.data?.content === null, `Failed generation stores nothing`);
+        await sleep(800);
+        fake.queue.push({ status: 401, body: { error: 'bad key' } });
+        fake.requests.length = 0;
+        const rejected = await request('POST', `/api/lessons/${timeoutLessonId}/generate`);
+        check(rejected.status === 502 && fake.requests.length === 1, `401 from the provider is not retried: ${rejected.status} after ${fake.requests.length} request`);
+        fake.queue.push({ status: 200, body: { response: '# Just markdown' } });
+        const notJson = await request('POST', `/api/lessons/${timeoutLessonId}/generate`);
+        check(notJson.status === 502 && notJson.errors?.[0]?.field === 'content', `Reply that is not a lesson document: ${notJson.status} ${notJson.error}`);
+        fake.queue.push({ status: 200, body: { response: JSON.stringify({ blocks: [{ section: 'practice', type: 'multiple_choice', data: { question: 'Pick one', options: ['A', 'B'], correct_index: 5 } }] }) } });
+        const invalidBlock = await request('POST', `/api/lessons/${timeoutLessonId}/generate`);
+        const stillEmpty = await request('GET', `/api/lessons/${timeoutLessonId}/content`);
+        check(invalidBlock.status === 502 && invalidBlock.errors?.[0]?.field === 'blocks[0].data.correct_index' && stillEmpty.count === 0, `Invalid block is rejected and nothing stored: ${invalidBlock.errors?.[0]?.field} ${invalidBlock.errors?.[0]?.message}`);
+        const missing = await request('POST', '/api/lessons/no-such-lesson/generate');
+        check(missing.status === 404, `Unknown lesson: ${missing.status}`);
+        const badProvider = await request('PUT', '/api/settings/llm', { provider: 'carrier-pigeon' });
+        check(badProvider.status === 400, `Unknown provider: ${badProvider.status}`);
+        console.log('');
+
+        // 5. Access
+        console.log('5. Settings are admin only');
+        const anonymous = await fetch(`${BASE_URL}/api/settings/llm`);
+        check(anonymous.status === 401, `Settings without a token: ${anonymous.status}`);
+        const reset = await request('PUT', '/api/settings/llm', {
+            provider: null, baseUrl: null, model: null, timeoutMs: null, maxRetries: null, retryDelayMs: null
+        });
+        check(reset.data?.provider === 'mock' && !reset.data.apiKeySet, `Reset to defaults: ${reset.data?.provider}`);
+        console.log('');
+
+        console.log('🎉 Lesson generation tests completed!');
+    } catch (error) {
+        fail('Test failed:', error.message);
+    } finally {
+        fake.server.close();
+    }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+testLessonGeneration();
@@ -0,0 +1,137 @@
+/**
+ * Test script for Lesson History
+ * Verifies that lesson requests and completions are persisted and validated
+ */
+import fetch from 'node-fetch';
+import { BASE_URL, headers, authenticate, check, fail } from './test-helpers.js';
+
+async function testLessonHistory() {
+    console.log('📚 Testing MicroLearn Lesson History...\n');
+
+    try {
+        await authenticate();
+
+        // 1. Create test content
+        console.log('1. Creating test content...');
+        const testTopics = [
+            { name: 'Chemistry', mastery_percentage: 25, node_type: 'subject' },
+            { name: 'Biology', mastery_percentage: 55, node_type: 'subject' }
+        ];
+
+        for (const topic of testTopics) {
+            const response = await fetch(`${BASE_URL}/api/nodes`, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify(topic)
+            });
+            const result = await response.json();
+            console.log(`✅ Created: ${result.data?.name}`);
+        }
+        console.log('');
+
+        // 2. Request a lesson
+        console.log('2. Requesting a lesson');
+        const requestResponse = await fetch(`${BASE_URL}/api/lessons/request`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({ userPreferences: { difficulty: 'beginner', duration: 10 } })
+        });
+        const requestData = await requestResponse.json();
+        if (!requestData.success) {
+            throw new Error(`Lesson request failed: ${requestData.error}`);
+        }
+        const lessonId = requestData.data.lessonId;
+        console.log(`✅ Lesson ${lessonId} requested for: ${requestData.data.selectedTopic.name}`);
+        console.log('');
+
+        // 3. Fetch the stored lesson
+        console.log('3. Fetching stored lesson');
+        const lessonResponse = await fetch(`${BASE_URL}/api/lessons/${lessonId}`, { headers });
+        const lessonData = await lessonResponse.json();
+        console.log(`✅ Status: ${lessonData.data.status}`);
+        console.log(`   - Node: ${lessonData.data.node_name}`);
+        console.log(`   - Prompt stored: ${lessonData.data.prompt.length > 0 ? 'Yes' : 'No'}`);
+        console.log(`   - Weight snapshot entries: ${lessonData.data.weight_snapshot.length}`);
+        console.log('');
+
+        // 4. Complete the lesson
+        console.log('4. Completing the lesson');
+        const completeResponse = await fetch(`${BASE_URL}/api/lessons/complete`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({ lessonId, passed: true, score: 80, durationSeconds: 540 })
+        });
+        const completeData = await completeResponse.json();
+        console.log(`✅ Completion (${completeResponse.status}):`, completeData.success ? 'processed' : completeData.error);
+        console.log(`   - Duration recorded: ${completeData.data?.durationSeconds}s`);
+        console.log('');
+
+        // 5. Completing twice is rejected
+        console.log('5. Completing the same lesson again (should be 409)');
+        const repeatResponse = await fetch(`${BASE_URL}/api/lessons/complete`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({ lessonId, passed: true, score: 90 })
+        });
+        const repeatData = await repeatResponse.json();
+        check(repeatResponse.status === 409, `${repeatResponse.status}: ${repeatData.error}`);
+        const raceResponse = await fetch(`${BASE_URL}/api/lessons/request`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({ userPreferences: {} })
+        });
+        const raceLessonId = (await raceResponse.json()).data.lessonId;
+        const racing = await Promise.all([70, 95].map(score => fetch(`${BASE_URL}/api/lessons/complete`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({ lessonId: raceLessonId, passed: true, score })
+        })));
+        const raceStatuses = racing.map(response => response.status).sort();
+        check(raceStatuses.join() === '200,409', `Two completions at once: ${raceStatuses.join(' and ')}`);
+        console.log('');
+
+        // 6. Completing an unknown lesson is rejected
+        console.log('6. Completing an unknown lesson (should be 404)');
+        const unknownResponse = await fetch(`${BASE_URL}/api/lessons/complete`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({ lessonId: 'lesson_does_not_exist', passed: true, score: 90 })
+        });
+        const unknownData = await unknownResponse.json();
+        check(unknownResponse.status === 404, `${unknownResponse.status}: ${unknownData.error}`);
+        console.log('');
+
+        // 7. List lesson history
+        console.log('7. Listing completed lessons');
+        const listResponse = await fetch(`${BASE_URL}/api/lessons?status=completed`, { headers });
+        const listData = await listResponse.json();
+        console.log(`✅ Completed lessons: ${listData.count}`);
+        listData.data.forEach(lesson => {
+            console.log(`   * ${lesson.node_name}: ${lesson.passed ? 'PASSED' : 'FAILED'} (${lesson.score}%, ${lesson.duration_seconds}s)`);
+        });
+        console.log('');
+
+        // 8. The next prompt includes real learning history
+        console.log('8. Requesting another lesson with learning history');
+        const nextResponse = await fetch(`${BASE_URL}/api/lessons/request`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({ userPreferences: {} })
+        });
+        const nextData = await nextResponse.json();
+        if (nextData.success && !nextData.data.isCreateNewTopic) {
+            console.log('✅ Learning history:', nextData.data.lessonContext.user.learningHistory);
+        } else if (nextData.success) {
+            console.log('✅ Create New Topic selected (no topic history)');
+        }
+        console.log('');
+
+        console.log('🎉 All Lesson History Tests Completed!');
+
+    } catch (error) {
+        fail('Lesson History Test failed:', error);
+    }
+}
+
+// Run the test
+testLessonHistory();
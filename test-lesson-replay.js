@@ -0,0 +1,105 @@
+/**
+ * Test script for Seeded Selection and Lesson Replay
+ * Verifies that seeds make selection reproducible and that replays explain the draw
+ */
+import fetch from 'node-fetch';
+import { BASE_URL, headers, authenticate, check, fail } from './test-helpers.js';
+
+async function requestLesson(userPreferences) {
+    const response = await fetch(`${BASE_URL}/api/lessons/request`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ userPreferences })
+    });
+    return { status: response.status, result: await response.json() };
+}
+
+async function replayLesson(body) {
+    const response = await fetch(`${BASE_URL}/api/lessons/replay`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body)
+    });
+    return { status: response.status, result: await response.json() };
+}
+
+async function testLessonReplay() {
+    console.log('🔁 Testing MicroLearn Seeded Selection and Replay...\n');
+
+    try {
+        await authenticate();
+
+        // 1. Create test content
+        console.log('1. Creating test content...');
+        for (const topic of [
+            { name: 'Painting', mastery_percentage: 20, node_type: 'skill' },
+            { name: 'Sculpture', mastery_percentage: 50, node_type: 'skill' },
+            { name: 'Photography', mastery_percentage: 75, node_type: 'skill' }
+        ]) {
+            const response = await fetch(`${BASE_URL}/api/nodes`, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify(topic)
+            });
+            const result = await response.json();
+            console.log(`✅ Created: ${result.data?.name}`);
+        }
+        console.log('');
+
+        // 2. Every response echoes its seed
+        console.log('2. Requesting a lesson without a seed');
+        const { result: firstResult } = await requestLesson({});
+        check(Number.isInteger(firstResult.data.seed), `Seed: ${firstResult.data.seed}`);
+        console.log(`   - Selected: ${firstResult.data.selectedTopic.name}`);
+        console.log('');
+
+        // 3. The same seed selects the same topic
+        console.log('3. Requesting twice with seed 12345 (should select the same topic)');
+        const { result: seededA } = await requestLesson({ seed: 12345 });
+        const { result: seededB } = await requestLesson({ seed: 12345 });
+        const sameTopic = seededA.data.selectedTopic.id === seededB.data.selectedTopic.id;
+        check(sameTopic, `${seededA.data.selectedTopic.name} / ${seededB.data.selectedTopic.name}`);
+        console.log('');
+
+        // 4. Replay shows why the topic was picked
+        console.log('4. Replaying the first lesson');
+        const { result: replayResult } = await replayLesson({ lessonId: firstResult.data.lessonId });
+        const replay = replayResult.data;
+        check(replay.matches, `${replayResult.message}: ${replay.selectedTopic.name} (seed ${replay.seed})`);
+        console.log(`   - Random value ${replay.draw.randomValue} of total weight ${replay.draw.totalWeight}`);
+        replay.draw.ranges.forEach(range => {
+            console.log(`   * ${range.name}: [${range.start}, ${range.end}] p=${range.probability}`);
+        });
+        console.log('');
+
+        // 5. A different seed can be explored against the same snapshot
+        console.log('5. Replaying with a seed override');
+        const { result: overrideResult } = await replayLesson({ lessonId: firstResult.data.lessonId, seed: 42 });
+        console.log(`✅ Seed 42 selects: ${overrideResult.data.selectedTopic.name} (matches: ${overrideResult.data.matches})`);
+        console.log('');
+
+        // 6. Replays see the lesson history as it was when the lesson was requested
+        console.log('6. Replaying a round-robin lesson after a later one');
+        const { result: rotation } = await requestLesson({ strategy: 'round-robin', maxDepth: 1 });
+        await requestLesson({ strategy: 'round-robin', maxDepth: 1 });
+        const { result: rotationReplay } = await replayLesson({ lessonId: rotation.data.lessonId });
+        check(rotationReplay.data?.matches, `${rotationReplay.message}: ${rotationReplay.data?.selectedTopic.name}`);
+        console.log('');
+
+        // 7. Invalid input is rejected
+        console.log('7. Invalid seeds and unknown lessons');
+        const { status: badSeedStatus } = await requestLesson({ seed: -1 });
+        check(badSeedStatus === 400, `Negative seed: ${badSeedStatus}`);
+        const { status: unknownStatus } = await replayLesson({ lessonId: 'lesson_does_not_exist' });
+        check(unknownStatus === 404, `Unknown lesson: ${unknownStatus}`);
+        console.log('');
+
+        console.log('🎉 All Seeded Selection and Replay Tests Completed!');
+
+    } catch (error) {
+        fail('Lesson Replay Test failed:', error);
+    }
+}
+
+// Run the test
+testLessonReplay();
@@ -0,0 +1,83 @@
+/**
+ * Test script for Cross-Level Parent Links
+ * Builds a Level 1-4 chain and walks it with the children and ancestors endpoints
+ */
+import fetch from 'node-fetch';
+import { BASE_URL, headers, authenticate, check, fail } from './test-helpers.js';
+
+async function createLevelNode(level, node) {
+    const response = await fetch(`${BASE_URL}/api/levels/${level}`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(node)
+    });
+    return { status: response.status, result: await response.json() };
+}
+
+async function testLevelHierarchy() {
+    console.log('🔗 Testing MicroLearn Cross-Level Parent Links...\n');
+
+    try {
+        await authenticate();
+
+        // 1. Build a chain across the level tables
+        console.log('1. Creating Science → Physics → Mechanics → Newton\'s Laws');
+        const { result: science } = await createLevelNode(1, { name: 'Science', mastery_percentage: 10 });
+        const { result: physics } = await createLevelNode(2, { name: 'Physics', mastery_percentage: 20, parent_id: science.data.id });
+        await createLevelNode(2, { name: 'Chemistry', mastery_percentage: 40, parent_id: science.data.id });
+        const { result: mechanics } = await createLevelNode(3, { name: 'Mechanics', mastery_percentage: 15, parent_id: physics.data.id });
+        const { status: newtonStatus, result: newton } = await createLevelNode(4, { name: 'Newton\'s Laws', mastery_percentage: 5, parent_id: mechanics.data.id });
+        check(newtonStatus === 200, `Created level 4 node: ${newton.data?.name}`);
+        console.log('');
+
+        // 2. Parents must exist in the level above
+        console.log('2. Creating nodes with invalid parents (should be 400)');
+        const { status: wrongLevelStatus, result: wrongLevel } = await createLevelNode(3, { name: 'Optics', parent_id: science.data.id });
+        check(wrongLevelStatus === 400, `Level 3 under a level 1 node: ${wrongLevel.error}`);
+        const { status: rootParentStatus, result: rootParent } = await createLevelNode(1, { name: 'Arts', parent_id: science.data.id });
+        check(rootParentStatus === 400, `Level 1 with a parent: ${rootParent.error}`);
+        console.log('');
+
+        // 3. Children come from the level below
+        console.log('3. Getting children of Science');
+        const childrenResponse = await fetch(`${BASE_URL}/api/levels/1/${science.data.id}/children`);
+        const children = await childrenResponse.json();
+        check(children.count === 2, `${children.count} level ${children.level} children: ${children.data.map(node => node.name).join(', ')}`);
+        console.log('');
+
+        // 4. Ancestors walk up across tables
+        console.log('4. Getting ancestors of Newton\'s Laws');
+        const ancestorsResponse = await fetch(`${BASE_URL}/api/levels/4/${newton.data.id}/ancestors`);
+        const ancestors = await ancestorsResponse.json();
+        const chain = ancestors.data.map(node => `${node.name} (L${node.level})`).join(' → ');
+        check(ancestors.count === 3, `${chain}`);
+        console.log('');
+
+        // 5. Lesson drill-down follows the links
+        console.log('5. Requesting a lesson with lowest mastery first (should reach Newton\'s Laws)');
+        const lessonResponse = await fetch(`${BASE_URL}/api/lessons/request`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({ userPreferences: { strategy: 'lowest-mastery-first' } })
+        });
+        const lesson = await lessonResponse.json();
+        const path = lesson.data.selectionPath.map(step => `${step.name} (L${step.level})`).join(' → ');
+        check(lesson.data.selectedTopic.name === 'Newton\'s Laws', `Path: ${path}`);
+        console.log('');
+
+        // 6. Deleting a parent cascades to the levels below
+        console.log('6. Deleting Physics (should remove Mechanics and Newton\'s Laws)');
+        await fetch(`${BASE_URL}/api/levels/2/${physics.data.id}`, { method: 'DELETE', headers });
+        const orphanResponse = await fetch(`${BASE_URL}/api/levels/4/${newton.data.id}`);
+        check(orphanResponse.status === 404, `Newton's Laws lookup: ${orphanResponse.status}`);
+        console.log('');
+
+        console.log('🎉 All Cross-Level Parent Link Tests Completed!');
+
+    } catch (error) {
+        fail('Level Hierarchy Test failed:', error);
+    }
+}
+
+// Run the test
+testLevelHierarchy();
@@ -0,0 +1,78 @@
+/**
+ * Test script for the OpenAPI Specification
+ * Checks that /api/openapi.json describes the registered routes, their schemas and access rules, and that /docs loads
+ */
+import fetch from 'node-fetch';
+import { BASE_URL, check, fail } from './test-helpers.js';
+
+async function testOpenAPI() {
+    console.log('📖 Testing MicroLearn OpenAPI Specification...\n');
+
+    try {
+        // 1. Document
+        console.log('1. Fetching the specification...');
+        const response = await fetch(`${BASE_URL}/api/openapi.json`);
+        const spec = await response.json();
+        check(response.status === 200 && spec.openapi?.startsWith('3.'), `OpenAPI ${spec.openapi}: ${spec.info?.title} v${spec.info?.version}`);
+        const operations = Object.values(spec.paths || {}).flatMap(methods => Object.values(methods));
+        const operationIds = new Set(operations.map(operation => operation.operationId));
+        check(operations.length > 0 && operationIds.size === operations.length, `${operations.length} operations with unique operationIds`);
+        console.log('');
+
+        // 2. Coverage
+        console.log('2. Covering every endpoint group');
+        const expected = [
+            ['get', '/levels/{level}'],
+            ['put', '/levels/{level}/{id}'],
+            ['post', '/nodes'],
+            ['get', '/mastery/nodes'],
+            ['post', '/lessons/complete'],
+            ['get', '/business-logic/analysis'],
+            ['put', '/users/{id}/role']
+        ];
+        expected.forEach(([method, path]) => {
+            check(spec.paths[path]?.[method], `${method.toUpperCase()} ${path}`);
+        });
+        const tags = spec.tags.map(tag => tag.name);
+        check(tags.includes('User endpoints') && tags.includes('Lesson endpoints'), `Tags: ${tags.join(', ')}`);
+        console.log('');
+
+        // 3. Schemas
+        console.log('3. Describing requests from the validation schemas');
+        const createNode = spec.paths['/nodes'].post.requestBody?.content['application/json'].schema;
+        check(createNode?.required?.includes('name') && createNode.additionalProperties === false, `POST /nodes body requires name and allows no other fields`);
+        check(createNode?.properties.mastery_percentage?.maximum === 100, `mastery_percentage maximum: ${createNode?.properties.mastery_percentage?.maximum}`);
+        const masteryQuery = (spec.paths['/mastery/nodes'].get.parameters || []).filter(parameter => parameter.in === 'query').map(parameter => parameter.name);
+        check(masteryQuery.join() === 'min,max', `GET /mastery/nodes query parameters: ${masteryQuery.join(', ')}`);
+        const alias = spec.paths['/nodes/mastery']?.get;
+        check(alias?.deprecated === true && spec.paths['/mastery/nodes'].get.deprecated === undefined, `GET /nodes/mastery is marked deprecated`);
+        const levelParam = spec.paths['/levels/{level}/{id}'].put.parameters.find(parameter => parameter.name === 'level');
+        check(levelParam?.in === 'path' && levelParam.schema.type === 'integer', `{level} is an integer path parameter`);
+        const importBody = spec.paths['/import'].post.requestBody?.content || {};
+        check(importBody['application/x-ndjson'], `POST /import accepts NDJSON`);
+        console.log('');
+
+        // 4. Access
+        console.log('4. Describing authentication and roles');
+        const setRole = spec.paths['/users/{id}/role'].put;
+        check(setRole.security && setRole['x-roles']?.join() === 'admin' && setRole.responses[403], `PUT /users/{id}/role: bearer token, roles ${setRole['x-roles']}`);
+        const login = spec.paths['/auth/login'].post;
+        check(!login.security, `POST /auth/login needs no token`);
+        const readNodes = spec.paths['/nodes'].get;
+        check(!readNodes.security && !readNodes['x-roles'], `GET /nodes is open`);
+        console.log('');
+
+        // 5. Docs page
+        console.log('5. Serving the docs page');
+        const docs = await fetch(`${BASE_URL}/docs`);
+        const html = await docs.text();
+        check(docs.status === 200 && html.includes('/api/openapi.json'), `/docs: ${docs.status} ${docs.headers.get('content-type')}`);
+        console.log('');
+
+        console.log('🎉 OpenAPI tests completed!');
+    } catch (error) {
+        fail('Test failed:', error.message);
+    }
+}
+
+testOpenAPI();
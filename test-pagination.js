@@ -0,0 +1,102 @@
+/**
+ * Test script for List Pagination
+ * Walks cursor pages, checks sorting, field projection and filters, and rejects unsupported sorts and cursors
+ */
+import { authenticate, request, check, fail } from './test-helpers.js';
+
+// Follow next_cursor until the last page
+async function readAllPages(url) {
+    const pages = [];
+    let cursor = null;
+    do {
+        const separator = url.includes('?') ? '&' : '?';
+        const page = await request('GET', cursor ? `${url}${separator}cursor=${cursor}` : url);
+        pages.push(page);
+        cursor = page.next_cursor;
+    } while (cursor && pages.length < 20);
+    return pages;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function testPagination() {
+    console.log('📄 Testing MicroLearn List Pagination...\n');
+
+    try {
+        await authenticate();
+
+        // 1. Cursor pages
+        console.log('1. Walking cursor pages...');
+        const topics = [
+            ['Zoology', 10, 'subject'], ['Botany', 50, 'subject'], ['Chemistry', 50, 'subject'], ['Algebra', 90, 'topic'],
+            ['Ecology', 45, 'topic'], ['Geology', 70, 'skill'], ['Физика', 55, 'skill']
+        ];
+        const created = [];
+        for (const [name, mastery, nodeType] of topics) {
+            const node = await request('POST', '/api/nodes', { name, mastery_percentage: mastery, node_type: nodeType });
+            created.push(node.data);
+        }
+        const pages = await readAllPages('/api/nodes?limit=3&sort=name:asc');
+        const names = pages.flatMap(page => page.data.map(node => node.name));
+        const expectedNames = topics.map(([name]) => name).sort();
+        check(pages.length === 3 && pages.map(page => page.count).join() === '3,3,1', `${pages.length} pages of ${pages.map(page => page.count).join(', ')}`);
+        check(names.join() === expectedNames.join(), `Sorted by name with no gaps or repeats: ${names.join(', ')}`);
+        check(pages[0].total === 7 && pages[2].next_cursor === null, `total ${pages[0].total}, last next_cursor ${pages[2].next_cursor}`);
+        console.log('');
+
+        // 2. Sorting ties and direction
+        console.log('2. Sorting by mastery');
+        const byMastery = await readAllPages('/api/nodes?limit=2&sort=mastery_percentage:desc');
+        const masteries = byMastery.flatMap(page => page.data.map(node => node.mastery_percentage));
+        const ids = byMastery.flatMap(page => page.data.map(node => node.id));
+        const descending = masteries.every((mastery, index) => index === 0 || masteries[index - 1] >= mastery);
+        check(descending && new Set(ids).size === 7, `Descending with tied values split across pages: ${masteries.join(', ')}`);
+        await request('PUT', `/api/nodes/${created[0].id}`, { node_type: null });
+        await request('PUT', `/api/nodes/${created[1].id}`, { node_type: null });
+        for (const direction of ['asc', 'desc']) {
+            const byType = (await readAllPages(`/api/nodes?limit=2&sort=node_type:${direction}`)).flatMap(page => page.data);
+            const types = byType.map(node => node.node_type ?? 'null');
+            const nullsAtEnd = direction === 'asc' ? types.slice(0, 2) : types.slice(-2);
+            check(new Set(byType.map(node => node.id)).size === 7 && nullsAtEnd.every(type => type === 'null'), `Paging node_type:${direction} across NULLs: ${types.join(', ')}`);
+        }
+        const unindexed = await request('GET', '/api/nodes?sort=notes:asc');
+        check(unindexed.status === 400, `Sorting by an unindexed column: ${unindexed.status} ${unindexed.error}`);
+        const wrongCursor = await request('GET', `/api/nodes?sort=created_at:asc&cursor=${pages[0].next_cursor}`);
+        check(wrongCursor.status === 400, `Cursor from another sort: ${wrongCursor.status} ${wrongCursor.error}`);
+        const garbageCursor = await request('GET', '/api/nodes?cursor=not-a-cursor');
+        check(garbageCursor.status === 400, `Malformed cursor: ${garbageCursor.status}`);
+        console.log('');
+
+        // 3. Projection and filters
+        console.log('3. Projecting fields and filtering');
+        const projected = await request('GET', '/api/nodes?fields=id,name&limit=1');
+        check(Object.keys(projected.data?.[0] || {}).join() === 'id,name', `fields=id,name returns ${Object.keys(projected.data?.[0] || {}).join(', ')}`);
+        const midRange = await request('GET', '/api/nodes?mastery_min=40&mastery_max=60');
+        check(midRange.total === 4, `mastery 40-60: ${midRange.data?.map(node => node.name).join(', ')}`);
+        const skills = await request('GET', '/api/nodes?node_type=skill');
+        check(skills.total === 2, `node_type=skill: ${skills.data?.map(node => node.name).join(', ')}`);
+        await sleep(1100);
+        const since = new Date().toISOString();
+        await request('PUT', `/api/nodes/${created[0].id}`, { notes: 'Revisit classification' });
+        const recent = await request('GET', `/api/nodes?updated_since=${since}`);
+        check(recent.total === 1 && recent.data?.[0]?.id === created[0].id, `updated_since: ${recent.data?.map(node => node.name).join(', ')}`);
+        console.log('');
+
+        // 4. Levels and tables
+        console.log('4. Paging levels and tables');
+        for (const name of ['Science', 'Arts', 'Trades']) {
+            await request('POST', '/api/levels/1', { name });
+        }
+        const levelPages = await readAllPages('/api/levels/1?limit=2');
+        check(levelPages.length === 2 && levelPages[0].total === 3, `/levels/1 in ${levelPages.length} pages of ${levelPages[0].total}`);
+        const migrations = await request('GET', '/api/tables/migrations?sort=version:asc&limit=5');
+        check(migrations.data?.[0]?.version === 1 && migrations.count === 5 && migrations.total > 5, `/tables/migrations: ${migrations.count} of ${migrations.total}`);
+        console.log('');
+
+        console.log('🎉 Pagination tests completed!');
+    } catch (error) {
+        fail('Test failed:', error.message);
+    }
+}
+
+testPagination();
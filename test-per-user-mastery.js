@@ -0,0 +1,129 @@
+/**
+ * Test script for Per-User Mastery and Weights
+ * Two learners take lessons from the same content tree without sharing mastery, weights or review schedules
+ */
+import { execFileSync } from 'child_process';
+import { authenticate, request, loginAs, check, fail } from './test-helpers.js';
+
+async function requestLesson(userId) {
+    return request('POST', '/api/lessons/request', {
+        userId,
+        userPreferences: { strategy: 'lowest-mastery-first', maxDepth: 1 }
+    });
+}
+
+// Move a learner's reviews into the past, since the shortest interval is a day
+function backdateReviews(userId) {
+    const script = `
+        const Database = require('better-sqlite3');
+        const db = new Database(process.env.MICROLEARN_DB_PATH || 'data/microlearn.db');
+        db.prepare('UPDATE review_schedule SET due_date = ? WHERE user_id = ?').run(process.argv[1], process.argv[2]);
+    `;
+    execFileSync(process.execPath, ['-e', script, new Date(Date.now() - 60000).toISOString(), userId]);
+}
+
+async function testPerUserMastery() {
+    console.log('👥 Testing MicroLearn Per-User Mastery and Weights...\n');
+
+    try {
+        await authenticate();
+
+        // 1. Shared content and two learners
+        console.log('1. Creating shared topics and two learners...');
+        const chemistry = await request('POST', '/api/nodes', { name: 'Chemistry' });
+        const biology = await request('POST', '/api/nodes', { name: 'Biology' });
+        const alice = await request('POST', '/api/users', { username: 'alice', email: 'alice@example.com', password: 'correct-horse' });
+        const bob = await request('POST', '/api/users', { username: 'bob', email: 'bob@example.com', password: 'correct-horse' });
+        console.log(`✅ Topics: ${chemistry.data.name}, ${biology.data.name}; learners: ${alice.data.username}, ${bob.data.username}`);
+        console.log('');
+
+        // 2. Alice takes a lesson
+        console.log('2. Alice requests and passes a lesson');
+        const aliceLesson = await requestLesson(alice.data.id);
+        check(aliceLesson.data?.userId === alice.data.id, `Lesson issued for Alice: ${aliceLesson.data?.selectedTopic?.name}`);
+        const completion = await request('POST', '/api/lessons/complete', {
+            lessonId: aliceLesson.data.lessonId,
+            passed: true,
+            score: 80
+        });
+        check(completion.data?.newMastery === 40, `Alice's Chemistry mastery: ${completion.data?.newMastery}%`);
+        console.log('');
+
+        // 3. Shared node values and other learners are untouched
+        console.log('3. Checking that mastery stays per learner');
+        const sharedNode = await request('GET', `/api/nodes/${chemistry.data.id}`);
+        check(sharedNode.data?.mastery_percentage === 0, `Shared Chemistry mastery: ${sharedNode.data?.mastery_percentage}%`);
+        const aliceProgress = await request('GET', `/api/users/${alice.data.id}/progress?level=0`);
+        const aliceChemistry = aliceProgress.data?.find(entry => entry.node_id === chemistry.data.id);
+        check(aliceChemistry?.mastery_percentage === 40, `Alice's progress row: ${aliceChemistry?.mastery_percentage}%`);
+        const bobProgress = await request('GET', `/api/users/${bob.data.id}/progress`);
+        check(bobProgress.count === 0, `Bob has no progress yet`);
+        console.log('');
+
+        // 4. Weights are redistributed per learner
+        console.log('4. Checking per-learner weights');
+        const aliceWeights = await request('GET', `/api/lessons/weights/0?userId=${alice.data.id}`);
+        const sharedWeights = await request('GET', '/api/lessons/weights/0');
+        const aliceChemWeight = aliceWeights.data?.nodes.find(node => node.id === chemistry.data.id)?.weight;
+        const sharedChemWeight = sharedWeights.data?.nodes.find(node => node.id === chemistry.data.id)?.weight;
+        check(aliceChemWeight < 100, `Alice's Chemistry weight: ${aliceChemWeight}`);
+        check(sharedChemWeight === 100, `Shared Chemistry weight: ${sharedChemWeight}`);
+        const history = await request('GET', `/api/lessons/weights/0/history?userId=${alice.data.id}`);
+        check(history.count > 0 && history.data.every(entry => entry.user_id === alice.data.id), `${history.count} weight changes recorded for Alice`);
+        const weightOf = async (nodeId, userId) => {
+            const weights = await request('GET', `/api/lessons/weights/0${userId ? `?userId=${userId}` : ''}`);
+            return weights.data?.nodes.find(node => node.id === nodeId)?.weight;
+        };
+        const setForAlice = await request('PUT', `/api/lessons/weights/0/${biology.data.id}`, { weight: 150, userId: alice.data.id });
+        const aliceBiology = await weightOf(biology.data.id, alice.data.id);
+        const sharedBiology = await weightOf(biology.data.id);
+        check(setForAlice.success && aliceBiology === 150 && sharedBiology === 100, `Setting Alice's Biology weight: ${aliceBiology}, shared ${sharedBiology}`);
+        const resetForAlice = await request('POST', '/api/lessons/weights/0/reset', { userId: alice.data.id });
+        const aliceReset = await request('GET', `/api/lessons/weights/0/history?userId=${alice.data.id}&reason=reset`);
+        check(resetForAlice.data?.nodesReset === 2 && await weightOf(chemistry.data.id, alice.data.id) === 100 && await weightOf(biology.data.id, alice.data.id) === 100, `Resetting Alice's weights: ${resetForAlice.data?.nodesReset} nodes back to 100`);
+        check(aliceReset.count === 2 && aliceReset.data.every(entry => entry.user_id === alice.data.id), `${aliceReset.count} resets recorded for Alice`);
+        const bobHeaders = await loginAs('bob', 'correct-horse');
+        const bobSetsAlice = await request('PUT', `/api/lessons/weights/0/${biology.data.id}`, { weight: 10, userId: alice.data.id }, bobHeaders);
+        const bobSetsOwn = await request('PUT', `/api/lessons/weights/0/${biology.data.id}`, { weight: 120 }, bobHeaders);
+        const bobBiology = await weightOf(biology.data.id, bob.data.id);
+        check(bobSetsAlice.status === 403 && bobSetsOwn.data?.userId === bob.data.id && bobBiology === 120 && await weightOf(biology.data.id) === 100, `Learners set only their own weights: ${bobSetsAlice.status}, Bob's Biology ${bobBiology}`);
+        console.log('');
+
+        // 5. Selection uses each learner's own mastery
+        console.log('5. Requesting the next lesson for each learner');
+        const aliceNext = await requestLesson(alice.data.id);
+        const bobNext = await requestLesson(bob.data.id);
+        check(aliceNext.data?.selectedTopic?.name === 'Biology', `Alice gets her lowest mastery topic: ${aliceNext.data?.selectedTopic?.name}`);
+        check(bobNext.data?.selectedTopic?.name === 'Chemistry', `Bob still starts with: ${bobNext.data?.selectedTopic?.name}`);
+        const aliceLessons = await request('GET', `/api/lessons?userId=${alice.data.id}`);
+        check(aliceLessons.count === 2, `${aliceLessons.count} lessons in Alice's history`);
+        console.log('');
+
+        // 6. Review schedules are per learner
+        console.log('6. Checking per-learner review schedules');
+        backdateReviews(alice.data.id);
+        const aliceDue = await request('GET', `/api/lessons/due?algorithm=sm2&userId=${alice.data.id}`);
+        check(aliceDue.count === 1 && aliceDue.data[0].node_id === chemistry.data.id && aliceDue.data[0].mastery_percentage === 40, `Alice's Chemistry review is due, at her ${aliceDue.data?.[0]?.mastery_percentage}% mastery`);
+        const bobDue = await request('GET', `/api/lessons/due?algorithm=sm2&userId=${bob.data.id}`);
+        const sharedDue = await request('GET', '/api/lessons/due?algorithm=sm2');
+        check(bobDue.count === 0 && sharedDue.count === 0, `Nothing due for Bob (${bobDue.count}) or the shared schedule (${sharedDue.count})`);
+        const dueFirst = { strategy: 'spaced-repetition-due', srAlgorithm: 'sm2', maxDepth: 1 };
+        const aliceReview = await request('POST', '/api/lessons/request', { userId: alice.data.id, userPreferences: dueFirst });
+        const bobReview = await request('POST', '/api/lessons/request', { userId: bob.data.id, userPreferences: dueFirst });
+        check(aliceReview.data?.strategyDetails?.dueCount === 1 && aliceReview.data.selectedTopic?.name === 'Chemistry', `spaced-repetition-due gives Alice her overdue ${aliceReview.data?.selectedTopic?.name}`);
+        check(bobReview.data?.strategyDetails?.fellBack === true, `Bob falls back to weighted random: ${bobReview.data?.strategyDetails?.dueCount} due`);
+        console.log('');
+
+        // 7. Unknown learner
+        console.log('7. Requesting a lesson for an unknown user');
+        const unknown = await requestLesson('does_not_exist');
+        check(unknown.status === 404, `Unknown user: ${unknown.status}`);
+        console.log('');
+
+        console.log('🎉 Per-user mastery tests completed!');
+    } catch (error) {
+        fail('Test failed:', error.message);
+    }
+}
+
+testPerUserMastery();
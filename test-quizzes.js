@@ -0,0 +1,113 @@
+/**
+ * Test script for Question Banks and Quizzes
+ * Checks question validation, quiz assembly by duration and mastery, server-side grading of every question type,
+ * and that the graded score (not a client-reported one) completes the lesson
+ */
+import { authenticate, request, loginAs, check, fail } from './test-helpers.js';
+
+// Question bank for Fractions, with the answers the tests submit
+const QUESTIONS = [
+    { difficulty: 'beginner', type: 'multiple_choice', prompt: 'What is 1/2 + 1/4?', data: { options: ['2/6', '3/4', '1/8'], correct_index: 1 }, answer: 1 },
+    { difficulty: 'beginner', type: 'true_false', prompt: '2/4 equals 1/2', data: { answer: true }, answer: true },
+    { difficulty: 'beginner', type: 'short_answer', prompt: 'Name the bottom part of a fraction', data: { accepted: ['denominator'] }, answer: '  Denominator ' },
+    { difficulty: 'intermediate', type: 'numeric', prompt: 'Write 3/8 as a decimal', data: { answer: 0.375, tolerance: 0.001 }, answer: '0.3751' },
+    { difficulty: 'advanced', type: 'numeric', prompt: 'What is 7/9 of 81?', data: { answer: 63 }, answer: 63, estimated_seconds: 120 }
+];
+
+async function testQuizzes() {
+    console.log('📝 Testing MicroLearn Question Banks and Quizzes...\n');
+
+    try {
+        await authenticate();
+        const fractions = await request('POST', '/api/nodes', { name: 'Fractions', mastery_percentage: 20 });
+        const nodeId = fractions.data.id;
+
+        // 1. Question bank
+        console.log('1. Building the question bank...');
+        const created = [];
+        for (const { answer, ...question } of QUESTIONS) {
+            created.push(await request('POST', `/api/nodes/${nodeId}/questions`, question));
+        }
+        const answerKey = Object.fromEntries(created.map((result, index) => [result.data?.id, QUESTIONS[index].answer]));
+        check(created.every(result => result.status === 200), `Added ${created.filter(result => result.success).length} questions of four types`);
+        const badBoolean = await request('POST', `/api/nodes/${nodeId}/questions`, { difficulty: 'beginner', type: 'true_false', prompt: 'x', data: { answer: 'yes' } });
+        const badChoice = await request('POST', `/api/nodes/${nodeId}/questions`, { difficulty: 'beginner', type: 'multiple_choice', prompt: 'x', data: { options: ['a', 'b'], correct_index: 3 } });
+        check(badBoolean.status === 400 && badChoice.errors?.[0]?.field === 'data.correct_index', `Answers that do not fit the type: ${badBoolean.error} / ${badChoice.error}`);
+        const badDifficulty = await request('POST', `/api/nodes/${nodeId}/questions`, { difficulty: 'expert', type: 'true_false', prompt: 'x', data: { answer: true } });
+        const noNode = await request('POST', '/api/nodes/no-such-node/questions', { difficulty: 'beginner', type: 'true_false', prompt: 'x', data: { answer: true } });
+        check(badDifficulty.status === 400 && noNode.status === 404, `Unknown difficulty and node: ${badDifficulty.status}, ${noNode.status}`);
+        const beginnerOnly = await request('GET', `/api/nodes/${nodeId}/questions?difficulty=beginner`);
+        check(beginnerOnly.count === 3, `Beginner questions in the bank: ${beginnerOnly.count}`);
+        console.log('');
+
+        // 2. Assembly
+        console.log('2. Assembling quizzes');
+        const short = await request('POST', `/api/nodes/${nodeId}/quiz`, { duration: 10, seed: 42 });
+        const shortDifficulties = short.data?.questions.map(question => question.difficulty) || [];
+        check(short.data?.difficulty === 'beginner' && short.data.time_budget_seconds === 180, `20% mastery and 10 minutes: ${short.data?.difficulty}, ${short.data?.time_budget_seconds}s`);
+        check(shortDifficulties.length === 3 && shortDifficulties.every(difficulty => difficulty === 'beginner'), `Fills the budget with beginner questions: ${shortDifficulties.join(', ')}`);
+        check(short.data?.questions.every(question => question.data === undefined) && short.data.questions.some(question => question.options), `Questions are shown without answers`);
+        const again = await request('POST', `/api/nodes/${nodeId}/quiz`, { duration: 10, seed: 42 });
+        check(again.data?.questions.map(question => question.id).join() === short.data?.questions.map(question => question.id).join(), `Same seed, same quiz`);
+        const long = await request('POST', `/api/nodes/${nodeId}/quiz`, { duration: 30 });
+        const longDifficulties = long.data?.questions.map(question => question.difficulty) || [];
+        check(longDifficulties.length === 5 && longDifficulties.slice(0, 3).every(difficulty => difficulty === 'beginner') && longDifficulties[3] === 'intermediate', `30 minutes adds the nearest difficulties next: ${longDifficulties.join(', ')}`);
+        const empty = await request('POST', '/api/nodes', { name: 'Empty Topic' });
+        const noQuestions = await request('POST', `/api/nodes/${empty.data.id}/quiz`, {});
+        check(noQuestions.status === 404, `Node without questions: ${noQuestions.status} ${noQuestions.error}`);
+        console.log('');
+
+        // 3. Grading
+        console.log('3. Grading on the server');
+        const graded = await request('POST', `/api/quizzes/${long.data.id}/submit`, { answers: answerKey });
+        check(graded.status === 200 && graded.data?.score === 100 && graded.data.passed, `Every type graded correct (case, spacing, tolerance and numeric strings): ${graded.data?.score}%`);
+        const fractionsAfter = await request('GET', `/api/nodes/${nodeId}`);
+        check(fractionsAfter.data?.mastery_percentage === 100 && graded.completion?.masteryEstimate?.observations === 5, `Five right answers complete the lesson: mastery 20% -> ${fractionsAfter.data?.mastery_percentage}%`);
+        check(graded.data?.results?.every(result => result.expected), `Results show the expected answers once submitted`);
+        const twice = await request('POST', `/api/quizzes/${long.data.id}/submit`, { answers: answerKey });
+        check(twice.status === 409, `Submitting twice: ${twice.status}`);
+        const wrongAnswers = Object.fromEntries(short.data.questions.slice(0, 1).map(question => [question.id, answerKey[question.id]]));
+        const failed = await request('POST', `/api/quizzes/${short.data.id}/submit`, { answers: wrongAnswers });
+        check(failed.data?.score === 33 && failed.data.passed === false, `One of three answered: ${failed.data?.score}%, passed ${failed.data?.passed}`);
+        console.log('');
+
+        // 4. Quizzes for a lesson
+        console.log('4. Completing a lesson with a quiz');
+        await request('PUT', `/api/nodes/${empty.data.id}`, { mastery_percentage: 100 });
+        const lesson = await request('POST', '/api/lessons/request', { userPreferences: { strategy: 'lowest-mastery-first', maxDepth: 1, duration: 10 } });
+        const lessonId = lesson.data?.lessonId;
+        const lessonQuiz = await request('POST', `/api/nodes/${lesson.data?.selectedTopic?.id}/quiz`, { lessonId });
+        check(lessonQuiz.status === 200 && lessonQuiz.data.lesson_id === lessonId && lessonQuiz.data.duration_minutes === 10, `Quiz for lesson on ${lesson.data?.selectedTopic?.name} uses its ${lessonQuiz.data?.duration_minutes} minutes`);
+        const otherNode = await request('POST', `/api/nodes/${empty.data.id}/quiz`, { lessonId });
+        check(otherNode.status === 400, `Lesson for another node: ${otherNode.status}`);
+        const lessonAnswers = Object.fromEntries(lessonQuiz.data.questions.map(question => [question.id, answerKey[question.id]]));
+        await request('POST', `/api/quizzes/${lessonQuiz.data.id}/submit`, { answers: lessonAnswers, durationSeconds: 240 });
+        const completedLesson = await request('GET', `/api/lessons/${lessonId}`);
+        check(completedLesson.data?.status === 'completed' && completedLesson.data.score === 100 && completedLesson.data.duration_seconds === 240, `Lesson completed with the graded score: ${completedLesson.data?.status}, ${completedLesson.data?.score}%`);
+        console.log('');
+
+        // 5. Learners
+        console.log('5. Learners take their own quizzes');
+        const learner = await request('POST', '/api/users', { username: 'quiz_learner', email: 'quiz_learner@example.com', password: 'correct-horse' });
+        const learnerHeaders = await loginAs('quiz_learner', 'correct-horse');
+        const ownQuiz = await request('POST', `/api/nodes/${nodeId}/quiz`, { duration: 10 }, learnerHeaders);
+        check(ownQuiz.status === 200 && ownQuiz.data.user_id === learner.data.id, `Learner's quiz is issued for them: ${ownQuiz.data?.difficulty}`);
+        const bank = await request('GET', `/api/nodes/${nodeId}/questions`, null, learnerHeaders);
+        check(bank.status === 403, `Learners cannot read the answers: ${bank.status}`);
+        const ownAnswers = Object.fromEntries(ownQuiz.data.questions.map(question => [question.id, answerKey[question.id]]));
+        const sharedBefore = await request('GET', `/api/nodes/${nodeId}`);
+        const ownResult = await request('POST', `/api/quizzes/${ownQuiz.data.id}/submit`, { answers: ownAnswers }, learnerHeaders);
+        const shared = await request('GET', `/api/nodes/${nodeId}`);
+        check(ownResult.status === 200 && ownResult.completion?.masteryEstimate?.user_id === learner.data.id && ownResult.completion.newMastery >= sharedBefore.data?.mastery_percentage && shared.data?.mastery_percentage === sharedBefore.data?.mastery_percentage, `Learner's score updates only their progress: ${ownResult.completion?.newMastery}%, shared ${shared.data?.mastery_percentage}%`);
+        const sharedQuiz = await request('POST', `/api/nodes/${nodeId}/quiz`, { duration: 10 });
+        const notTheirs = await request('POST', `/api/quizzes/${sharedQuiz.data.id}/submit`, { answers: {} }, learnerHeaders);
+        check(notTheirs.status === 403, `Submitting someone else's quiz: ${notTheirs.status}`);
+        console.log('');
+
+        console.log('🎉 Quiz tests completed!');
+    } catch (error) {
+        fail('Test failed:', error.message);
+    }
+}
+
+testQuizzes();
@@ -0,0 +1,70 @@
+/**
+ * Test script for Related Topics
+ * Checks that nodes with similar text are found across levels, that vectors follow edits and deletes,
+ * and that content gaps come from the library instead of a fixed subject list
+ */
+import { authenticate, request, check, fail } from './test-helpers.js';
+
+const names = list => (list || []).map(node => node.name).join(', ');
+
+async function testRelatedTopics() {
+    console.log('🧭 Testing MicroLearn Related Topics...\n');
+
+    try {
+        await authenticate();
+
+        // 1. Related across levels
+        console.log('1. Finding related nodes across levels...');
+        const newton = await request('POST', '/api/nodes', { name: "Newton's Laws", notes: 'Force, mass and acceleration: F = ma' });
+        const physics = await request('POST', '/api/levels/1', { name: 'Physics', content: 'Motion, force and energy' });
+        const dynamics = await request('POST', '/api/levels/2', {
+            name: 'Dynamics', content: 'How a force changes motion; acceleration equals force over mass', parent_id: physics.data?.id
+        });
+        const poetry = await request('POST', '/api/nodes', { name: 'Poetry', notes: 'Meter and rhyme' });
+        const related = await request('GET', `/api/nodes/${newton.data.id}/related`);
+        check(related.status === 200 && related.data?.[0]?.id === dynamics.data?.id, `Nearest to "Newton's Laws": ${names(related.data)}`);
+        check(related.data?.[0]?.level === 2 && related.data[0].similarity > 0, `Result carries its level and similarity: level ${related.data?.[0]?.level}, ${related.data?.[0]?.similarity}`);
+        check(!related.data?.some(node => node.id === poetry.data.id || node.id === newton.data.id), `Unrelated nodes and the node itself are left out`);
+        const fromLevel = await request('GET', `/api/nodes/${dynamics.data.id}/related?k=1`);
+        check(fromLevel.count === 1 && fromLevel.node?.level === 2, `k=1 from a level 2 node: ${names(fromLevel.data)}`);
+        console.log('');
+
+        // 2. Vectors follow the text
+        console.log('2. Recomputing on update and dropping on delete');
+        await request('PUT', `/api/nodes/${poetry.data.id}`, { notes: 'The physics of motion in verse: force and acceleration' });
+        const afterUpdate = await request('GET', `/api/nodes/${newton.data.id}/related`);
+        check(afterUpdate.data?.some(node => node.id === poetry.data.id), `Updated notes make Poetry related: ${names(afterUpdate.data)}`);
+        await request('DELETE', `/api/levels/2/${dynamics.data.id}`);
+        const afterDelete = await request('GET', `/api/nodes/${newton.data.id}/related`);
+        check(!afterDelete.data?.some(node => node.id === dynamics.data.id), `Deleted node is gone: ${names(afterDelete.data)}`);
+        console.log('');
+
+        // 3. Errors
+        console.log('3. Rejecting bad requests');
+        const missing = await request('GET', '/api/nodes/no-such-node/related');
+        check(missing.status === 404, `Unknown node: ${missing.status}`);
+        const badK = await request('GET', `/api/nodes/${newton.data.id}/related?k=0`);
+        check(badK.status === 400, `k=0: ${badK.status}`);
+        console.log('');
+
+        // 4. Content gaps
+        console.log('4. Finding content gaps from the library');
+        await request('POST', '/api/levels/1', { name: 'Astronomy', content: 'Stars and planets' });
+        await request('POST', '/api/levels/1', { name: 'Chemistry', content: 'Elements and reactions' });
+        await request('POST', '/api/levels/1', { name: 'Chemistry Basics', content: 'Elements and reactions' });
+        const analysis = await request('GET', '/api/business-logic/analysis');
+        const gaps = analysis.data?.analysis.contentGaps || [];
+        check(!gaps.some(gap => gap.type === 'missing_subject'), `No gaps from a fixed subject list`);
+        const unsupported = gaps.filter(gap => gap.type === 'unsupported_subject').map(gap => gap.subject);
+        check(unsupported.join() === 'Astronomy', `Subjects nothing else covers: ${unsupported.join(', ')}`);
+        const overlap = gaps.find(gap => gap.type === 'overlapping_subjects');
+        check(overlap && [overlap.subject, overlap.overlapsWith].sort().join() === 'Chemistry,Chemistry Basics', `Overlapping subjects: ${overlap?.subject} / ${overlap?.overlapsWith}`);
+        console.log('');
+
+        console.log('🎉 Related topics tests completed!');
+    } catch (error) {
+        fail('Test failed:', error.message);
+    }
+}
+
+testRelatedTopics();
@@ -0,0 +1,134 @@
+/**
+ * Test script for Role-Based Authorization
+ * An admin promotes an author; authors curate the tree while learners only take lessons and keep their own progress
+ */
+import fetch from 'node-fetch';
+import { BASE_URL, TEST_RUNNER, check, fail } from './test-helpers.js';
+
+async function request(method, url, body, token) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) {
+        headers.Authorization = `Bearer ${token}`;
+    }
+    const response = await fetch(`${BASE_URL}${url}`, {
+        method,
+        headers,
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const result = await response.json();
+    return { status: response.status, ...result };
+}
+
+async function signUp(username, password) {
+    const user = await request('POST', '/api/users', { username, email: `${username}@example.com`, password });
+    const login = await request('POST', '/api/auth/login', { username, password });
+    return { user: login.data?.user || user.data, token: login.data?.token };
+}
+
+async function testRoles() {
+    console.log('🛡️ Testing MicroLearn Role-Based Authorization...\n');
+
+    try {
+        // 1. Accounts and roles
+        console.log('1. Creating accounts...');
+        const admin = await signUp(TEST_RUNNER.username, TEST_RUNNER.password);
+        const author = await signUp('marie', 'radium-1898');
+        const learner = await signUp('pierre', 'polonium-1898');
+        const other = await signUp('irene', 'neutron-1932');
+        check(admin.user?.role === 'admin', `test_runner is ${admin.user?.role}`);
+        check(learner.user?.role === 'learner', `Later sign-ups are ${learner.user?.role}`);
+
+        const selfPromote = await request('POST', '/api/users', {
+            username: 'mallory', email: 'mallory@example.com', password: 'let-me-in-please', role: 'admin'
+        });
+        check(selfPromote.status === 403, `Signing up as admin: ${selfPromote.status}`);
+        const learnerPromote = await request('PUT', `/api/users/${learner.user.id}/role`, { role: 'author' }, learner.token);
+        check(learnerPromote.status === 403, `Learner changing their own role: ${learnerPromote.status}`);
+        const promoted = await request('PUT', `/api/users/${author.user.id}/role`, { role: 'author' }, admin.token);
+        check(promoted.data?.role === 'author', `Admin made marie ${promoted.data?.role}`);
+        const badRole = await request('PUT', `/api/users/${author.user.id}/role`, { role: 'owner' }, admin.token);
+        check(badRole.status === 400, `Unknown role: ${badRole.status}`);
+        const relogin = await request('POST', '/api/auth/login', { username: 'pierre', password: 'polonium-1898' }, learner.token);
+        check(relogin.status === 200, `Learner logging in again with a token: ${relogin.status}`);
+        console.log('');
+
+        // 2. Authoring
+        console.log('2. Curating the tree');
+        const science = await request('POST', '/api/levels/1', { name: 'Science' }, author.token);
+        check(science.success, `Author created ${science.data?.name}`);
+        const learnerCreate = await request('POST', '/api/nodes', { name: 'Alchemy' }, learner.token);
+        check(learnerCreate.status === 403, `Learner creating a node: ${learnerCreate.status} ${learnerCreate.error}`);
+        const learnerDelete = await request('DELETE', `/api/levels/1/${science.data.id}`, null, learner.token);
+        check(learnerDelete.status === 403, `Learner deleting a level node: ${learnerDelete.status}`);
+        const authorImport = await request('POST', '/api/import', { nodes: [] }, author.token);
+        check(authorImport.status === 403, `Author importing data: ${authorImport.status}`);
+        const stillThere = await request('GET', `/api/levels/1/${science.data.id}`);
+        check(stillThere.success, `Science still exists`);
+        console.log('');
+
+        // 3. Learning
+        console.log('3. Taking lessons');
+        const chemistry = await request('POST', '/api/nodes', { name: 'Chemistry' }, author.token);
+        const lesson = await request('POST', '/api/lessons/request', { userPreferences: { strategy: 'lowest-mastery-first', maxDepth: 1 } }, learner.token);
+        check(lesson.data?.userId === learner.user.id, `Learner's lesson is issued for them: ${lesson.data?.selectedTopic?.name}`);
+        const forOther = await request('POST', '/api/lessons/request', { userId: other.user.id }, learner.token);
+        check(forOther.status === 403, `Requesting a lesson for someone else: ${forOther.status}`);
+        const otherLesson = await request('POST', '/api/lessons/request', { userPreferences: { strategy: 'lowest-mastery-first', maxDepth: 1 } }, other.token);
+        const completeOther = await request('POST', '/api/lessons/complete', { lessonId: otherLesson.data.lessonId, passed: true, score: 90 }, learner.token);
+        check(completeOther.status === 403, `Completing someone else's lesson: ${completeOther.status}`);
+        const completed = await request('POST', '/api/lessons/complete', { lessonId: lesson.data.lessonId, passed: true, score: 90 }, learner.token);
+        check(completed.data?.newMastery > 0, `Learner completed their lesson: ${completed.data?.newMastery}% mastery`);
+        const sharedChemistry = await request('GET', `/api/nodes/${chemistry.data.id}`);
+        const sharedScience = await request('GET', `/api/levels/1/${science.data.id}`);
+        const sharedMastery = [sharedChemistry.data?.mastery_percentage, sharedScience.data?.mastery_percentage];
+        check(sharedMastery.every(mastery => mastery === 0), `Shared mastery untouched: ${sharedMastery.join('%, ')}%`);
+        console.log('');
+
+        // 4. Own progress and notes
+        console.log('4. Keeping notes');
+        const ownNotes = await request('PUT', `/api/users/${learner.user.id}/progress/0/${chemistry.data.id}`, { notes: 'Balance equations first' }, learner.token);
+        check(ownNotes.data?.notes === 'Balance equations first', `Learner saved their own notes`);
+        const otherNotes = await request('PUT', `/api/users/${other.user.id}/progress/0/${chemistry.data.id}`, { notes: 'Hijacked' }, learner.token);
+        check(otherNotes.status === 403, `Writing someone else's notes: ${otherNotes.status}`);
+        const nodeNotes = await request('POST', `/api/nodes/${chemistry.data.id}/notes`, { notes: 'Shared note' }, learner.token);
+        check(nodeNotes.status === 403, `Writing shared node notes: ${nodeNotes.status}`);
+        console.log('');
+
+        // 5. Per-user reads
+        console.log('5. Reading learning data');
+        const ownReads = [
+            `/api/users/${learner.user.id}/progress`,
+            `/api/lessons?userId=${learner.user.id}`,
+            `/api/lessons/${lesson.data.lessonId}`,
+            `/api/lessons/due?userId=${learner.user.id}`,
+            `/api/lessons/weights/0?userId=${learner.user.id}`,
+            `/api/lessons/weights/0/history?userId=${learner.user.id}`,
+            `/api/nodes/${chemistry.data.id}/mastery-estimate?userId=${learner.user.id}`
+        ];
+        const asLearner = await Promise.all(ownReads.map(url => request('GET', url, null, learner.token)));
+        check(asLearner.every(response => response.status === 200), `Learner reads their own data: ${asLearner.map(response => response.status).join(', ')}`);
+        const asOther = await Promise.all(ownReads.map(url => request('GET', url, null, other.token)));
+        check(asOther.every(response => response.status === 403), `Another learner reading it: ${asOther.map(response => response.status).join(', ')}`);
+        const anonymous = await Promise.all(ownReads.map(url => request('GET', url)));
+        check(anonymous.every(response => response.status === 401), `Anonymous reads: ${anonymous.map(response => response.status).join(', ')}`);
+        const asAuthor = await Promise.all(ownReads.map(url => request('GET', url, null, author.token)));
+        check(asAuthor.every(response => response.status === 200), `Author reads it: ${asAuthor.map(response => response.status).join(', ')}`);
+        const ownLessons = await request('GET', '/api/lessons', null, other.token);
+        check(ownLessons.data?.length === 1 && ownLessons.data[0].user_id === other.user.id, `Learner listing lessons without userId gets their own: ${ownLessons.data?.length}`);
+        console.log('');
+
+        // 6. Admin safeguards
+        console.log('6. Protecting the last admin');
+        const demote = await request('PUT', `/api/users/${admin.user.id}/role`, { role: 'learner' }, admin.token);
+        check(demote.status === 409, `Demoting the last admin: ${demote.status}`);
+        const removeAdmin = await request('DELETE', `/api/users/${admin.user.id}`, null, admin.token);
+        check(removeAdmin.status === 409, `Deleting the last admin: ${removeAdmin.status}`);
+        console.log('');
+
+        console.log('🎉 Role-based authorization tests completed!');
+    } catch (error) {
+        fail('Test failed:', error.message);
+    }
+}
+
+testRoles();
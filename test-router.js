@@ -0,0 +1,71 @@
+/**
+ * Test script for the Declarative Router
+ * Checks param matching, literal-over-param precedence with fallback to the param route, 404 vs 405 and per-route
+ * middleware
+ */
+import { authenticate, request, check, fail } from './test-helpers.js';
+
+async function testRouter() {
+    console.log('🧭 Testing MicroLearn API Router...\n');
+
+    try {
+        await authenticate();
+
+        // 1. Params
+        console.log('1. Matching path params...');
+        const physics = await request('POST', '/api/nodes', { name: 'Physics', mastery_percentage: 50 });
+        const optics = await request('POST', '/api/nodes', { name: 'Optics', parent_id: physics.data.id });
+        const node = await request('GET', `/api/nodes/${physics.data.id}`);
+        check(node.data?.name === 'Physics', `/nodes/:id returned ${node.data?.name}`);
+        const children = await request('GET', `/api/nodes/${physics.data.id}/children`);
+        check(children.data?.[0]?.id === optics.data.id, `/nodes/:id/children returned ${children.data?.[0]?.name}`);
+        const trailingSlash = await request('GET', '/api/nodes/');
+        check(trailingSlash.success, `Trailing slash matches /nodes`);
+        console.log('');
+
+        // 2. Literal segments win over params
+        console.log('2. Preferring literal segments over params');
+        const mastery = await request('GET', '/api/mastery/nodes?min=40&max=60');
+        check(Array.isArray(mastery.data) && mastery.data.some(n => n.id === physics.data.id), `/mastery/nodes filters by mastery: ${mastery.count} node(s)`);
+        const alias = await request('GET', '/api/nodes/mastery?min=40&max=60');
+        check(alias.count === mastery.count && alias.data?.some(n => n.id === physics.data.id), `Deprecated /nodes/mastery still lists ${alias.count} node(s)`);
+        const putFallback = await request('PUT', '/api/nodes/mastery', { name: 'Mastery' });
+        check(putFallback.status === 404 && /not found/i.test(putFallback.error), `PUT /nodes/mastery falls back to PUT /nodes/:id: ${putFallback.status}`);
+        const science = await request('POST', '/api/levels/1', { name: 'Science' });
+        const levelSearch = await request('GET', '/api/levels/search?level=1&q=Sci');
+        check(levelSearch.data?.some(n => n.id === science.data.id), `/levels/search is its own route`);
+        const scopedSearch = await request('GET', '/api/levels/1/search?q=Sci');
+        check(scopedSearch.data?.some(n => n.id === science.data.id), `/levels/:level/search beats /levels/:level/:id`);
+        const strategies = await request('GET', '/api/lessons/strategies');
+        check(strategies.success && Array.isArray(strategies.data), `/lessons/strategies beats /lessons/:id`);
+        const fallback = await request('POST', '/api/levels/search', { name: 'Science' });
+        check(fallback.status === 400, `POST /levels/search falls back to POST /levels/:level: ${fallback.status}`);
+        console.log('');
+
+        // 3. 404 vs 405
+        console.log('3. Distinguishing unknown paths from unsupported methods');
+        const unknown = await request('GET', '/api/does-not-exist');
+        check(unknown.status === 404, `Unknown path: ${unknown.status}`);
+        const deepUnknown = await request('GET', `/api/nodes/${physics.data.id}/unknown`);
+        check(deepUnknown.status === 404, `Unknown sub-resource: ${deepUnknown.status}`);
+        const wrongMethod = await request('DELETE', '/api/tree');
+        check(wrongMethod.status === 405 && wrongMethod.allowed?.join() === 'GET', `DELETE /tree: ${wrongMethod.status}, allowed ${wrongMethod.allowed}`);
+        const noSuchMethod = await request('DELETE', '/api/lessons/request');
+        check(noSuchMethod.status === 405 && noSuchMethod.allowed?.includes('POST') && noSuchMethod.allowed.includes('GET'), `DELETE /lessons/request: ${noSuchMethod.status}, allowed ${noSuchMethod.allowed}`);
+        console.log('');
+
+        // 4. Per-route middleware
+        console.log('4. Running per-route middleware');
+        const anonymousMe = await request('GET', '/api/auth/me', null, { 'Content-Type': 'application/json' });
+        check(anonymousMe.status === 401, `/auth/me without a token: ${anonymousMe.status}`);
+        const me = await request('GET', '/api/auth/me');
+        check(me.data?.username === 'test_runner', `/auth/me with a token: ${me.data?.username}`);
+        console.log('');
+
+        console.log('🎉 Router tests completed!');
+    } catch (error) {
+        fail('Test failed:', error.message);
+    }
+}
+
+testRouter();
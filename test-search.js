@@ -0,0 +1,84 @@
+/**
+ * Test script for Full-Text Search
+ * Checks ranked results across levels, phrase and prefix queries, highlighting, paging and index sync on update and delete
+ */
+import { authenticate, request, check, fail } from './test-helpers.js';
+
+const search = query => request('GET', `/api/search?${query}`);
+
+async function testSearch() {
+    console.log('🔎 Testing MicroLearn Full-Text Search...\n');
+
+    try {
+        await authenticate();
+
+        // 1. Content across levels
+        console.log('1. Creating searchable content...');
+        const linear = await request('POST', '/api/nodes', { name: 'Linear Equations', notes: 'Slope-intercept form and graphing' });
+        const quadratic = await request('POST', '/api/nodes', { name: 'Quadratic Functions', notes: 'Parabolas are not linear' });
+        const science = await request('POST', '/api/levels/1', { name: 'Science', content: 'Physics uses linear equations everywhere' });
+        await request('POST', '/api/levels/2', { name: 'Équations différentielles', parent_id: science.data?.id });
+        check(linear.success && quadratic.success && science.success, `Created legacy and level nodes`);
+        console.log('');
+
+        // 2. Ranking and highlighting
+        console.log('2. Ranking matches');
+        const ranked = await search('q=linear');
+        const rankedNames = ranked.data?.map(node => node.name) || [];
+        check(ranked.total === 3 && rankedNames[0] === 'Linear Equations', `Name match ranks first: ${rankedNames.join(', ')}`);
+        check(ranked.data?.[0]?.name_highlight === '<mark>Linear</mark> Equations', `Highlighted name: ${ranked.data?.[0]?.name_highlight}`);
+        const scienceHit = ranked.data?.find(node => node.level === 1);
+        check(scienceHit?.snippet?.includes('<mark>linear</mark>'), `Level 1 content snippet: ${scienceHit?.snippet}`);
+        console.log('');
+
+        // 3. Query syntax
+        console.log('3. Phrases, prefixes and accents');
+        const phrase = await search(`q=${encodeURIComponent('"linear equations"')}`);
+        check(phrase.total === 2, `Phrase "linear equations": ${phrase.data?.map(node => node.name).join(', ')}`);
+        const allWords = await search('q=parabolas linear');
+        check(allWords.total === 1 && allWords.data[0].name === 'Quadratic Functions', `Every word must match: ${allWords.data?.map(node => node.name).join(', ')}`);
+        const typing = await search('q=quadr');
+        check(typing.total === 1, `Last word matches as a prefix: ${typing.data?.map(node => node.name).join(', ')}`);
+        const accents = await search('q=equations');
+        check(accents.data?.some(node => node.level === 2), `"equations" finds accented text: ${accents.data?.map(node => node.name).join(', ')}`);
+        const operators = await search(`q=${encodeURIComponent('linear OR (quadratic')}`);
+        check(operators.status === 200 && operators.total === 0, `FTS operators are searched as words: ${operators.status}`);
+        console.log('');
+
+        // 4. Levels and paging
+        console.log('4. Filtering levels and paging');
+        const levelOne = await search('q=linear&levels=1');
+        check(levelOne.total === 1 && levelOne.data[0].level === 1, `levels=1: ${levelOne.data?.map(node => node.name).join(', ')}`);
+        const first = await search('q=linear&limit=2');
+        const second = await search(`q=linear&limit=2&cursor=${first.next_cursor}`);
+        const pagedIds = [...(first.data || []), ...(second.data || [])].map(node => node.id);
+        check(first.count === 2 && second.count === 1 && second.next_cursor === null && new Set(pagedIds).size === 3, `Pages of ${first.count} and ${second.count} of ${first.total}`);
+        const badLevel = await search('q=linear&levels=9');
+        check(badLevel.status === 400, `levels=9: ${badLevel.status} ${badLevel.error}`);
+        const noQuery = await search('levels=1');
+        check(noQuery.status === 400, `Missing q: ${noQuery.status}`);
+        const noWords = await search(`q=${encodeURIComponent('*** --')}`);
+        check(noWords.status === 400, `q without words: ${noWords.status} ${noWords.error}`);
+        console.log('');
+
+        // 5. Index sync
+        console.log('5. Keeping the index in sync');
+        await request('PUT', `/api/nodes/${linear.data.id}`, { name: 'Straight Lines' });
+        const renamed = await search('q=straight');
+        const oldName = await search('q=linear&levels=0');
+        const staleHit = oldName.data?.some(node => node.id === linear.data.id);
+        check(renamed.total === 1 && oldName.success && !staleHit, `Update re-indexes the name: "straight" ${renamed.total}, old name found ${staleHit}`);
+        await request('DELETE', `/api/nodes/${quadratic.data.id}`);
+        const deleted = await search('q=parabolas');
+        check(deleted.total === 0, `Deleted node leaves the index: ${deleted.total}`);
+        const levelSearch = await request('GET', '/api/levels/1/search?q=physics');
+        check(levelSearch.count === 1 && levelSearch.data[0].snippet?.includes('<mark>Physics</mark>'), `/levels/1/search: ${levelSearch.data?.map(node => node.name).join(', ')}`);
+        console.log('');
+
+        console.log('🎉 Full-text search tests completed!');
+    } catch (error) {
+        fail('Test failed:', error.message);
+    }
+}
+
+testSearch();
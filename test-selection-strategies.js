@@ -0,0 +1,141 @@
+/**
+ * Test script for Lesson Selection Strategies
+ * Requests lessons with every registered strategy and compares outcomes per strategy
+ */
+import fetch from 'node-fetch';
+import { BASE_URL, headers, authenticate, check, fail } from './test-helpers.js';
+
+async function requestLesson(userPreferences) {
+    const response = await fetch(`${BASE_URL}/api/lessons/request`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ userPreferences })
+    });
+    return { status: response.status, result: await response.json() };
+}
+
+async function testSelectionStrategies() {
+    console.log('🎲 Testing MicroLearn Selection Strategies...\n');
+
+    try {
+        await authenticate();
+
+        // 1. Create test content
+        console.log('1. Creating test content...');
+        const subjects = [];
+        for (const topic of [
+            { name: 'Algebra', mastery_percentage: 60, node_type: 'subject' },
+            { name: 'Geometry', mastery_percentage: 15, node_type: 'subject' },
+            { name: 'Calculus', mastery_percentage: 40, node_type: 'subject' }
+        ]) {
+            const response = await fetch(`${BASE_URL}/api/nodes`, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify(topic)
+            });
+            const result = await response.json();
+            subjects.push(result.data);
+            console.log(`✅ Created: ${result.data?.name}`);
+        }
+        console.log('');
+
+        // 2. List strategies
+        console.log('2. Listing selection strategies');
+        const strategiesResponse = await fetch(`${BASE_URL}/api/lessons/strategies`);
+        const strategiesData = await strategiesResponse.json();
+        console.log(`✅ ${strategiesData.count} strategies available`);
+        strategiesData.data.forEach(strategy => {
+            console.log(`   * ${strategy.name}${strategy.isDefault ? ' (default)' : ''}: ${strategy.description}`);
+        });
+        console.log('');
+
+        // 3. Every strategy returns the same lesson shape
+        console.log('3. Requesting a lesson with each strategy');
+        for (const strategy of strategiesData.data) {
+            const { result } = await requestLesson({ strategy: strategy.name });
+            if (!result.success) {
+                fail(`${strategy.name}: ${result.error}`);
+                continue;
+            }
+            const { selectedTopic, strategyDetails } = result.data;
+            const hasBreakdown = Boolean(selectedTopic.weight_breakdown);
+            check(hasBreakdown, `${result.data.strategy}: ${selectedTopic.name} (weight ${selectedTopic.selection_weight})`);
+            console.log(`   - Details: ${JSON.stringify(strategyDetails)}`);
+        }
+        console.log('');
+
+        // 4. Lowest mastery first always picks the weakest topic
+        console.log('4. Lowest mastery first (should pick Geometry)');
+        const { result: lowestResult } = await requestLesson({ strategy: 'lowest-mastery-first' });
+        const lowestName = lowestResult.data?.selectedTopic.name;
+        check(lowestName === 'Geometry', `Selected: ${lowestName}`);
+        console.log('');
+
+        // 5. Round robin visits every topic once per cycle
+        console.log('5. Round robin over three requests (should visit each topic once)');
+        const visited = [];
+        for (let i = 0; i < 3; i++) {
+            const { result } = await requestLesson({ strategy: 'round-robin' });
+            visited.push(result.data.selectedTopic.name);
+        }
+        const allVisited = new Set(visited).size === 3;
+        check(allVisited, `Visited: ${visited.join(' -> ')}`);
+        console.log('');
+
+        // 6. History is compared at the level being selected, so drilled-down lessons still rotate and interleave
+        console.log('6. Round robin and interleaving when lessons drill down to a child');
+        for (const subject of subjects) {
+            await fetch(`${BASE_URL}/api/nodes`, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify({ name: `${subject.name} Basics`, parent_id: subject.id })
+            });
+        }
+        const drilled = [];
+        for (let i = 0; i < 3; i++) {
+            const { result } = await requestLesson({ strategy: 'round-robin' });
+            drilled.push(result.data.selectionPath.map(step => step.name).join('>'));
+        }
+        const drilledSubjects = new Set(drilled.map(path => path.split('>')[0]));
+        check(drilledSubjects.size === 3 && drilled.every(path => path.includes('Basics')), `Round robin visited: ${drilled.join(' -> ')}`);
+        const { result: seeded } = await requestLesson({ seed: 11 });
+        const replayResponse = await fetch(`${BASE_URL}/api/lessons/replay`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({ lessonId: seeded.data.lessonId })
+        });
+        const replay = (await replayResponse.json()).data;
+        check(replay?.matches && replay.selectionPath.length === seeded.data.selectionPath.length, `Replay descends to the same child: ${replay?.selectedTopic.name}`);
+        const interleaved = [];
+        for (let i = 0; i < 4; i++) {
+            const { result } = await requestLesson({ strategy: 'interleaved', seed: 7 });
+            interleaved.push(result.data.selectionPath[0]?.name || result.data.selectedTopic.name);
+        }
+        const repeated = interleaved.some((name, i) => i > 0 && name === interleaved[i - 1] && name !== 'Create New Topic');
+        check(!repeated, `Interleaved with one seed: ${interleaved.join(' -> ')}`);
+        console.log('');
+
+        // 7. Unknown strategies are rejected
+        console.log('7. Requesting an unknown strategy (should be 400)');
+        const { status, result: badResult } = await requestLesson({ strategy: 'coin-flip' });
+        check(status === 400, `${status}: ${badResult.error}`);
+        console.log('');
+
+        // 8. Outcomes are reported per strategy
+        console.log('8. Lesson statistics by strategy');
+        const statsResponse = await fetch(`${BASE_URL}/api/lessons/statistics`);
+        const statsData = await statsResponse.json();
+        statsData.data.statistics.byStrategy.forEach(row => {
+            console.log(`   * ${row.strategy}: ${row.requestedLessons} requested, ${row.completedLessons} completed`);
+        });
+        console.log('');
+
+        console.log('🎉 All Selection Strategy Tests Completed!');
+
+    } catch (error) {
+        fail('Selection Strategy Test failed:', error);
+    }
+}
+
+// Run the test
+testSelectionStrategies();
@@ -0,0 +1,107 @@
+/**
+ * Test script for Spaced Repetition Scheduling
+ * Completes lessons and compares SM-2 and FSRS review schedules
+ */
+import fetch from 'node-fetch';
+import { BASE_URL, headers, authenticate, check, fail } from './test-helpers.js';
+
+async function requestAndComplete(userPreferences, passed, score) {
+    const requestResponse = await fetch(`${BASE_URL}/api/lessons/request`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ userPreferences })
+    });
+    const requestData = await requestResponse.json();
+    if (!requestData.success) {
+        throw new Error(`Lesson request failed: ${requestData.error}`);
+    }
+
+    const completeResponse = await fetch(`${BASE_URL}/api/lessons/complete`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ lessonId: requestData.data.lessonId, passed, score })
+    });
+    const completeData = await completeResponse.json();
+    return { request: requestData.data, completion: completeData.data };
+}
+
+async function testSpacedRepetition() {
+    console.log('📅 Testing MicroLearn Spaced Repetition...\n');
+
+    try {
+        await authenticate();
+
+        // 1. Create test content
+        console.log('1. Creating test content...');
+        for (const topic of [
+            { name: 'Vocabulary', mastery_percentage: 10, node_type: 'skill' },
+            { name: 'Grammar', mastery_percentage: 35, node_type: 'skill' }
+        ]) {
+            const response = await fetch(`${BASE_URL}/api/nodes`, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify(topic)
+            });
+            const result = await response.json();
+            console.log(`✅ Created: ${result.data?.name}`);
+        }
+        console.log('');
+
+        // 2. Complete lessons and compare schedules
+        console.log('2. Completing lessons and comparing SM-2 and FSRS schedules');
+        const results = [[true, 95], [true, 75], [false, 30]];
+        for (const [passed, score] of results) {
+            const { request, completion } = await requestAndComplete({}, passed, score);
+            if (request.isCreateNewTopic) {
+                console.log('   ⏭️  Create New Topic selected (no review schedule)');
+                continue;
+            }
+            const { sm2, fsrs } = completion.reviewSchedules;
+            console.log(`   ✅ ${request.selectedTopic.name} (${passed ? 'passed' : 'failed'}, ${score}%)`);
+            console.log(`      SM-2: interval ${sm2.interval_days}d, ease ${sm2.ease_factor}, due ${sm2.due_date}`);
+            console.log(`      FSRS: interval ${fsrs.interval_days}d, stability ${fsrs.stability}, difficulty ${fsrs.difficulty}`);
+        }
+        console.log('');
+
+        // 3. Nothing reviewed today is due yet
+        console.log('3. Checking due topics');
+        for (const algorithm of ['sm2', 'fsrs']) {
+            const dueResponse = await fetch(`${BASE_URL}/api/lessons/due?algorithm=${algorithm}`, { headers });
+            const dueData = await dueResponse.json();
+            console.log(`✅ ${algorithm}: ${dueData.count} topics due`);
+        }
+        console.log('');
+
+        // 4. Unknown algorithms are rejected
+        console.log('4. Requesting due topics for an unknown algorithm (should be 400)');
+        const badResponse = await fetch(`${BASE_URL}/api/lessons/due?algorithm=leitner`, { headers });
+        const badData = await badResponse.json();
+        check(badResponse.status === 400, `${badResponse.status}: ${badData.error}`);
+        console.log('');
+
+        // 5. Spaced repetition strategy falls back to weighted random when nothing is due
+        console.log('5. Requesting a lesson with the spaced repetition strategy');
+        const srResponse = await fetch(`${BASE_URL}/api/lessons/request`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({ userPreferences: { strategy: 'spaced-repetition-due', srAlgorithm: 'fsrs' } })
+        });
+        const srData = await srResponse.json();
+        if (srData.success) {
+            console.log(`✅ Selected: ${srData.data.selectedTopic.name}`);
+            console.log(`   - Strategy: ${srData.data.strategy} (${srData.data.strategyDetails.srAlgorithm})`);
+            console.log(`   - Due topics: ${srData.data.strategyDetails.dueCount}`);
+        } else {
+            fail(`Failed: ${srData.error}`);
+        }
+        console.log('');
+
+        console.log('🎉 All Spaced Repetition Tests Completed!');
+
+    } catch (error) {
+        fail('Spaced Repetition Test failed:', error);
+    }
+}
+
+// Run the test
+testSpacedRepetition();
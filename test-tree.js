@@ -0,0 +1,90 @@
+/**
+ * Test script for the Unified Tree API
+ * Builds legacy and level hierarchies and reads them back as one tree
+ */
+import fetch from 'node-fetch';
+import { BASE_URL, headers, authenticate, check, fail } from './test-helpers.js';
+
+async function post(url, body) {
+    const response = await fetch(`${BASE_URL}${url}`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body)
+    });
+    const result = await response.json();
+    return result.data;
+}
+
+function printTree(nodes, indent = '   ') {
+    nodes.forEach(node => {
+        console.log(`${indent}* ${node.name} [${node.source}, ${node.child_count} children]`);
+        printTree(node.children, `${indent}  `);
+    });
+}
+
+async function testTree() {
+    console.log('🌳 Testing MicroLearn Unified Tree API...\n');
+
+    try {
+        await authenticate();
+
+        // 1. Create content in both storage models
+        console.log('1. Creating legacy and level content...');
+        const history = await post('/api/nodes', { name: 'History', node_type: 'subject' });
+        await post('/api/nodes', { name: 'Ancient Rome', parent_id: history.id });
+        const science = await post('/api/levels/1', { name: 'Science' });
+        const physics = await post('/api/levels/2', { name: 'Physics', parent_id: science.id });
+        await post('/api/levels/3', { name: 'Mechanics', parent_id: physics.id });
+        console.log('✅ Legacy: History → Ancient Rome, Levels: Science → Physics → Mechanics');
+        console.log('');
+
+        // 2. Full tree
+        console.log('2. Getting the full tree');
+        const treeResponse = await fetch(`${BASE_URL}/api/tree`);
+        const tree = await treeResponse.json();
+        check(tree.count === 2, `${tree.count} top-level nodes`);
+        printTree(tree.data);
+        console.log('');
+
+        // 3. Depth limit
+        console.log('3. Getting the tree with depth=1');
+        const shallowResponse = await fetch(`${BASE_URL}/api/tree?depth=1`);
+        const shallow = await shallowResponse.json();
+        const noChildren = shallow.data.every(node => node.children.length === 0 && node.child_count > 0);
+        check(noChildren, `Top level only, child counts preserved`);
+        console.log('');
+
+        // 4. Field selection and root
+        console.log('4. Getting the tree from Science with fields=name,level');
+        const rootResponse = await fetch(`${BASE_URL}/api/tree?root=${science.id}&fields=name,level`);
+        const rooted = await rootResponse.json();
+        const keys = Object.keys(rooted.data[0]).sort().join(',');
+        check(keys === 'children,id,level,name', `Keys: ${keys}`);
+        console.log('');
+
+        // 5. Subtree
+        console.log('5. Getting the subtree below Physics');
+        const subtreeResponse = await fetch(`${BASE_URL}/api/tree/${physics.id}/subtree`);
+        const subtree = await subtreeResponse.json();
+        check(subtree.data.children[0]?.name === 'Mechanics', `${subtree.data.name} → ${subtree.data.children.map(node => node.name).join(', ')}`);
+        console.log('');
+
+        // 6. Invalid requests
+        console.log('6. Invalid requests');
+        const badDepth = await fetch(`${BASE_URL}/api/tree?depth=0`);
+        check(badDepth.status === 400, `depth=0: ${badDepth.status}`);
+        const badFields = await fetch(`${BASE_URL}/api/tree?fields=name,password`);
+        check(badFields.status === 400, `Unknown field: ${badFields.status}`);
+        const missing = await fetch(`${BASE_URL}/api/tree/does_not_exist/subtree`);
+        check(missing.status === 404, `Unknown node: ${missing.status}`);
+        console.log('');
+
+        console.log('🎉 All Tree API Tests Completed!');
+
+    } catch (error) {
+        fail('Tree API Test failed:', error);
+    }
+}
+
+// Run the test
+testTree();
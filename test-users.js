@@ -0,0 +1,99 @@
+/**
+ * Test script for the User Accounts API
+ * Creates, updates and deletes users and records their progress on level nodes
+ */
+import { authenticate, request, loginAs, check, fail } from './test-helpers.js';
+
+async function testUsers() {
+    console.log('👤 Testing MicroLearn User Accounts API...\n');
+
+    try {
+        await authenticate();
+
+        // 1. Create users
+        console.log('1. Creating users...');
+        const ada = await request('POST', '/api/users', { username: 'ada', email: 'Ada@Example.com', password: 'correct-horse' });
+        const alan = await request('POST', '/api/users', { username: 'alan', email: 'alan@example.com', password: 'correct-horse' });
+        check(ada.success && alan.success, `Created ${ada.data?.username} and ${alan.data?.username}`);
+        check(ada.data?.email === 'ada@example.com', `Email stored lowercase: ${ada.data?.email}`);
+        console.log('');
+
+        // 2. Uniqueness and validation
+        console.log('2. Rejecting duplicate and invalid users');
+        const dupUsername = await request('POST', '/api/users', { username: 'ada', email: 'other@example.com', password: 'correct-horse' });
+        check(dupUsername.status === 409, `Duplicate username: ${dupUsername.status} ${dupUsername.error}`);
+        const dupEmail = await request('POST', '/api/users', { username: 'grace', email: 'ADA@example.com', password: 'correct-horse' });
+        check(dupEmail.status === 409, `Duplicate email: ${dupEmail.status} ${dupEmail.error}`);
+        const badEmail = await request('POST', '/api/users', { username: 'grace', email: 'not-an-email', password: 'correct-horse' });
+        check(badEmail.status === 400, `Invalid email: ${badEmail.status}`);
+        const noUsername = await request('POST', '/api/users', { email: 'grace@example.com', password: 'correct-horse' });
+        check(noUsername.status === 400, `Missing username: ${noUsername.status}`);
+        console.log('');
+
+        // 3. Read and update
+        console.log('3. Reading and updating users');
+        const list = await request('GET', '/api/users');
+        check(list.count === 3, `${list.count} users listed (including the test runner)`);
+        check(list.data?.every(user => user.password_hash === undefined), `Password hashes are never returned`);
+        const renamed = await request('PUT', `/api/users/${ada.data.id}`, { username: 'ada_lovelace' });
+        check(renamed.data?.username === 'ada_lovelace', `Renamed to ${renamed.data?.username}`);
+        const sameEmail = await request('PUT', `/api/users/${ada.data.id}`, { email: 'ada@example.com' });
+        check(sameEmail.success, `Keeping own email is allowed`);
+        const taken = await request('PUT', `/api/users/${alan.data.id}`, { username: 'ada_lovelace' });
+        check(taken.status === 409, `Taking another user's username: ${taken.status}`);
+        const missing = await request('GET', '/api/users/does_not_exist');
+        check(missing.status === 404, `Unknown user: ${missing.status}`);
+        console.log('');
+
+        // 4. Who can read accounts
+        console.log('4. Keeping accounts private');
+        const anonymousList = await request('GET', '/api/users', null, { 'Content-Type': 'application/json' });
+        const anonymousUser = await request('GET', `/api/users/${ada.data.id}`, null, { 'Content-Type': 'application/json' });
+        check(anonymousList.status === 401 && anonymousUser.status === 401, `Anonymous reads: ${anonymousList.status} and ${anonymousUser.status}`);
+        const adaHeaders = await loginAs('ada_lovelace', 'correct-horse');
+        const learnerList = await request('GET', '/api/users', null, adaHeaders);
+        check(learnerList.status === 403 && learnerList.data === undefined, `Learner listing users: ${learnerList.status}`);
+        const own = await request('GET', `/api/users/${ada.data.id}`, null, adaHeaders);
+        const other = await request('GET', `/api/users/${alan.data.id}`, null, adaHeaders);
+        check(own.data?.email === 'ada@example.com' && other.status === 403, `Learner reads their own account, not others': ${other.status}`);
+        console.log('');
+
+        // 5. Progress
+        console.log('5. Recording progress');
+        const science = await request('POST', '/api/levels/1', { name: 'Science' });
+        const physics = await request('POST', '/api/levels/2', { name: 'Physics', parent_id: science.data.id });
+        const progress = await request('PUT', `/api/users/${ada.data.id}/progress/2/${physics.data.id}`, {
+            mastery_percentage: 60,
+            notes: 'Revisit momentum'
+        });
+        check(progress.data?.mastery_percentage === 60, `Physics mastery: ${progress.data?.mastery_percentage}%`);
+        const notesOnly = await request('PUT', `/api/users/${ada.data.id}/progress/2/${physics.data.id}`, { notes: 'Done' });
+        check(notesOnly.data?.mastery_percentage === 60 && notesOnly.data?.notes === 'Done', `Partial update keeps mastery`);
+        await request('PUT', `/api/users/${ada.data.id}/progress/1/${science.data.id}`, { mastery_percentage: 20 });
+
+        const all = await request('GET', `/api/users/${ada.data.id}/progress`);
+        const level2 = await request('GET', `/api/users/${ada.data.id}/progress?level=2`);
+        check(all.count === 2 && level2.count === 1, `${all.count} entries, ${level2.count} at level 2`);
+
+        const wrongLevel = await request('PUT', `/api/users/${ada.data.id}/progress/3/${physics.data.id}`, { mastery_percentage: 10 });
+        check(wrongLevel.status === 404, `Node not in level: ${wrongLevel.status}`);
+        const badMastery = await request('PUT', `/api/users/${ada.data.id}/progress/2/${physics.data.id}`, { mastery_percentage: 150 });
+        check(badMastery.status === 400, `Mastery out of range: ${badMastery.status}`);
+        console.log('');
+
+        // 6. Delete
+        console.log('6. Deleting a user');
+        const deleted = await request('DELETE', `/api/users/${ada.data.id}`);
+        const gone = await request('GET', `/api/users/${ada.data.id}/progress`);
+        const again = await request('DELETE', `/api/users/${ada.data.id}`);
+        check(deleted.success && gone.status === 404, `User and progress deleted`);
+        check(again.status === 404, `Deleting again: ${again.status}`);
+        console.log('');
+
+        console.log('🎉 User accounts tests completed!');
+    } catch (error) {
+        fail('Test failed:', error.message);
+    }
+}
+
+testUsers();
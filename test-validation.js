@@ -0,0 +1,64 @@
+/**
+ * Test script for Request Validation
+ * Checks that write endpoints reject bad input with a 400 listing every failing field
+ */
+import { authenticate, request, check, fail } from './test-helpers.js';
+
+function fieldsOf(result) {
+    return (result.errors || []).map(error => error.field).sort().join(', ');
+}
+
+async function testValidation() {
+    console.log('🧪 Testing MicroLearn Request Validation...\n');
+
+    try {
+        await authenticate();
+
+        // 1. Field errors are reported together
+        console.log('1. Rejecting invalid nodes...');
+        const invalid = await request('POST', '/api/nodes', { mastery_percentage: 150, foo: 1 });
+        check(invalid.status === 400 && fieldsOf(invalid) === 'foo, mastery_percentage, name', `POST /nodes: ${invalid.status}, fields ${fieldsOf(invalid)}`);
+        console.log(`   ${invalid.error}`);
+        const wrongType = await request('POST', '/api/nodes', { name: 42 });
+        check(wrongType.status === 400 && wrongType.errors?.[0]?.message === 'must be a string', `Numeric name: ${wrongType.errors?.[0]?.message}`);
+        const valid = await request('POST', '/api/nodes', { name: 'Geometry', mastery_percentage: 40 });
+        check(valid.success, `Valid node created: ${valid.data?.name}`);
+        console.log('');
+
+        // 2. Updates only touch known columns
+        console.log('2. Guarding update columns');
+        const emptyUpdate = await request('PUT', `/api/nodes/${valid.data.id}`, {});
+        check(emptyUpdate.status === 400, `Empty update: ${emptyUpdate.status}`);
+        const science = await request('POST', '/api/levels/1', { name: 'Science' });
+        const injected = await request('PUT', `/api/levels/1/${science.data.id}`, { 'name = name; --': 'x' });
+        check(injected.status === 400 && injected.errors?.some(error => error.field === 'name = name; --'), `Unknown level node column: ${injected.status}`);
+        const stillThere = await request('GET', `/api/levels/1/${science.data.id}`);
+        check(stillThere.data?.name === 'Science', `Science unchanged: ${stillThere.data?.name}`);
+        console.log('');
+
+        // 3. Query strings are coerced
+        console.log('3. Coercing query strings');
+        const mastery = await request('GET', '/api/mastery/nodes?min=30&max=50');
+        check(mastery.data?.some(node => node.id === valid.data.id), `?min=30&max=50 found ${mastery.count} node(s)`);
+        const badQuery = await request('GET', '/api/mastery/nodes?min=abc');
+        check(badQuery.status === 400 && fieldsOf(badQuery) === 'min', `?min=abc: ${badQuery.status}`);
+        console.log('');
+
+        // 4. Lesson outcomes
+        console.log('4. Validating lesson outcomes');
+        const lesson = await request('POST', '/api/lessons/request', {});
+        const noOutcome = await request('POST', '/api/lessons/complete', { lessonId: lesson.data.lessonId });
+        check(noOutcome.status === 400 && fieldsOf(noOutcome) === 'passed', `Completion without passed: ${noOutcome.status}`);
+        const badScore = await request('POST', '/api/lessons/complete', { lessonId: lesson.data.lessonId, passed: true, score: 101 });
+        check(badScore.status === 400 && fieldsOf(badScore) === 'score', `Score over 100: ${badScore.status}`);
+        const completed = await request('POST', '/api/lessons/complete', { lessonId: lesson.data.lessonId, passed: true, score: 80 });
+        check(completed.success, `Valid completion accepted`);
+        console.log('');
+
+        console.log('🎉 Request validation tests completed!');
+    } catch (error) {
+        fail('Test failed:', error.message);
+    }
+}
+
+testValidation();
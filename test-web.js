@@ -3,6 +3,7 @@
  * Opens the web interface and tests basic functionality
  */
 import fetch from 'node-fetch';
+import { BASE_URL, fail } from './test-helpers.js';
 
 async function testWebInterface() {
     console.log('🌐 Testing MicroLearn Web Interface...\n');
@@ -10,34 +11,35 @@ async function testWebInterface() {
     try {
         // Test if web interface loads
         console.log('1. Testing web interface loading...');
-        const response = await fetch('http://localhost:3000/');
+        const response = await fetch(`${BASE_URL}/`);
         
         if (response.ok) {
             const html = await response.text();
-            if (html.includes('MicroLearn Database Manager')) {
+            // The root URL serves the dev panel
+            if (html.includes('MicroLearn API Dev Panel')) {
                 console.log('✅ Web interface loads successfully!');
-                console.log('🌐 Open http://localhost:3000/ in your browser to use the web interface');
+                console.log(`🌐 Open ${BASE_URL}/ in your browser to use the web interface`);
             } else {
-                console.log('❌ Web interface content not found');
+                fail('Web interface content not found');
             }
         } else {
-            console.log('❌ Web interface failed to load:', response.status);
+            fail('Web interface failed to load:', response.status);
         }
 
         // Test API endpoints
         console.log('\n2. Testing API endpoints...');
         
-        const healthResponse = await fetch('http://localhost:3000/health');
+        const healthResponse = await fetch(`${BASE_URL}/health`);
         const healthData = await healthResponse.json();
         console.log('✅ Health check:', healthData.status);
 
-        const nodesResponse = await fetch('http://localhost:3000/api/nodes');
+        const nodesResponse = await fetch(`${BASE_URL}/api/nodes`);
         const nodesData = await nodesResponse.json();
         console.log('✅ API nodes endpoint:', nodesData.success ? 'Working' : 'Failed');
 
         console.log('\n🎉 Web Interface Test Complete!');
         console.log('\n📋 What you can do:');
-        console.log('1. Open http://localhost:3000/ in your browser');
+        console.log(`1. Open ${BASE_URL}/ in your browser`);
         console.log('2. Create learning nodes using the form');
         console.log('3. View the hierarchical tree structure');
         console.log('4. Search and filter nodes');
@@ -46,7 +48,7 @@ async function testWebInterface() {
         console.log('7. View statistics');
 
     } catch (error) {
-        console.error('❌ Test failed:', error.message);
+        fail('Test failed:', error.message);
     }
 }
 
@@ -3,18 +3,19 @@
  * Demonstrates the complete lesson flow with weighted topic selection
  */
 import fetch from 'node-fetch';
-
-const BASE_URL = 'http://localhost:3000';
+import { BASE_URL, headers, authenticate, check, fail } from './test-helpers.js';
 
 async function testWeightedSelectionSystem() {
     console.log('🎯 Testing MicroLearn Weighted Random Selection System...\n');
 
     try {
+        await authenticate();
+
         // 1. Health Check
         console.log('1. Health Check');
         const health = await fetch(`${BASE_URL}/health`);
         const healthData = await health.json();
-        console.log('✅', healthData);
+        check(health.ok, `Health: ${healthData.status}`);
         console.log('');
 
         // 2. Create test content with different mastery levels
@@ -32,23 +33,23 @@ async function testWeightedSelectionSystem() {
         for (const topic of testTopics) {
             const response = await fetch(`${BASE_URL}/api/nodes`, {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
+                headers,
                 body: JSON.stringify(topic)
             });
             const result = await response.json();
+            check(result.success, `Created: ${topic.name} (${topic.mastery_percentage}% mastery)`);
             if (result.success) {
                 createdTopics.push(result.data);
-                console.log(`✅ Created: ${topic.name} (${topic.mastery_percentage}% mastery)`);
             }
         }
         console.log('');
 
         // 3. Test Weight Distribution
         console.log('3. Testing Weight Distribution');
-        const weightsResponse = await fetch(`${BASE_URL}/api/lessons/weights/0`);
+        const weightsResponse = await fetch(`${BASE_URL}/api/lessons/weights/0`, { headers });
         const weightsData = await weightsResponse.json();
+        check(weightsData.success, `Current Weight Distribution${weightsData.success ? ':' : `: ${weightsData.error}`}`);
         if (weightsData.success) {
-            console.log('✅ Current Weight Distribution:');
             console.log(`   - Total Topics: ${weightsData.data.statistics.totalNodes}`);
             console.log(`   - Average Weight: ${weightsData.data.statistics.averageWeight}`);
             console.log(`   - Weight Distribution:`, weightsData.data.statistics.weightDistribution);
@@ -68,14 +69,14 @@ async function testWeightedSelectionSystem() {
             console.log(`   Request ${i}:`);
             const lessonResponse = await fetch(`${BASE_URL}/api/lessons/request`, {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
+                headers,
                 body: JSON.stringify({ userPreferences })
             });
             
             const lessonData = await lessonResponse.json();
             if (lessonData.success) {
                 const topic = lessonData.data.selectedTopic;
-                console.log(`   ✅ Selected: ${topic.name} (mastery: ${topic.mastery_percentage}%, weight: ${topic.selection_weight})`);
+                check(true, `Selected: ${topic.name} (mastery: ${topic.mastery_percentage}%, weight: ${topic.selection_weight})`);
                 
                 // Show AI prompt preview (first 200 chars)
                 if (lessonData.data.aiPrompt) {
@@ -83,7 +84,7 @@ async function testWeightedSelectionSystem() {
                     console.log(`   🤖 AI Prompt Preview: ${promptPreview}`);
                 }
             } else {
-                console.log(`   ❌ Failed: ${lessonData.error}`);
+                fail(`Failed: ${lessonData.error}`);
             }
             console.log('');
         }
@@ -94,14 +95,14 @@ async function testWeightedSelectionSystem() {
         // Get a lesson request
         const lessonRequest = await fetch(`${BASE_URL}/api/lessons/request`, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers,
             body: JSON.stringify({ userPreferences })
         });
         
         const lessonData = await lessonRequest.json();
+        check(lessonData.success, `Selected topic for completion test: ${lessonData.data?.selectedTopic.name ?? lessonData.error}`);
         if (lessonData.success) {
             const selectedTopic = lessonData.data.selectedTopic;
-            console.log(`✅ Selected topic for completion test: ${selectedTopic.name}`);
             
             // Complete the lesson (passed)
             const completionData = {
@@ -113,14 +114,17 @@ async function testWeightedSelectionSystem() {
             
             const completionResponse = await fetch(`${BASE_URL}/api/lessons/complete`, {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
+                headers,
                 body: JSON.stringify(completionData)
             });
             
             const completionResult = await completionResponse.json();
             if (completionResult.success) {
-                console.log('✅ Lesson completion processed:');
-                console.log(`   - New Mastery: ${completionResult.data.newMastery}%`);
+                check(true, 'Lesson completion processed:');
+                // A "Create New Topic" lesson practiced no topic, so it has no mastery
+                if (completionResult.data.nodeId !== 'create_new_topic') {
+                    console.log(`   - New Mastery: ${completionResult.data.newMastery}%`);
+                }
                 console.log(`   - Weight Updates: ${completionResult.data.weightUpdates.length} topics updated`);
                 
                 if (completionResult.data.weightUpdates.length > 0) {
@@ -130,7 +134,7 @@ async function testWeightedSelectionSystem() {
                     });
                 }
             } else {
-                console.log(`❌ Completion failed: ${completionResult.error}`);
+                fail(`Completion failed: ${completionResult.error}`);
             }
         }
         console.log('');
@@ -140,14 +144,14 @@ async function testWeightedSelectionSystem() {
         
         const failedLessonRequest = await fetch(`${BASE_URL}/api/lessons/request`, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers,
             body: JSON.stringify({ userPreferences })
         });
         
         const failedLessonData = await failedLessonRequest.json();
+        check(failedLessonData.success, `Selected topic for failure test: ${failedLessonData.data?.selectedTopic.name ?? failedLessonData.error}`);
         if (failedLessonData.success) {
             const failedTopic = failedLessonData.data.selectedTopic;
-            console.log(`✅ Selected topic for failure test: ${failedTopic.name}`);
             
             // Complete the lesson (failed)
             const failedCompletionData = {
@@ -159,25 +163,28 @@ async function testWeightedSelectionSystem() {
             
             const failedCompletionResponse = await fetch(`${BASE_URL}/api/lessons/complete`, {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
+                headers,
                 body: JSON.stringify(failedCompletionData)
             });
             
             const failedCompletionResult = await failedCompletionResponse.json();
             if (failedCompletionResult.success) {
-                console.log('✅ Failed lesson processed:');
-                console.log(`   - New Mastery: ${failedCompletionResult.data.newMastery}%`);
-                console.log(`   - Weight Updates: ${failedCompletionResult.data.weightUpdates.length} (should be 0 for failed lessons)`);
+                check(failedCompletionResult.data.weightUpdates.length === 0, `Failed lesson processed: ${failedCompletionResult.data.weightUpdates.length} weight update(s)`);
+                if (failedCompletionResult.data.nodeId !== 'create_new_topic') {
+                    console.log(`   - New Mastery: ${failedCompletionResult.data.newMastery}%`);
+                }
+            } else {
+                fail(`Failed completion failed: ${failedCompletionResult.error}`);
             }
         }
         console.log('');
 
         // 7. Final Weight Distribution Check
         console.log('7. Final Weight Distribution Check');
-        const finalWeightsResponse = await fetch(`${BASE_URL}/api/lessons/weights/0`);
+        const finalWeightsResponse = await fetch(`${BASE_URL}/api/lessons/weights/0`, { headers });
         const finalWeightsData = await finalWeightsResponse.json();
+        check(finalWeightsData.success, `Final Weight Distribution${finalWeightsData.success ? ':' : `: ${finalWeightsData.error}`}`);
         if (finalWeightsData.success) {
-            console.log('✅ Final Weight Distribution:');
             console.log(`   - Total Topics: ${finalWeightsData.data.statistics.totalNodes}`);
             console.log(`   - Average Weight: ${finalWeightsData.data.statistics.averageWeight}`);
             console.log(`   - Weight Distribution:`, finalWeightsData.data.statistics.weightDistribution);
@@ -193,23 +200,47 @@ async function testWeightedSelectionSystem() {
         console.log('8. Testing Lesson Statistics');
         const statsResponse = await fetch(`${BASE_URL}/api/lessons/statistics`);
         const statsData = await statsResponse.json();
+        check(statsData.success, `Lesson Statistics${statsData.success ? ':' : `: ${statsData.error}`}`);
         if (statsData.success) {
-            console.log('✅ Lesson Statistics:');
             console.log(`   - Total Topics: ${statsData.data.statistics.totalTopics}`);
             console.log(`   - Average Weight: ${statsData.data.statistics.averageWeight}`);
             console.log(`   - Weight Distribution:`, statsData.data.statistics.weightDistribution);
         }
         console.log('');
 
-        console.log('🎉 All Weighted Selection Tests Completed Successfully!');
-        console.log('\n📊 Test Summary:');
-        console.log('- ✅ Weighted random topic selection working');
-        console.log('- ✅ AI prompt generation for lesson context');
-        console.log('- ✅ Weight redistribution on lesson pass');
-        console.log('- ✅ No weight change on lesson failure');
-        console.log('- ✅ Mastery percentage updates');
-        console.log('- ✅ Weight statistics and monitoring');
-        console.log('- ✅ Complete lesson workflow integration');
+        // 9. Test Weight History
+        console.log('9. Testing Weight History');
+        const historyResponse = await fetch(`${BASE_URL}/api/lessons/weights/0/history`, { headers });
+        const historyData = await historyResponse.json();
+        check(historyData.success, `Weight History: ${historyData.success ? `${historyData.count} changes recorded` : historyData.error}`);
+        if (historyData.success) {
+            historyData.data.slice(0, 5).forEach(entry => {
+                console.log(`   * ${entry.node_id}: ${entry.old_weight} → ${entry.new_weight} (${entry.reason})`);
+            });
+        }
+        console.log('');
+
+        // 10. Test Manual Weight Update
+        console.log('10. Testing Manual Weight Update');
+        if (createdTopics.length > 0) {
+            const manualResponse = await fetch(`${BASE_URL}/api/lessons/weights/0/${createdTopics[0].id}`, {
+                method: 'PUT',
+                headers,
+                body: JSON.stringify({ weight: 150 })
+            });
+            const manualData = await manualResponse.json();
+            check(manualData.success && manualData.data.weight === 150, `Manual weight: ${manualData.success ? `${createdTopics[0].name} → ${manualData.data.weight}` : manualData.error}`);
+        }
+        console.log('');
+
+        // 11. Test Weight Reset
+        console.log('11. Testing Weight Reset');
+        const resetResponse = await fetch(`${BASE_URL}/api/lessons/weights/0/reset`, { method: 'POST', headers });
+        const resetData = await resetResponse.json();
+        check(resetData.success, resetData.message ?? resetData.error);
+        console.log('');
+
+        console.log('🎉 All Weighted Selection Tests Completed!');
 
         console.log('\n🎯 Key Features Demonstrated:');
         console.log('- AI-calculated weights based on mastery and preferences');
@@ -220,7 +251,7 @@ async function testWeightedSelectionSystem() {
         console.log('- Complete lesson lifecycle management');
 
     } catch (error) {
-        console.error('❌ Weighted Selection Test failed:', error);
+        fail('Weighted Selection Test failed:', error);
     }
 }
 